@@ -4,6 +4,10 @@ import ScrollToTop from "components/ScrollToTop";
 import ErrorBoundary from "components/ErrorBoundary";
 import NotFound from "pages/NotFound";
 import TextToSpeechGenerator from './pages/text-to-speech-generator';
+import BatchGenerator from './pages/batch-generator';
+import GenerationHistory from './pages/generation-history';
+import UsageDashboard from './pages/usage-dashboard';
+import Billing from './pages/billing';
 
 const Routes = () => {
   return (
@@ -14,6 +18,10 @@ const Routes = () => {
         {/* Define your route here */}
         <Route path="/" element={<TextToSpeechGenerator />} />
         <Route path="/text-to-speech-generator" element={<TextToSpeechGenerator />} />
+        <Route path="/batch" element={<BatchGenerator />} />
+        <Route path="/history" element={<GenerationHistory />} />
+        <Route path="/usage" element={<UsageDashboard />} />
+        <Route path="/billing" element={<Billing />} />
         <Route path="*" element={<NotFound />} />
       </RouterRoutes>
       </ErrorBoundary>
@@ -19,6 +19,21 @@ const Header = () => {
       name: 'Text to Speech',
       path: '/text-to-speech-generator',
       icon: 'Volume2'
+    },
+    {
+      name: 'Batch',
+      path: '/batch',
+      icon: 'Layers'
+    },
+    {
+      name: 'History',
+      path: '/history',
+      icon: 'History'
+    },
+    {
+      name: 'Usage',
+      path: '/usage',
+      icon: 'BarChart3'
     }
   ];
 
@@ -63,6 +78,12 @@ const Header = () => {
               >
                 Text-to-Speech
               </Link>
+              <Link
+                to="/batch"
+                className="text-muted-foreground hover:text-primary transition-colors"
+              >
+                Batch
+              </Link>
               <Link
                 to="/features"
                 className="text-muted-foreground hover:text-primary transition-colors"
@@ -124,6 +145,22 @@ const Header = () => {
                         Profile Settings
                       </Link>
                       
+                      <Link
+                        to="/history"
+                        className="block px-4 py-2 text-sm text-foreground hover:bg-muted"
+                        onClick={() => setShowUserMenu(false)}
+                      >
+                        History
+                      </Link>
+                      
+                      <Link
+                        to="/usage"
+                        className="block px-4 py-2 text-sm text-foreground hover:bg-muted"
+                        onClick={() => setShowUserMenu(false)}
+                      >
+                        Usage
+                      </Link>
+                      
                       <Link
                         to="/billing"
                         className="block px-4 py-2 text-sm text-foreground hover:bg-muted"
@@ -13,3 +13,25 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
     persistSession: true,
   }
 });
+
+/**
+ * Builds the URL of a Supabase Edge Function
+ * @param {string} name - Function name
+ * @returns {string} - Function URL
+ */
+export const getFunctionUrl = (name) => `${supabaseUrl?.replace(/\/+$/, '')}/functions/v1/${name}`;
+
+/**
+ * Builds request headers that authenticate the current user to an Edge Function
+ * @returns {Promise<Object|null>} - Headers, or null when nobody is signed in
+ */
+export const getFunctionHeaders = async () => {
+  const { data: { session } } = await supabase?.auth?.getSession();
+  if (!session?.access_token) return null;
+
+  return {
+    'Authorization': `Bearer ${session?.access_token}`,
+    'apikey': supabaseAnonKey,
+    'Content-Type': 'application/json'
+  };
+};
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import Select from '../../../components/ui/Select';
+import Button from '../../../components/ui/Button';
+import { BATCH_DELIMITERS, splitBatchText } from '../../../utils/batchItems';
+
+export const MAX_BATCH_ITEMS = 200;
+
+const BatchItemsEditor = ({
+  rows,
+  setRows,
+  presetOptions,
+  createRow,
+  disabled
+}) => {
+  const [pasted, setPasted] = useState('');
+  const [delimiter, setDelimiter] = useState('line');
+  const [bulkPreset, setBulkPreset] = useState('default');
+
+  const pastedItems = splitBatchText(pasted, delimiter);
+  const room = MAX_BATCH_ITEMS - (rows?.length || 0);
+
+  const handleAddPasted = () => {
+    setRows(prev => [...(prev || []), ...pastedItems.slice(0, room).map(text => createRow(text, bulkPreset))]);
+    setPasted('');
+  };
+
+  const updateRow = (id, changes) => {
+    setRows(prev => prev.map(row => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  const removeRow = (id) => {
+    setRows(prev => prev.filter(row => row.id !== id));
+  };
+
+  const applyPresetToAll = (presetId) => {
+    setBulkPreset(presetId);
+    setRows(prev => prev.map(row => ({ ...row, presetId })));
+  };
+
+  return (
+    <div className="w-full space-y-6">
+      {/* Paste many items at once */}
+      <div className="space-y-3">
+        <label className="block text-sm font-medium text-foreground" htmlFor="batch-paste">
+          Paste items
+        </label>
+        <textarea
+          id="batch-paste"
+          value={pasted}
+          onChange={(e) => setPasted(e?.target?.value)}
+          placeholder={'Flight BA117 to Lagos is now boarding at gate 12.\nThe 10:45 service to Abuja has been delayed.'}
+          className="w-full h-36 p-3 text-sm bg-input border border-border rounded-lg resize-y focus:outline-none focus:ring-2 focus:ring-ring"
+          disabled={disabled}
+        />
+        <div className="flex flex-wrap items-end gap-3">
+          <Select
+            label="Split"
+            options={BATCH_DELIMITERS}
+            value={delimiter}
+            onChange={setDelimiter}
+            disabled={disabled}
+            className="w-56"
+          />
+          <Button
+            variant="outline"
+            iconName="ListPlus"
+            iconPosition="left"
+            onClick={handleAddPasted}
+            disabled={disabled || pastedItems.length === 0 || room <= 0}
+          >
+            Add {pastedItems.length || ''} {pastedItems.length === 1 ? 'item' : 'items'}
+          </Button>
+        </div>
+        {pastedItems.length > room && (
+          <p className="text-xs text-warning">
+            Only the first {Math.max(0, room)} will be added; a batch holds at most {MAX_BATCH_ITEMS} items.
+          </p>
+        )}
+      </div>
+
+      {/* Item table */}
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-end justify-between gap-3">
+          <p className="text-sm font-medium text-foreground">
+            {rows?.length || 0} {rows?.length === 1 ? 'item' : 'items'}
+          </p>
+          <div className="flex flex-wrap items-end gap-2">
+            <Select
+              label="Preset for all"
+              options={presetOptions}
+              value={bulkPreset}
+              onChange={applyPresetToAll}
+              disabled={disabled || !rows?.length}
+              className="w-56"
+            />
+            <Button
+              variant="ghost"
+              iconName="Plus"
+              iconPosition="left"
+              onClick={() => setRows(prev => [...(prev || []), createRow('', bulkPreset)])}
+              disabled={disabled || room <= 0}
+            >
+              Add row
+            </Button>
+          </div>
+        </div>
+
+        {rows?.length > 0 && (
+          <div className="border border-border rounded-lg divide-y divide-border">
+            {rows.map((row, index) => (
+              <div key={row.id} className="flex flex-col md:flex-row md:items-start gap-3 p-3">
+                <span className="text-xs text-muted-foreground font-mono pt-2 w-8 flex-shrink-0">
+                  {String(index + 1).padStart(3, '0')}
+                </span>
+                <textarea
+                  value={row.text}
+                  onChange={(e) => updateRow(row.id, { text: e?.target?.value })}
+                  rows={2}
+                  placeholder="Text to speak"
+                  className="flex-1 p-2 text-sm bg-input border border-border rounded-md resize-y focus:outline-none focus:ring-2 focus:ring-ring"
+                  disabled={disabled}
+                />
+                <Select
+                  options={presetOptions}
+                  value={row.presetId}
+                  onChange={(value) => updateRow(row.id, { presetId: value })}
+                  disabled={disabled}
+                  className="md:w-52"
+                />
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  iconName="Trash2"
+                  onClick={() => removeRow(row.id)}
+                  disabled={disabled}
+                  title="Remove item"
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchItemsEditor;
@@ -0,0 +1,140 @@
+import React from 'react';
+import Select from '../../../components/ui/Select';
+import Button from '../../../components/ui/Button';
+import Icon from '../../../components/AppIcon';
+import { BATCH_STATUS } from '../../../utils/batchQueue';
+
+const CONCURRENCY_OPTIONS = [
+  { value: '1', label: '1 at a time' },
+  { value: '2', label: '2 at a time' },
+  { value: '3', label: '3 at a time' },
+  { value: '4', label: '4 at a time' }
+];
+
+const STATUS_STYLES = {
+  [BATCH_STATUS.QUEUED]: { icon: 'Clock', className: 'text-muted-foreground', label: 'Queued' },
+  [BATCH_STATUS.RUNNING]: { icon: 'Loader2', className: 'text-primary animate-spin', label: 'Generating' },
+  [BATCH_STATUS.DONE]: { icon: 'CheckCircle2', className: 'text-success', label: 'Done' },
+  [BATCH_STATUS.FAILED]: { icon: 'XCircle', className: 'text-error', label: 'Failed' },
+  [BATCH_STATUS.CANCELLED]: { icon: 'Ban', className: 'text-muted-foreground', label: 'Cancelled' }
+};
+
+const BatchQueuePanel = ({
+  snapshot,
+  labels,
+  concurrency,
+  setConcurrency,
+  canStart,
+  onStart,
+  onPause,
+  onResume,
+  onCancelAll,
+  onCancelItem,
+  onRetryItem,
+  onRetryFailed,
+  onDownloadZip,
+  isZipping
+}) => {
+  const items = snapshot?.items || [];
+  const count = status => items.filter(item => item.status === status).length;
+  const done = count(BATCH_STATUS.DONE);
+  const failed = count(BATCH_STATUS.FAILED) + count(BATCH_STATUS.CANCELLED);
+  const pending = count(BATCH_STATUS.QUEUED) + count(BATCH_STATUS.RUNNING);
+  const active = pending > 0 && !snapshot?.paused;
+  const overall = items.length ? Math.round(items.reduce((sum, item) => sum + (item.progress || 0), 0) / items.length) : 0;
+
+  return (
+    <div className="w-full space-y-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <Select
+          label="Parallel Requests"
+          options={CONCURRENCY_OPTIONS}
+          value={String(concurrency)}
+          onChange={(value) => setConcurrency(Number(value))}
+          className="w-44"
+        />
+
+        {!items.length || pending === 0 ? (
+          <Button variant="default" iconName="Play" iconPosition="left" onClick={onStart} disabled={!canStart}>
+            Start batch
+          </Button>
+        ) : active ? (
+          <Button variant="outline" iconName="Pause" iconPosition="left" onClick={onPause}>
+            Pause
+          </Button>
+        ) : (
+          <Button variant="default" iconName="Play" iconPosition="left" onClick={onResume}>
+            Resume
+          </Button>
+        )}
+
+        {pending > 0 && (
+          <Button variant="ghost" iconName="Square" iconPosition="left" onClick={onCancelAll}>
+            Cancel all
+          </Button>
+        )}
+        {failed > 0 && pending === 0 && (
+          <Button variant="ghost" iconName="RotateCcw" iconPosition="left" onClick={onRetryFailed}>
+            Retry {failed} unfinished
+          </Button>
+        )}
+        <Button
+          variant="outline"
+          iconName={isZipping ? 'Loader2' : 'Download'}
+          iconPosition="left"
+          onClick={onDownloadZip}
+          disabled={done === 0 || isZipping}
+          className="ml-auto"
+        >
+          Download ZIP ({done})
+        </Button>
+      </div>
+
+      {items.length > 0 && (
+        <>
+          <div className="space-y-1">
+            <div className="w-full bg-muted rounded-full h-2 overflow-hidden">
+              <div className="h-full bg-primary transition-all duration-300 ease-out" style={{ width: `${overall}%` }} />
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {done} of {items.length} done
+              {failed > 0 && ` · ${failed} failed or cancelled`}
+              {snapshot?.paused && pending > 0 && ' · paused'}
+            </p>
+          </div>
+
+          <ul className="border border-border rounded-lg divide-y divide-border max-h-96 overflow-y-auto">
+            {items.map((item, index) => {
+              const style = STATUS_STYLES?.[item.status] || STATUS_STYLES[BATCH_STATUS.QUEUED];
+              return (
+                <li key={item.id} className="flex items-center gap-3 px-3 py-2">
+                  <Icon name={style.icon} size={16} className={`flex-shrink-0 ${style.className}`} />
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm text-foreground truncate">
+                      <span className="font-mono text-xs text-muted-foreground mr-2">{String(index + 1).padStart(3, '0')}</span>
+                      {item.payload?.text}
+                    </p>
+                    <p className="text-xs text-muted-foreground truncate">
+                      {labels?.[item.id]} · {style.label}
+                      {item.status === BATCH_STATUS.RUNNING && ` ${item.progress || 0}%`}
+                      {item.status === BATCH_STATUS.DONE && item.result?.cacheHit && ' (from cache)'}
+                      {item.status === BATCH_STATUS.FAILED && `: ${item.error?.message || 'Unknown error'}`}
+                    </p>
+                  </div>
+                  {[BATCH_STATUS.QUEUED, BATCH_STATUS.RUNNING].includes(item.status) && (
+                    <Button variant="ghost" size="icon" iconName="X" onClick={() => onCancelItem(item.id)} title="Cancel item" />
+                  )}
+                  {[BATCH_STATUS.FAILED, BATCH_STATUS.CANCELLED].includes(item.status) && (
+                    <Button variant="ghost" size="icon" iconName="RotateCcw" onClick={() => onRetryItem(item.id)} title="Retry item" />
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchQueuePanel;
@@ -0,0 +1,298 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Select from '../../../components/ui/Select';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Icon from '../../../components/AppIcon';
+import SupabaseService from '../../../services/supabaseService';
+import { useAuth } from '../../../contexts/AuthContext';
+import { extractTemplateVariables, parseDataset, renderFileName, renderTemplate } from '../../../utils/textTemplate';
+
+const PREVIEW_ROWS = 5;
+
+const TemplateEditor = ({
+  template,
+  setTemplate,
+  filenamePattern,
+  setFilenamePattern,
+  presetId,
+  setPresetId,
+  presetOptions,
+  dataset,
+  setDataset,
+  validation,
+  extension,
+  disabled
+}) => {
+  const { user } = useAuth();
+  const [savedTemplates, setSavedTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!user?.id) {
+      setSavedTemplates([]);
+      return;
+    }
+
+    let cancelled = false;
+    SupabaseService?.getTextTemplates(user?.id)
+      ?.then((data) => { if (!cancelled) setSavedTemplates(data); })
+      ?.catch(() => { if (!cancelled) setError('Failed to load saved templates.'); });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
+  const variables = extractTemplateVariables(template);
+
+  const handleLoadTemplate = (id) => {
+    setSelectedId(id);
+    const saved = savedTemplates.find(item => item.id === id);
+    if (!saved) return;
+
+    setTemplate(saved.template);
+    setFilenamePattern(saved.filename_pattern);
+    setTemplateName(saved.name);
+    setPresetId(presetOptions.some(option => option.value === saved.preset_id) ? saved.preset_id : 'default');
+    setNotice('');
+  };
+
+  const handleSaveTemplate = async () => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const saved = await SupabaseService?.saveTextTemplate({
+        name: templateName.trim(),
+        template,
+        filename_pattern: filenamePattern?.trim() || '{{#}}',
+        preset_id: presetId === 'default' ? null : presetId,
+        user_id: user?.id
+      });
+      setSavedTemplates(prev => [...prev.filter(item => item.id !== saved?.id), saved].sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedId(saved?.id);
+      setNotice(`Saved "${saved?.name}".`);
+    } catch {
+      setError('Failed to save the template. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      await SupabaseService?.deleteTextTemplate(selectedId, user?.id);
+      setSavedTemplates(prev => prev.filter(item => item.id !== selectedId));
+      setSelectedId('');
+    } catch {
+      setError('Failed to delete the template. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e?.target?.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setNotice('');
+    try {
+      setDataset({ ...parseDataset(await file.text(), file.name), fileName: file.name });
+    } catch (parseError) {
+      setDataset(null);
+      setError(parseError?.message || 'Failed to read the file. Please check its format and try again.');
+    }
+  };
+
+  const insertVariable = (column) => {
+    setTemplate(`${template || ''}{{${column}}}`);
+  };
+
+  const savedOptions = savedTemplates.map(item => ({ value: item.id, label: item.name }));
+  const previewRows = (dataset?.rows || []).slice(0, PREVIEW_ROWS);
+  const problems = [
+    ...(validation?.unknownColumns?.length
+      ? [`The data has no column for ${validation.unknownColumns.map(name => `{{${name}}}`).join(', ')}.`]
+      : []),
+    ...(validation?.missing || [])
+      .filter(({ variables: absent }) => absent.some(name => !validation.unknownColumns.includes(name)))
+      .slice(0, 5)
+      .map(({ row, variables: absent }) => `Row ${row} is missing ${absent.filter(name => !validation.unknownColumns.includes(name)).join(', ')}.`),
+    ...((validation?.emptyRows?.length || 0) > 0 ? [`Rows ${validation.emptyRows.slice(0, 10).join(', ')} render to empty text.`] : [])
+  ];
+
+  return (
+    <div className="w-full space-y-6">
+      {/* Saved templates */}
+      {user?.id ? (
+        <div className="flex flex-wrap items-end gap-3">
+          <Select
+            label="Saved templates"
+            options={savedOptions}
+            value={selectedId}
+            onChange={handleLoadTemplate}
+            placeholder={savedOptions.length ? 'Load a template' : 'No saved templates yet'}
+            disabled={disabled || !savedOptions.length}
+            className="w-56"
+          />
+          <div className="w-56">
+            <Input
+              label="Template name"
+              value={templateName}
+              onChange={(e) => setTemplateName(e?.target?.value)}
+              placeholder="Order shipped"
+              maxLength={100}
+              disabled={disabled}
+            />
+          </div>
+          <Button
+            variant="outline"
+            iconName="Save"
+            iconPosition="left"
+            onClick={handleSaveTemplate}
+            loading={saving}
+            disabled={disabled || saving || !templateName.trim() || !template?.trim()}
+          >
+            Save template
+          </Button>
+          {selectedId && (
+            <Button variant="ghost" iconName="Trash2" iconPosition="left" onClick={handleDeleteTemplate} disabled={disabled || saving}>
+              Delete
+            </Button>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-muted-foreground">Sign in to save templates for later.</p>
+      )}
+
+      {/* Template text */}
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-foreground" htmlFor="batch-template">
+          Template
+        </label>
+        <textarea
+          id="batch-template"
+          value={template}
+          onChange={(e) => setTemplate(e?.target?.value)}
+          placeholder="Hello {{name}}, your order {{order_id}} ships {{date}}."
+          className="w-full h-32 p-3 text-sm bg-input border border-border rounded-lg resize-y focus:outline-none focus:ring-2 focus:ring-ring"
+          disabled={disabled}
+        />
+        <p className="text-xs text-muted-foreground">
+          Wrap column names in double braces. {variables.length > 0 && `Uses ${variables.map(name => `{{${name}}}`).join(', ')}.`}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label="File name pattern"
+          description="{{#}} is the row number; the extension is added for you."
+          value={filenamePattern}
+          onChange={(e) => setFilenamePattern(e?.target?.value)}
+          placeholder="{{#}}-{{name}}"
+          maxLength={200}
+          disabled={disabled}
+        />
+        <Select
+          label="Voice preset"
+          options={presetOptions}
+          value={presetId}
+          onChange={setPresetId}
+          disabled={disabled}
+        />
+      </div>
+
+      {/* Dataset */}
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            className="hidden"
+            onChange={handleUpload}
+          />
+          <Button
+            variant="outline"
+            iconName="Upload"
+            iconPosition="left"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={disabled}
+          >
+            Upload CSV or JSON
+          </Button>
+          {dataset && (
+            <span className="text-sm text-muted-foreground">
+              {dataset.fileName}: {dataset.rows.length} {dataset.rows.length === 1 ? 'row' : 'rows'}
+            </span>
+          )}
+        </div>
+
+        {dataset?.columns?.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-xs text-muted-foreground">Columns:</span>
+            {dataset.columns.map(column => (
+              <button
+                key={column}
+                type="button"
+                onClick={() => insertVariable(column)}
+                disabled={disabled}
+                className="px-2 py-0.5 text-xs font-mono bg-muted text-foreground rounded hover:bg-primary hover:text-primary-foreground transition-colors"
+                title="Insert into template"
+              >
+                {`{{${column}}}`}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-error">{error}</p>}
+      {notice && <p className="text-sm text-success">{notice}</p>}
+
+      {dataset && problems.length > 0 && (
+        <div className="p-3 bg-error/10 border border-error/20 rounded-lg space-y-1">
+          <p className="flex items-center gap-2 text-sm font-medium text-error">
+            <Icon name="AlertCircle" size={16} />
+            Fix these before generating
+          </p>
+          {problems.map(problem => (
+            <p key={problem} className="text-xs text-foreground">{problem}</p>
+          ))}
+          {(validation?.missing?.length || 0) > 5 && (
+            <p className="text-xs text-muted-foreground">…and {validation.missing.length - 5} more rows with missing values.</p>
+          )}
+        </div>
+      )}
+
+      {/* Rendered preview */}
+      {previewRows.length > 0 && template?.trim() && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-foreground">
+            Preview {dataset.rows.length > PREVIEW_ROWS && `(first ${PREVIEW_ROWS} of ${dataset.rows.length})`}
+          </p>
+          <ul className="border border-border rounded-lg divide-y divide-border">
+            {previewRows.map((row, index) => (
+              <li key={index} className="px-3 py-2 space-y-1">
+                <p className="text-xs font-mono text-muted-foreground">{renderFileName(filenamePattern, row, index, extension)}</p>
+                <p className="text-sm text-foreground whitespace-pre-wrap">{renderTemplate(template, row, index)}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplateEditor;
@@ -0,0 +1,341 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import Header from '../../components/ui/Header';
+import BatchItemsEditor from './components/BatchItemsEditor';
+import BatchQueuePanel from './components/BatchQueuePanel';
+import TemplateEditor from './components/TemplateEditor';
+import Button from '../../components/ui/Button';
+import TTSService from '../../services/ttsService';
+import SupabaseService from '../../services/supabaseService';
+import { useAuth } from '../../contexts/AuthContext';
+import { createBatchQueue, BATCH_STATUS } from '../../utils/batchQueue';
+import { batchFileName, buildBatchManifest } from '../../utils/batchItems';
+import { createZip, uniqueFileNames } from '../../utils/zipArchive';
+import { getFormatInfo } from '../../utils/audioFormats';
+import { renderFileName, renderTemplate, validateTemplateData } from '../../utils/textTemplate';
+
+const DEFAULT_PRESET_ID = 'default';
+
+let nextRowId = 0;
+const createRow = (text = '', presetId = DEFAULT_PRESET_ID) => ({
+  id: `row-${Date.now()}-${nextRowId++}`,
+  text,
+  presetId
+});
+
+const BatchGenerator = () => {
+  const { user } = useAuth();
+  const [mode, setMode] = useState('list');
+  const [rows, setRows] = useState([]);
+  const [template, setTemplate] = useState('');
+  const [filenamePattern, setFilenamePattern] = useState('{{#}}');
+  const [templatePresetId, setTemplatePresetId] = useState(DEFAULT_PRESET_ID);
+  const [dataset, setDataset] = useState(null);
+  const [presets, setPresets] = useState([]);
+  const [lexiconEntries, setLexiconEntries] = useState([]);
+  const [concurrency, setConcurrency] = useState(2);
+  const [snapshot, setSnapshot] = useState({ items: [], paused: true, running: false });
+  const [isZipping, setIsZipping] = useState(false);
+  const [error, setError] = useState('');
+  const queueRef = useRef(null);
+
+  // Presets and pronunciation rules apply to batch items just like single generations
+  useEffect(() => {
+    let cancelled = false;
+
+    if (user?.id) {
+      SupabaseService?.getVoicePresets(user?.id)
+        ?.then((data) => { if (!cancelled) setPresets(data); })
+        ?.catch(() => { if (!cancelled) setPresets([]); });
+      SupabaseService?.getPronunciationEntries(user?.id)
+        ?.then((entries) => { if (!cancelled) setLexiconEntries(entries); })
+        ?.catch(() => { if (!cancelled) setLexiconEntries([]); });
+    } else {
+      setLexiconEntries([]);
+      try {
+        setPresets(JSON.parse(localStorage.getItem('tts-presets') || '[]'));
+      } catch (storageError) {
+        console.error('Error loading presets from localStorage:', storageError);
+      }
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
+  const presetOptions = useMemo(() => [
+    { value: DEFAULT_PRESET_ID, label: 'Default voice' },
+    ...(presets || []).map(preset => ({ value: String(preset?.id), label: preset?.name }))
+  ], [presets]);
+
+  const findPreset = presetId => presets?.find(preset => String(preset?.id) === presetId) || null;
+
+  const settingsFor = presetId => SupabaseService.presetToSettings(findPreset(presetId) || {});
+
+  // One generation per item; signed-in users get it saved to their history
+  const runItem = async ({ text, presetId, settings }, { signal, onProgress }) => {
+    const result = await TTSService?.generateSpeechWithFallback(
+      text,
+      settings,
+      percent => onProgress(percent),
+      { signal, lexicon: lexiconEntries, cache: { userId: user?.id } }
+    );
+    URL.revokeObjectURL(result?.audioUrl);
+
+    if (user?.id) {
+      try {
+        await SupabaseService?.saveGeneratedAudio(result?.audioBlob, {
+          text_content: text,
+          duration_ms: result?.durationMs,
+          duration_source: result?.durationSource,
+          output_format: result?.format,
+          model: result?.model,
+          cache_hit: !!result?.cacheHit,
+          cache_key: result?.cacheKey || null,
+          settings,
+          preset_id: findPreset(presetId)?.id || null,
+          user_id: user?.id
+        });
+      } catch (dbError) {
+        console.warn('Failed to save batch item to database:', dbError);
+      }
+    }
+
+    return {
+      blob: result?.audioBlob,
+      format: result?.format,
+      durationMs: result?.durationMs,
+      cacheHit: !!result?.cacheHit
+    };
+  };
+
+  // The worker reads the latest presets and lexicon through this ref
+  const runItemRef = useRef(runItem);
+  runItemRef.current = runItem;
+
+  if (!queueRef.current) {
+    queueRef.current = createBatchQueue({
+      worker: (payload, options) => runItemRef.current(payload, options),
+      concurrency,
+      onUpdate: setSnapshot
+    });
+  }
+
+  // Stop everything when leaving the page
+  useEffect(() => () => queueRef.current?.cancelAll(), []);
+
+  const isProcessing = snapshot.items.some(item => [BATCH_STATUS.QUEUED, BATCH_STATUS.RUNNING].includes(item.status));
+  const filledRows = rows.filter(row => row.text?.trim());
+
+  const templateValidation = useMemo(
+    () => (dataset ? validateTemplateData(template, filenamePattern, dataset) : null),
+    [template, filenamePattern, dataset]
+  );
+  const templateReady = !!template?.trim() && dataset?.rows?.length > 0 && !!templateValidation
+    && !templateValidation.unknownColumns.length && !templateValidation.missing.length && !templateValidation.emptyRows.length;
+  const hasItems = mode === 'template' ? templateReady : filledRows.length > 0;
+
+  // Settings are resolved once here, so the manifest records what each item was generated with
+  // even if a preset is edited while the batch runs
+  const handleStart = () => {
+    setError('');
+
+    if (mode === 'template') {
+      // Every row is checked up front so a bad dataset never costs any API calls
+      if (!templateReady) {
+        setError('Some rows are missing values for the template. Fix the data or the template before generating.');
+        return;
+      }
+      const templateSettings = settingsFor(templatePresetId);
+      queueRef.current.setItems(dataset.rows.map((row, index) => ({
+        id: `template-${index}`,
+        payload: {
+          text: renderTemplate(template, row, index).trim(),
+          presetId: templatePresetId,
+          settings: templateSettings,
+          fileStem: renderFileName(filenamePattern, row, index),
+          variables: row
+        }
+      })));
+    } else {
+      queueRef.current.setItems(filledRows.map(row => ({
+        id: row.id,
+        payload: { text: row.text.trim(), presetId: row.presetId, settings: settingsFor(row.presetId) }
+      })));
+    }
+    queueRef.current.start();
+  };
+
+  const handleSetConcurrency = (value) => {
+    setConcurrency(value);
+    queueRef.current.setConcurrency(value);
+  };
+
+  const labels = Object.fromEntries(snapshot.items.map(item => [
+    item.id,
+    presetOptions.find(option => option.value === item.payload?.presetId)?.label || 'Default voice'
+  ]));
+
+  const handleDownloadZip = async () => {
+    setIsZipping(true);
+    setError('');
+    try {
+      const items = snapshot.items;
+      const names = uniqueFileNames(items.map((item, index) => {
+        const extension = getFormatInfo(item.result?.format)?.extension || 'mp3';
+        return item.payload?.fileStem
+          ? `${item.payload.fileStem}.${extension}`
+          : batchFileName(index, item.payload?.text, extension);
+      }));
+
+      const entries = items.map((item, index) => ({
+        file: item.status === BATCH_STATUS.DONE ? names[index] : null,
+        text: item.payload?.text,
+        preset: labels[item.id],
+        settings: item.payload?.settings,
+        status: item.status,
+        format: item.result?.format || null,
+        durationMs: item.result?.durationMs ?? null,
+        cacheHit: item.result?.cacheHit ?? null,
+        error: item.error?.message || null,
+        ...(item.payload?.variables ? { variables: item.payload.variables } : {})
+      }));
+      const meta = items.some(item => item.payload?.fileStem)
+        ? { template: { text: template, filenamePattern, dataset: dataset?.fileName || null } }
+        : {};
+
+      const files = items
+        .map((item, index) => ({ item, name: names[index] }))
+        .filter(({ item }) => item.status === BATCH_STATUS.DONE && item.result?.blob)
+        .map(({ item, name }) => ({ name, data: item.result.blob }));
+
+      const zip = await createZip([...files, { name: 'manifest.json', data: buildBatchManifest(entries, meta) }]);
+      const timestamp = new Date()?.toISOString()?.slice(0, 19)?.replace(/[:.]/g, '-');
+      TTSService?.downloadAudio(zip, `tts-batch-${timestamp}.zip`);
+    } catch (zipError) {
+      console.error('Error creating batch ZIP:', zipError);
+      setError('Failed to create the ZIP file. Please try again.');
+    } finally {
+      setIsZipping(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <main className="pt-16">
+        <div className="max-w-4xl mx-auto px-4 py-8">
+          {/* Page Header */}
+          <div className="text-center mb-8">
+            <h1 className="text-3xl md:text-4xl font-bold text-foreground mb-4">
+              Batch Generator
+            </h1>
+            <p className="text-lg text-muted-foreground max-w-2xl mx-auto">
+              Turn a list of announcements or a spreadsheet of personalized messages into audio files in one go.
+            </p>
+          </div>
+
+          {error && (
+            <div className="mb-6 p-4 bg-error/10 border border-error/20 rounded-lg">
+              <p className="text-error text-sm font-medium">{error}</p>
+            </div>
+          )}
+
+          {!user && (
+            <div className="mb-6 p-4 bg-info/10 border border-info/20 rounded-lg">
+              <p className="text-foreground text-sm font-medium">
+                Sign in to generate audio. Speech is generated securely on our servers for signed-in users.
+              </p>
+            </div>
+          )}
+
+          <div className="space-y-8">
+            {/* Step 1: Items */}
+            <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
+              <div className="flex items-center mb-4">
+                <div className="w-8 h-8 bg-primary text-primary-foreground rounded-full flex items-center justify-center text-sm font-semibold mr-3">
+                  1
+                </div>
+                <h2 className="text-xl font-semibold text-foreground">Add Items</h2>
+                <div className="ml-auto flex gap-2">
+                  <Button
+                    variant={mode === 'list' ? 'default' : 'outline'}
+                    size="sm"
+                    iconName="List"
+                    iconPosition="left"
+                    onClick={() => setMode('list')}
+                    disabled={isProcessing}
+                  >
+                    List
+                  </Button>
+                  <Button
+                    variant={mode === 'template' ? 'default' : 'outline'}
+                    size="sm"
+                    iconName="Braces"
+                    iconPosition="left"
+                    onClick={() => setMode('template')}
+                    disabled={isProcessing}
+                  >
+                    Template
+                  </Button>
+                </div>
+              </div>
+              {mode === 'template' ? (
+                <TemplateEditor
+                  template={template}
+                  setTemplate={setTemplate}
+                  filenamePattern={filenamePattern}
+                  setFilenamePattern={setFilenamePattern}
+                  presetId={templatePresetId}
+                  setPresetId={setTemplatePresetId}
+                  presetOptions={presetOptions}
+                  dataset={dataset}
+                  setDataset={setDataset}
+                  validation={templateValidation}
+                  extension={getFormatInfo(settingsFor(templatePresetId)?.outputFormat)?.extension || 'mp3'}
+                  disabled={isProcessing}
+                />
+              ) : (
+                <BatchItemsEditor
+                  rows={rows}
+                  setRows={setRows}
+                  presetOptions={presetOptions}
+                  createRow={createRow}
+                  disabled={isProcessing}
+                />
+              )}
+            </div>
+
+            {/* Step 2: Queue */}
+            <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
+              <div className="flex items-center mb-4">
+                <div className="w-8 h-8 bg-primary text-primary-foreground rounded-full flex items-center justify-center text-sm font-semibold mr-3">
+                  2
+                </div>
+                <h2 className="text-xl font-semibold text-foreground">Generate &amp; Download</h2>
+              </div>
+              <BatchQueuePanel
+                snapshot={snapshot}
+                labels={labels}
+                concurrency={concurrency}
+                setConcurrency={handleSetConcurrency}
+                canStart={!!user && hasItems && !isProcessing}
+                onStart={handleStart}
+                onPause={() => queueRef.current.pause()}
+                onResume={() => queueRef.current.start()}
+                onCancelAll={() => queueRef.current.cancelAll()}
+                onCancelItem={id => queueRef.current.cancel(id)}
+                onRetryItem={id => queueRef.current.retry(id)}
+                onRetryFailed={() => queueRef.current.retry()}
+                onDownloadZip={handleDownloadZip}
+                isZipping={isZipping}
+              />
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default BatchGenerator;
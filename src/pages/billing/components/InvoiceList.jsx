@@ -0,0 +1,78 @@
+import React from 'react';
+import { format } from 'date-fns';
+import Icon from '../../../components/AppIcon';
+
+const STATUS_STYLES = {
+  paid: 'bg-success/10 text-success',
+  open: 'bg-warning/10 text-warning',
+  uncollectible: 'bg-error/10 text-error',
+  void: 'bg-muted text-muted-foreground',
+  draft: 'bg-muted text-muted-foreground'
+};
+
+const STATUS_LABELS = {
+  paid: 'Paid',
+  open: 'Due',
+  uncollectible: 'Failed',
+  void: 'Void',
+  draft: 'Draft'
+};
+
+const formatAmount = (cents, currency) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency?.toUpperCase() || 'USD' }).format(cents / 100);
+  } catch {
+    return `${(cents / 100).toFixed(2)} ${currency?.toUpperCase()}`;
+  }
+};
+
+const InvoiceList = ({ invoices, loading }) => {
+  if (loading) {
+    return <p className="text-sm text-muted-foreground py-4 text-center">Loading invoices…</p>;
+  }
+
+  if (!invoices?.length) {
+    return <p className="text-sm text-muted-foreground py-4 text-center">No invoices yet.</p>;
+  }
+
+  return (
+    <div className="divide-y divide-border">
+      {invoices.map(invoice => (
+        <div key={invoice?.id} className="flex flex-wrap items-center gap-3 py-3">
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-foreground">
+              {format(new Date(invoice?.issued_at), 'MMM d, yyyy')}
+              {invoice?.number && <span className="text-muted-foreground font-normal"> · {invoice.number}</span>}
+            </p>
+            {invoice?.period_start && invoice?.period_end && (
+              <p className="text-xs text-muted-foreground">
+                {format(new Date(invoice.period_start), 'MMM d')} – {format(new Date(invoice.period_end), 'MMM d, yyyy')}
+              </p>
+            )}
+          </div>
+          <span className={`text-xs font-medium px-2 py-1 rounded-full ${STATUS_STYLES?.[invoice?.status] || STATUS_STYLES.draft}`}>
+            {STATUS_LABELS?.[invoice?.status] || invoice?.status}
+          </span>
+          <span className="text-sm font-semibold text-foreground w-24 text-right">
+            {formatAmount(invoice?.status === 'paid' ? invoice?.amount_paid : invoice?.amount_due, invoice?.currency)}
+          </span>
+          {(invoice?.hosted_invoice_url || invoice?.invoice_pdf) ? (
+            <a
+              href={invoice?.hosted_invoice_url || invoice?.invoice_pdf}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-muted-foreground hover:text-foreground"
+              aria-label="View invoice"
+            >
+              <Icon name="ExternalLink" size={16} />
+            </a>
+          ) : (
+            <span className="w-4" />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default InvoiceList;
@@ -0,0 +1,59 @@
+import React from 'react';
+import Button from '../../../components/ui/Button';
+import Icon from '../../../components/AppIcon';
+
+const formatStorage = (bytes) => {
+  if (bytes < 1024 * 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))} MB`;
+  return `${Math.round(bytes / (1024 * 1024 * 1024))} GB`;
+};
+
+const formatLimit = (value, unit, format = v => v.toLocaleString()) =>
+  value === null || value === undefined ? `Unlimited ${unit}` : `${format(value)} ${unit}`;
+
+// One plan with its monthly allowance and the action that moves the user onto it
+const PlanCard = ({ plan, isCurrent, action, disabled, loading }) => {
+  const price = plan?.price_cents > 0 ? `$${(plan.price_cents / 100).toFixed(2).replace(/\.00$/, '')}` : 'Free';
+
+  return (
+    <div className={`bg-card border rounded-lg p-6 shadow-soft flex flex-col ${isCurrent ? 'border-primary' : 'border-border'}`}>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-foreground">{plan?.name}</h3>
+        {isCurrent && (
+          <span className="text-xs font-medium px-2 py-1 rounded-full bg-primary/10 text-primary">Current plan</span>
+        )}
+      </div>
+      <p className="text-sm text-muted-foreground mb-4">{plan?.description}</p>
+      <p className="text-3xl font-bold text-foreground mb-4">
+        {price}
+        {plan?.price_cents > 0 && <span className="text-sm font-normal text-muted-foreground"> / month</span>}
+      </p>
+
+      <ul className="space-y-2 text-sm text-foreground mb-6 flex-1">
+        {[
+          formatLimit(plan?.monthly_characters, 'characters a month'),
+          formatLimit(plan?.monthly_generations, 'generations a month'),
+          formatLimit(plan?.storage_bytes, 'audio storage', formatStorage)
+        ].map(feature => (
+          <li key={feature} className="flex items-center gap-2">
+            <Icon name="Check" size={16} className="text-success flex-shrink-0" />
+            {feature}
+          </li>
+        ))}
+      </ul>
+
+      {action && (
+        <Button
+          variant={action.variant || 'default'}
+          onClick={action.onClick}
+          disabled={disabled}
+          loading={loading}
+          fullWidth
+        >
+          {action.label}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default PlanCard;
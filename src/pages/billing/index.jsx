@@ -0,0 +1,280 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import PlanCard from './components/PlanCard';
+import InvoiceList from './components/InvoiceList';
+import BillingService from '../../services/billingService';
+import SupabaseService from '../../services/supabaseService';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Plan changes land through the payment provider's webhook, usually within seconds
+const REFRESH_DELAYS_MS = [2000, 5000, 10000];
+
+const STATUS_LABELS = {
+  trialing: 'Trial',
+  active: 'Active',
+  past_due: 'Payment failed',
+  canceled: 'Canceled',
+  unpaid: 'Unpaid',
+  incomplete: 'Awaiting payment',
+  incomplete_expired: 'Expired',
+  paused: 'Paused'
+};
+
+const formatDate = value => (value ? format(new Date(value), 'MMM d, yyyy') : '—');
+
+const Billing = () => {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [plans, setPlans] = useState([]);
+  const [subscription, setSubscription] = useState(null);
+  const [invoices, setInvoices] = useState([]);
+  const [quota, setQuota] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [reloadToken, setReloadToken] = useState(0);
+  const refreshTimersRef = useRef([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!user?.id) {
+      setSubscription(null);
+      setInvoices([]);
+      setQuota(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    Promise.all([
+      BillingService.getPlans(),
+      BillingService.getSubscription(user?.id),
+      BillingService.getInvoices(user?.id),
+      SupabaseService?.getQuotaStatus()
+    ])
+      .then(([planRows, currentSubscription, invoiceRows, quotaStatus]) => {
+        if (cancelled) return;
+        setPlans(planRows);
+        setSubscription(currentSubscription);
+        setInvoices(invoiceRows);
+        setQuota(quotaStatus);
+      })
+      .catch(() => { if (!cancelled) setError('Failed to load billing details. Please try again.'); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id, reloadToken]);
+
+  const refreshSoon = useCallback(() => {
+    refreshTimersRef.current.forEach(clearTimeout);
+    refreshTimersRef.current = REFRESH_DELAYS_MS.map(delay => setTimeout(() => setReloadToken(token => token + 1), delay));
+  }, []);
+
+  useEffect(() => () => refreshTimersRef.current.forEach(clearTimeout), []);
+
+  // Back from the provider's checkout page
+  useEffect(() => {
+    const checkout = searchParams.get('checkout');
+    if (!checkout) return;
+
+    if (checkout === 'success') {
+      setNotice('Payment received. Your new plan will appear here in a moment.');
+      refreshSoon();
+    } else {
+      setNotice('Checkout was canceled. Your plan has not changed.');
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams, refreshSoon]);
+
+  const runAction = async (key, action, successNotice) => {
+    setPendingAction(key);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+      if (successNotice) {
+        setNotice(successNotice);
+        refreshSoon();
+      }
+    } catch (err) {
+      setError(err?.message || 'The change could not be made. Please try again.');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const hasAccess = BillingService.grantsAccess(subscription);
+  const currentPlanId = quota?.planId || (hasAccess ? subscription?.plan_id : 'free');
+  const currentPlan = plans.find(plan => plan?.id === currentPlanId);
+  const cancelPending = hasAccess && subscription?.cancel_at_period_end;
+
+  const handleCheckout = planId => runAction(`plan:${planId}`, async () => {
+    window.location.assign(await BillingService.startCheckout(planId));
+  });
+
+  const handleChangePlan = (plan, isUpgrade) => {
+    const when = isUpgrade ? 'now, with the price difference prorated' : 'now, with unused time credited to your next invoice';
+    if (!window.confirm(`Switch to ${plan?.name}? The change applies ${when}.`)) return;
+    runAction(`plan:${plan?.id}`, () => BillingService.changePlan(plan?.id), `Switching to ${plan?.name}…`);
+  };
+
+  const handleCancel = (key = 'cancel') => {
+    if (!window.confirm(`Cancel your subscription? You keep ${currentPlan?.name || 'your plan'} until ${formatDate(subscription?.current_period_end)}, then move to Free.`)) return;
+    runAction(key, () => BillingService.cancelSubscription(), 'Your subscription will end at the close of this billing period.');
+  };
+
+  const handleResume = () => runAction('resume', () => BillingService.resumeSubscription(), 'Your subscription will renew as usual.');
+
+  // What the card for each plan offers, relative to the current plan
+  const planAction = (plan) => {
+    if (currentPlanId === 'admin' || plan?.id === currentPlanId) return null;
+
+    const isUpgrade = (plan?.price_cents || 0) > (currentPlan?.price_cents || 0);
+
+    if (!plan?.price_cents) {
+      if (!hasAccess || cancelPending) return null;
+      return { label: 'Downgrade to Free', variant: 'outline', onClick: () => handleCancel(`plan:${plan?.id}`) };
+    }
+    if (!plan?.provider_price_id) {
+      return { label: 'Not available', variant: 'outline', disabled: true };
+    }
+    if (!hasAccess) {
+      return { label: `Upgrade to ${plan?.name}`, onClick: () => handleCheckout(plan?.id) };
+    }
+    return {
+      label: isUpgrade ? `Upgrade to ${plan?.name}` : `Downgrade to ${plan?.name}`,
+      variant: isUpgrade ? 'default' : 'outline',
+      onClick: () => handleChangePlan(plan, isUpgrade)
+    };
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <main className="pt-16">
+        <div className="max-w-5xl mx-auto px-4 py-8">
+          {/* Page Header */}
+          <div className="text-center mb-8">
+            <h1 className="text-3xl md:text-4xl font-bold text-foreground mb-4">
+              Billing
+            </h1>
+            <p className="text-lg text-muted-foreground max-w-2xl mx-auto">
+              Your plan, subscription and invoices.
+            </p>
+          </div>
+
+          {!user ? (
+            <div className="p-4 bg-info/10 border border-info/20 rounded-lg">
+              <p className="text-foreground text-sm font-medium">
+                Sign in to manage your plan.
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {error && (
+                <div className="p-4 bg-error/10 border border-error/20 rounded-lg">
+                  <p className="text-error text-sm font-medium">{error}</p>
+                </div>
+              )}
+
+              {notice && (
+                <div className="p-4 bg-info/10 border border-info/20 rounded-lg">
+                  <p className="text-foreground text-sm font-medium">{notice}</p>
+                </div>
+              )}
+
+              {/* Current subscription */}
+              <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
+                <div className="flex flex-wrap items-start justify-between gap-4">
+                  <div className="space-y-1">
+                    <p className="text-sm text-muted-foreground">Current plan</p>
+                    <p className="text-2xl font-semibold text-foreground">
+                      {loading && !quota ? '…' : currentPlan?.name || quota?.planName || 'Free'}
+                    </p>
+                    {hasAccess && (
+                      <p className="text-sm text-muted-foreground">
+                        {STATUS_LABELS?.[subscription?.status] || subscription?.status}
+                        {' · '}
+                        {cancelPending
+                          ? `Ends ${formatDate(subscription?.current_period_end)}, then moves to Free`
+                          : `Renews ${formatDate(subscription?.current_period_end)}`}
+                      </p>
+                    )}
+                    {currentPlanId === 'admin' && (
+                      <p className="text-sm text-muted-foreground">Internal account with unlimited usage.</p>
+                    )}
+                  </div>
+                  {hasAccess && (
+                    cancelPending ? (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        iconName="RotateCcw"
+                        iconPosition="left"
+                        onClick={handleResume}
+                        loading={pendingAction === 'resume'}
+                        disabled={!!pendingAction}
+                      >
+                        Resume subscription
+                      </Button>
+                    ) : (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleCancel()}
+                        loading={pendingAction === 'cancel'}
+                        disabled={!!pendingAction}
+                      >
+                        Cancel subscription
+                      </Button>
+                    )
+                  )}
+                </div>
+
+                {subscription?.status === 'past_due' && (
+                  <div className="mt-4 p-3 bg-warning/10 border border-warning/20 rounded-lg">
+                    <p className="text-sm text-foreground">
+                      Your last payment failed. We will retry it automatically; update your payment details from the latest invoice to keep your plan.
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              {/* Plans */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {plans.map((plan) => {
+                  const action = planAction(plan);
+                  return (
+                    <PlanCard
+                      key={plan?.id}
+                      plan={plan}
+                      isCurrent={plan?.id === currentPlanId}
+                      action={action}
+                      disabled={action?.disabled || !!pendingAction || loading}
+                      loading={pendingAction === `plan:${plan?.id}`}
+                    />
+                  );
+                })}
+              </div>
+
+              {/* Invoices */}
+              <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
+                <h2 className="text-lg font-semibold text-foreground mb-2">Invoices</h2>
+                <InvoiceList invoices={invoices} loading={loading && invoices.length === 0} />
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Billing;
@@ -0,0 +1,69 @@
+import React from 'react';
+import Select from '../../../components/ui/Select';
+import Input from '../../../components/ui/Input';
+import Button from '../../../components/ui/Button';
+
+export const EMPTY_FILTERS = { search: '', presetId: '', character: '', from: '', to: '' };
+
+const HistoryFilters = ({ filters, setFilters, presetOptions, characterOptions, disabled }) => {
+  const update = (changes) => setFilters(prev => ({ ...prev, ...changes }));
+  const isFiltered = Object.values(filters || {}).some(Boolean);
+
+  return (
+    <div className="space-y-3">
+      <Input
+        type="search"
+        label="Search"
+        value={filters?.search}
+        onChange={(e) => update({ search: e?.target?.value })}
+        placeholder="Find words in past generations"
+        disabled={disabled}
+      />
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3 items-end">
+        <Select
+          label="Preset"
+          options={[{ value: '', label: 'All presets' }, { value: 'none', label: 'No preset' }, ...presetOptions]}
+          value={filters?.presetId}
+          placeholder="All presets"
+          onChange={(value) => update({ presetId: value })}
+          disabled={disabled}
+        />
+        <Select
+          label="Character"
+          options={[{ value: '', label: 'All characters' }, ...characterOptions]}
+          value={filters?.character}
+          placeholder="All characters"
+          onChange={(value) => update({ character: value })}
+          disabled={disabled}
+        />
+        <Input
+          type="date"
+          label="From"
+          value={filters?.from}
+          max={filters?.to || undefined}
+          onChange={(e) => update({ from: e?.target?.value })}
+          disabled={disabled}
+        />
+        <Input
+          type="date"
+          label="To"
+          value={filters?.to}
+          min={filters?.from || undefined}
+          onChange={(e) => update({ to: e?.target?.value })}
+          disabled={disabled}
+        />
+        <Button
+          variant="ghost"
+          iconName="X"
+          iconPosition="left"
+          onClick={() => setFilters(EMPTY_FILTERS)}
+          disabled={disabled || !isFiltered}
+        >
+          Clear filters
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryFilters;
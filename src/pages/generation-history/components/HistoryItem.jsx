@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import Button from '../../../components/ui/Button';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import SupabaseService from '../../../services/supabaseService';
+
+const SNIPPET_LENGTH = 180;
+
+const formatDuration = (durationMs, durationSeconds) => {
+  const totalSeconds = Math.round(durationMs != null ? durationMs / 1000 : durationSeconds || 0);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+const HistoryItem = ({ generation, characterLabel, selected, onToggleSelect, onLoad, onDelete, disabled }) => {
+  const [audioSrc, setAudioSrc] = useState(null);
+  const [loadingAudio, setLoadingAudio] = useState(false);
+  const [audioError, setAudioError] = useState('');
+  const [expanded, setExpanded] = useState(false);
+
+  const text = generation?.text_content || '';
+  const snippet = expanded || text.length <= SNIPPET_LENGTH ? text : `${text.slice(0, SNIPPET_LENGTH).trimEnd()}…`;
+
+  // Signed URLs are short-lived, so one is fetched only when the user presses play
+  const handlePlay = async () => {
+    setLoadingAudio(true);
+    setAudioError('');
+    try {
+      const url = await SupabaseService?.resolveAudioUrl(generation?.audio_url);
+      if (!url) throw new Error('Audio is not available');
+      setAudioSrc(url);
+    } catch {
+      setAudioError('This audio is no longer available.');
+    } finally {
+      setLoadingAudio(false);
+    }
+  };
+
+  return (
+    <li className="flex gap-3 p-4">
+      <Checkbox
+        checked={selected}
+        onChange={(e) => onToggleSelect(generation?.id, e?.target?.checked)}
+        disabled={disabled}
+        aria-label="Select generation"
+        className="pt-1"
+      />
+
+      <div className="min-w-0 flex-1 space-y-2">
+        <p className="text-sm text-foreground whitespace-pre-wrap break-words">
+          {snippet}
+          {text.length > SNIPPET_LENGTH && (
+            <button
+              type="button"
+              onClick={() => setExpanded(!expanded)}
+              className="ml-2 text-xs text-primary hover:underline"
+            >
+              {expanded ? 'Show less' : 'Show more'}
+            </button>
+          )}
+        </p>
+
+        <p className="text-xs text-muted-foreground">
+          {generation?.generated_at ? format(new Date(generation.generated_at), 'PPp') : 'Unknown date'}
+          {' · '}{formatDuration(generation?.duration_ms, generation?.duration_seconds)}
+          {' · '}{generation?.voice_presets?.name || 'No preset'}
+          {characterLabel && ` · ${characterLabel}`}
+          {generation?.output_format && ` · ${generation.output_format.toUpperCase()}`}
+          {generation?.cache_hit && ' · from cache'}
+        </p>
+
+        {audioSrc ? (
+          <audio
+            controls
+            autoPlay
+            src={audioSrc}
+            onError={() => {
+              setAudioSrc(null);
+              setAudioError('Playback failed. Press play to try again.');
+            }}
+            className="w-full h-10"
+          />
+        ) : audioError ? (
+          <p className="text-xs text-error">{audioError}</p>
+        ) : null}
+      </div>
+
+      <div className="flex flex-col sm:flex-row items-end sm:items-start gap-1">
+        {!audioSrc && (
+          <Button
+            variant="ghost"
+            size="icon"
+            iconName={loadingAudio ? 'Loader2' : 'Play'}
+            onClick={handlePlay}
+            disabled={!generation?.audio_url || loadingAudio}
+            title={generation?.audio_url ? 'Play' : 'No audio was stored for this generation'}
+          />
+        )}
+        <Button
+          variant="ghost"
+          size="icon"
+          iconName="FileInput"
+          onClick={() => onLoad(generation)}
+          disabled={disabled}
+          title="Load into generator"
+        />
+        <Button
+          variant="ghost"
+          size="icon"
+          iconName="Trash2"
+          onClick={() => onDelete(generation?.id)}
+          disabled={disabled}
+          title="Delete"
+        />
+      </div>
+    </li>
+  );
+};
+
+// Memoized: long histories re-render on every selection change
+export default React.memo(HistoryItem);
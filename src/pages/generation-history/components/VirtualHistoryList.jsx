@@ -0,0 +1,79 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { getVirtualRange } from '../../../utils/virtualList';
+
+// Rows start from this guess and are corrected once they have been on screen
+const ESTIMATED_ROW_HEIGHT = 120;
+const OVERSCAN_PX = 800;
+
+/**
+ * Renders only the history rows near the viewport; the page itself scrolls.
+ * Rows scrolled far out of view are unmounted and their measured height kept as padding,
+ * so the scrollbar and the load-more sentinel below stay where they would be.
+ */
+const VirtualHistoryList = ({ items, getKey, renderItem }) => {
+  const listRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const [viewport, setViewport] = useState({ top: 0, height: typeof window !== 'undefined' ? window.innerHeight : 0 });
+  // Bumped to re-render once new row heights are known
+  const [, setMeasuredVersion] = useState(0);
+
+  // Track where the viewport sits over the list, at most once per frame
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      const top = listRef.current ? -listRef.current.getBoundingClientRect().top : 0;
+      setViewport(prev => (prev.top === top && prev.height === window.innerHeight ? prev : { top, height: window.innerHeight }));
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  const heights = items.map(item => heightsRef.current.get(getKey(item)) ?? ESTIMATED_ROW_HEIGHT);
+  const { start, end, before, after } = getVirtualRange(heights, { ...viewport, overscan: OVERSCAN_PX });
+  const visible = items.slice(start, end);
+
+  // Measure rendered rows, and again whenever one changes size (expanded text, audio player)
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list || typeof ResizeObserver === 'undefined') return;
+
+    const keys = new Map([...list.children].map((row, i) => [row, getKey(visible[i])]));
+    const observer = new ResizeObserver((entries) => {
+      let changed = false;
+      entries.forEach((entry) => {
+        const key = keys.get(entry.target);
+        const height = entry.target.getBoundingClientRect().height;
+        if (key !== undefined && height > 0 && heightsRef.current.get(key) !== height) {
+          heightsRef.current.set(key, height);
+          changed = true;
+        }
+      });
+      if (changed) setMeasuredVersion(version => version + 1);
+    });
+    keys.forEach((_, row) => observer.observe(row));
+    return () => observer.disconnect();
+  });
+
+  return (
+    <ul
+      ref={listRef}
+      className="divide-y divide-border"
+      style={{ paddingTop: before, paddingBottom: after }}
+    >
+      {visible.map(renderItem)}
+    </ul>
+  );
+};
+
+export default VirtualHistoryList;
@@ -0,0 +1,332 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import { Checkbox } from '../../components/ui/Checkbox';
+import HistoryFilters, { EMPTY_FILTERS } from './components/HistoryFilters';
+import HistoryItem from './components/HistoryItem';
+import VirtualHistoryList from './components/VirtualHistoryList';
+import TTSService from '../../services/ttsService';
+import SupabaseService from '../../services/supabaseService';
+import { useAuth } from '../../contexts/AuthContext';
+
+const PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Date inputs are local calendar days; "to" includes the whole day
+const dayStart = (value, offsetDays = 0) => {
+  if (!value) return null;
+  const date = new Date(`${value}T00:00:00`);
+  date.setDate(date.getDate() + offsetDays);
+  return date.toISOString();
+};
+
+const GenerationHistory = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [generations, setGenerations] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [presets, setPresets] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [search, setSearch] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [estimatedCount, setEstimatedCount] = useState(0);
+  const [backfillProgress, setBackfillProgress] = useState(null);
+  const [reloadToken, setReloadToken] = useState(0);
+  const requestRef = useRef(0);
+  const sentinelRef = useRef(null);
+
+  const { characters } = TTSService.getVoiceOptions();
+  const characterOptions = characters.map(c => ({ value: c.value, label: c.label }));
+  const presetOptions = presets.map(preset => ({ value: preset?.id, label: preset?.name }));
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!user?.id) {
+      setPresets([]);
+      return;
+    }
+
+    SupabaseService?.getVoicePresets(user?.id)
+      ?.then((data) => { if (!cancelled) setPresets(data); })
+      ?.catch(() => { if (!cancelled) setPresets([]); });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
+  // Older generations may only have word-count duration estimates
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!user?.id) {
+      setEstimatedCount(0);
+      return;
+    }
+
+    SupabaseService?.countEstimatedDurations(user?.id)
+      ?.then((count) => { if (!cancelled) setEstimatedCount(count); })
+      ?.catch(() => { if (!cancelled) setEstimatedCount(0); });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id, reloadToken]);
+
+  // Search is sent once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(filters.search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filters.search]);
+
+  const fetchPage = useCallback((cursor) => SupabaseService?.getAudioGenerations(user?.id, {
+    pageSize: PAGE_SIZE,
+    cursor,
+    search,
+    presetId: filters.presetId || null,
+    character: filters.character || null,
+    from: dayStart(filters.from),
+    to: dayStart(filters.to, 1)
+  }), [user?.id, search, filters.presetId, filters.character, filters.from, filters.to]);
+
+  // First page whenever the filters change; responses to older requests are dropped
+  useEffect(() => {
+    const request = ++requestRef.current;
+    setGenerations([]);
+    setNextCursor(null);
+    setSelectedIds([]);
+    setLoading(false);
+
+    if (!user?.id) return;
+
+    setLoading(true);
+    setError('');
+    fetchPage(null)
+      ?.then(({ items, nextCursor: cursor }) => {
+        if (request !== requestRef.current) return;
+        setGenerations(items);
+        setNextCursor(cursor);
+      })
+      ?.catch(() => { if (request === requestRef.current) setError('Failed to load your history. Please try again.'); })
+      ?.finally(() => { if (request === requestRef.current) setLoading(false); });
+  }, [user?.id, fetchPage, reloadToken]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loading || loadingMore) return;
+
+    const request = requestRef.current;
+    setLoadingMore(true);
+    try {
+      const { items, nextCursor: cursor } = await fetchPage(nextCursor);
+      if (request !== requestRef.current) return;
+      setGenerations(prev => [...prev, ...items]);
+      setNextCursor(cursor);
+    } catch {
+      if (request === requestRef.current) setError('Failed to load more history. Please try again.');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loading, loadingMore, fetchPage]);
+
+  // Infinite scroll: fetch the next page as the end of the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) loadMore();
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore]);
+
+  const deleteGenerations = useCallback(async (ids) => {
+    const count = ids.length;
+    if (!count || !window.confirm(`Delete ${count === 1 ? 'this generation' : `${count} generations`} and ${count === 1 ? 'its' : 'their'} audio?`)) return;
+
+    setDeleting(true);
+    setError('');
+    try {
+      await SupabaseService?.deleteAudioGenerations(ids, user?.id);
+      setGenerations(prev => prev.filter(generation => !ids.includes(generation?.id)));
+      setSelectedIds(prev => prev.filter(id => !ids.includes(id)));
+    } catch {
+      setError('Failed to delete. Please try again.');
+    } finally {
+      setDeleting(false);
+    }
+  }, [user?.id]);
+
+  const measureDurations = useCallback(async () => {
+    setBackfillProgress({ processed: 0, updated: 0, skipped: 0 });
+    setError('');
+    setNotice('');
+    try {
+      const { updated, skipped } = await SupabaseService?.backfillMeasuredDurations(user?.id, { onProgress: setBackfillProgress });
+      setNotice(skipped
+        ? `Measured ${updated} ${updated === 1 ? 'duration' : 'durations'}. ${skipped} could not be measured because the audio is no longer available.`
+        : `Measured ${updated} ${updated === 1 ? 'duration' : 'durations'}.`);
+      setReloadToken(token => token + 1);
+    } catch {
+      setError('Failed to measure durations. Please try again.');
+    } finally {
+      setBackfillProgress(null);
+    }
+  }, [user?.id]);
+
+  const deleteOne = useCallback(id => deleteGenerations([id]), [deleteGenerations]);
+
+  const handleLoad = useCallback((generation) => {
+    navigate('/text-to-speech-generator', {
+      state: {
+        generation: {
+          text: generation?.text_content,
+          settings: SupabaseService.generationToSettings(generation),
+          presetId: generation?.preset_id || null
+        }
+      }
+    });
+  }, [navigate]);
+
+  const toggleSelect = useCallback((id, checked) => {
+    setSelectedIds(prev => (checked ? [...prev, id] : prev.filter(selectedId => selectedId !== id)));
+  }, []);
+
+  const allSelected = generations.length > 0 && selectedIds.length === generations.length;
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <main className="pt-16">
+        <div className="max-w-4xl mx-auto px-4 py-8">
+          {/* Page Header */}
+          <div className="text-center mb-8">
+            <h1 className="text-3xl md:text-4xl font-bold text-foreground mb-4">
+              History
+            </h1>
+            <p className="text-lg text-muted-foreground max-w-2xl mx-auto">
+              Replay past generations, or load one back into the generator with the exact settings it used.
+            </p>
+          </div>
+
+          {!user ? (
+            <div className="p-4 bg-info/10 border border-info/20 rounded-lg">
+              <p className="text-foreground text-sm font-medium">
+                Sign in to see the audio you have generated.
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
+                <HistoryFilters
+                  filters={filters}
+                  setFilters={setFilters}
+                  presetOptions={presetOptions}
+                  characterOptions={characterOptions}
+                  disabled={deleting}
+                />
+              </div>
+
+              {error && (
+                <div className="p-4 bg-error/10 border border-error/20 rounded-lg">
+                  <p className="text-error text-sm font-medium">{error}</p>
+                </div>
+              )}
+
+              {notice && (
+                <div className="p-4 bg-info/10 border border-info/20 rounded-lg">
+                  <p className="text-foreground text-sm font-medium">{notice}</p>
+                </div>
+              )}
+
+              {(estimatedCount > 0 || backfillProgress) && (
+                <div className="flex flex-wrap items-center justify-between gap-3 p-4 bg-info/10 border border-info/20 rounded-lg">
+                  <p className="text-foreground text-sm">
+                    {backfillProgress
+                      ? `Measuring durations… ${backfillProgress.processed} of ${estimatedCount}`
+                      : `${estimatedCount} ${estimatedCount === 1 ? 'generation shows an estimated duration' : 'generations show estimated durations'}. Measure them from the saved audio.`}
+                  </p>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    iconName="Timer"
+                    iconPosition="left"
+                    onClick={measureDurations}
+                    loading={!!backfillProgress}
+                    disabled={!!backfillProgress || deleting}
+                  >
+                    Measure durations
+                  </Button>
+                </div>
+              )}
+
+              <div className="bg-card border border-border rounded-lg shadow-soft">
+                <div className="flex flex-wrap items-center justify-between gap-3 p-4 border-b border-border">
+                  <Checkbox
+                    label={selectedIds.length ? `${selectedIds.length} selected` : 'Select all loaded'}
+                    checked={allSelected}
+                    indeterminate={selectedIds.length > 0 && !allSelected}
+                    onChange={(e) => setSelectedIds(e?.target?.checked ? generations.map(generation => generation?.id) : [])}
+                    disabled={!generations.length || deleting}
+                  />
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    iconName="Trash2"
+                    iconPosition="left"
+                    onClick={() => deleteGenerations(selectedIds)}
+                    loading={deleting}
+                    disabled={!selectedIds.length || deleting}
+                  >
+                    Delete selected
+                  </Button>
+                </div>
+
+                {loading ? (
+                  <p className="p-6 text-sm text-muted-foreground text-center">Loading history…</p>
+                ) : generations.length === 0 ? (
+                  <p className="p-6 text-sm text-muted-foreground text-center">
+                    {Object.values(filters).some(Boolean) ? 'No generations match these filters.' : 'Nothing here yet. Generated audio will show up here.'}
+                  </p>
+                ) : (
+                  <VirtualHistoryList
+                    items={generations}
+                    getKey={generation => generation?.id}
+                    renderItem={generation => (
+                      <HistoryItem
+                        key={generation?.id}
+                        generation={generation}
+                        characterLabel={characters.find(c => c.value === (generation?.character || generation?.voice_presets?.character))?.label}
+                        selected={selectedIds.includes(generation?.id)}
+                        onToggleSelect={toggleSelect}
+                        onLoad={handleLoad}
+                        onDelete={deleteOne}
+                        disabled={deleting}
+                      />
+                    )}
+                  />
+                )}
+                {nextCursor && (
+                  <div ref={sentinelRef} className="p-4 text-center border-t border-border">
+                    <Button variant="ghost" size="sm" onClick={loadMore} loading={loadingMore} disabled={loadingMore}>
+                      {loadingMore ? 'Loading…' : 'Load more'}
+                    </Button>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default GenerationHistory;
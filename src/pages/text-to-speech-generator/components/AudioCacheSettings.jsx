@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import Select from '../../../components/ui/Select';
+import Button from '../../../components/ui/Button';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import { useAuth } from '../../../contexts/AuthContext';
+import AudioCacheService from '../../../services/audioCacheService';
+import { clearCachedAudio, getCacheLimits, getCacheUsage, setCacheLimits } from '../../../utils/audioCacheStore';
+
+const MB = 1024 * 1024;
+
+const LOCAL_SIZE_OPTIONS = [
+  { value: String(50 * MB), label: '50 MB' },
+  { value: String(200 * MB), label: '200 MB' },
+  { value: String(500 * MB), label: '500 MB' },
+  { value: String(1024 * MB), label: '1 GB' }
+];
+
+const ENTRY_OPTIONS = [
+  { value: '100', label: '100 clips' },
+  { value: '500', label: '500 clips' },
+  { value: '2000', label: '2,000 clips' }
+];
+
+const REMOTE_SIZE_OPTIONS = [
+  { value: String(100 * MB), label: '100 MB' },
+  { value: String(500 * MB), label: '500 MB' },
+  { value: String(1024 * MB), label: '1 GB' }
+];
+
+const formatMegabytes = bytes => `${(bytes / MB).toFixed(bytes < 10 * MB ? 1 : 0)} MB`;
+
+const AudioCacheSettings = ({ lastResult, isGenerating }) => {
+  const { user } = useAuth();
+  const [expanded, setExpanded] = useState(false);
+  const [limits, setLimits] = useState(getCacheLimits);
+  const [usage, setUsage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const refreshUsage = () => getCacheUsage().then(setUsage).catch(() => setUsage(null));
+
+  useEffect(() => {
+    if (expanded) refreshUsage();
+  }, [expanded, lastResult]);
+
+  const updateLimits = async (changes) => {
+    setBusy(true);
+    setError('');
+    try {
+      setLimits(await setCacheLimits(changes));
+      if (user?.id && changes?.remoteMaxBytes) await AudioCacheService.evictRemote(user?.id, changes.remoteMaxBytes);
+      await refreshUsage();
+    } catch {
+      setError('Failed to apply the cache limits.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClear = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      await clearCachedAudio();
+      if (user?.id) await AudioCacheService.clearRemote(user?.id);
+      await refreshUsage();
+    } catch {
+      setError('Failed to clear the cache. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="w-full space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-xs text-muted-foreground">
+          {lastResult?.cacheHit
+            ? `Loaded instantly from the ${lastResult?.cacheSource === 'remote' ? 'cloud' : 'local'} cache. Nothing was generated or charged.`
+            : 'Identical text and settings are reused from the cache instead of being generated again.'}
+        </p>
+        <Button
+          variant="ghost"
+          size="sm"
+          iconName={expanded ? 'ChevronUp' : 'ChevronDown'}
+          iconPosition="right"
+          onClick={() => setExpanded(prev => !prev)}
+        >
+          Cache settings
+        </Button>
+      </div>
+
+      {expanded && (
+        <div className="p-3 bg-muted/50 rounded-lg border border-border/50 space-y-4">
+          <Checkbox
+            label="Reuse identical generations"
+            description="Turn off to always generate fresh audio"
+            checked={limits?.enabled !== false}
+            onChange={(e) => updateLimits({ enabled: e?.target?.checked })}
+            disabled={busy || isGenerating}
+          />
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Select
+              label="This Device"
+              description="Least recently used audio is removed first"
+              options={LOCAL_SIZE_OPTIONS}
+              value={String(limits?.maxBytes)}
+              onChange={(value) => updateLimits({ maxBytes: Number(value) })}
+              disabled={busy || isGenerating}
+              className="w-full"
+            />
+            <Select
+              label="Clip Limit"
+              options={ENTRY_OPTIONS}
+              value={String(limits?.maxEntries)}
+              onChange={(value) => updateLimits({ maxEntries: Number(value) })}
+              disabled={busy || isGenerating}
+              className="w-full"
+            />
+            {user?.id && (
+              <Select
+                label="Cloud Cache"
+                description="Shared across your devices"
+                options={REMOTE_SIZE_OPTIONS}
+                value={String(limits?.remoteMaxBytes)}
+                onChange={(value) => updateLimits({ remoteMaxBytes: Number(value) })}
+                disabled={busy || isGenerating}
+                className="w-full"
+              />
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-xs text-muted-foreground">
+              {usage
+                ? `${usage.entries} ${usage.entries === 1 ? 'clip' : 'clips'} · ${formatMegabytes(usage.bytes)} on this device`
+                : 'The local cache is unavailable in this browser.'}
+            </p>
+            <Button
+              variant="outline"
+              size="sm"
+              iconName="Trash2"
+              iconPosition="left"
+              onClick={handleClear}
+              disabled={busy || isGenerating}
+            >
+              Clear cache
+            </Button>
+          </div>
+
+          {error && <p className="text-sm text-error">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AudioCacheSettings;
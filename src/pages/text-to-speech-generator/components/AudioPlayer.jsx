@@ -2,7 +2,15 @@ import React, { useState, useRef, useEffect } from 'react';
 import Button from '../../../components/ui/Button';
 import Icon from '../../../components/AppIcon';
 
-const AudioPlayer = ({ audioUrl, isVisible, onDownload }) => {
+const AudioPlayer = ({
+  audioUrl,
+  isVisible,
+  onDownload,
+  isStreaming = false,
+  canDownload = true,
+  previewUnavailable = false,
+  formatLabel = 'MP3'
+}) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
@@ -24,12 +32,24 @@ const AudioPlayer = ({ audioUrl, isVisible, onDownload }) => {
       // Audio loaded successfully
       setDuration(audio?.duration || 0);
     };
+    const handleCanPlay = async () => {
+      // Start streamed audio as soon as the first data is playable
+      if (!isStreaming || !audio?.paused) return;
+      try {
+        await audio?.play();
+        setIsPlaying(true);
+      } catch (error) {
+        console.warn('Streaming autoplay blocked:', error);
+      }
+    };
 
     audio?.addEventListener('timeupdate', updateTime);
     audio?.addEventListener('loadedmetadata', updateDuration);
     audio?.addEventListener('loadeddata', handleLoadedData);
     audio?.addEventListener('ended', handleEnded);
     audio?.addEventListener('error', handleError);
+    audio?.addEventListener('canplay', handleCanPlay, { once: true });
+    audio?.addEventListener('durationchange', updateDuration);
 
     return () => {
       audio?.removeEventListener('timeupdate', updateTime);
@@ -37,8 +57,10 @@ const AudioPlayer = ({ audioUrl, isVisible, onDownload }) => {
       audio?.removeEventListener('loadeddata', handleLoadedData);
       audio?.removeEventListener('ended', handleEnded);
       audio?.removeEventListener('error', handleError);
+      audio?.removeEventListener('canplay', handleCanPlay);
+      audio?.removeEventListener('durationchange', updateDuration);
     };
-  }, [audioUrl]);
+  }, [audioUrl, isStreaming]);
 
   const togglePlayPause = async () => {
     const audio = audioRef?.current;
@@ -64,6 +86,7 @@ const AudioPlayer = ({ audioUrl, isVisible, onDownload }) => {
 
     const rect = e?.currentTarget?.getBoundingClientRect();
     const clickX = e?.clientX - rect?.left;
+    if (!isFinite(duration)) return;
     const newTime = (clickX / rect?.width) * duration;
     
     audio.currentTime = newTime;
@@ -79,16 +102,40 @@ const AudioPlayer = ({ audioUrl, isVisible, onDownload }) => {
   };
 
   const formatTime = (time) => {
-    if (isNaN(time)) return '0:00';
+    // Streams report an infinite duration until the last chunk arrives
+    if (isNaN(time) || !isFinite(time)) return '0:00';
     const minutes = Math.floor(time / 60);
     const seconds = Math.floor(time % 60);
     return `${minutes}:${seconds?.toString()?.padStart(2, '0')}`;
   };
 
-  if (!isVisible || !audioUrl) {
+  if (!isVisible || (!audioUrl && !previewUnavailable)) {
     return null;
   }
 
+  if (!audioUrl) {
+    return (
+      <div className="w-full bg-card border border-border rounded-lg p-6 shadow-soft">
+        <h3 className="text-lg font-semibold text-foreground mb-4 flex items-center">
+          <Icon name="Volume2" size={20} className="mr-2" />
+          Generated Audio
+        </h3>
+        <p className="text-sm text-muted-foreground mb-4">
+          Your browser can't play {formatLabel} audio, so there is no preview. Download the file to listen to it.
+        </p>
+        <Button
+          variant="outline"
+          iconName="Download"
+          iconPosition="left"
+          onClick={onDownload}
+          disabled={!canDownload}
+        >
+          Download {formatLabel}
+        </Button>
+      </div>
+    );
+  }
+
   return (
     <div className="w-full bg-card border border-border rounded-lg p-6 shadow-soft">
       <h3 className="text-lg font-semibold text-foreground mb-4 flex items-center">
@@ -121,6 +168,7 @@ const AudioPlayer = ({ audioUrl, isVisible, onDownload }) => {
           iconName="Download"
           iconPosition="left"
           onClick={onDownload}
+          disabled={!canDownload}
         >
           Download
         </Button>
@@ -147,7 +195,7 @@ const AudioPlayer = ({ audioUrl, isVisible, onDownload }) => {
         >
           <div 
             className="h-full bg-primary rounded-full transition-all duration-100"
-            style={{ width: duration ? `${(currentTime / duration) * 100}%` : '0%' }}
+            style={{ width: duration && isFinite(duration) ? `${(currentTime / duration) * 100}%` : '0%' }}
           />
         </div>
 
@@ -161,12 +209,20 @@ const AudioPlayer = ({ audioUrl, isVisible, onDownload }) => {
       <div className="mt-4 p-3 bg-muted rounded-lg">
         <div className="flex items-center justify-between text-sm">
           <span className="text-muted-foreground">Status:</span>
-          <span className="text-success font-medium">Ready to play</span>
+          {isStreaming ? (
+            <span className="text-warning font-medium">Streaming while generating...</span>
+          ) : (
+            <span className="text-success font-medium">Ready to play</span>
+          )}
         </div>
         <div className="flex items-center justify-between text-sm mt-1">
           <span className="text-muted-foreground">Duration:</span>
           <span className="text-foreground">{formatTime(duration)}</span>
         </div>
+        <div className="flex items-center justify-between text-sm mt-1">
+          <span className="text-muted-foreground">Format:</span>
+          <span className="text-foreground">{formatLabel}</span>
+        </div>
       </div>
     </div>
   );
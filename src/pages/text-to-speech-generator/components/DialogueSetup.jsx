@@ -0,0 +1,206 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Select from '../../../components/ui/Select';
+import Button from '../../../components/ui/Button';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import { useAuth } from '../../../contexts/AuthContext';
+import TTSService from '../../../services/ttsService';
+import SupabaseService from '../../../services/supabaseService';
+import { parseDialogue, isDialogueScript, suggestSpeakerCharacters } from '../../../utils/dialogueScript';
+
+const TURN_GAP_OPTIONS = [
+  { value: '250', label: 'Tight (0.25s)' },
+  { value: '500', label: 'Natural (0.5s)' },
+  { value: '800', label: 'Relaxed (0.8s)' },
+  { value: '1200', label: 'Slow (1.2s)' },
+  { value: '2000', label: 'Long (2s)' }
+];
+
+const DialogueSetup = ({
+  text,
+  enabled,
+  setEnabled,
+  assignments,
+  setAssignments,
+  turnGapMs,
+  setTurnGapMs,
+  exportStems,
+  setExportStems,
+  stems,
+  onDownloadStem,
+  isGenerating
+}) => {
+  const { user } = useAuth();
+  const [presets, setPresets] = useState([]);
+
+  const { characters } = TTSService.getVoiceOptions();
+  // Speakers that already have a voice count as names, same as when generating
+  const cast = useMemo(() => TTSService.getDialogueCast({ speakers: assignments }), [assignments]);
+  const { turns, speakers, unassigned } = useMemo(() => parseDialogue(text, { cast }), [text, cast]);
+  const looksLikeDialogue = useMemo(() => isDialogueScript(text, { cast }), [text, cast]);
+
+  // Presets can voice a speaker; guests keep theirs in localStorage
+  useEffect(() => {
+    let cancelled = false;
+
+    if (user?.id) {
+      SupabaseService?.getVoicePresets(user?.id)
+        ?.then((data) => { if (!cancelled) setPresets(data); })
+        ?.catch(() => { if (!cancelled) setPresets([]); });
+    } else {
+      try {
+        setPresets(JSON.parse(localStorage.getItem('tts-presets') || '[]'));
+      } catch (error) {
+        console.error('Error loading presets from localStorage:', error);
+      }
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id, enabled]);
+
+  // Give newly detected speakers a character straight away
+  useEffect(() => {
+    if (!enabled) return;
+    const missing = speakers?.filter(speaker => !assignments?.[speaker]);
+    if (missing?.length === 0) return;
+
+    const suggestions = suggestSpeakerCharacters(speakers, characters.map(c => c.value));
+    setAssignments(prev => ({
+      ...prev,
+      ...Object.fromEntries(missing.map(speaker => [speaker, { character: suggestions[speaker] }]))
+    }));
+  }, [enabled, speakers, assignments, setAssignments]);
+
+  const voiceOptions = [
+    ...characters.map(c => ({ value: `character:${c.value}`, label: c.label })),
+    ...(presets || []).map(p => ({ value: `preset:${p.id}`, label: `Preset: ${p.name}` }))
+  ];
+
+  const assignmentValue = (assignment) => assignment?.presetId
+    ? `preset:${assignment.presetId}`
+    : `character:${assignment?.character}`;
+
+  const handleAssign = (speaker, value) => {
+    const [source, id] = value?.split(':') || [];
+    const preset = source === 'preset' ? presets?.find(p => String(p?.id) === id) : null;
+
+    setAssignments(prev => ({
+      ...prev,
+      [speaker]: preset
+        ? { presetId: preset.id, settings: SupabaseService.presetToSettings(preset) }
+        : { character: id }
+    }));
+  };
+
+  if (!enabled) {
+    return looksLikeDialogue ? (
+      <div className="p-3 bg-info/5 border border-info/20 rounded-lg flex items-center justify-between gap-4">
+        <p className="text-sm text-foreground">
+          This looks like a script with {speakers?.length} speakers ({speakers?.join(', ')}).
+        </p>
+        <Button variant="outline" size="sm" onClick={() => setEnabled(true)} disabled={isGenerating}>
+          Use dialogue mode
+        </Button>
+      </div>
+    ) : (
+      <Checkbox
+        label="Dialogue mode"
+        description='Voice a script with lines like "DAVID: ..." and "SARAH: ..." using a different voice per speaker'
+        checked={false}
+        onChange={() => setEnabled(true)}
+        disabled={isGenerating}
+      />
+    );
+  }
+
+  return (
+    <div className="w-full space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-foreground">Dialogue</h3>
+          <p className="text-xs text-muted-foreground">
+            {turns?.length} turns · {speakers?.length} speakers
+          </p>
+        </div>
+        <Button variant="ghost" size="sm" onClick={() => setEnabled(false)} disabled={isGenerating}>
+          Single voice
+        </Button>
+      </div>
+
+      {speakers?.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          Start each line with a speaker label, e.g. <span className="font-mono">DAVID: Welcome back.</span>
+        </p>
+      )}
+
+      <p className="text-xs text-muted-foreground">
+        Labels that aren't voice names count as speakers once declared on the first line,
+        e.g. <span className="font-mono">CAST: Host, Guest</span>. Other labels, like{' '}
+        <span className="font-mono">Note:</span>, are read as part of the line.
+      </p>
+
+      {unassigned?.length > 0 && (
+        <p className="text-xs text-error">
+          {unassigned.length === 1 ? 'Line' : 'Lines'} {unassigned.slice(0, 5).join(', ')}
+          {unassigned.length > 5 && '…'} come before the first speaker. Start with a voice name or a declared speaker to generate.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {speakers?.map(speaker => (
+          <Select
+            key={speaker}
+            label={speaker}
+            options={voiceOptions}
+            value={assignmentValue(assignments?.[speaker])}
+            onChange={(value) => handleAssign(speaker, value)}
+            disabled={isGenerating}
+            className="w-full"
+          />
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-start">
+        <Select
+          label="Gap Between Turns"
+          options={TURN_GAP_OPTIONS}
+          value={String(turnGapMs)}
+          onChange={(value) => setTurnGapMs(Number(value))}
+          disabled={isGenerating}
+          className="w-full"
+        />
+        <Checkbox
+          label="Export per-speaker stems"
+          description="One extra track per speaker, aligned to the mixed track, for editing"
+          checked={exportStems}
+          onChange={(e) => setExportStems(e?.target?.checked)}
+          disabled={isGenerating}
+          className="md:mt-7"
+        />
+      </div>
+
+      {stems && Object.keys(stems)?.length > 0 && (
+        <div className="p-3 bg-muted/50 rounded-lg border border-border/50">
+          <p className="text-sm font-medium text-foreground mb-2">Speaker stems</p>
+          <div className="flex flex-wrap gap-2">
+            {Object.keys(stems).map(speaker => (
+              <Button
+                key={speaker}
+                variant="outline"
+                size="sm"
+                iconName="Download"
+                iconPosition="left"
+                onClick={() => onDownloadStem?.(speaker)}
+              >
+                {speaker}
+              </Button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DialogueSetup;
@@ -1,27 +1,57 @@
 import React from 'react';
 import Button from '../../../components/ui/Button';
 
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024))?.toFixed(1)} MB`;
+};
+
+const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return 'estimating time left...';
+  if (seconds < 60) return `about ${Math.max(1, seconds)}s left`;
+  return `about ${Math.ceil(seconds / 60)} min left`;
+};
+
 const GenerateButton = ({ 
   onGenerate, 
+  onCancel,
   isGenerating, 
   canGenerate, 
-  progress 
+  progress,
+  progressDetail,
+  blockedReason = null
 }) => {
   return (
     <div className="w-full">
-      <Button
-        variant="default"
-        size="lg"
-        iconName={isGenerating ? "Loader2" : "Mic"}
-        iconPosition="left"
-        onClick={onGenerate}
-        disabled={!canGenerate || isGenerating}
-        loading={isGenerating}
-        fullWidth
-        className="py-4"
-      >
-        {isGenerating ? `Generating Audio... ${progress}%` : 'Generate Voice'}
-      </Button>
+      <div className="flex space-x-3">
+        <Button
+          variant="default"
+          size="lg"
+          iconName={isGenerating ? "Loader2" : "Mic"}
+          iconPosition="left"
+          onClick={onGenerate}
+          disabled={!canGenerate || !!blockedReason || isGenerating}
+          loading={isGenerating}
+          fullWidth
+          className="py-4"
+        >
+          {isGenerating ? `Generating Audio... ${progress}%` : 'Generate Voice'}
+        </Button>
+
+        {isGenerating && onCancel && (
+          <Button
+            variant="outline"
+            size="lg"
+            iconName="X"
+            iconPosition="left"
+            onClick={onCancel}
+            className="py-4 flex-shrink-0"
+          >
+            Cancel
+          </Button>
+        )}
+      </div>
 
       {!canGenerate && (
         <p className="text-sm text-muted-foreground text-center mt-2">
@@ -29,6 +59,10 @@ const GenerateButton = ({
         </p>
       )}
 
+      {canGenerate && blockedReason && (
+        <p className="text-sm text-muted-foreground text-center mt-2">{blockedReason}</p>
+      )}
+
       {isGenerating && (
         <div className="mt-4 space-y-2">
           <div className="w-full bg-muted rounded-full h-2 overflow-hidden">
@@ -37,9 +71,14 @@ const GenerateButton = ({
               style={{ width: `${progress}%` }}
             />
           </div>
-          <p className="text-xs text-muted-foreground text-center">
-            Processing your text with selected voice settings...
-          </p>
+          <div className="flex justify-between text-xs text-muted-foreground">
+            <span>
+              {progressDetail?.totalChunks > 1
+                ? `${progressDetail?.completedChunks} of ${progressDetail?.totalChunks} sections · ${formatBytes(progressDetail?.receivedBytes)}`
+                : `Received ${formatBytes(progressDetail?.receivedBytes)}`}
+            </span>
+            <span>{formatEta(progressDetail?.etaSeconds)}</span>
+          </div>
         </div>
       )}
     </div>
@@ -0,0 +1,84 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import Button from '../../../components/ui/Button';
+import Icon from '../../../components/AppIcon';
+import { ERROR_CODES } from '../../../utils/ttsErrors';
+
+// What the user can do about each kind of failure
+const GUIDANCE = {
+  [ERROR_CODES.AUTH]: {
+    title: 'Sign-in required',
+    hint: 'Your session may have expired. Sign in again from the top of the page, then retry.',
+    icon: 'Lock'
+  },
+  [ERROR_CODES.QUOTA]: {
+    title: 'Usage limit reached',
+    hint: 'Your plan does not cover this request. Upgrade or wait for your allowance to reset.',
+    icon: 'Gauge',
+    link: { to: '/billing', label: 'View plans' }
+  },
+  [ERROR_CODES.RATE_LIMITED]: {
+    title: 'Too many requests',
+    hint: 'The speech service is busy. We already retried automatically; wait a few seconds and try again.',
+    icon: 'Clock'
+  },
+  [ERROR_CODES.CONTENT_REJECTED]: {
+    title: 'Text was rejected',
+    hint: 'The speech service would not read this text. Check it for unusual characters or content and edit it before retrying.',
+    icon: 'FileWarning'
+  },
+  [ERROR_CODES.NETWORK]: {
+    title: 'Connection problem',
+    hint: 'Check your internet connection, then try again.',
+    icon: 'WifiOff'
+  },
+  [ERROR_CODES.TIMEOUT]: {
+    title: 'The request timed out',
+    hint: 'The speech service stopped responding. Shorter text generates faster; otherwise try again.',
+    icon: 'Timer'
+  },
+  [ERROR_CODES.PROVIDER_UNAVAILABLE]: {
+    title: 'Speech service unavailable',
+    hint: 'The service is having trouble right now. Try again in a minute.',
+    icon: 'ServerCrash'
+  }
+};
+
+const GenerationError = ({ error, onRetry, isGenerating }) => {
+  if (!error) return null;
+
+  const guidance = GUIDANCE?.[error?.code];
+  const message = error?.message || 'Failed to generate audio. Please try again.';
+
+  return (
+    <div className="p-4 bg-error/10 border border-error/20 rounded-lg flex items-start gap-3">
+      <Icon name={guidance?.icon || 'AlertCircle'} size={18} className="text-error mt-0.5 flex-shrink-0" />
+      <div className="flex-1 min-w-0 space-y-1">
+        {guidance && <p className="text-error text-sm font-semibold">{guidance.title}</p>}
+        <p className="text-error text-sm font-medium">{message}</p>
+        {guidance?.hint && <p className="text-sm text-muted-foreground">{guidance.hint}</p>}
+        <div className="flex flex-wrap gap-2 pt-2">
+          {onRetry && (
+            <Button
+              variant="outline"
+              size="sm"
+              iconName="RotateCcw"
+              iconPosition="left"
+              onClick={onRetry}
+              disabled={isGenerating}
+            >
+              Try again
+            </Button>
+          )}
+          {guidance?.link && (
+            <Link to={guidance.link.to}>
+              <Button variant="ghost" size="sm">{guidance.link.label}</Button>
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GenerationError;
@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react';
+import Select from '../../../components/ui/Select';
+import Button from '../../../components/ui/Button';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import {
+  NORMALIZATION_CATEGORIES,
+  NORMALIZATION_LOCALES,
+  normalizeWithChanges,
+  resolveNormalization
+} from '../../../utils/textNormalizer';
+
+// Longer texts are only summarized so the preview stays responsive
+const MAX_PREVIEW_CHANGES = 200;
+
+const NormalizationPreview = ({
+  text,
+  normalization,
+  setNormalization,
+  isGenerating
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const settings = useMemo(() => resolveNormalization(normalization), [normalization]);
+  const { changes } = useMemo(() => normalizeWithChanges(text, settings), [text, settings]);
+
+  const toggleCategory = (id, checked) => {
+    setNormalization({ ...settings, categories: { ...settings.categories, [id]: checked } });
+  };
+
+  // Interleave untouched text with struck-through originals and their spoken replacements
+  const renderDiff = () => {
+    const parts = [];
+    let last = 0;
+
+    changes.slice(0, MAX_PREVIEW_CHANGES).forEach((change, index) => {
+      if (change.start > last) parts.push(text.slice(last, change.start));
+      parts.push(
+        <span key={index} title={NORMALIZATION_CATEGORIES.find(c => c.id === change.category)?.label}>
+          <del className="text-error/80 decoration-error/60">{change.original}</del>
+          <ins className="no-underline bg-success/15 text-success rounded px-0.5 ml-0.5">{change.replacement}</ins>
+        </span>
+      );
+      last = change.end;
+    });
+
+    parts.push(text.slice(last, changes.length > MAX_PREVIEW_CHANGES ? last + 200 : undefined));
+    if (changes.length > MAX_PREVIEW_CHANGES) parts.push('…');
+    return parts;
+  };
+
+  return (
+    <div className="w-full space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h3 className="text-sm font-medium text-foreground">Numbers, dates &amp; abbreviations</h3>
+          <p className="text-xs text-muted-foreground">
+            {changes.length > 0
+              ? `${changes.length} ${changes.length === 1 ? 'item' : 'items'} will be read out in words`
+              : 'Nothing to rewrite in this text'}
+          </p>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          iconName={expanded ? 'ChevronUp' : 'ChevronDown'}
+          iconPosition="right"
+          onClick={() => setExpanded(prev => !prev)}
+        >
+          {expanded ? 'Hide' : 'Show what will be spoken'}
+        </Button>
+      </div>
+
+      {expanded && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-start">
+            <Select
+              label="Reading Style"
+              description="Date order, currency and spelling conventions"
+              options={NORMALIZATION_LOCALES}
+              value={settings.locale}
+              onChange={(value) => setNormalization({ ...settings, locale: value })}
+              disabled={isGenerating}
+              className="w-full"
+            />
+            <div className="md:col-span-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {NORMALIZATION_CATEGORIES.map(category => (
+                <Checkbox
+                  key={category.id}
+                  label={category.label}
+                  description={category.example}
+                  checked={settings.categories?.[category.id]}
+                  onChange={(e) => toggleCategory(category.id, e?.target?.checked)}
+                  disabled={isGenerating}
+                />
+              ))}
+            </div>
+          </div>
+
+          {changes.length > 0 && (
+            <div className="p-3 bg-muted/50 rounded-lg border border-border/50 max-h-64 overflow-y-auto">
+              <p className="text-sm text-foreground whitespace-pre-wrap break-words leading-relaxed">
+                {renderDiff()}
+              </p>
+            </div>
+          )}
+
+          <p className="text-xs text-muted-foreground">
+            These settings are saved with your presets. Pronunciation rules are applied after this step,
+            and text inside <span className="font-mono">[spell]</span> is never rewritten.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NormalizationPreview;
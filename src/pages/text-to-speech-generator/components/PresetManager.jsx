@@ -4,6 +4,7 @@ import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
 import { useAuth } from '../../../contexts/AuthContext';
 import { supabase } from '../../../lib/supabase';
+import SupabaseService from '../../../services/supabaseService';
 
 const PresetManager = ({ 
   currentSettings, 
@@ -91,6 +92,10 @@ const PresetManager = ({
           voice_pitch: currentSettings?.voicePitch || 'medium',
           emotion: currentSettings?.emotion || 'neutral',
           character: currentSettings?.character || 'chloe',
+          output_format: currentSettings?.outputFormat || 'mp3',
+          model: currentSettings?.model || 'tts-1',
+          voice_direction: currentSettings?.voiceDirection || '',
+          normalization: currentSettings?.normalization || {},
           is_default: false
         };
 
@@ -131,20 +136,8 @@ const PresetManager = ({
     if (!preset) return;
 
     try {
-      if (user?.id) {
-        // For Supabase presets, convert database format to component format
-        const settings = {
-          voiceStyle: preset?.voice_style || 'female',
-          voiceSpeed: preset?.voice_speed || 'normal',
-          voicePitch: preset?.voice_pitch || 'medium',
-          emotion: preset?.emotion || 'neutral',
-          character: preset?.character || 'chloe'
-        };
-        onLoadPreset?.(settings);
-      } else {
-        // For localStorage presets, use the settings object
-        onLoadPreset?.(preset?.settings || {});
-      }
+      // Supabase rows and localStorage presets both convert to component format
+      onLoadPreset?.(SupabaseService.presetToSettings(preset));
     } catch (error) {
       console.error('Error loading preset:', error);
       setSaveError('Failed to load preset');
@@ -0,0 +1,303 @@
+import React, { useRef, useState } from 'react';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import { useAuth } from '../../../contexts/AuthContext';
+import TTSService from '../../../services/ttsService';
+import SupabaseService from '../../../services/supabaseService';
+import { createPreviewUrl } from '../../../utils/audioFormats';
+import { lexiconToCsv, parseLexiconCsv, validateLexiconEntry } from '../../../utils/pronunciationLexicon';
+
+const EMPTY_ENTRY = {
+  term: '',
+  respelling: '',
+  case_sensitive: false,
+  whole_word: true,
+  is_regex: false,
+  sample: ''
+};
+
+const PronunciationLexicon = ({
+  entries,
+  setEntries,
+  currentSettings,
+  isGenerating
+}) => {
+  const { user } = useAuth();
+  const [draft, setDraft] = useState(EMPTY_ENTRY);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [previewingId, setPreviewingId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const updateDraft = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+    setError('');
+  };
+
+  const handleSave = async () => {
+    const validationError = validateLexiconEntry(draft);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { sample, ...entry } = draft;
+      const saved = await SupabaseService?.savePronunciationEntry({ ...entry, term: entry?.term?.trim(), user_id: user?.id });
+      setEntries(prev => [...(prev || []).filter(e => e?.id !== saved?.id), saved]
+        .sort((a, b) => a?.term?.localeCompare(b?.term)));
+      setDraft(EMPTY_ENTRY);
+    } catch (saveError) {
+      setError(saveError?.code === '23505'
+        ? 'There is already a rule for this term.'
+        : 'Failed to save the rule. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entryId) => {
+    try {
+      await SupabaseService?.deletePronunciationEntry(entryId, user?.id);
+      setEntries(prev => (prev || []).filter(e => e?.id !== entryId));
+      if (draft?.id === entryId) setDraft(EMPTY_ENTRY);
+    } catch {
+      setError('Failed to delete the rule. Please try again.');
+    }
+  };
+
+  // Speak the word with just this rule applied, using the current voice settings
+  const handlePreview = async (entry, previewId) => {
+    const validationError = validateLexiconEntry(entry);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setPreviewingId(previewId);
+    setError('');
+    try {
+      const text = entry?.sample?.trim() || entry?.term;
+      const result = await TTSService?.generateSpeechWithFallback(text, currentSettings, null, { lexicon: [entry] });
+      URL.revokeObjectURL(result?.audioUrl);
+
+      const preview = await createPreviewUrl(result?.audioBlob, result?.format);
+      if (!preview?.url) throw new Error('This browser cannot play the preview.');
+
+      const audio = new Audio(preview.url);
+      audio.onended = () => URL.revokeObjectURL(preview.url);
+      await audio.play();
+    } catch (previewError) {
+      setError(previewError?.message || 'Preview failed. Please try again.');
+    } finally {
+      setPreviewingId(null);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([lexiconToCsv(entries)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'pronunciation-lexicon.csv';
+    document.body?.appendChild(link);
+    link?.click();
+    document.body?.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link?.href), 1000);
+  };
+
+  const handleImport = async (e) => {
+    const file = e?.target?.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const { entries: imported, errors } = parseLexiconCsv(await file.text());
+      const saved = await SupabaseService?.importPronunciationEntries(user?.id, imported);
+
+      setEntries(await SupabaseService?.getPronunciationEntries(user?.id));
+      setNotice(`Imported ${saved?.length || 0} rule${saved?.length === 1 ? '' : 's'}.`);
+      if (errors?.length > 0) {
+        setError(`${errors.length} row${errors.length === 1 ? ' was' : 's were'} skipped. ${errors.slice(0, 3).join(' ')}`);
+      }
+    } catch {
+      setError('Failed to import the CSV file. Please check its format and try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!user?.id) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        Sign in to teach the voices how to say brand names, drug names and personal names.
+      </p>
+    );
+  }
+
+  return (
+    <div className="w-full space-y-4">
+      <p className="text-sm text-muted-foreground">
+        Rules replace a word with a respelling right before it is sent for speech, e.g.
+        <span className="font-mono"> Nnamdi → N-nahm-dee</span>.
+      </p>
+
+      {/* Add or edit a rule */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label={draft?.is_regex ? 'Pattern' : 'Word or phrase'}
+          value={draft?.term}
+          onChange={(e) => updateDraft('term', e?.target?.value)}
+          placeholder={draft?.is_regex ? '(\\d+)mg' : 'Nnamdi'}
+          disabled={saving}
+        />
+        <Input
+          label="Say it as"
+          value={draft?.respelling}
+          onChange={(e) => updateDraft('respelling', e?.target?.value)}
+          placeholder={draft?.is_regex ? '$1 milligrams' : 'N-nahm-dee'}
+          disabled={saving}
+        />
+      </div>
+      <div className="flex flex-wrap gap-6">
+        <Checkbox
+          label="Match case"
+          checked={draft?.case_sensitive}
+          onChange={(e) => updateDraft('case_sensitive', e?.target?.checked)}
+          disabled={saving}
+        />
+        <Checkbox
+          label="Whole word only"
+          checked={draft?.whole_word}
+          onChange={(e) => updateDraft('whole_word', e?.target?.checked)}
+          disabled={saving}
+        />
+        <Checkbox
+          label="Regular expression"
+          checked={draft?.is_regex}
+          onChange={(e) => updateDraft('is_regex', e?.target?.checked)}
+          disabled={saving}
+        />
+      </div>
+      {draft?.is_regex && (
+        <Input
+          label="Sample text for preview"
+          value={draft?.sample}
+          onChange={(e) => updateDraft('sample', e?.target?.value)}
+          placeholder="Take 50mg twice daily"
+          disabled={saving}
+        />
+      )}
+      <div className="flex flex-wrap gap-2">
+        <Button
+          variant="default"
+          iconName="Save"
+          iconPosition="left"
+          onClick={handleSave}
+          disabled={saving || isGenerating || !draft?.term?.trim()}
+        >
+          {draft?.id ? 'Update Rule' : 'Add Rule'}
+        </Button>
+        <Button
+          variant="outline"
+          iconName="Volume2"
+          iconPosition="left"
+          onClick={() => handlePreview(draft, 'draft')}
+          disabled={!!previewingId || isGenerating || !draft?.term?.trim()}
+        >
+          {previewingId === 'draft' ? 'Generating…' : 'Preview this word'}
+        </Button>
+        {draft?.id && (
+          <Button variant="ghost" onClick={() => setDraft(EMPTY_ENTRY)} disabled={saving}>
+            Cancel edit
+          </Button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-error">{error}</p>}
+      {notice && !error && <p className="text-sm text-success">{notice}</p>}
+
+      {/* Existing rules */}
+      {entries?.length > 0 && (
+        <ul className="divide-y divide-border border border-border rounded-lg">
+          {entries.map(entry => (
+            <li key={entry?.id} className="flex items-center justify-between gap-3 px-3 py-2">
+              <button
+                type="button"
+                className="text-left min-w-0 flex-1"
+                onClick={() => setDraft({ ...EMPTY_ENTRY, ...entry })}
+                disabled={saving}
+                title="Edit rule"
+              >
+                <p className="text-sm text-foreground truncate">
+                  <span className="font-mono">{entry?.term}</span> → {entry?.respelling || <em>(silent)</em>}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {[
+                    entry?.is_regex && 'regex',
+                    entry?.case_sensitive && 'match case',
+                    entry?.whole_word && 'whole word'
+                  ].filter(Boolean).join(' · ')}
+                </p>
+              </button>
+              <Button
+                variant="ghost"
+                size="icon"
+                iconName={previewingId === entry?.id ? 'Loader2' : 'Volume2'}
+                onClick={() => handlePreview(entry, entry?.id)}
+                disabled={!!previewingId || isGenerating}
+                title="Preview this word"
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                iconName="Trash2"
+                onClick={() => handleDelete(entry?.id)}
+                disabled={saving}
+                title="Delete rule"
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* CSV import/export */}
+      <div className="flex flex-wrap gap-2">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          className="hidden"
+          onChange={handleImport}
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          iconName="Upload"
+          iconPosition="left"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={saving}
+        >
+          Import CSV
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          iconName="Download"
+          iconPosition="left"
+          onClick={handleExport}
+          disabled={!entries?.length}
+        >
+          Export CSV
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default PronunciationLexicon;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import Button from '../../../components/ui/Button';
+import Icon from '../../../components/AppIcon';
+
+const formatStorage = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+const formatCount = value => value.toLocaleString();
+
+const METERS = [
+  { key: 'characters', label: 'Characters', format: formatCount },
+  { key: 'generations', label: 'Generations', format: formatCount },
+  { key: 'storage', label: 'Audio storage', format: formatStorage }
+];
+
+// Which limit the next generation runs into, if any
+const exceededQuota = (quota, textLength) => {
+  const charactersLeft = quota?.characters?.remaining;
+  if (quota?.generations?.remaining === 0) return 'generations';
+  if (charactersLeft !== null && (charactersLeft === 0 || textLength > charactersLeft)) return 'characters';
+  if (quota?.storage?.remaining === 0) return 'storage';
+  return null;
+};
+
+const PROMPTS = {
+  characters: 'Your plan does not have enough characters left this month for this text.',
+  generations: 'You have used all generations included in your plan this month.',
+  storage: 'Your audio storage is full. New generations are kept in history without their audio.'
+};
+
+// Remaining monthly allowance, with an upgrade prompt once a limit is reached
+const QuotaMeter = ({ quota, textLength }) => {
+  if (!quota) return null;
+
+  const exceeded = exceededQuota(quota, textLength);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-muted-foreground">
+        <span className="font-medium text-foreground">{quota?.planName} plan</span>
+        {quota?.periodEnd && <span>Resets {format(new Date(`${quota.periodEnd}T00:00:00Z`), 'MMM d')}</span>}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        {METERS.map(({ key, label, format: formatValue }) => {
+          const meter = quota?.[key];
+          const unlimited = meter?.limit === null;
+          const percent = unlimited || !meter?.limit ? 0 : Math.min(100, (meter.used / meter.limit) * 100);
+          const barColor = percent >= 100 ? 'bg-error' : percent >= 80 ? 'bg-warning' : 'bg-primary';
+
+          return (
+            <div key={key} className="space-y-1">
+              <div className="flex items-center justify-between text-xs">
+                <span className="text-muted-foreground">{label}</span>
+                <span className="text-foreground">
+                  {unlimited ? 'Unlimited' : `${formatValue(meter.remaining)} left`}
+                </span>
+              </div>
+              <div className="h-1.5 bg-muted rounded-full overflow-hidden">
+                <div className={`h-full ${barColor} transition-all`} style={{ width: `${percent}%` }} />
+              </div>
+              {!unlimited && (
+                <p className="text-xs text-muted-foreground">
+                  {formatValue(meter.used)} of {formatValue(meter.limit)} used
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {exceeded && (
+        <div className="p-3 bg-warning/10 border border-warning/20 rounded-lg flex items-start gap-3">
+          <Icon name="Gauge" size={18} className="text-warning mt-0.5 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-foreground">{PROMPTS?.[exceeded]}</p>
+            <p className="text-sm text-muted-foreground">Upgrade for a larger allowance, or wait for it to reset.</p>
+          </div>
+          <Link to="/billing" className="flex-shrink-0">
+            <Button variant="outline" size="sm">Upgrade</Button>
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuotaMeter;
@@ -1,36 +1,109 @@
-import React from 'react';
+import React, { useMemo, useRef } from 'react';
+import TTSService from '../../../services/ttsService';
+import { tokenizeMarkup } from '../../../utils/speechMarkup';
+
+const { maxTextLength, maxChunkLength } = TTSService.getLimits();
+
+// Shared by the textarea and the highlight layer so their text lines up exactly
+const FIELD_CLASSES = 'w-full h-40 px-4 py-3 text-sm leading-6 font-normal whitespace-pre-wrap break-words';
+
+const MARKUP_HELP = '[pause 2s] · [emphasis]word[/emphasis] · [spell]NASA[/spell] · [voice david]…[/voice] · [speed slow]…[/speed]';
 
 const TextInputArea = ({ text, setText, isGenerating }) => {
+  const highlightRef = useRef(null);
+
+  // Rough section count - the generator splits on sentence boundaries below the provider limit
+  const sectionCount = Math.ceil((text?.length || 0) / maxChunkLength);
+
+  const tokens = useMemo(() => tokenizeMarkup(text), [text]);
+  const markupErrors = useMemo(() => TTSService.validateMarkup(text), [text]);
+  const showHighlight = tokens?.some(token => token?.type === 'tag');
+
   const handleTextChange = (e) => {
     setText(e?.target?.value);
   };
 
+  // Keep the highlight layer scrolled with the textarea
+  const handleScroll = (e) => {
+    if (highlightRef.current) highlightRef.current.scrollTop = e?.target?.scrollTop;
+  };
+
+  const hasErrorAt = (token) => markupErrors?.some(error => error?.start < token?.end && error?.end > token?.start);
+
   return (
     <div className="w-full">
       <label htmlFor="text-input" className="block text-sm font-medium text-foreground mb-2">
         Enter Text to Convert
       </label>
-      <textarea
-        id="text-input"
-        value={text}
-        onChange={handleTextChange}
-        disabled={isGenerating}
-        placeholder="Type or paste your text here... For example: 'Welcome to MindsMakingVoice, where your words come to life with our advanced text-to-speech technology. Choose from various voice styles, adjust speed and pitch, and create the perfect audio experience for your content.'"
-        className="w-full h-40 px-4 py-3 border border-border rounded-lg bg-input text-foreground placeholder-muted-foreground resize-none focus:outline-none focus:ring-2 focus:ring-ring focus:border-transparent transition-smooth disabled:opacity-50 disabled:cursor-not-allowed"
-        maxLength={5000}
-      />
+      <div className="relative">
+        {showHighlight && (
+          <div
+            ref={highlightRef}
+            aria-hidden="true"
+            className={`${FIELD_CLASSES} absolute inset-0 overflow-hidden border border-transparent rounded-lg bg-input text-foreground`}
+          >
+            {tokens?.map(token => (
+              token?.type === 'tag' ? (
+                <mark
+                  key={token?.start}
+                  className={hasErrorAt(token)
+                    ? 'bg-error/15 text-error rounded underline decoration-wavy decoration-error'
+                    : 'bg-primary/10 text-primary rounded'}
+                >
+                  {token?.value}
+                </mark>
+              ) : (
+                <span key={token?.start}>{token?.value}</span>
+              )
+            ))}
+            {/* A trailing newline needs a character after it to take up space */}
+            {text?.endsWith('\n') && ' '}
+          </div>
+        )}
+        <textarea
+          id="text-input"
+          value={text}
+          onChange={handleTextChange}
+          onScroll={handleScroll}
+          disabled={isGenerating}
+          spellCheck={!showHighlight}
+          aria-invalid={markupErrors?.length > 0}
+          aria-describedby={markupErrors?.length > 0 ? 'markup-errors' : undefined}
+          placeholder="Type or paste your text here... For example: 'Welcome to MindsMakingVoice, where your words come to life with our advanced text-to-speech technology. Choose from various voice styles, adjust speed and pitch, and create the perfect audio experience for your content.'"
+          className={`${FIELD_CLASSES} relative block border border-border rounded-lg placeholder-muted-foreground resize-none focus:outline-none focus:ring-2 focus:ring-ring focus:border-transparent transition-smooth disabled:opacity-50 disabled:cursor-not-allowed ${showHighlight
+            ? 'bg-transparent text-transparent caret-foreground'
+            : 'bg-input text-foreground'}`}
+          maxLength={maxTextLength}
+        />
+      </div>
       <div className="flex justify-between items-center mt-2">
         <span className="text-xs text-muted-foreground">
-          {text?.length}/5000 characters
+          {text?.length?.toLocaleString()}/{maxTextLength?.toLocaleString()} characters
+          {sectionCount > 1 && ` · about ${sectionCount} sections`}
         </span>
-        {text?.length > 4500 && (
+        {text?.length > maxTextLength * 0.9 && (
           <span className="text-xs text-warning">
             Approaching character limit
           </span>
         )}
       </div>
+      {markupErrors?.length > 0 && (
+        <ul id="markup-errors" className="mt-2 space-y-1">
+          {markupErrors?.slice(0, 5)?.map(error => (
+            <li key={`${error?.start}-${error?.message}`} className="text-xs text-error">
+              <span className="font-mono">{text?.slice(error?.start, error?.end)}</span> — {error?.message}
+            </li>
+          ))}
+          {markupErrors?.length > 5 && (
+            <li className="text-xs text-error">…and {markupErrors.length - 5} more markup errors</li>
+          )}
+        </ul>
+      )}
+      <p className="text-xs text-muted-foreground mt-2">
+        Markup: <span className="font-mono">{MARKUP_HELP}</span>
+      </p>
     </div>
   );
 };
 
-export default TextInputArea;
\ No newline at end of file
+export default TextInputArea;
@@ -1,5 +1,8 @@
 import React from 'react';
 import Select from '../../../components/ui/Select';
+import TTSService from '../../../services/ttsService';
+import { REENCODABLE_FORMATS } from '../../../utils/audioEncoder';
+import { MAX_VOICE_DIRECTION_LENGTH, hasDeliveryDirection } from '../../../utils/deliveryInstructions';
 
 const VoiceCustomization = ({ 
   voiceStyle, 
@@ -12,6 +15,14 @@ const VoiceCustomization = ({
   setEmotion,
   character,
   setCharacter,
+  outputFormat,
+  setOutputFormat,
+  reencodableFormats = REENCODABLE_FORMATS,
+  model,
+  setModel,
+  voiceDirection = '',
+  setVoiceDirection,
+  isPremium = false,
   isGenerating
 }) => {
   const voiceStyleOptions = [
@@ -35,12 +46,29 @@ const VoiceCustomization = ({
 
   const emotionOptions = [
     { value: 'neutral', label: '😐 Neutral' },
+    { value: 'calm', label: '😌 Calm' },
     { value: 'happy', label: '😊 Happy' },
     { value: 'sad', label: '😢 Sad' },
     { value: 'serious', label: '😤 Serious' },
     { value: 'excited', label: '🤩 Excited' }
   ];
 
+  const { formats: formatOptions, models: modelOptions } = TTSService.getVoiceOptions();
+
+  // Formats this browser can save stitched and pitch-shifted audio in
+  const reencodableLabels = reencodableFormats
+    .map(id => formatOptions?.find(f => f?.value === id)?.label)
+    .filter(Boolean)
+    .join(', ');
+
+  // Standard/HD models read the text as-is; only instruction models act on emotion, style and direction
+  const deliverySettings = { voiceStyle, voiceSpeed, emotion, voiceDirection, model };
+  const honorsDelivery = TTSService.supportsDeliveryInstructions(deliverySettings);
+  const expressiveModel = modelOptions?.find(m => m?.value === 'gpt-4o-mini-tts');
+
+  // Providers without native pitch control get the shift applied in the browser
+  const pitchShifted = TTSService.getPitchShift({ voicePitch }) !== 0;
+
   // Updated character options with OpenAI voice mapping
   const characterOptions = [
     { value: 'chloe', label: 'Chloe (Alloy)', description: 'Balanced and versatile voice' },
@@ -81,6 +109,9 @@ const VoiceCustomization = ({
           value={voicePitch}
           onChange={setVoicePitch}
           placeholder="Select pitch"
+          description={pitchShifted
+            ? `Shifted after generation without changing tempo; needs ${reencodableLabels} output`
+            : undefined}
           disabled={isGenerating}
           className="w-full"
         />
@@ -107,7 +138,73 @@ const VoiceCustomization = ({
           disabled={isGenerating}
           className="w-full lg:col-span-2"
         />
+
+        <Select
+          label="Quality"
+          options={modelOptions?.map(option => ({
+            value: option?.value,
+            label: option?.premium ? `${option?.label} (Premium)` : option?.label,
+            disabled: option?.premium && !isPremium
+          }))}
+          value={model}
+          onChange={setModel}
+          placeholder="Select quality"
+          description={isPremium
+            ? modelOptions?.find(m => m?.value === model)?.description
+            : 'Upgrade to premium to unlock High Quality (HD) voices'}
+          disabled={isGenerating}
+          className="w-full"
+        />
+
+        <Select
+          label="Output Format"
+          options={formatOptions?.map(format => ({
+            value: format?.value,
+            label: format?.label
+          }))}
+          value={outputFormat}
+          onChange={setOutputFormat}
+          placeholder="Select format"
+          description={[
+            formatOptions?.find(f => f?.value === outputFormat)?.description,
+            !reencodableFormats.includes(outputFormat)
+              ? 'Not available for long text, pauses, dialogue or pitch changes in this browser'
+              : null
+          ].filter(Boolean).join('. ')}
+          disabled={isGenerating}
+          className="w-full"
+        />
       </div>
+      {/* Free-text delivery direction */}
+      <div className="mt-4">
+        <label htmlFor="voice-direction" className="block text-sm font-medium text-foreground mb-2">
+          Voice Direction <span className="text-muted-foreground font-normal">(optional)</span>
+        </label>
+        <textarea
+          id="voice-direction"
+          value={voiceDirection}
+          onChange={(e) => setVoiceDirection?.(e?.target?.value)}
+          disabled={isGenerating}
+          rows={2}
+          maxLength={MAX_VOICE_DIRECTION_LENGTH}
+          placeholder="e.g. Whisper, as if telling a secret. Pause briefly before the last sentence."
+          className="w-full px-4 py-3 border border-border rounded-lg bg-input text-foreground placeholder-muted-foreground resize-none focus:outline-none focus:ring-2 focus:ring-ring focus:border-transparent transition-smooth disabled:opacity-50 disabled:cursor-not-allowed"
+        />
+        <div className="flex justify-between text-xs text-muted-foreground mt-1">
+          <span>Combined with the emotion and voice style to guide delivery</span>
+          <span>{voiceDirection?.length || 0}/{MAX_VOICE_DIRECTION_LENGTH}</span>
+        </div>
+      </div>
+      {!honorsDelivery && hasDeliveryDirection(deliverySettings) && (
+        <div className="mt-4 p-3 bg-warning/10 border border-warning/20 rounded-lg">
+          <p className="text-sm font-medium text-foreground">Emotion and direction won't be applied</p>
+          <p className="text-xs text-muted-foreground mt-1">
+            The selected quality reads text in the voice's default delivery and ignores emotion, voice style
+            and voice direction.
+            {expressiveModel && ` Switch Quality to "${expressiveModel?.label}" to hear them.`}
+          </p>
+        </div>
+      )}
       {/* Voice Preview Information */}
       {character && (
         <div className="mt-4 p-3 bg-muted/50 rounded-lg border border-border/50">
@@ -129,7 +226,8 @@ const VoiceCustomization = ({
         <div className="p-3 bg-info/5 border border-info/20 rounded-lg">
           <h4 className="text-sm font-medium text-foreground mb-2">🎵 Audio Quality</h4>
           <p className="text-xs text-muted-foreground">
-            Generated using OpenAI's advanced TTS with high-quality MP3 output
+            Generated using OpenAI's advanced TTS. Long texts split into several sections are joined
+            without gaps, which works for {reencodableLabels} output.
           </p>
         </div>
         
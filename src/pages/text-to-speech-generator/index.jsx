@@ -1,12 +1,27 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import Header from '../../components/ui/Header';
 import TextInputArea from './components/TextInputArea';
 import VoiceCustomization from './components/VoiceCustomization';
 import PresetManager from './components/PresetManager';
 import GenerateButton from './components/GenerateButton';
 import AudioPlayer from './components/AudioPlayer';
+import DialogueSetup from './components/DialogueSetup';
+import PronunciationLexicon from './components/PronunciationLexicon';
+import NormalizationPreview from './components/NormalizationPreview';
+import AudioCacheSettings from './components/AudioCacheSettings';
+import GenerationError from './components/GenerationError';
+import QuotaMeter from './components/QuotaMeter';
 import TTSService from '../../services/ttsService';
+import { MediaSourceStream } from '../../utils/mediaSourceStream';
+import { isAbortError } from '../../utils/concurrency';
+import { createPreviewUrl, getFormatInfo } from '../../utils/audioFormats';
+import { getReencodableFormats, probeAudioEncoders } from '../../utils/audioEncoder';
+import { hasMarkup } from '../../utils/speechMarkup';
+import { parseDialogue } from '../../utils/dialogueScript';
+import { DEFAULT_NORMALIZATION, resolveNormalization } from '../../utils/textNormalizer';
 import SupabaseService from '../../services/supabaseService';
+import { ERROR_CODES } from '../../utils/ttsErrors';
 import { useAuth } from '../../contexts/AuthContext';
 
 const TextToSpeechGenerator = () => {
@@ -19,17 +34,44 @@ const TextToSpeechGenerator = () => {
   const [voicePitch, setVoicePitch] = useState('medium');
   const [emotion, setEmotion] = useState('neutral');
   const [character, setCharacter] = useState('chloe');
+  const [outputFormat, setOutputFormat] = useState('mp3');
+  const [model, setModel] = useState('tts-1');
+  const [voiceDirection, setVoiceDirection] = useState('');
+  const [normalization, setNormalization] = useState(DEFAULT_NORMALIZATION);
+  const [isPremium, setIsPremium] = useState(false);
+  const [quota, setQuota] = useState(null);
+
+  // Dialogue mode states
+  const [dialogueEnabled, setDialogueEnabled] = useState(false);
+  const [speakerAssignments, setSpeakerAssignments] = useState({});
+  const [turnGapMs, setTurnGapMs] = useState(500);
+  const [exportStems, setExportStems] = useState(false);
+  const [stems, setStems] = useState(null);
+
+  // Pronunciation rules applied before synthesis
+  const [lexiconEntries, setLexiconEntries] = useState([]);
+
+  // Formats stitched and pitch-shifted audio can be saved in, once this browser's encoders are known
+  const [reencodableFormats, setReencodableFormats] = useState(getReencodableFormats());
 
   // Generation states
   const [isGenerating, setIsGenerating] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [progressDetail, setProgressDetail] = useState(null);
   const [audioUrl, setAudioUrl] = useState(null);
   const [audioBlob, setAudioBlob] = useState(null);
-  const [error, setError] = useState('');
+  const [audioFormat, setAudioFormat] = useState('mp3');
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [previewUnavailable, setPreviewUnavailable] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastResult, setLastResult] = useState(null);
   const [currentPresetId, setCurrentPresetId] = useState(null);
+  const abortControllerRef = useRef(null);
 
   // Authentication
   const { user } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
 
   // Get current voice settings
   const getCurrentSettings = () => ({
@@ -37,7 +79,11 @@ const TextToSpeechGenerator = () => {
     voiceSpeed,
     voicePitch,
     emotion,
-    character
+    character,
+    outputFormat,
+    model,
+    voiceDirection,
+    normalization
   });
 
   // Load preset settings
@@ -47,21 +93,164 @@ const TextToSpeechGenerator = () => {
     setVoicePitch(settings?.voicePitch || 'medium');
     setEmotion(settings?.emotion || 'neutral');
     setCharacter(settings?.character || 'chloe');
+    setOutputFormat(settings?.outputFormat || 'mp3');
+    setModel(settings?.model || 'tts-1');
+    setVoiceDirection(settings?.voiceDirection || '');
+    setNormalization(resolveNormalization(settings?.normalization));
     setCurrentPresetId(presetId);
   }, []);
 
+  // "Load into generator" from the history page: restore the text and the exact settings used
+  useEffect(() => {
+    const generation = location?.state?.generation;
+    if (!generation) return;
+
+    setText(generation?.text || '');
+    handleLoadPreset(generation?.settings, generation?.presetId || null);
+
+    const dialogue = generation?.settings?.dialogue;
+    setDialogueEnabled(!!dialogue);
+    setSpeakerAssignments(dialogue?.speakerAssignments || {});
+    setTurnGapMs(dialogue?.turnGapMs ?? 500);
+    setExportStems(!!dialogue?.stems);
+
+    // Don't restore again on refresh
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location, navigate, handleLoadPreset]);
+
+  // HD quality is a premium feature (also enforced by the generate-speech Edge Function)
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!user?.id) {
+      setIsPremium(false);
+      return;
+    }
+
+    SupabaseService?.checkPremiumAccess(user?.id)?.then((premium) => {
+      if (!cancelled) setIsPremium(premium);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
+  // Monthly plan allowance; the database enforces it, this only shows what's left
+  const refreshQuota = useCallback(() => {
+    if (!user?.id) {
+      setQuota(null);
+      return;
+    }
+
+    SupabaseService?.getQuotaStatus()
+      ?.then(setQuota)
+      ?.catch(() => setQuota(null));
+  }, [user?.id]);
+
+  useEffect(() => {
+    refreshQuota();
+  }, [refreshQuota]);
+
+  // Load the user's pronunciation lexicon
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!user?.id) {
+      setLexiconEntries([]);
+      return;
+    }
+
+    SupabaseService?.getPronunciationEntries(user?.id)
+      ?.then((entries) => { if (!cancelled) setLexiconEntries(entries); })
+      ?.catch(() => { if (!cancelled) setLexiconEntries([]); });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
+  // Opus and AAC depend on the browser's WebCodecs encoders
+  useEffect(() => {
+    let cancelled = false;
+
+    probeAudioEncoders()
+      ?.then((formats) => { if (!cancelled) setReencodableFormats(formats); })
+      ?.catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Drop back to standard quality if HD was loaded from a preset without premium access
+  useEffect(() => {
+    if (!isPremium && model === 'tts-1-hd') {
+      setModel('tts-1');
+    }
+  }, [isPremium, model]);
+
   // Check if generation is possible
-  const canGenerate = text?.trim()?.length > 0 && voiceStyle && voiceSpeed && voicePitch && emotion && character;
+  const markupErrors = useMemo(() => TTSService.validateMarkup(text), [text]);
+  const dialogueScript = useMemo(() => (dialogueEnabled
+    ? parseDialogue(text, { cast: TTSService.getDialogueCast({ speakers: speakerAssignments }) })
+    : null), [dialogueEnabled, text, speakerAssignments]);
+  const dialogueReady = !dialogueScript || (dialogueScript?.turns?.length > 0 && dialogueScript?.unassigned?.length === 0);
+  const canGenerate = text?.trim()?.length > 0 && markupErrors?.length === 0 && dialogueReady && voiceStyle && voiceSpeed && voicePitch && emotion && character;
+  const quotaBlocked = quota?.generations?.remaining === 0 || quota?.characters?.remaining === 0;
+
+  // Settings each dialogue speaker is voiced with. Presets bring their own voice,
+  // but the output format and quality are shared so the turns can be mixed into one file.
+  const getDialogueOptions = (voiceSettings) => ({
+    speakers: Object.fromEntries(Object.entries(speakerAssignments || {}).map(([speaker, assignment]) => [
+      speaker,
+      assignment?.presetId
+        ? { ...assignment?.settings, outputFormat: voiceSettings?.outputFormat, model: voiceSettings?.model }
+        : { ...voiceSettings, character: assignment?.character || voiceSettings?.character }
+    ])),
+    turnGapMs,
+    stems: exportStems
+  });
+
+  // Formats the browser can't re-encode are blocked before generating, not swapped for another format afterwards
+  const formatConflict = canGenerate
+    ? TTSService.getFormatConflict(text, getCurrentSettings(), {
+        dialogue: dialogueEnabled ? getDialogueOptions(getCurrentSettings()) : null,
+        lexicon: lexiconEntries
+      })
+    : null;
+
+  // Track overall and per-chunk generation progress
+  const handleProgress = useCallback((value, detail = null) => {
+    setProgress(value);
+    setProgressDetail(detail);
+  }, []);
 
   // Real text-to-speech generation using OpenAI
   const handleGenerate = async () => {
-    if (!canGenerate) return;
+    if (!canGenerate || quotaBlocked || formatConflict) return;
 
     setIsGenerating(true);
-    setProgress(0);
-    setError('');
+    handleProgress(0);
+    setError(null);
     setAudioUrl(null);
     setAudioBlob(null);
+    setStems(null);
+    setLastResult(null);
+    setPreviewUnavailable(false);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    // Stream MP3 into the player while it is generated, where the browser supports it.
+    // Pitch-shifted audio, markup pauses and dialogue gaps only exist once generation finishes, so those aren't streamed.
+    const stream = outputFormat === 'mp3' && voicePitch === 'medium' && !hasMarkup(text) && !dialogueEnabled && MediaSourceStream.isSupported('audio/mpeg')
+      ? new MediaSourceStream('audio/mpeg')
+      : null;
+    if (stream) {
+      setAudioUrl(stream.url);
+      setIsStreaming(true);
+    }
 
     try {
       const voiceSettings = getCurrentSettings();
@@ -70,50 +259,109 @@ const TextToSpeechGenerator = () => {
       const result = await TTSService?.generateSpeechWithFallback(
         text,
         voiceSettings,
-        setProgress
+        handleProgress,
+        {
+          onAudioData: stream ? (bytes) => stream.append(bytes) : null,
+          signal: controller.signal,
+          dialogue: dialogueEnabled ? getDialogueOptions(voiceSettings) : null,
+          lexicon: lexiconEntries,
+          cache: { userId: user?.id }
+        }
       );
 
-      setAudioUrl(result?.audioUrl);
+      if (stream && !result?.cacheHit) {
+        // Keep playing from the stream; the assembled blob is used for download and history
+        stream.end();
+      } else {
+        // Cache hits arrive whole, so the stream that was set up for them is never fed
+        stream?.close();
+        // Formats the browser can't play (raw PCM, FLAC on some browsers) get a WAV preview
+        const preview = await createPreviewUrl(result?.audioBlob, result?.format);
+        setAudioUrl(preview?.url);
+        setPreviewUnavailable(!preview?.url);
+      }
+      URL.revokeObjectURL(result?.audioUrl);
       setAudioBlob(result?.audioBlob);
+      setStems(result?.stems || null);
+      setAudioFormat(result?.format || 'mp3');
+      setLastResult(result);
 
-      // Save to database if user is authenticated
+      // Save to history if user is authenticated. The upload runs in the background
+      // so playback and download don't wait for it.
       if (user?.id) {
-        try {
-          await SupabaseService?.saveAudioGeneration({
-            text_content: text,
-            audio_url: null, // We're not storing the actual file URL for now
-            duration_seconds: result?.duration,
-            preset_id: currentPresetId,
-            user_id: user?.id
-          });
-        } catch (dbError) {
+        SupabaseService?.saveGeneratedAudio(result?.audioBlob, {
+          text_content: text,
+          duration_ms: result?.durationMs,
+          duration_source: result?.durationSource,
+          output_format: result?.format,
+          model: result?.model,
+          cache_hit: !!result?.cacheHit,
+          cache_key: result?.cacheKey || null,
+          settings: {
+            ...voiceSettings,
+            dialogue: dialogueEnabled ? { speakerAssignments, turnGapMs, stems: exportStems } : null
+          },
+          preset_id: currentPresetId,
+          user_id: user?.id
+        })?.catch((dbError) => {
           console.warn('Failed to save generation to database:', dbError);
           // Don't block the user experience for database errors
-        }
+        })?.finally(refreshQuota);
       }
 
       // Reset progress after a short delay
-      setTimeout(() => setProgress(0), 1500);
+      setTimeout(() => handleProgress(0), 1500);
 
     } catch (err) {
-      setError(err?.message || 'Failed to generate audio. Please try again.');
-      console.error('Generation error:', err);
+      stream?.close();
+      if (stream) setAudioUrl(null);
+
+      if (isAbortError(err)) {
+        // Cancelled by the user - return to idle without an error
+        handleProgress(0);
+      } else {
+        setError(err);
+        console.error('Generation error:', err);
+        if (err?.code === ERROR_CODES.QUOTA) refreshQuota();
+      }
     } finally {
+      abortControllerRef.current = null;
       setIsGenerating(false);
+      setIsStreaming(false);
     }
   };
 
+  // Abort every in-flight request for the current generation
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Cancel any running generation when leaving the page
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
   // Handle audio download with improved filename
   const handleDownload = () => {
     if (!audioBlob) return;
 
     const currentSettings = getCurrentSettings();
     const timestamp = new Date()?.toISOString()?.slice(0, 19)?.replace(/[:.]/g, '-');
-    const filename = `tts-${currentSettings?.character}-${currentSettings?.voiceSpeed}-${timestamp}.mp3`;
+    const filename = `tts-${currentSettings?.character}-${currentSettings?.voiceSpeed}-${timestamp}.${getFormatInfo(audioFormat)?.extension}`;
     
     TTSService?.downloadAudio(audioBlob, filename);
   };
 
+  // Download one speaker's stem from a dialogue generation
+  const handleDownloadStem = (speaker) => {
+    const stem = stems?.[speaker];
+    if (!stem) return;
+
+    const timestamp = new Date()?.toISOString()?.slice(0, 19)?.replace(/[:.]/g, '-');
+    const slug = speaker?.toLowerCase()?.replace(/[^a-z0-9]+/g, '-');
+    TTSService?.downloadAudio(stem, `tts-dialogue-${slug}-${timestamp}.${getFormatInfo(audioFormat)?.extension}`);
+  };
+
   // Clean up audio URLs when component unmounts
   useEffect(() => {
     return () => {
@@ -141,21 +389,16 @@ const TextToSpeechGenerator = () => {
 
           {/* Error Display */}
           {error && (
-            <div className="mb-6 p-4 bg-error/10 border border-error/20 rounded-lg">
-              <p className="text-error text-sm font-medium">{error}</p>
-              {error?.includes('API key') && (
-                <p className="text-error/80 text-xs mt-2">
-                  Configure your OpenAI API key in the .env file: VITE_OPENAI_API_KEY=your_key_here
-                </p>
-              )}
+            <div className="mb-6">
+              <GenerationError error={error} onRetry={handleGenerate} isGenerating={isGenerating} />
             </div>
           )}
 
-          {/* API Key Warning */}
-          {(!import.meta.env?.VITE_OPENAI_API_KEY || import.meta.env?.VITE_OPENAI_API_KEY === 'your-openai-api-key-here') && (
-            <div className="mb-6 p-4 bg-warning/10 border border-warning/20 rounded-lg">
-              <p className="text-warning text-sm font-medium">
-                ⚠️ OpenAI API key not configured. Please add your API key to use real text-to-speech generation.
+          {/* Sign-in Notice */}
+          {!user && (
+            <div className="mb-6 p-4 bg-info/10 border border-info/20 rounded-lg">
+              <p className="text-foreground text-sm font-medium">
+                Sign in to generate audio. Speech is generated securely on our servers for signed-in users.
               </p>
             </div>
           )}
@@ -175,6 +418,30 @@ const TextToSpeechGenerator = () => {
                 setText={setText}
                 isGenerating={isGenerating}
               />
+              <div className="mt-4">
+                <DialogueSetup
+                  text={text}
+                  enabled={dialogueEnabled}
+                  setEnabled={setDialogueEnabled}
+                  assignments={speakerAssignments}
+                  setAssignments={setSpeakerAssignments}
+                  turnGapMs={turnGapMs}
+                  setTurnGapMs={setTurnGapMs}
+                  exportStems={exportStems}
+                  setExportStems={setExportStems}
+                  stems={stems}
+                  onDownloadStem={handleDownloadStem}
+                  isGenerating={isGenerating}
+                />
+              </div>
+              <div className="mt-4 pt-4 border-t border-border">
+                <NormalizationPreview
+                  text={text}
+                  normalization={normalization}
+                  setNormalization={setNormalization}
+                  isGenerating={isGenerating}
+                />
+              </div>
             </div>
 
             {/* Step 2: Voice Customization */}
@@ -196,6 +463,14 @@ const TextToSpeechGenerator = () => {
                 setEmotion={setEmotion}
                 character={character}
                 setCharacter={setCharacter}
+                outputFormat={outputFormat}
+                setOutputFormat={setOutputFormat}
+                reencodableFormats={reencodableFormats}
+                model={model}
+                setModel={setModel}
+                voiceDirection={voiceDirection}
+                setVoiceDirection={setVoiceDirection}
+                isPremium={isPremium}
                 isGenerating={isGenerating}
               />
             </div>
@@ -215,6 +490,17 @@ const TextToSpeechGenerator = () => {
               />
             </div>
 
+            {/* Pronunciation Lexicon */}
+            <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
+              <h2 className="text-xl font-semibold text-foreground mb-4">Pronunciation Lexicon</h2>
+              <PronunciationLexicon
+                entries={lexiconEntries}
+                setEntries={setLexiconEntries}
+                currentSettings={getCurrentSettings()}
+                isGenerating={isGenerating}
+              />
+            </div>
+
             {/* Step 4: Generate Audio */}
             <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
               <div className="flex items-center mb-4">
@@ -223,18 +509,33 @@ const TextToSpeechGenerator = () => {
                 </div>
                 <h2 className="text-xl font-semibold text-foreground">Generate Audio</h2>
               </div>
+              {quota && (
+                <div className="mb-4">
+                  <QuotaMeter quota={quota} textLength={text?.length || 0} />
+                </div>
+              )}
               <GenerateButton
                 onGenerate={handleGenerate}
+                onCancel={handleCancel}
                 isGenerating={isGenerating}
                 canGenerate={canGenerate}
                 progress={progress}
+                progressDetail={progressDetail}
+                blockedReason={quotaBlocked ? 'Your monthly allowance is used up. Upgrade your plan to keep generating.' : formatConflict}
               />
+              <div className="mt-4">
+                <AudioCacheSettings lastResult={lastResult} isGenerating={isGenerating} />
+              </div>
             </div>
 
             {/* Step 5: Audio Player */}
             <AudioPlayer
               audioUrl={audioUrl}
-              isVisible={!!audioUrl}
+              isVisible={!!audioUrl || (previewUnavailable && !!audioBlob)}
+              previewUnavailable={previewUnavailable}
+              formatLabel={getFormatInfo(audioFormat)?.label}
+              isStreaming={isStreaming}
+              canDownload={!!audioBlob}
               onDownload={handleDownload}
             />
           </div>
@@ -247,7 +548,7 @@ const TextToSpeechGenerator = () => {
                 <h4 className="font-medium text-foreground mb-2">Text Optimization</h4>
                 <ul className="space-y-1">
                   <li>• Use proper punctuation for natural pauses</li>
-                  <li>• Spell out numbers and abbreviations</li>
+                  <li>• Check how numbers and dates will be read under "Show what will be spoken"</li>
                   <li>• Keep sentences under 20 words for clarity</li>
                   <li>• Add commas for natural breathing points</li>
                 </ul>
@@ -269,8 +570,9 @@ const TextToSpeechGenerator = () => {
             <h3 className="text-lg font-semibold text-foreground mb-4">🔊 Audio Generation</h3>
             <div className="text-sm text-muted-foreground space-y-2">
               <p>• Powered by OpenAI's advanced text-to-speech technology</p>
-              <p>• High-quality MP3 audio output with natural voice synthesis</p>
-              <p>• Real-time generation with progress tracking</p>
+              <p>• Download as MP3, Opus, AAC, FLAC, WAV or raw PCM</p>
+              <p>• Long scripts are split at sentence boundaries and joined into one seamless file</p>
+              <p>• Playback starts while the rest of your audio is still generating</p>
               <p>• Automatic error handling and fallback mechanisms</p>
               {user ? (
                 <p>• Your generated audio history is automatically saved</p>
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from 'recharts';
+import Select from '../../../components/ui/Select';
+
+const METRICS = [
+  { value: 'generations', label: 'Generations' },
+  { value: 'characters', label: 'Characters' },
+  { value: 'minutes', label: 'Minutes of audio' }
+];
+
+const UsageTrendChart = ({ series }) => {
+  const [metric, setMetric] = useState('generations');
+  const metricLabel = METRICS.find(option => option.value === metric)?.label;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <h2 className="text-lg font-semibold text-foreground">Trend</h2>
+        <Select
+          options={METRICS}
+          value={metric}
+          onChange={setMetric}
+          className="w-48"
+        />
+      </div>
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={series} margin={{ top: 8, right: 8, bottom: 0, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" vertical={false} />
+            <XAxis dataKey="label" tick={{ fontSize: 12, fill: 'var(--color-muted-foreground)' }} tickLine={false} minTickGap={16} />
+            <YAxis allowDecimals={metric === 'minutes'} tick={{ fontSize: 12, fill: 'var(--color-muted-foreground)' }} tickLine={false} axisLine={false} width={48} />
+            <Tooltip
+              cursor={{ fill: 'var(--color-muted)' }}
+              formatter={value => [value.toLocaleString(), metricLabel]}
+              contentStyle={{ borderRadius: 8, borderColor: 'var(--color-border)', fontSize: 12 }}
+            />
+            <Bar dataKey={metric} fill="var(--color-primary)" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default UsageTrendChart;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { Cell, Legend, Pie, PieChart, ResponsiveContainer, Tooltip } from 'recharts';
+
+const COLORS = [
+  'var(--color-primary)',
+  'var(--color-accent)',
+  'var(--color-success)',
+  'var(--color-error)',
+  'var(--color-secondary)',
+  '#8B5CF6',
+  '#06B6D4'
+];
+
+// Share of generations per character or model
+const VoiceMixChart = ({ title, data, labels }) => {
+  const chartData = data.map(entry => ({ ...entry, label: labels?.[entry.name] || entry.name }));
+
+  return (
+    <div className="space-y-4">
+      <h2 className="text-lg font-semibold text-foreground">{title}</h2>
+      {chartData.length === 0 ? (
+        <p className="text-sm text-muted-foreground py-16 text-center">No generations in this period.</p>
+      ) : (
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <PieChart>
+              <Pie data={chartData} dataKey="generations" nameKey="label" innerRadius="55%" outerRadius="85%" paddingAngle={2}>
+                {chartData.map((entry, index) => (
+                  <Cell key={entry.name} fill={COLORS[index % COLORS.length]} />
+                ))}
+              </Pie>
+              <Tooltip
+                formatter={(value, name) => [`${value.toLocaleString()} generations`, name]}
+                contentStyle={{ borderRadius: 8, borderColor: 'var(--color-border)', fontSize: 12 }}
+              />
+              <Legend iconType="circle" wrapperStyle={{ fontSize: 12 }} />
+            </PieChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoiceMixChart;
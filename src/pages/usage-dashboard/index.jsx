@@ -0,0 +1,146 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Header from '../../components/ui/Header';
+import Select from '../../components/ui/Select';
+import Icon from '../../components/AppIcon';
+import UsageTrendChart from './components/UsageTrendChart';
+import VoiceMixChart from './components/VoiceMixChart';
+import TTSService from '../../services/ttsService';
+import SupabaseService from '../../services/supabaseService';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  USAGE_BUCKETS,
+  buildUsageSeries,
+  getBrowserTimeZone,
+  summarizeDimension,
+  usageRange,
+  usageTotals
+} from '../../utils/usageAggregates';
+
+const formatMinutes = (seconds) => {
+  const minutes = seconds / 60;
+  return minutes < 10 ? minutes.toFixed(1) : Math.round(minutes).toLocaleString();
+};
+
+const UsageDashboard = () => {
+  const { user } = useAuth();
+  const [bucket, setBucket] = useState('day');
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Recomputed with the bucket so "now" is fresh each time the view changes
+  const range = useMemo(() => usageRange(bucket), [bucket]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!user?.id) {
+      setRows([]);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    SupabaseService?.getUsageAggregates({
+      bucket,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      timeZone: getBrowserTimeZone()
+    })
+      ?.then((data) => { if (!cancelled) setRows(data); })
+      ?.catch(() => { if (!cancelled) setError('Failed to load usage. Please try again.'); })
+      ?.finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id, bucket, range]);
+
+  const { characters, models } = TTSService.getVoiceOptions();
+  const characterLabels = Object.fromEntries(characters.map(c => [c.value, c.label]));
+  const modelLabels = Object.fromEntries(models.map(m => [m.value, m.label]));
+
+  const series = useMemo(() => buildUsageSeries(rows, bucket, range), [rows, bucket, range]);
+  const totals = useMemo(() => usageTotals(rows), [rows]);
+  const characterMix = useMemo(() => summarizeDimension(rows, 'character'), [rows]);
+  const modelMix = useMemo(() => summarizeDimension(rows, 'model'), [rows]);
+
+  const summaryCards = [
+    { label: 'Generations', value: totals.generations.toLocaleString(), icon: 'AudioLines' },
+    { label: 'Characters', value: totals.characters.toLocaleString(), icon: 'Type' },
+    { label: 'Minutes of audio', value: formatMinutes(totals.seconds), icon: 'Clock' },
+    { label: 'Top voice', value: characterLabels?.[characterMix[0]?.name] || characterMix[0]?.name || '—', icon: 'Mic' }
+  ];
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <main className="pt-16">
+        <div className="max-w-5xl mx-auto px-4 py-8">
+          {/* Page Header */}
+          <div className="text-center mb-8">
+            <h1 className="text-3xl md:text-4xl font-bold text-foreground mb-4">
+              Usage
+            </h1>
+            <p className="text-lg text-muted-foreground max-w-2xl mx-auto">
+              How much you have generated, and with which voices and models.
+            </p>
+          </div>
+
+          {!user ? (
+            <div className="p-4 bg-info/10 border border-info/20 rounded-lg">
+              <p className="text-foreground text-sm font-medium">
+                Sign in to see your usage.
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              <div className="flex justify-end">
+                <Select
+                  options={USAGE_BUCKETS.map(({ value, label }) => ({ value, label }))}
+                  value={bucket}
+                  onChange={setBucket}
+                  disabled={loading}
+                  className="w-64"
+                />
+              </div>
+
+              {error && (
+                <div className="p-4 bg-error/10 border border-error/20 rounded-lg">
+                  <p className="text-error text-sm font-medium">{error}</p>
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                {summaryCards.map(card => (
+                  <div key={card.label} className="bg-card border border-border rounded-lg p-4 shadow-soft">
+                    <div className="flex items-center gap-2 text-muted-foreground mb-2">
+                      <Icon name={card.icon} size={16} />
+                      <span className="text-xs font-medium">{card.label}</span>
+                    </div>
+                    <p className="text-2xl font-semibold text-foreground truncate">{loading ? '…' : card.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
+                <UsageTrendChart series={series} />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
+                  <VoiceMixChart title="Voice mix" data={characterMix} labels={characterLabels} />
+                </div>
+                <div className="bg-card border border-border rounded-lg p-6 shadow-soft">
+                  <VoiceMixChart title="Models" data={modelMix} labels={modelLabels} />
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default UsageDashboard;
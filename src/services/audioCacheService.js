@@ -0,0 +1,147 @@
+import { supabase } from '../lib/supabase';
+import { measureAudioDuration } from '../utils/audioStitcher';
+import { formatFromMimeType } from '../utils/audioFormats';
+import {
+  getCacheLimits,
+  readCachedAudio,
+  writeCachedAudio
+} from '../utils/audioCacheStore';
+
+const CACHE_BUCKET = 'tts-cache';
+
+/**
+ * Audio Cache Service
+ * Two-level cache for generated audio: IndexedDB on this device, and a
+ * per-user folder in Supabase Storage so signed-in users also hit the cache
+ * on their other devices. Objects are stored as `<user id>/<cache key>`.
+ */
+class AudioCacheService {
+  /**
+   * Whether caching is switched on in the cache settings
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    return getCacheLimits().enabled !== false;
+  }
+
+  /**
+   * Looks up audio on this device, then in the user's storage folder
+   * @param {string} key - Cache key
+   * @param {Object} options - Lookup options
+   * @param {string} options.userId - Signed-in user, enables the Supabase Storage level
+   * @returns {Promise<{blob: Blob, format: string, durationMs: number, durationSource: string, model: string, provider: string, source: 'local'|'remote'}|null>}
+   */
+  static async get(key, { userId = null } = {}) {
+    try {
+      const local = await readCachedAudio(key);
+      if (local?.blob) return { ...local, source: 'local' };
+    } catch (error) {
+      console.warn('Local audio cache unavailable:', error);
+    }
+
+    if (!userId) return null;
+
+    try {
+      const { data: blob, error } = await supabase?.storage?.from(CACHE_BUCKET)?.download(`${userId}/${key}`);
+      if (error || !blob) return null;
+
+      const durationMs = await measureAudioDuration(blob);
+      const entry = {
+        blob,
+        format: formatFromMimeType(blob.type),
+        durationMs,
+        durationSource: durationMs !== null ? 'measured' : 'estimated',
+        model: null,
+        provider: null
+      };
+
+      // Keep a local copy so the next hit doesn't need the network
+      writeCachedAudio(key, entry)?.catch(() => {});
+      return { ...entry, source: 'remote' };
+    } catch (error) {
+      console.warn('Remote audio cache lookup failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stores audio on this device and, for signed-in users, in their storage folder
+   * @param {string} key - Cache key
+   * @param {Object} result - Generation result (audioBlob, format, durationMs, durationSource, model, provider)
+   * @param {Object} options - Storage options
+   * @param {string} options.userId - Signed-in user, enables the Supabase Storage level
+   */
+  static async put(key, result, { userId = null } = {}) {
+    const entry = {
+      blob: result?.audioBlob,
+      format: result?.format,
+      durationMs: result?.durationMs,
+      durationSource: result?.durationSource,
+      model: result?.model,
+      provider: result?.provider
+    };
+
+    try {
+      await writeCachedAudio(key, entry);
+    } catch (error) {
+      console.warn('Failed to cache audio locally:', error);
+    }
+
+    if (!userId) return;
+
+    try {
+      const { error } = await supabase?.storage?.from(CACHE_BUCKET)?.upload(`${userId}/${key}`, entry.blob, {
+        contentType: entry.blob?.type,
+        upsert: true
+      });
+      if (error) throw error;
+
+      await this.evictRemote(userId);
+    } catch (error) {
+      console.warn('Failed to cache audio in storage:', error);
+    }
+  }
+
+  /**
+   * Deletes the user's least-recently-used cached files beyond the remote size limit
+   * @param {string} userId - User ID
+   * @param {number} maxBytes - Size limit (defaults to the configured remoteMaxBytes)
+   * @returns {Promise<number>} - Number of files removed
+   */
+  static async evictRemote(userId, maxBytes = getCacheLimits().remoteMaxBytes) {
+    const { data: files, error } = await supabase?.storage?.from(CACHE_BUCKET)?.list(userId, {
+      limit: 1000,
+      sortBy: { column: 'last_accessed_at', order: 'desc' }
+    });
+    if (error) throw error;
+
+    // Keep the most recently used files that fit; everything older goes
+    let total = 0;
+    const stale = (files || []).filter((file) => {
+      total += file?.metadata?.size || 0;
+      return total > maxBytes;
+    });
+
+    if (stale.length === 0) return 0;
+
+    const { error: removeError } = await supabase?.storage?.from(CACHE_BUCKET)?.remove(stale.map(file => `${userId}/${file.name}`));
+    if (removeError) throw removeError;
+
+    return stale.length;
+  }
+
+  /**
+   * Empties the user's storage folder
+   * @param {string} userId - User ID
+   */
+  static async clearRemote(userId) {
+    const { data: files, error } = await supabase?.storage?.from(CACHE_BUCKET)?.list(userId, { limit: 1000 });
+    if (error) throw error;
+    if (!files?.length) return;
+
+    const { error: removeError } = await supabase?.storage?.from(CACHE_BUCKET)?.remove(files.map(file => `${userId}/${file.name}`));
+    if (removeError) throw removeError;
+  }
+}
+
+export default AudioCacheService;
@@ -0,0 +1,92 @@
+import { supabase } from '../lib/supabase';
+import { getFormatInfo } from '../utils/audioFormats';
+import { retryWithBackoff } from '../utils/concurrency';
+
+const AUDIO_BUCKET = 'generated-audio';
+const UPLOAD_RETRIES = 3;
+const SIGNED_URL_TTL_SECONDS = 300;
+
+// Network failures (no status), timeouts, rate limits and server errors are worth another try
+const isRetryableStorageError = (error) => {
+  const status = Number(error?.status);
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * Audio Storage Service
+ * Keeps generated audio in a private per-user Supabase Storage bucket so
+ * history rows can be replayed. Objects are stored as `<user id>/<file name>`;
+ * audio_generations.audio_url holds that path and playback goes through
+ * short-lived signed URLs.
+ */
+class AudioStorageService {
+  /**
+   * Whether an audio_url value is a path in the generated audio bucket
+   * @param {string} audioUrl - Value of audio_generations.audio_url
+   * @returns {boolean}
+   */
+  static isStoragePath(audioUrl) {
+    return !!audioUrl && !/^[a-z]+:/i.test(audioUrl);
+  }
+
+  /**
+   * Uploads a generated file, retrying transient failures
+   * @param {string} userId - Owner of the file
+   * @param {Blob} blob - Audio data
+   * @param {string} format - Output format, used for the extension and content type
+   * @returns {Promise<string>} - Object path to store in audio_url
+   */
+  static async upload(userId, blob, format) {
+    const { extension, mimeType } = getFormatInfo(format);
+    const path = `${userId}/${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${extension}`;
+
+    await retryWithBackoff(async () => {
+      const { error } = await supabase?.storage?.from(AUDIO_BUCKET)?.upload(path, blob, {
+        contentType: blob?.type || mimeType,
+        upsert: true
+      });
+      if (error) throw error;
+    }, {
+      retries: UPLOAD_RETRIES,
+      shouldRetry: isRetryableStorageError,
+      onRetry: (error, attempt) => console.warn(`Audio upload failed, retrying (${attempt}/${UPLOAD_RETRIES}):`, error?.message)
+    });
+
+    return path;
+  }
+
+  /**
+   * Creates a short-lived URL for playing or downloading a stored file
+   * @param {string} path - Object path
+   * @param {number} expiresIn - Lifetime in seconds
+   * @returns {Promise<string|null>} - Signed URL, or null if the file is missing
+   */
+  static async getSignedUrl(path, expiresIn = SIGNED_URL_TTL_SECONDS) {
+    const { data, error } = await supabase?.storage?.from(AUDIO_BUCKET)?.createSignedUrl(path, expiresIn);
+    if (error) {
+      console.warn('Failed to sign audio URL:', error);
+      return null;
+    }
+    return data?.signedUrl || null;
+  }
+
+  /**
+   * Removes stored files. Failures are only logged: the delete trigger also
+   * queues the paths for the cleanup-audio-orphans function.
+   * @param {Array<string>} paths - Object paths
+   * @returns {Promise<boolean>} - Whether the files were removed now
+   */
+  static async remove(paths) {
+    const storagePaths = (paths || []).filter(path => this.isStoragePath(path));
+    if (!storagePaths.length) return true;
+
+    const { error } = await supabase?.storage?.from(AUDIO_BUCKET)?.remove(storagePaths);
+    if (error) {
+      console.warn('Failed to remove stored audio; it will be cleaned up later:', error);
+      return false;
+    }
+    return true;
+  }
+}
+
+export default AudioStorageService;
@@ -0,0 +1,65 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const bucket = {
+  upload: vi.fn(),
+  createSignedUrl: vi.fn(),
+  remove: vi.fn()
+};
+
+vi.mock('../lib/supabase', () => ({ supabase: { storage: { from: () => bucket } } }));
+
+const { default: AudioStorageService } = await import('./audioStorageService');
+
+describe('AudioStorageService', () => {
+  beforeEach(() => {
+    Object.values(bucket).forEach(fn => fn.mockReset());
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  it('tells storage paths from URLs', () => {
+    expect(AudioStorageService.isStoragePath('u1/123-abc.mp3')).toBe(true);
+    expect(AudioStorageService.isStoragePath('https://cdn.test/a.mp3')).toBe(false);
+    expect(AudioStorageService.isStoragePath('blob:local')).toBe(false);
+    expect(AudioStorageService.isStoragePath(null)).toBe(false);
+  });
+
+  it('uploads into the user folder and retries server errors', async () => {
+    bucket.upload
+      .mockResolvedValueOnce({ error: { status: 503, message: 'busy' } })
+      .mockResolvedValueOnce({ error: null });
+
+    const path = await AudioStorageService.upload('u1', new Blob(['x'], { type: 'audio/mpeg' }), 'mp3');
+
+    expect(path).toMatch(/^u1\/\d+-\w*\.mp3$/);
+    expect(bucket.upload).toHaveBeenCalledTimes(2);
+    expect(bucket.upload.mock.calls[1][2]).toEqual({ contentType: 'audio/mpeg', upsert: true });
+  });
+
+  it('does not retry client errors', async () => {
+    bucket.upload.mockResolvedValue({ error: { status: 403, message: 'denied' } });
+
+    await expect(AudioStorageService.upload('u1', new Blob(['x']), 'wav')).rejects.toMatchObject({ status: 403 });
+    expect(bucket.upload).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns null for files that cannot be signed', async () => {
+    bucket.createSignedUrl
+      .mockResolvedValueOnce({ data: { signedUrl: 'https://signed.test/a' }, error: null })
+      .mockResolvedValueOnce({ data: null, error: { message: 'Object not found' } });
+
+    expect(await AudioStorageService.getSignedUrl('u1/a.mp3')).toBe('https://signed.test/a');
+    expect(await AudioStorageService.getSignedUrl('u1/gone.mp3')).toBeNull();
+  });
+
+  it('removes only storage paths and reports failures', async () => {
+    bucket.remove.mockResolvedValueOnce({ error: null }).mockResolvedValueOnce({ error: { message: 'offline' } });
+
+    expect(await AudioStorageService.remove(['https://cdn.test/a.mp3', null])).toBe(true);
+    expect(bucket.remove).not.toHaveBeenCalled();
+
+    expect(await AudioStorageService.remove(['u1/a.mp3', 'https://cdn.test/b.mp3'])).toBe(true);
+    expect(bucket.remove).toHaveBeenLastCalledWith(['u1/a.mp3']);
+    expect(await AudioStorageService.remove(['u1/b.mp3'])).toBe(false);
+  });
+});
@@ -0,0 +1,152 @@
+import { supabase, getFunctionUrl, getFunctionHeaders } from '../lib/supabase';
+
+// Subscription statuses that keep paid access (matches subscription_grants_access)
+const ACCESS_STATUSES = ['trialing', 'active', 'past_due'];
+
+/**
+ * Billing Service
+ * Reads plans, the user's subscription and invoices from Supabase, and asks
+ * the billing Edge Function for plan changes. Changes go through the payment
+ * provider; its webhook updates the subscription, so callers should reload
+ * after a change rather than assume it has already been applied.
+ */
+class BillingService {
+  /**
+   * Gets the plans that can be subscribed to, cheapest first
+   * @returns {Promise<Array<Object>>} - Plan rows, without internal plans
+   */
+  static async getPlans() {
+    try {
+      const { data, error } = await supabase
+        ?.from('plans')
+        ?.select('id, name, description, monthly_characters, monthly_generations, storage_bytes, price_cents, provider_price_id')
+        ?.neq('id', 'admin')
+        ?.order('sort_order', { ascending: true });
+
+      if (error) throw error;
+
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching plans:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the user's current subscription: the one granting access, otherwise the most recent
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Subscription row, or null for users who never subscribed
+   */
+  static async getSubscription(userId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('subscriptions')
+        ?.select('id, plan_id, status, current_period_start, current_period_end, cancel_at_period_end, canceled_at, ended_at, updated_at')
+        ?.eq('user_id', userId)
+        ?.order('created_at', { ascending: false })
+        ?.limit(20);
+
+      if (error) throw error;
+
+      return data?.find(subscription => this.grantsAccess(subscription)) || data?.[0] || null;
+    } catch (error) {
+      console.error('Error fetching subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the user's invoices, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} - Invoice rows
+   */
+  static async getInvoices(userId) {
+    try {
+      const { data, error } = await supabase
+        ?.from('invoices')
+        ?.select('id, number, status, amount_due, amount_paid, currency, hosted_invoice_url, invoice_pdf, period_start, period_end, issued_at')
+        ?.eq('user_id', userId)
+        ?.order('issued_at', { ascending: false })
+        ?.limit(100);
+
+      if (error) throw error;
+
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a subscription currently grants its plan
+   * @param {Object} subscription - Subscription row
+   * @returns {boolean}
+   */
+  static grantsAccess(subscription) {
+    return ACCESS_STATUSES.includes(subscription?.status);
+  }
+
+  /**
+   * Starts checkout for a paid plan
+   * @param {string} planId - Plan to subscribe to
+   * @returns {Promise<string>} - Payment page URL to redirect to
+   */
+  static async startCheckout(planId) {
+    const { url } = await this.callBillingFunction({
+      action: 'checkout',
+      planId,
+      returnUrl: `${window.location.origin}/billing`
+    });
+    return url;
+  }
+
+  /**
+   * Switches the active subscription to another paid plan
+   * @param {string} planId - Plan to switch to
+   * @returns {Promise<void>}
+   */
+  static async changePlan(planId) {
+    await this.callBillingFunction({ action: 'change', planId });
+  }
+
+  /**
+   * Cancels the subscription at the end of the paid period
+   * @returns {Promise<void>}
+   */
+  static async cancelSubscription() {
+    await this.callBillingFunction({ action: 'cancel' });
+  }
+
+  /**
+   * Undoes a pending cancellation
+   * @returns {Promise<void>}
+   */
+  static async resumeSubscription() {
+    await this.callBillingFunction({ action: 'resume' });
+  }
+
+  /**
+   * Calls the billing Edge Function as the signed-in user
+   * @param {Object} body - Request body ({ action, planId, returnUrl })
+   * @returns {Promise<Object>} - Response body
+   */
+  static async callBillingFunction(body) {
+    const headers = await getFunctionHeaders();
+    if (!headers) throw new Error('Please sign in to manage your plan.');
+
+    const response = await fetch(getFunctionUrl('billing'), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+    const payload = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new Error(payload?.error || 'Billing request failed. Please try again.');
+    }
+    return payload;
+  }
+}
+
+export default BillingService;
@@ -0,0 +1,71 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+const subscriptions = { data: [] };
+const getFunctionHeaders = vi.fn();
+
+const query = () => {
+  const chain = {
+    select: () => chain,
+    eq: () => chain,
+    order: () => chain,
+    limit: () => Promise.resolve({ data: subscriptions.data, error: null })
+  };
+  return chain;
+};
+
+vi.mock('../lib/supabase', () => ({
+  supabase: { from: () => query() },
+  getFunctionUrl: name => `http://supabase.invalid/functions/v1/${name}`,
+  getFunctionHeaders: (...args) => getFunctionHeaders(...args)
+}));
+
+const { default: BillingService } = await import('./billingService');
+
+describe('BillingService subscriptions', () => {
+  it('grants access while trialing, active or past due', () => {
+    expect(['trialing', 'active', 'past_due'].every(status => BillingService.grantsAccess({ status }))).toBe(true);
+    expect(['canceled', 'incomplete', 'unpaid'].some(status => BillingService.grantsAccess({ status }))).toBe(false);
+    expect(BillingService.grantsAccess(null)).toBe(false);
+  });
+
+  it('prefers the subscription granting access over newer ended ones', async () => {
+    subscriptions.data = [{ id: 'new', status: 'canceled' }, { id: 'paid', status: 'active' }];
+    expect((await BillingService.getSubscription('u1')).id).toBe('paid');
+
+    subscriptions.data = [{ id: 'new', status: 'canceled' }, { id: 'old', status: 'canceled' }];
+    expect((await BillingService.getSubscription('u1')).id).toBe('new');
+
+    subscriptions.data = [];
+    expect(await BillingService.getSubscription('u1')).toBeNull();
+  });
+});
+
+describe('BillingService.callBillingFunction', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    getFunctionHeaders.mockReset();
+  });
+
+  it('requires a signed-in user', async () => {
+    getFunctionHeaders.mockResolvedValue(null);
+
+    await expect(BillingService.changePlan('pro')).rejects.toThrow('Please sign in to manage your plan.');
+  });
+
+  it('posts the action and surfaces the function error', async () => {
+    getFunctionHeaders.mockResolvedValue({ Authorization: 'Bearer token' });
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ ok: true }) })
+      .mockResolvedValueOnce({ ok: false, json: async () => ({ error: 'No active subscription.' }) });
+    vi.stubGlobal('fetch', fetchMock);
+
+    await BillingService.changePlan('pro');
+    expect(fetchMock).toHaveBeenCalledWith('http://supabase.invalid/functions/v1/billing', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer token' },
+      body: JSON.stringify({ action: 'change', planId: 'pro' })
+    });
+
+    await expect(BillingService.cancelSubscription()).rejects.toThrow('No active subscription.');
+  });
+});
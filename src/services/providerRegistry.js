@@ -0,0 +1,87 @@
+import OpenAIProvider from './providers/openaiProvider';
+import GoogleCloudProvider from './providers/googleCloudProvider';
+
+/**
+ * TTS Provider Registry
+ * Keeps track of available speech engines, their ranking and the fallback
+ * chain used when a provider fails.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Registers a provider
+   * @param {BaseProvider} provider - Provider instance
+   * @param {Object} options - Registration options
+   * @param {number} options.priority - Lower values are tried first (default 100)
+   * @returns {ProviderRegistry} - The registry, for chaining
+   */
+  register(provider, { priority = 100 } = {}) {
+    this.providers.set(provider?.id, { provider, priority });
+    return this;
+  }
+
+  /**
+   * Removes a provider from the registry
+   * @param {string} id - Provider id
+   */
+  unregister(id) {
+    this.providers.delete(id);
+  }
+
+  /**
+   * Gets a registered provider by id
+   * @param {string} id - Provider id
+   * @returns {BaseProvider|null}
+   */
+  get(id) {
+    return this.providers.get(id)?.provider || null;
+  }
+
+  /**
+   * Lists all registered providers ordered by priority
+   * @returns {Array<BaseProvider>}
+   */
+  list() {
+    return Array.from(this.providers.values())
+      .sort((a, b) => a.priority - b.priority)
+      .map(entry => entry.provider);
+  }
+
+  /**
+   * Builds the fallback chain of configured providers.
+   * The order comes from the `order` argument, then VITE_TTS_PROVIDERS
+   * (comma separated ids, e.g. "openai,google"), then registration priority.
+   * @param {Array<string>} order - Optional explicit provider order
+   * @returns {Array<BaseProvider>} - Configured providers in the order to try them
+   */
+  getFallbackChain(order = null) {
+    const configuredOrder = order || import.meta.env?.VITE_TTS_PROVIDERS
+      ?.split(',')
+      ?.map(id => id?.trim())
+      ?.filter(Boolean);
+
+    const providers = configuredOrder?.length
+      ? configuredOrder.map(id => this.get(id)).filter(Boolean)
+      : this.list();
+
+    return providers.filter(provider => provider.isConfigured());
+  }
+
+  /**
+   * Gets the highest ranked configured provider
+   * @returns {BaseProvider|null}
+   */
+  getDefault() {
+    return this.getFallbackChain()?.[0] || null;
+  }
+}
+
+const providerRegistry = new ProviderRegistry()
+  .register(new OpenAIProvider(), { priority: 10 })
+  .register(new GoogleCloudProvider(), { priority: 20 });
+
+export { ProviderRegistry };
+export default providerRegistry;
@@ -0,0 +1,48 @@
+import { describe, expect, it, vi } from 'vitest';
+import { ProviderRegistry } from './providerRegistry';
+import BaseProvider from './providers/baseProvider';
+
+vi.mock('../lib/supabase', () => ({ getFunctionUrl: () => null, getFunctionHeaders: async () => null }));
+
+class FakeProvider extends BaseProvider {
+  constructor(id, configured = true) {
+    super({ id, label: id });
+    this.configured = configured;
+  }
+
+  isConfigured() {
+    return this.configured;
+  }
+}
+
+describe('ProviderRegistry', () => {
+  const build = () => new ProviderRegistry()
+    .register(new FakeProvider('second'), { priority: 20 })
+    .register(new FakeProvider('first'), { priority: 10 })
+    .register(new FakeProvider('unconfigured', false), { priority: 5 });
+
+  it('lists providers by priority', () => {
+    expect(build().list().map(provider => provider.id)).toEqual(['unconfigured', 'first', 'second']);
+  });
+
+  it('builds the fallback chain from configured providers only', () => {
+    const registry = build();
+
+    expect(registry.getFallbackChain().map(provider => provider.id)).toEqual(['first', 'second']);
+    expect(registry.getDefault()?.id).toBe('first');
+  });
+
+  it('follows an explicit order and skips unknown ids', () => {
+    const chain = build().getFallbackChain(['second', 'missing', 'first']);
+
+    expect(chain.map(provider => provider.id)).toEqual(['second', 'first']);
+  });
+
+  it('unregisters providers', () => {
+    const registry = build();
+    registry.unregister('first');
+
+    expect(registry.get('first')).toBeNull();
+    expect(registry.getDefault()?.id).toBe('second');
+  });
+});
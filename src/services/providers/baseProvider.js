@@ -0,0 +1,106 @@
+/**
+ * Base TTS Provider
+ * Defines the interface every speech engine adapter implements.
+ * Subclasses override the methods below; the registry and TTSService
+ * only ever talk to providers through this surface.
+ */
+class BaseProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.id - Stable provider id used in configuration (e.g. 'openai')
+   * @param {string} options.label - Human readable name
+   */
+  constructor({ id, label }) {
+    this.id = id;
+    this.label = label;
+  }
+
+  /**
+   * Whether the provider has the configuration it needs to be called
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Maps UI voice settings to provider request parameters
+   * @param {Object} settings - Voice customization settings
+   * @returns {Object} - Provider specific settings
+   */
+  mapVoiceSettings(settings) {
+    throw new Error(`${this.label} does not implement mapVoiceSettings.`);
+  }
+
+  /**
+   * Synthesizes a single chunk of text (at most getLimits().maxInputLength characters)
+   * @param {string} text - Text to synthesize
+   * @param {Object} providerSettings - Settings returned by mapVoiceSettings
+   * @param {Object} options - Synthesis options
+   * @param {Function} options.onData - Streaming providers call this with each Uint8Array as it arrives
+   * @param {Function} options.onBytes - Called as onBytes(received, total|null) while the response downloads
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @param {string} options.generationId - Shared by every chunk of one generation, so the
+   *   server charges the generation once
+   * @returns {Promise<Blob>} - Encoded audio (the complete file, even when streamed)
+   */
+  async synthesize(text, providerSettings, options = {}) {
+    throw new Error(`${this.label} does not implement synthesize.`);
+  }
+
+  /**
+   * Whether synthesize() reports audio incrementally through options.onData
+   * @returns {boolean}
+   */
+  supportsStreaming() {
+    return false;
+  }
+
+  /**
+   * Whether the provider honors emotion, voice style and voice direction for these settings
+   * @param {Object} settings - Voice customization settings
+   * @returns {boolean}
+   */
+  supportsInstructions(settings) {
+    return false;
+  }
+
+  /**
+   * Whether the provider applies the Voice Pitch setting itself.
+   * Providers that don't have their output pitch-shifted after generation.
+   * @returns {boolean}
+   */
+  supportsNativePitch() {
+    return false;
+  }
+
+  /**
+   * Lists the native voices this provider offers, keyed by app character
+   * @returns {Array<{character: string, voice: string, label: string}>}
+   */
+  listVoices() {
+    return [];
+  }
+
+  /**
+   * Lists the output formats this provider can produce
+   * @returns {Array<string>} - Format ids (e.g. 'mp3')
+   */
+  getSupportedFormats() {
+    return ['mp3'];
+  }
+
+  /**
+   * Gets request limits for this provider
+   * @returns {{maxInputLength: number, maxConcurrency: number, sampleRate: number}}
+   */
+  getLimits() {
+    return {
+      maxInputLength: 4000,
+      maxConcurrency: 1,
+      sampleRate: 24000
+    };
+  }
+}
+
+export default BaseProvider;
@@ -0,0 +1,142 @@
+import BaseProvider from './baseProvider';
+import { getFunctionUrl, getFunctionHeaders } from '../../lib/supabase';
+import { getFormatInfo } from '../../utils/audioFormats';
+import { AuthError, errorFromResponse } from '../../utils/ttsErrors';
+
+// Map character names to Google Cloud Neural2 voices
+const VOICE_MAPPING = {
+  'chloe': 'en-US-Neural2-C',
+  'kelly': 'en-US-Neural2-E',
+  'racheal': 'en-US-Neural2-H',
+  'david': 'en-US-Neural2-D',
+  'alex': 'en-US-Neural2-G',
+  'sarah': 'en-US-Neural2-F'
+};
+
+// Map speed settings to Google speakingRate
+const SPEED_MAPPING = {
+  'slow': 0.75,
+  'normal': 1.0,
+  'fast': 1.25
+};
+
+// Map pitch settings to Google pitch (semitones, -20 to 20)
+const PITCH_MAPPING = {
+  'low': -4,
+  'medium': 0,
+  'high': 4
+};
+
+// Output formats the google-speech Edge Function can produce (pcm is LINEAR16 without the WAV header).
+// Google has no AAC or FLAC encoding.
+const SUPPORTED_FORMATS = ['mp3', 'wav', 'pcm', 'opus'];
+
+/**
+ * Google Cloud TTS Provider
+ * Synthesizes speech with Google Cloud Text-to-Speech through the `google-speech`
+ * Edge Function, which holds the API key server-side, requires a signed-in user
+ * and charges the same plan quota as OpenAI generations.
+ */
+class GoogleCloudProvider extends BaseProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.endpoint - Function URL (defaults to the google-speech Edge Function).
+   *   Point this at a local HTTP stand-in to exercise the adapter without Supabase or Google.
+   * @param {Function} options.getHeaders - Resolves request headers, or null when nobody is signed in
+   *   (defaults to the signed-in user's Supabase headers)
+   * @param {boolean} options.enabled - Whether the function is deployed (defaults to VITE_GOOGLE_TTS_ENABLED)
+   */
+  constructor({ endpoint, getHeaders, enabled } = {}) {
+    super({ id: 'google', label: 'Google Cloud TTS' });
+    this.endpoint = endpoint ?? null;
+    this.getHeaders = getHeaders ?? getFunctionHeaders;
+    this.enabled = enabled ?? import.meta.env?.VITE_GOOGLE_TTS_ENABLED === 'true';
+  }
+
+  isConfigured() {
+    // The key lives in the Edge Function; the flag says it has been deployed with one
+    return this.enabled && (!!this.endpoint || !!import.meta.env?.VITE_SUPABASE_URL);
+  }
+
+  mapVoiceSettings(settings) {
+    const { voiceSpeed, voicePitch, character, outputFormat, model } = settings || {};
+    const voice = VOICE_MAPPING?.[character] || VOICE_MAPPING.chloe;
+    const format = outputFormat || 'mp3';
+
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new Error(`${this.label} can't produce ${format.toUpperCase()} audio. Choose ${SUPPORTED_FORMATS.map(id => id.toUpperCase()).join(', ')} instead.`);
+    }
+
+    return {
+      voice,
+      languageCode: voice.split('-').slice(0, 2).join('-'),
+      speed: SPEED_MAPPING?.[voiceSpeed] || 1.0,
+      pitch: PITCH_MAPPING?.[voicePitch] ?? 0,
+      // Google has no model choice, but HD quality is still premium-only
+      model: model || 'tts-1',
+      format
+    };
+  }
+
+  async synthesize(text, providerSettings, { onBytes, signal, generationId } = {}) {
+    const headers = await this.getHeaders();
+    if (!headers) {
+      throw new AuthError('Please sign in to generate audio.', { provider: this.id });
+    }
+
+    const response = await fetch(this.endpoint || getFunctionUrl('google-speech'), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        text,
+        voice: providerSettings?.voice,
+        speed: providerSettings?.speed,
+        pitch: providerSettings?.pitch,
+        model: providerSettings?.model,
+        format: providerSettings?.format || 'mp3',
+        generationId
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, {
+        message: response.status === 401 ? 'Your session has expired. Please sign in again.' : null,
+        provider: this.id
+      });
+    }
+
+    const { mimeType } = getFormatInfo(providerSettings?.format);
+    const audio = await response.arrayBuffer();
+    onBytes?.(audio.byteLength, audio.byteLength);
+
+    return new Blob([audio], { type: mimeType });
+  }
+
+  supportsNativePitch() {
+    return true;
+  }
+
+  listVoices() {
+    return Object.entries(VOICE_MAPPING).map(([character, voice]) => ({
+      character,
+      voice,
+      label: voice
+    }));
+  }
+
+  getSupportedFormats() {
+    return SUPPORTED_FORMATS;
+  }
+
+  getLimits() {
+    return {
+      // Google limits input to 5000 bytes; leave room for multi-byte characters
+      maxInputLength: 2500,
+      maxConcurrency: 3,
+      sampleRate: 24000
+    };
+  }
+}
+
+export default GoogleCloudProvider;
@@ -0,0 +1,121 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import GoogleCloudProvider from './googleCloudProvider';
+import { ERROR_CODES } from '../../utils/ttsErrors';
+import { startSpeechFunctionStandIn } from '../../test/speechFunctionStandIn';
+
+vi.mock('../../lib/supabase', () => ({
+  getFunctionUrl: name => `http://supabase.invalid/functions/v1/${name}`,
+  getFunctionHeaders: async () => null
+}));
+
+const HEADERS = { 'Authorization': 'Bearer test-token', 'Content-Type': 'application/json' };
+
+describe('GoogleCloudProvider', () => {
+  let standIn;
+  let provider;
+
+  beforeAll(async () => {
+    standIn = await startSpeechFunctionStandIn();
+  });
+
+  afterAll(() => standIn.close());
+
+  beforeEach(() => {
+    standIn.requests.length = 0;
+    provider = new GoogleCloudProvider({ endpoint: standIn.url, getHeaders: async () => HEADERS, enabled: true });
+  });
+
+  describe('mapVoiceSettings', () => {
+    it('maps characters, speed and pitch to Google voices and audio config', () => {
+      expect(provider.mapVoiceSettings({ character: 'david', voiceSpeed: 'fast', voicePitch: 'low', outputFormat: 'wav', model: 'tts-1-hd' })).toEqual({
+        voice: 'en-US-Neural2-D',
+        languageCode: 'en-US',
+        speed: 1.25,
+        pitch: -4,
+        model: 'tts-1-hd',
+        format: 'wav'
+      });
+    });
+
+    it('falls back to the default voice, speed and pitch for unknown settings', () => {
+      expect(provider.mapVoiceSettings({ character: 'nobody', voiceSpeed: 'warp', voicePitch: 'shrill' })).toMatchObject({
+        voice: 'en-US-Neural2-C',
+        speed: 1.0,
+        pitch: 0,
+        model: 'tts-1',
+        format: 'mp3'
+      });
+    });
+
+    it.each(['mp3', 'wav', 'pcm', 'opus'])('keeps the %s format', (format) => {
+      expect(provider.mapVoiceSettings({ outputFormat: format }).format).toBe(format);
+    });
+
+    it.each(['flac', 'aac'])('rejects %s, which Google can not produce', (format) => {
+      expect(() => provider.mapVoiceSettings({ outputFormat: format })).toThrow(`can't produce ${format.toUpperCase()} audio`);
+    });
+  });
+
+  describe('synthesize', () => {
+    it('posts the mapped settings to the function and returns typed audio', async () => {
+      standIn.reply({ status: 200, body: new Uint8Array([1, 2, 3, 4]) });
+      const onBytes = vi.fn();
+
+      const settings = provider.mapVoiceSettings({ character: 'sarah', voiceSpeed: 'slow', voicePitch: 'high', outputFormat: 'opus' });
+      const blob = await provider.synthesize('Hello there.', settings, { onBytes });
+
+      expect(blob.type).toBe('audio/ogg');
+      expect(blob.size).toBe(4);
+      expect(onBytes).toHaveBeenCalledWith(4, 4);
+      expect(standIn.requests).toHaveLength(1);
+      expect(standIn.requests[0].headers.authorization).toBe('Bearer test-token');
+      expect(standIn.requests[0].body).toEqual({
+        text: 'Hello there.',
+        voice: 'en-US-Neural2-F',
+        speed: 0.75,
+        pitch: 4,
+        model: 'tts-1',
+        format: 'opus'
+      });
+    });
+
+    it('asks for sign-in without calling the function when nobody is signed in', async () => {
+      provider = new GoogleCloudProvider({ endpoint: standIn.url, getHeaders: async () => null, enabled: true });
+
+      await expect(provider.synthesize('Hello.', provider.mapVoiceSettings({}))).rejects.toMatchObject({ code: ERROR_CODES.AUTH });
+      expect(standIn.requests).toHaveLength(0);
+    });
+
+    it.each([
+      [401, { error: 'Authentication required.', code: 'auth' }, ERROR_CODES.AUTH],
+      [403, { error: 'Forbidden' }, ERROR_CODES.AUTH],
+      [403, { error: 'HD quality requires an active premium subscription.', code: 'quota' }, ERROR_CODES.QUOTA],
+      [402, { error: 'Plan limit reached.', code: 'quota', limit: 'characters' }, ERROR_CODES.QUOTA],
+      [429, { error: 'Too many speech requests right now.', code: 'rate_limited' }, ERROR_CODES.RATE_LIMITED],
+      [400, { error: 'Unsupported voice.' }, ERROR_CODES.CONTENT_REJECTED],
+      [500, { error: 'Internal error' }, ERROR_CODES.PROVIDER_UNAVAILABLE],
+      [502, { error: 'Speech service is misconfigured.', code: 'provider_unavailable' }, ERROR_CODES.PROVIDER_UNAVAILABLE],
+      [503, { error: 'Speech service is not configured.', code: 'provider_unavailable' }, ERROR_CODES.PROVIDER_UNAVAILABLE]
+    ])('maps a %i response to a TTSError', async (status, body, code) => {
+      standIn.reply({ status, body });
+
+      await expect(provider.synthesize('Hello.', provider.mapVoiceSettings({}))).rejects.toMatchObject({ code, status, provider: 'google' });
+    });
+
+    it('passes Retry-After on to rate limit errors', async () => {
+      standIn.reply({ status: 429, body: { error: 'Slow down.', code: 'rate_limited' }, headers: { 'Retry-After': '3' } });
+
+      await expect(provider.synthesize('Hello.', provider.mapVoiceSettings({}))).rejects.toMatchObject({
+        code: ERROR_CODES.RATE_LIMITED,
+        retryAfterMs: 3000
+      });
+    });
+  });
+
+  describe('isConfigured', () => {
+    it('is off until the function is enabled', () => {
+      expect(new GoogleCloudProvider({ endpoint: standIn.url, enabled: false }).isConfigured()).toBe(false);
+      expect(provider.isConfigured()).toBe(true);
+    });
+  });
+});
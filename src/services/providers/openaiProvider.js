@@ -0,0 +1,146 @@
+import BaseProvider from './baseProvider';
+import { getFunctionUrl, getFunctionHeaders } from '../../lib/supabase';
+import { getFormatInfo } from '../../utils/audioFormats';
+import { buildDeliveryInstructions } from '../../utils/deliveryInstructions';
+import { AuthError, errorFromResponse } from '../../utils/ttsErrors';
+
+// Map character names to OpenAI voice names
+const VOICE_MAPPING = {
+  'chloe': 'alloy',
+  'kelly': 'echo',
+  'racheal': 'fable',
+  'david': 'onyx',
+  'alex': 'nova',
+  'sarah': 'shimmer'
+};
+
+// Output formats accepted by OpenAI's response_format
+const SUPPORTED_FORMATS = ['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'];
+
+// tts-1-hd is restricted to premium users by the Edge Function
+const SUPPORTED_MODELS = ['tts-1', 'tts-1-hd', 'gpt-4o-mini-tts'];
+
+// Models that follow free-text delivery instructions (emotion, style, direction)
+const INSTRUCTION_MODELS = ['gpt-4o-mini-tts'];
+
+// Map speed settings
+const SPEED_MAPPING = {
+  'slow': 0.75,
+  'normal': 1.0,
+  'fast': 1.25
+};
+
+/**
+ * OpenAI TTS Provider
+ * Synthesizes speech with OpenAI through the `generate-speech` Edge Function,
+ * which holds the API key server-side and requires a signed-in user.
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor() {
+    super({ id: 'openai', label: 'OpenAI' });
+  }
+
+  isConfigured() {
+    // The key lives in the Edge Function; the browser only needs Supabase
+    return !!import.meta.env?.VITE_SUPABASE_URL;
+  }
+
+  mapVoiceSettings(settings) {
+    const { voiceSpeed, character, outputFormat, model } = settings || {};
+    const resolvedModel = SUPPORTED_MODELS.includes(model) ? model : 'tts-1';
+    const usesInstructions = INSTRUCTION_MODELS.includes(resolvedModel);
+
+    return {
+      voice: VOICE_MAPPING?.[character] || 'alloy',
+      // Instruction models ignore speed, so pace is described in the instructions instead
+      speed: usesInstructions ? 1.0 : SPEED_MAPPING?.[voiceSpeed] || 1.0,
+      model: resolvedModel,
+      format: SUPPORTED_FORMATS.includes(outputFormat) ? outputFormat : 'mp3',
+      instructions: usesInstructions ? buildDeliveryInstructions(settings, { includePace: true }) : undefined
+    };
+  }
+
+  async synthesize(text, providerSettings, { onData, onBytes, signal, generationId } = {}) {
+    const headers = await getFunctionHeaders();
+    if (!headers) {
+      throw new AuthError('Please sign in to generate audio.', { provider: this.id });
+    }
+
+    const response = await fetch(getFunctionUrl('generate-speech'), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        text,
+        model: providerSettings?.model,
+        voice: providerSettings?.voice,
+        speed: providerSettings?.speed,
+        format: providerSettings?.format || 'mp3',
+        instructions: providerSettings?.instructions,
+        generationId
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, {
+        message: response.status === 401 ? 'Your session has expired. Please sign in again.' : null,
+        provider: this.id
+      });
+    }
+
+    const { mimeType } = getFormatInfo(providerSettings?.format);
+
+    if (!response.body) {
+      return new Blob([await response.arrayBuffer()], {
+        type: mimeType
+      });
+    }
+
+    // Read the body incrementally, reporting bytes and handing each piece to the caller
+    const total = Number(response.headers.get('Content-Length')) || null;
+    const reader = response.body.getReader();
+    const parts = [];
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(value);
+      received += value.byteLength;
+      onData?.(value);
+      onBytes?.(received, total);
+    }
+
+    return new Blob(parts, { type: mimeType });
+  }
+
+  supportsStreaming() {
+    return true;
+  }
+
+  supportsInstructions(settings) {
+    return INSTRUCTION_MODELS.includes(settings?.model);
+  }
+
+  listVoices() {
+    return Object.entries(VOICE_MAPPING).map(([character, voice]) => ({
+      character,
+      voice,
+      label: voice.charAt(0).toUpperCase() + voice.slice(1)
+    }));
+  }
+
+  getSupportedFormats() {
+    return SUPPORTED_FORMATS;
+  }
+
+  getLimits() {
+    return {
+      // OpenAI rejects inputs over 4096 characters; keep headroom below that
+      maxInputLength: 4000,
+      maxConcurrency: 3,
+      sampleRate: 24000
+    };
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,102 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import OpenAIProvider from './openaiProvider';
+import { getFunctionHeaders } from '../../lib/supabase';
+import { ERROR_CODES } from '../../utils/ttsErrors';
+
+vi.mock('../../lib/supabase', () => ({
+  getFunctionUrl: name => `http://supabase.invalid/functions/v1/${name}`,
+  getFunctionHeaders: vi.fn()
+}));
+
+const HEADERS = { 'Authorization': 'Bearer test-token', 'Content-Type': 'application/json' };
+
+describe('OpenAIProvider', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('maps characters and speed to OpenAI voices', () => {
+    const provider = new OpenAIProvider();
+
+    expect(provider.mapVoiceSettings({ character: 'david', voiceSpeed: 'slow' })).toEqual({
+      voice: 'onyx',
+      speed: 0.75,
+      model: 'tts-1',
+      format: 'mp3'
+    });
+    expect(provider.mapVoiceSettings({ character: 'unknown' })).toMatchObject({ voice: 'alloy', speed: 1.0 });
+  });
+
+  it('passes supported output formats through and labels the audio with their MIME type', async () => {
+    getFunctionHeaders.mockResolvedValue(HEADERS);
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(new Uint8Array([1]))));
+    const provider = new OpenAIProvider();
+
+    expect(provider.mapVoiceSettings({ outputFormat: 'flac' }).format).toBe('flac');
+    expect(provider.mapVoiceSettings({ outputFormat: 'webm' }).format).toBe('mp3');
+
+    const blob = await provider.synthesize('Hi', provider.mapVoiceSettings({ outputFormat: 'flac' }));
+    expect(blob.type).toBe('audio/flac');
+  });
+
+  it('passes the chosen quality model through, defaulting to standard', () => {
+    const provider = new OpenAIProvider();
+
+    expect(provider.mapVoiceSettings({ model: 'tts-1-hd' }).model).toBe('tts-1-hd');
+    expect(provider.mapVoiceSettings({ model: 'gpt-4o' }).model).toBe('tts-1');
+  });
+
+  it('sends delivery instructions, including pace, to instruction models', () => {
+    const provider = new OpenAIProvider();
+    const settings = { model: 'gpt-4o-mini-tts', emotion: 'happy', voiceSpeed: 'slow' };
+
+    expect(provider.supportsInstructions(settings)).toBe(true);
+    expect(provider.mapVoiceSettings(settings)).toMatchObject({
+      speed: 1.0,
+      instructions: 'Sound cheerful and warm, with a smile in your voice. Speak at a slow, deliberate pace.'
+    });
+    expect(provider.mapVoiceSettings({ ...settings, model: 'tts-1' }).instructions).toBeUndefined();
+  });
+
+  it('requires a signed-in user', async () => {
+    getFunctionHeaders.mockResolvedValue(null);
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(new OpenAIProvider().synthesize('Hi', {})).rejects.toThrow('sign in');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('posts to the generate-speech function with the user token', async () => {
+    getFunctionHeaders.mockResolvedValue(HEADERS);
+    const fetchMock = vi.fn(async () => new Response(new Uint8Array([1, 2, 3])));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const provider = new OpenAIProvider();
+    const blob = await provider.synthesize('Hello', provider.mapVoiceSettings({ character: 'sarah' }));
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://supabase.invalid/functions/v1/generate-speech');
+    expect(init.headers).toEqual(HEADERS);
+    expect(JSON.parse(init.body)).toEqual({ text: 'Hello', model: 'tts-1', voice: 'shimmer', speed: 1.0, format: 'mp3' });
+    expect(blob.type).toBe('audio/mpeg');
+    expect(blob.size).toBe(3);
+  });
+
+  it('reports expired sessions and function errors', async () => {
+    getFunctionHeaders.mockResolvedValue(HEADERS);
+    const provider = new OpenAIProvider();
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ error: 'Invalid JWT' }), { status: 401 })));
+    await expect(provider.synthesize('Hi', {})).rejects.toThrow('session has expired');
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ error: 'HD quality requires premium.' }), { status: 403 })));
+    await expect(provider.synthesize('Hi', {})).rejects.toThrow('HD quality requires premium.');
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ error: 'Text is too long' }), { status: 400 })));
+    await expect(provider.synthesize('Hi', {})).rejects.toThrow('Text is too long');
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ error: 'Monthly limit reached', code: 'quota' }), { status: 402 })));
+    await expect(provider.synthesize('Hi', {})).rejects.toMatchObject({ code: ERROR_CODES.QUOTA, status: 402, provider: 'openai' });
+  });
+});
@@ -1,4 +1,28 @@
 import { supabase } from '../lib/supabase';
+import AudioStorageService from './audioStorageService';
+import { measureAudioDuration } from '../utils/audioStitcher';
+import { resolveNormalization } from '../utils/textNormalizer';
+import { QuotaError } from '../utils/ttsErrors';
+
+// Everything the history needs; leaves out the text_search vector
+const HISTORY_COLUMNS = 'id, user_id, preset_id, text_content, audio_url, duration_ms, duration_seconds, duration_source, output_format, model, cache_hit, cache_key, settings, character, generated_at';
+
+// Largest page search_audio_generations returns
+const MAX_HISTORY_PAGE_SIZE = 200;
+
+// Messages for the limits the database raises as 'quota_exceeded:<limit>'
+const QUOTA_MESSAGES = {
+  characters: 'You have used all characters included in your plan this month.',
+  generations: 'You have used all generations included in your plan this month.',
+  storage: 'Your audio storage is full. Delete old generations or upgrade your plan.'
+};
+
+/**
+ * Reads which plan limit a database error reports, if any
+ * @param {Object} error - Supabase error
+ * @returns {string|null} - 'characters', 'generations', 'storage' or null
+ */
+const quotaExceededLimit = error => error?.message?.match(/quota_exceeded:(\w+)/)?.[1] || null;
 
 /**
  * Supabase Service for TTS App
@@ -15,7 +39,14 @@ class SupabaseService {
       const { 
         text_content, 
         audio_url, 
-        duration_seconds, 
+        duration_ms,
+        duration_source = 'estimated',
+        output_format = 'mp3',
+        model = null,
+        cache_hit = false,
+        cache_key = null,
+        settings = null,
+        character = settings?.character || null,
         preset_id,
         user_id 
       } = audioData;
@@ -23,11 +54,23 @@ class SupabaseService {
       const { data, error } = await supabase?.from('audio_generations')?.insert({
           text_content,
           audio_url,
-          duration_seconds,
+          duration_ms,
+          duration_seconds: Math.round((duration_ms || 0) / 1000),
+          duration_source,
+          output_format,
+          model,
+          cache_hit,
+          cache_key,
+          settings,
+          character,
           preset_id,
           user_id
         })?.select()?.single();
 
+      const limit = quotaExceededLimit(error);
+      if (limit) {
+        throw Object.assign(new QuotaError(QUOTA_MESSAGES?.[limit]), { limit });
+      }
       if (error) throw error;
 
       return data;
@@ -38,34 +81,226 @@ class SupabaseService {
   }
 
   /**
-   * Gets user's audio generation history
+   * Uploads generated audio to the user's storage folder and saves the
+   * generation with its path in audio_url. If the upload still fails after
+   * retrying, or the plan's storage is full, the generation is saved without
+   * audio rather than lost; if the insert fails, the uploaded file is removed again.
+   * @param {Blob} audioBlob - Generated audio
+   * @param {Object} audioData - Audio generation data, as for saveAudioGeneration
+   * @returns {Promise<Object>} - Saved audio generation record
+   */
+  static async saveGeneratedAudio(audioBlob, audioData) {
+    let audioPath = null;
+    if (audioBlob && audioData?.user_id) {
+      try {
+        audioPath = await AudioStorageService.upload(audioData.user_id, audioBlob, audioData?.output_format);
+      } catch (uploadError) {
+        console.warn('Failed to upload generated audio; saving history without it:', uploadError);
+      }
+    }
+
+    try {
+      return await this.saveAudioGeneration({ ...audioData, audio_url: audioPath });
+    } catch (error) {
+      if (audioPath) await AudioStorageService.remove([audioPath]);
+      if (audioPath && error?.limit === 'storage') {
+        console.warn('Audio storage is full; saving history without audio');
+        return await this.saveAudioGeneration({ ...audioData, audio_url: null });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes audio generations and their stored audio files
+   * @param {Array<string>} generationIds - Generation IDs
    * @param {string} userId - User ID
-   * @param {number} limit - Number of records to fetch
-   * @returns {Promise<Array>} - Array of audio generation records
+   * @returns {Promise<number>} - Number of deleted rows
    */
-  static async getAudioGenerations(userId, limit = 50) {
+  static async deleteAudioGenerations(generationIds, userId) {
     try {
-      const { data, error } = await supabase?.from('audio_generations')?.select(`
-          *,
+      if (!generationIds?.length) return 0;
+
+      const { data, error } = await supabase
+        ?.from('audio_generations')
+        ?.delete()
+        ?.in('id', generationIds)
+        ?.eq('user_id', userId)
+        ?.select('id, audio_url');
+
+      if (error) throw error;
+
+      // The delete trigger queues these paths too, so a failed removal is retried server-side
+      await AudioStorageService.remove((data || []).map(row => row?.audio_url));
+
+      return data?.length || 0;
+    } catch (error) {
+      console.error('Error deleting audio generations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets one page of the user's audio generation history, newest first.
+   * Pages are keyset-paginated on (generated_at, id), so deep pages cost the
+   * same as the first one.
+   * @param {string} userId - User ID
+   * @param {Object} options - Page and filter options
+   * @param {number} options.pageSize - Rows per page (at most 200)
+   * @param {{generatedAt: string, id: string}} options.cursor - nextCursor of the previous page
+   * @param {string} options.search - Full-text search over the generated text; words match as prefixes
+   * @param {string} options.presetId - Only this preset; 'none' for generations without one
+   * @param {string} options.character - Only this character
+   * @param {string} options.from - Earliest generated_at (ISO timestamp, inclusive)
+   * @param {string} options.to - Latest generated_at (ISO timestamp, exclusive)
+   * @returns {Promise<{items: Array, nextCursor: Object|null}>} - Rows and the cursor for the next page (null on the last page)
+   */
+  static async getAudioGenerations(userId, {
+    pageSize = 50,
+    cursor = null,
+    search = '',
+    presetId = null,
+    character = null,
+    from = null,
+    to = null
+  } = {}) {
+    // Capped like the database does, so a larger request isn't mistaken for the last page
+    const limit = Math.min(Math.max(Math.floor(pageSize) || 1, 1), MAX_HISTORY_PAGE_SIZE);
+
+    try {
+      // RLS and the function both restrict rows to the signed-in user
+      const { data, error } = await supabase?.rpc('search_audio_generations', {
+          search: search?.trim() || null,
+          filter_preset_id: presetId && presetId !== 'none' ? presetId : null,
+          without_preset: presetId === 'none',
+          filter_character: character || null,
+          generated_from: from || null,
+          generated_before: to || null,
+          cursor_generated_at: cursor?.generatedAt || null,
+          cursor_id: cursor?.id || null,
+          page_size: limit
+        })?.select(`
+          ${HISTORY_COLUMNS},
           voice_presets (
             name,
             voice_style,
             voice_speed,
             voice_pitch,
             emotion,
-            character
+            character,
+            output_format,
+            model,
+            voice_direction,
+            normalization
           )
-        `)?.eq('user_id', userId)?.order('generated_at', { ascending: false })?.limit(limit);
+        `)?.eq('user_id', userId)?.order('generated_at', { ascending: false })?.order('id', { ascending: false });
 
       if (error) throw error;
 
-      return data || [];
+      const items = data || [];
+      const last = items[items.length - 1];
+      return {
+        items,
+        nextCursor: items.length === limit && last ? { generatedAt: last.generated_at, id: last.id } : null
+      };
     } catch (error) {
       console.error('Error fetching audio generations:', error);
       throw error;
     }
   }
 
+  /**
+   * Resolves a stored audio_url to a URL the browser can fetch. Storage paths
+   * get a short-lived signed URL, so resolve right before playing.
+   * @param {string} audioUrl - Value of audio_generations.audio_url
+   * @returns {Promise<string|null>} - Fetchable URL, or null if the row has no usable audio
+   */
+  static async resolveAudioUrl(audioUrl) {
+    if (/^https?:\/\//.test(audioUrl || '')) return audioUrl;
+    if (AudioStorageService.isStoragePath(audioUrl)) return AudioStorageService.getSignedUrl(audioUrl);
+    return null;
+  }
+
+  /**
+   * Counts the user's generations whose duration is a word-count estimate but
+   * whose audio is stored, i.e. the rows backfillMeasuredDurations can fix
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of rows
+   */
+  static async countEstimatedDurations(userId) {
+    try {
+      const { count, error } = await supabase?.from('audio_generations')?.select('id', { count: 'exact', head: true })?.eq('user_id', userId)?.eq('duration_source', 'estimated')?.not('audio_url', 'is', null);
+
+      if (error) throw error;
+
+      return count || 0;
+    } catch (error) {
+      console.error('Error counting estimated durations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Backfill: replaces word-count duration estimates with durations measured
+   * from the stored audio. Storage paths are resolved to signed URLs first.
+   * Rows without reachable audio keep their estimate (duration_source stays
+   * 'estimated'). Safe to run repeatedly. The History page runs it for the
+   * signed-in user from its "Measure durations" action.
+   * @param {string} userId - User ID
+   * @param {Object} options - Backfill options
+   * @param {number} options.batchSize - Rows fetched per query
+   * @param {Function} options.onProgress - Called as onProgress({ processed, updated, skipped })
+   * @returns {Promise<{processed: number, updated: number, skipped: number}>} - Backfill summary
+   */
+  static async backfillMeasuredDurations(userId, { batchSize = 50, onProgress } = {}) {
+    const summary = { processed: 0, updated: 0, skipped: 0 };
+
+    try {
+      for (;;) {
+        // Rows that couldn't be measured stay 'estimated' at the front of the ordering, so page past them
+        const { data: rows, error } = await supabase?.from('audio_generations')?.select('id, audio_url')?.eq('user_id', userId)?.eq('duration_source', 'estimated')?.not('audio_url', 'is', null)?.order('generated_at', { ascending: true })?.order('id', { ascending: true })?.range(summary.skipped, summary.skipped + batchSize - 1);
+
+        if (error) throw error;
+        if (!rows?.length) break;
+
+        for (const row of rows) {
+          summary.processed += 1;
+
+          try {
+            const url = await this.resolveAudioUrl(row?.audio_url);
+            if (!url) throw new Error('Audio is not reachable');
+
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Audio download failed (${response.status})`);
+
+            const durationMs = await measureAudioDuration(await response.blob());
+
+            const { data: updatedRows, error: updateError } = await supabase?.from('audio_generations')?.update({
+                duration_ms: durationMs,
+                duration_seconds: Math.round(durationMs / 1000),
+                duration_source: 'measured'
+              })?.eq('id', row?.id)?.eq('user_id', userId)?.select('id');
+
+            if (updateError) throw updateError;
+            // RLS filters updates silently, so make sure the row really changed
+            if (!updatedRows?.length) throw new Error('Row was not updated');
+            summary.updated += 1;
+          } catch (rowError) {
+            console.warn(`Skipping duration backfill for generation ${row?.id}:`, rowError);
+            summary.skipped += 1;
+          }
+
+          onProgress?.({ ...summary });
+        }
+      }
+
+      return summary;
+    } catch (error) {
+      console.error('Error backfilling audio durations:', error);
+      throw error;
+    }
+  }
+
   /**
    * Saves or updates a voice preset
    * @param {Object} presetData - Voice preset data
@@ -81,6 +316,10 @@ class SupabaseService {
         voice_pitch,
         emotion,
         character,
+        output_format = 'mp3',
+        model = 'tts-1',
+        voice_direction = '',
+        normalization = {},
         user_id,
         is_default = false
       } = presetData;
@@ -96,6 +335,10 @@ class SupabaseService {
             voice_pitch,
             emotion,
             character,
+            output_format,
+            model,
+            voice_direction,
+            normalization,
             is_default
           })?.eq('id', id)?.eq('user_id', user_id); // Ensure user can only update their own presets
       } else {
@@ -107,6 +350,10 @@ class SupabaseService {
             voice_pitch,
             emotion,
             character,
+            output_format,
+            model,
+            voice_direction,
+            normalization,
             user_id,
             is_default
           });
@@ -141,6 +388,46 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Converts a preset into generator voice settings.
+   * Handles both database rows and the localStorage presets kept for guests.
+   * @param {Object} preset - voice_presets row or { settings } object
+   * @returns {Object} - Voice settings
+   */
+  static presetToSettings(preset) {
+    if (preset?.settings) return { ...preset.settings };
+
+    return {
+      voiceStyle: preset?.voice_style || 'female',
+      voiceSpeed: preset?.voice_speed || 'normal',
+      voicePitch: preset?.voice_pitch || 'medium',
+      emotion: preset?.emotion || 'neutral',
+      character: preset?.character || 'chloe',
+      outputFormat: preset?.output_format || 'mp3',
+      model: preset?.model || 'tts-1',
+      voiceDirection: preset?.voice_direction || '',
+      normalization: resolveNormalization(preset?.normalization)
+    };
+  }
+
+  /**
+   * Settings a history row was generated with. Rows saved before settings
+   * were recorded fall back to their preset, then to the defaults.
+   * @param {Object} generation - audio_generations row, with the joined voice_presets
+   * @returns {Object} - Voice settings
+   */
+  static generationToSettings(generation) {
+    if (generation?.settings) return this.presetToSettings({ settings: generation.settings });
+
+    const settings = this.presetToSettings(generation?.voice_presets || {});
+    return {
+      ...settings,
+      character: generation?.character || settings.character,
+      outputFormat: generation?.output_format || settings.outputFormat,
+      model: generation?.model || settings.model
+    };
+  }
+
   /**
    * Deletes a voice preset
    * @param {string} presetId - Preset ID
@@ -160,6 +447,167 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Gets user's pronunciation lexicon
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Array of pronunciation entry records
+   */
+  static async getPronunciationEntries(userId) {
+    try {
+      const { data, error } = await supabase?.from('pronunciation_entries')?.select('*')?.eq('user_id', userId)?.order('term', { ascending: true });
+
+      if (error) throw error;
+
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching pronunciation entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Saves (creates or updates) a pronunciation entry
+   * @param {Object} entryData - Entry data (term, respelling, case_sensitive, whole_word, is_regex, user_id, optional id)
+   * @returns {Promise<Object>} - Saved entry record
+   */
+  static async savePronunciationEntry(entryData) {
+    try {
+      const {
+        id,
+        term,
+        respelling = '',
+        case_sensitive = false,
+        whole_word = true,
+        is_regex = false,
+        user_id
+      } = entryData;
+
+      const fields = { term, respelling, case_sensitive, whole_word, is_regex };
+      const query = id
+        ? supabase?.from('pronunciation_entries')?.update(fields)?.eq('id', id)?.eq('user_id', user_id)
+        : supabase?.from('pronunciation_entries')?.insert({ ...fields, user_id });
+
+      const { data, error } = await query?.select()?.single();
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      console.error('Error saving pronunciation entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Imports pronunciation entries, replacing existing rules for the same term
+   * @param {string} userId - User ID
+   * @param {Array<Object>} entries - Entries to import
+   * @returns {Promise<Array>} - Imported entry records
+   */
+  static async importPronunciationEntries(userId, entries) {
+    try {
+      if (!entries?.length) return [];
+
+      const { data, error } = await supabase
+        ?.from('pronunciation_entries')
+        ?.upsert(entries.map(entry => ({ ...entry, user_id: userId })), { onConflict: 'user_id,term,case_sensitive,is_regex' })
+        ?.select();
+
+      if (error) throw error;
+
+      return data || [];
+    } catch (error) {
+      console.error('Error importing pronunciation entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a pronunciation entry
+   * @param {string} entryId - Entry ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async deletePronunciationEntry(entryId, userId) {
+    try {
+      const { error } = await supabase?.from('pronunciation_entries')?.delete()?.eq('id', entryId)?.eq('user_id', userId);
+
+      if (error) throw error;
+
+      return true;
+    } catch (error) {
+      console.error('Error deleting pronunciation entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets user's saved text templates
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Array of template records
+   */
+  static async getTextTemplates(userId) {
+    try {
+      const { data, error } = await supabase?.from('text_templates')?.select('*')?.eq('user_id', userId)?.order('name', { ascending: true });
+
+      if (error) throw error;
+
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching text templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Saves a text template, replacing any template with the same name
+   * @param {Object} templateData - Template data (name, template, filename_pattern, preset_id, user_id)
+   * @returns {Promise<Object>} - Saved template record
+   */
+  static async saveTextTemplate(templateData) {
+    try {
+      const {
+        name,
+        template,
+        filename_pattern = '{{#}}',
+        preset_id = null,
+        user_id
+      } = templateData;
+
+      const { data, error } = await supabase
+        ?.from('text_templates')
+        ?.upsert({ name, template, filename_pattern, preset_id, user_id }, { onConflict: 'user_id,name' })
+        ?.select()
+        ?.single();
+
+      if (error) throw error;
+
+      return data;
+    } catch (error) {
+      console.error('Error saving text template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a text template
+   * @param {string} templateId - Template ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async deleteTextTemplate(templateId, userId) {
+    try {
+      const { error } = await supabase?.from('text_templates')?.delete()?.eq('id', templateId)?.eq('user_id', userId);
+
+      if (error) throw error;
+
+      return true;
+    } catch (error) {
+      console.error('Error deleting text template:', error);
+      throw error;
+    }
+  }
+
   /**
    * Gets user profile information
    * @param {string} userId - User ID
@@ -226,6 +674,76 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Gets the signed-in user's plan limits and this month's usage (see get_quota_status).
+   * Limits are null when the plan doesn't cap them.
+   * @returns {Promise<{planId: string, planName: string, periodEnd: string, characters: Object, generations: Object, storage: Object}|null>}
+   *   Each of characters/generations/storage is { used, limit, remaining }
+   */
+  static async getQuotaStatus() {
+    try {
+      const { data, error } = await supabase?.rpc('get_quota_status')?.maybeSingle();
+
+      if (error) throw error;
+      if (!data) return null;
+
+      const meter = (used, limit) => {
+        const usedValue = Number(used) || 0;
+        const limitValue = limit === null || limit === undefined ? null : Number(limit);
+        return {
+          used: usedValue,
+          limit: limitValue,
+          remaining: limitValue === null ? null : Math.max(0, limitValue - usedValue)
+        };
+      };
+
+      return {
+        planId: data?.plan_id,
+        planName: data?.plan_name,
+        periodEnd: data?.period_end,
+        characters: meter(data?.used_characters, data?.monthly_characters),
+        generations: meter(data?.used_generations, data?.monthly_generations),
+        storage: meter(data?.used_storage_bytes, data?.storage_bytes)
+      };
+    } catch (error) {
+      console.error('Error fetching quota status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the signed-in user's usage aggregated by period, with per-character
+   * and per-model breakdowns (see get_usage_aggregates)
+   * @param {Object} options - Aggregate options
+   * @param {string} options.bucket - 'day', 'week' or 'month'
+   * @param {string} options.from - Range start (ISO timestamp, inclusive)
+   * @param {string} options.to - Range end (ISO timestamp, exclusive)
+   * @param {string} options.timeZone - IANA time zone the periods are cut in
+   * @returns {Promise<Array<{period_start: string, dimension: string, dimension_value: string|null, generations: number, characters: number, seconds: number}>>}
+   */
+  static async getUsageAggregates({ bucket = 'day', from, to, timeZone = 'UTC' }) {
+    try {
+      const { data, error } = await supabase?.rpc('get_usage_aggregates', {
+          bucket,
+          range_start: from,
+          range_end: to,
+          time_zone: timeZone
+        });
+
+      if (error) throw error;
+
+      return (data || []).map(row => ({
+        ...row,
+        generations: Number(row?.generations) || 0,
+        characters: Number(row?.characters) || 0,
+        seconds: Number(row?.seconds) || 0
+      }));
+    } catch (error) {
+      console.error('Error fetching usage aggregates:', error);
+      throw error;
+    }
+  }
+
   /**
    * Gets usage statistics for a user
    * @param {string} userId - User ID
@@ -233,26 +751,25 @@ class SupabaseService {
    */
   static async getUserUsageStats(userId) {
     try {
-      const { data, error } = await supabase?.from('audio_generations')?.select('id, duration_seconds, generated_at')?.eq('user_id', userId);
+      const monthStart = new Date();
+      monthStart?.setDate(1);
+      monthStart?.setHours(0, 0, 0, 0);
+
+      // Counted in the database; the history can be far too large to download
+      const { data, error } = await supabase?.rpc('get_user_usage_stats', {
+          target_user_id: userId,
+          month_start: monthStart.toISOString()
+        })?.single();
 
       if (error) throw error;
 
-      const totalGenerations = data?.length || 0;
-      const totalDuration = data?.reduce((sum, item) => sum + (item?.duration_seconds || 0), 0) || 0;
-      
-      // Get current month generations
-      const currentMonth = new Date();
-      currentMonth?.setDate(1);
-      currentMonth?.setHours(0, 0, 0, 0);
-      
-      const thisMonthGenerations = data?.filter(item => 
-        new Date(item.generated_at) >= currentMonth
-      )?.length || 0;
+      const totalGenerations = Number(data?.total_generations) || 0;
+      const totalDuration = Number(data?.total_duration_seconds) || 0;
 
       return {
         totalGenerations,
         totalDurationSeconds: totalDuration,
-        thisMonthGenerations,
+        thisMonthGenerations: Number(data?.this_month_generations) || 0,
         averageDuration: totalGenerations > 0 ? Math.round(totalDuration / totalGenerations) : 0
       };
     } catch (error) {
@@ -0,0 +1,304 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+// In-memory stand-in for the audio_generations table, enough for the query chains the service uses.
+// Rows listed in `locked` ignore updates, the way RLS filters them without an error.
+const table = { rows: [], locked: new Set(), insertError: null };
+
+const newestFirst = (a, b) => b.generated_at.localeCompare(a.generated_at) || b.id.localeCompare(a.id);
+
+// Mirrors search_audio_generations for the signed-in user u1: filters, keyset cursor and the 200-row page cap
+const searchRows = params => table.rows
+  .filter(row => row.user_id === 'u1')
+  .filter(row => !params.search || params.search.toLowerCase().split(/\s+/)
+    .every(word => row.text_content.toLowerCase().split(/\W+/).some(token => token.startsWith(word))))
+  .filter(row => !params.filter_preset_id || row.preset_id === params.filter_preset_id)
+  .filter(row => !params.without_preset || row.preset_id === null)
+  .filter(row => !params.filter_character || row.character === params.filter_character)
+  .filter(row => !params.generated_from || row.generated_at >= params.generated_from)
+  .filter(row => !params.generated_before || row.generated_at < params.generated_before)
+  .filter(row => !params.cursor_generated_at
+    || newestFirst(row, { generated_at: params.cursor_generated_at, id: params.cursor_id }) > 0)
+  .sort(newestFirst)
+  .slice(0, Math.min(Math.max(params.page_size, 1), 200));
+
+const query = (source = () => table.rows) => {
+  const filters = [];
+  let values = null;
+  let range = null;
+  let limit = null;
+  let returning = false;
+  let head = false;
+  const sorts = [];
+
+  const chain = {
+    select: (columns, options = {}) => {
+      returning = values !== null;
+      head = !!options.head;
+      return chain;
+    },
+    insert: (row) => { values = { inserted: row }; return chain; },
+    update: (changes) => { values = changes; return chain; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return chain; },
+    not: (column) => { filters.push(row => row[column] !== null); return chain; },
+    is: (column, value) => { filters.push(row => (row[column] ?? null) === value); return chain; },
+    gte: (column, value) => { filters.push(row => row[column] >= value); return chain; },
+    lt: (column, value) => { filters.push(row => row[column] < value); return chain; },
+    order: (column, { ascending = true } = {}) => {
+      sorts.push((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+      return chain;
+    },
+    range: (from, to) => { range = [from, to]; return chain; },
+    limit: (count) => { limit = count; return chain; },
+    single: () => chain,
+    then: (resolve) => {
+      if (values?.inserted) {
+        if (table.insertError) return resolve({ data: null, error: table.insertError });
+        table.rows.push({ id: `row-${table.rows.length + 1}`, ...values.inserted });
+        return resolve({ data: table.rows[table.rows.length - 1], error: null });
+      }
+      const matches = source().filter(row => filters.every(filter => filter(row)));
+      matches.sort((a, b) => sorts.reduce((result, sort) => result || sort(a, b), 0));
+      if (values) {
+        const updated = matches.filter(row => !table.locked.has(row.id));
+        updated.forEach(row => Object.assign(row, values));
+        return resolve({ data: returning ? updated.map(row => ({ id: row.id })) : null, error: null });
+      }
+      if (head) return resolve({ data: null, count: matches.length, error: null });
+      if (range) return resolve({ data: matches.slice(range[0], range[1] + 1), error: null });
+      return resolve({ data: limit ? matches.slice(0, limit) : matches, error: null });
+    }
+  };
+  return chain;
+};
+
+const rpc = vi.fn((name, params) => (name === 'search_audio_generations'
+  ? query(() => searchRows(params))
+  : {
+    single: async () => ({ data: rpc.result, error: null }),
+    maybeSingle: async () => ({ data: rpc.result, error: null }),
+    then: resolve => resolve({ data: rpc.result, error: null })
+  }));
+
+vi.mock('../lib/supabase', () => ({ supabase: { from: () => query(), rpc } }));
+
+const storage = { upload: vi.fn(), remove: vi.fn() };
+
+vi.mock('./audioStorageService', () => ({
+  default: {
+    isStoragePath: url => !!url && !/^[a-z]+:/i.test(url),
+    getSignedUrl: async path => `https://storage.test/signed/${path}`,
+    upload: (...args) => storage.upload(...args),
+    remove: (...args) => storage.remove(...args)
+  }
+}));
+
+vi.mock('../utils/audioStitcher', () => ({ measureAudioDuration: async () => 1500 }));
+
+const { default: SupabaseService } = await import('./supabaseService');
+const { ERROR_CODES } = await import('../utils/ttsErrors');
+
+describe('SupabaseService.backfillMeasuredDurations', () => {
+  beforeEach(() => {
+    table.rows = [
+      { id: 'stored', user_id: 'u1', audio_url: 'u1/stored.mp3', duration_source: 'estimated', duration_ms: null },
+      { id: 'remote', user_id: 'u1', audio_url: 'https://cdn.test/remote.mp3', duration_source: 'estimated', duration_ms: null },
+      { id: 'gone', user_id: 'u1', audio_url: 'u1/gone.mp3', duration_source: 'estimated', duration_ms: null },
+      { id: 'locked', user_id: 'u1', audio_url: 'u1/locked.mp3', duration_source: 'estimated', duration_ms: null },
+      { id: 'measured', user_id: 'u1', audio_url: 'u1/measured.mp3', duration_source: 'measured', duration_ms: 900 },
+      { id: 'other-user', user_id: 'u2', audio_url: 'u2/other.mp3', duration_source: 'estimated', duration_ms: null }
+    ];
+    table.locked = new Set(['locked']);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    vi.stubGlobal('fetch', vi.fn(async url => (url.includes('gone')
+      ? { ok: false, status: 404 }
+      : { ok: true, status: 200, blob: async () => new Blob([new Uint8Array(8)]) })));
+  });
+
+  it('counts the rows it can fix', async () => {
+    expect(await SupabaseService.countEstimatedDurations('u1')).toBe(4);
+  });
+
+  it('measures stored audio and writes the durations back', async () => {
+    const summary = await SupabaseService.backfillMeasuredDurations('u1', { batchSize: 2 });
+
+    expect(summary).toEqual({ processed: 4, updated: 2, skipped: 2 });
+    expect(fetch).toHaveBeenCalledWith('https://storage.test/signed/u1/stored.mp3');
+    expect(fetch).toHaveBeenCalledWith('https://cdn.test/remote.mp3');
+
+    const byId = Object.fromEntries(table.rows.map(row => [row.id, row]));
+    expect(byId.stored).toMatchObject({ duration_source: 'measured', duration_ms: 1500, duration_seconds: 2 });
+    expect(byId.remote).toMatchObject({ duration_source: 'measured', duration_ms: 1500 });
+    expect(byId.gone.duration_source).toBe('estimated');
+    expect(byId.locked.duration_source).toBe('estimated');
+    expect(byId.measured.duration_ms).toBe(900);
+    expect(byId['other-user'].duration_source).toBe('estimated');
+  });
+
+  it('finds nothing left to do on a second run', async () => {
+    await SupabaseService.backfillMeasuredDurations('u1');
+    const summary = await SupabaseService.backfillMeasuredDurations('u1');
+
+    expect(summary).toEqual({ processed: 2, updated: 0, skipped: 2 });
+  });
+});
+
+describe('SupabaseService.getAudioGenerations', () => {
+  beforeEach(() => {
+    table.rows = [
+      { id: 'a', user_id: 'u1', preset_id: 'p1', character: 'chloe', text_content: 'Hello world', generated_at: '2026-10-01T10:00:00Z' },
+      { id: 'b', user_id: 'u1', preset_id: null, character: 'marcus', text_content: 'Flight BA 117 boarding', generated_at: '2026-10-05T10:00:00Z' },
+      { id: 'c', user_id: 'u1', preset_id: 'p1', character: 'marcus', text_content: 'Hello again', generated_at: '2026-10-09T10:00:00Z' },
+      { id: 'd', user_id: 'u1', preset_id: 'p1', character: 'chloe', text_content: 'Same second', generated_at: '2026-10-09T10:00:00Z' },
+      { id: 'e', user_id: 'u2', preset_id: 'p1', character: 'chloe', text_content: 'Hello there', generated_at: '2026-10-02T10:00:00Z' }
+    ];
+  });
+
+  const ids = page => page.items.map(row => row.id);
+
+  it('pages newest first with a (generated_at, id) cursor', async () => {
+    const first = await SupabaseService.getAudioGenerations('u1', { pageSize: 2 });
+    expect(ids(first)).toEqual(['d', 'c']);
+    expect(first.nextCursor).toEqual({ generatedAt: '2026-10-09T10:00:00Z', id: 'c' });
+
+    const second = await SupabaseService.getAudioGenerations('u1', { pageSize: 2, cursor: first.nextCursor });
+    expect(ids(second)).toEqual(['b', 'a']);
+
+    const last = await SupabaseService.getAudioGenerations('u1', { pageSize: 2, cursor: second.nextCursor });
+    expect(ids(last)).toEqual([]);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  it('caps pages at 200 rows and still finds the next page', async () => {
+    table.rows = Array.from({ length: 250 }, (_, i) => ({
+      id: `r${String(i).padStart(3, '0')}`, user_id: 'u1', preset_id: null, character: 'chloe', text_content: 'Row', generated_at: '2026-10-01T10:00:00Z'
+    }));
+
+    const first = await SupabaseService.getAudioGenerations('u1', { pageSize: 500 });
+    expect(first.items).toHaveLength(200);
+    expect(rpc).toHaveBeenLastCalledWith('search_audio_generations', expect.objectContaining({ page_size: 200 }));
+
+    const second = await SupabaseService.getAudioGenerations('u1', { pageSize: 500, cursor: first.nextCursor });
+    expect(second.items).toHaveLength(50);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it('passes search and filters to the RPC', async () => {
+    expect(ids(await SupabaseService.getAudioGenerations('u1', { search: ' hel ' }))).toEqual(['c', 'a']);
+    expect(ids(await SupabaseService.getAudioGenerations('u1', { presetId: 'none' }))).toEqual(['b']);
+    expect(ids(await SupabaseService.getAudioGenerations('u1', { character: 'marcus', to: '2026-10-09T00:00:00Z' }))).toEqual(['b']);
+
+    expect(rpc).toHaveBeenLastCalledWith('search_audio_generations', expect.objectContaining({
+      search: null,
+      filter_preset_id: null,
+      without_preset: false,
+      filter_character: 'marcus',
+      generated_before: '2026-10-09T00:00:00Z'
+    }));
+  });
+});
+
+describe('SupabaseService.getUserUsageStats', () => {
+  it('reads the totals counted in the database', async () => {
+    rpc.result = { total_generations: '4', total_duration_seconds: '90', this_month_generations: '3' };
+
+    expect(await SupabaseService.getUserUsageStats('u1')).toEqual({
+      totalGenerations: 4,
+      totalDurationSeconds: 90,
+      thisMonthGenerations: 3,
+      averageDuration: 23
+    });
+    expect(rpc).toHaveBeenLastCalledWith('get_user_usage_stats', expect.objectContaining({ target_user_id: 'u1' }));
+  });
+});
+
+describe('SupabaseService.getUsageAggregates', () => {
+  it('sends the range and time zone and coerces the counts to numbers', async () => {
+    rpc.result = [{ period_start: '2026-10-19T00:00:00Z', dimension: 'total', dimension_value: null, generations: '2', characters: '120', seconds: null }];
+
+    const rows = await SupabaseService.getUsageAggregates({ bucket: 'week', from: 'a', to: 'b', timeZone: 'Europe/Oslo' });
+
+    expect(rpc).toHaveBeenLastCalledWith('get_usage_aggregates', { bucket: 'week', range_start: 'a', range_end: 'b', time_zone: 'Europe/Oslo' });
+    expect(rows).toEqual([{ period_start: '2026-10-19T00:00:00Z', dimension: 'total', dimension_value: null, generations: 2, characters: 120, seconds: 0 }]);
+  });
+});
+
+describe('SupabaseService.generationToSettings', () => {
+  it('prefers the recorded settings', () => {
+    const settings = { character: 'nova', outputFormat: 'wav', model: 'tts-1-hd' };
+    expect(SupabaseService.generationToSettings({ settings, character: 'chloe' })).toEqual(settings);
+  });
+
+  it('falls back to the row columns, then the preset and defaults', () => {
+    const settings = SupabaseService.generationToSettings({
+      character: 'marcus',
+      output_format: null,
+      model: null,
+      voice_presets: { emotion: 'happy', output_format: 'wav' }
+    });
+
+    expect(settings).toMatchObject({ character: 'marcus', emotion: 'happy', outputFormat: 'wav', model: 'tts-1', voiceSpeed: 'normal' });
+  });
+});
+
+describe('SupabaseService quota limits', () => {
+  beforeEach(() => {
+    table.rows = [];
+    table.insertError = null;
+    storage.upload.mockReset().mockResolvedValue('u1/1-a.mp3');
+    storage.remove.mockReset().mockResolvedValue(true);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('turns quota_exceeded errors into QuotaErrors naming the limit', async () => {
+    table.insertError = { message: 'quota_exceeded:generations' };
+
+    await expect(SupabaseService.saveAudioGeneration({ text_content: 'Hi', user_id: 'u1' })).rejects.toMatchObject({
+      code: ERROR_CODES.QUOTA,
+      limit: 'generations',
+      message: 'You have used all generations included in your plan this month.'
+    });
+  });
+
+  it('saves the generation without audio when storage is full', async () => {
+    let attempts = 0;
+    const save = vi.spyOn(SupabaseService, 'saveAudioGeneration').mockImplementation(async (data) => {
+      attempts += 1;
+      if (data.audio_url) throw Object.assign(new Error('full'), { limit: 'storage' });
+      return { id: 'saved', ...data };
+    });
+
+    const saved = await SupabaseService.saveGeneratedAudio(new Blob(['x']), { user_id: 'u1', output_format: 'mp3' });
+
+    expect(saved).toMatchObject({ id: 'saved', audio_url: null });
+    expect(storage.remove).toHaveBeenCalledWith(['u1/1-a.mp3']);
+    expect(attempts).toBe(2);
+    save.mockRestore();
+  });
+
+  it('reads the quota meters, with null for uncapped limits', async () => {
+    rpc.result = {
+      plan_id: 'free',
+      plan_name: 'Free',
+      period_end: '2026-11-01T00:00:00Z',
+      used_characters: '12000',
+      monthly_characters: '10000',
+      used_generations: 4,
+      monthly_generations: null,
+      used_storage_bytes: null,
+      storage_bytes: 1000
+    };
+
+    expect(await SupabaseService.getQuotaStatus()).toEqual({
+      planId: 'free',
+      planName: 'Free',
+      periodEnd: '2026-11-01T00:00:00Z',
+      characters: { used: 12000, limit: 10000, remaining: 0 },
+      generations: { used: 4, limit: null, remaining: null },
+      storage: { used: 0, limit: 1000, remaining: 1000 }
+    });
+
+    rpc.result = null;
+    expect(await SupabaseService.getQuotaStatus()).toBeNull();
+  });
+});
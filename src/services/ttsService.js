@@ -1,167 +1,643 @@
-import OpenAI from 'openai';
+import { chunkText } from '../utils/textChunker';
+import { stitchAudioBlobs, measureAudioDuration } from '../utils/audioStitcher';
+import { canReencode, getReencodableFormats, probeAudioEncoders } from '../utils/audioEncoder';
+import { PITCH_SEMITONES, pitchShiftBlob } from '../utils/pitchShifter';
+import { mapWithConcurrency, throwIfAborted, isAbortError, retryWithBackoff } from '../utils/concurrency';
+import { createProgressTracker } from '../utils/progressTracker';
+import { createOrderedFeeder } from '../utils/mediaSourceStream';
+import { hasMarkup, validateMarkup, compileMarkup } from '../utils/speechMarkup';
+import { parseDialogue } from '../utils/dialogueScript';
+import { compileLexicon, applyLexicon } from '../utils/pronunciationLexicon';
+import { normalizeText } from '../utils/textNormalizer';
+import { hashCacheKey } from '../utils/audioCacheStore';
+import { ERROR_CODES, TTSError, TimeoutError, ProviderUnavailableError, toTTSError } from '../utils/ttsErrors';
+import providerRegistry from './providerRegistry';
+import AudioCacheService from './audioCacheService';
+import { AUDIO_FORMATS, formatFromMimeType, getFormatInfo } from '../utils/audioFormats';
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: import.meta.env.VITE_OPENAI_API_KEY,
-  dangerouslyAllowBrowser: true, // Required for client-side usage
-});
+const MAX_TEXT_LENGTH = 100000;
+
+// Transient failures (rate limits, network drops, timeouts, 5xx) are retried this many times per chunk
+const MAX_RETRIES = 3;
+
+// A request that sends nothing back for this long is abandoned and retried
+const REQUEST_IDLE_TIMEOUT_MS = 60000;
+
+// Bump when a change to planning, stitching or post-processing alters the audio for the same input
+const CACHE_KEY_VERSION = 3;
+
+// Voice settings that change how a chunk sounds; everything else is applied before the text is planned
+const CACHE_KEY_SETTINGS = ['character', 'voiceStyle', 'voiceSpeed', 'voicePitch', 'emotion', 'model', 'voiceDirection'];
+
+/**
+ * Explains that a format can't be produced for audio that is re-encoded in the browser
+ * @param {string} format - Requested format id
+ * @returns {string} - Message for the user
+ */
+const formatConflictMessage = format => `${getFormatInfo(format).label} isn't available for this text. `
+  + 'Long text, pauses, dialogue and pitch changes are joined in your browser, which can only save '
+  + `${getReencodableFormats().map(id => getFormatInfo(id).label).join(', ')}. Please choose one of those formats.`;
 
 /**
  * Text-to-Speech Service
- * Handles conversion of text to speech using OpenAI's TTS API
+ * Handles conversion of text to speech through the registered TTS providers
  */
 class TTSService {
   /**
-   * Converts voice settings from UI format to OpenAI TTS format
-   * @param {Object} settings - Voice customization settings
-   * @returns {Object} - OpenAI compatible settings
-   */
-  static mapVoiceSettings(settings) {
-    const { voiceStyle, voiceSpeed, character, emotion } = settings;
-
-    // Map character names to OpenAI voice names
-    const voiceMapping = {
-      'chloe': 'alloy',
-      'kelly': 'echo',
-      'racheal': 'fable',
-      'david': 'onyx',
-      'alex': 'nova',
-      'sarah': 'shimmer'
-    };
+   * Resolves a provider by id, or the default provider from the registry
+   * @param {string} providerId - Optional provider id
+   * @returns {BaseProvider}
+   */
+  static getProvider(providerId = null) {
+    const provider = providerId ? providerRegistry.get(providerId) : providerRegistry.getDefault();
 
-    // Map speed settings
-    const speedMapping = {
-      'slow': 0.75,
-      'normal': 1.0,
-      'fast': 1.25
-    };
+    if (!provider) {
+      throw new Error(providerId
+        ? `Unknown TTS provider "${providerId}".`
+        : 'No TTS provider is configured. Please add an API key to the .env file.');
+    }
 
-    return {
-      voice: voiceMapping?.[character] || 'alloy',
-      speed: speedMapping?.[voiceSpeed] || 1.0,
-      model: 'tts-1', // Use tts-1-hd for higher quality but slower processing
-    };
+    return provider;
   }
 
   /**
-   * Generates speech from text using OpenAI TTS API
+   * Converts voice settings from UI format to a provider's request format
+   * @param {Object} settings - Voice customization settings
+   * @param {string} providerId - Optional provider id (defaults to the highest ranked provider)
+   * @returns {Object} - Provider compatible settings
+   */
+  static mapVoiceSettings(settings, providerId = null) {
+    return this.getProvider(providerId).mapVoiceSettings(settings);
+  }
+
+  /**
+   * Generates speech from text with a single provider.
+   * Speech markup is compiled into segments with their own voice settings and
+   * pauses; text over the provider limit is split at sentence/paragraph
+   * boundaries. Pieces are generated in parallel and stitched into a single file in the
+   * requested format; formats the browser can't encode are rejected up front (see getFormatConflict).
    * @param {string} text - Text to convert to speech
    * @param {Object} voiceSettings - Voice customization settings
-   * @param {Function} onProgress - Progress callback function
+   * @param {Function} onProgress - Progress callback, called as
+   *   onProgress(percent, { completedChunks, totalChunks, receivedBytes, etaSeconds })
+   * @param {Object} options - Generation options
+   * @param {string} options.providerId - Provider to use (defaults to the highest ranked provider)
+   * @param {Function} options.onAudioData - Streaming mode: called with encoded audio (Uint8Array) in
+   *   playback order while generation is still running. The resolved result still carries the full blob.
+   *   Not called for dialogue, text with markup or audio that is pitch-shifted after generation, since
+   *   the raw stream would be missing the pauses or have the wrong pitch.
+   * @param {AbortSignal} options.signal - Cancels every in-flight request; the promise rejects with an AbortError
+   * @param {Object} options.dialogue - Dialogue mode: text is a speaker-labelled script (see dialogueScript.js)
+   * @param {Object<string, Object>} options.dialogue.speakers - Speaker key -> voice settings for that speaker
+   * @param {number} options.dialogue.turnGapMs - Silence between turns
+   * @param {boolean} options.dialogue.stems - Also render one track per speaker (returned as result.stems)
+   * @param {Array<Object>} options.lexicon - Pronunciation entries applied to the text right before synthesis
    * @returns {Promise<{audioUrl: string, duration: number}>}
    */
-  static async generateSpeech(text, voiceSettings, onProgress) {
+  static async generateSpeech(text, voiceSettings, onProgress, { providerId = null, onAudioData = null, signal = null, dialogue = null, lexicon = null } = {}) {
+    // Internal controller so one failed chunk also cancels its siblings
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal?.reason);
+    signal?.addEventListener('abort', abort);
+
     try {
-      if (!import.meta.env?.VITE_OPENAI_API_KEY || import.meta.env?.VITE_OPENAI_API_KEY === 'your-openai-api-key-here') {
-        throw new Error('OpenAI API key is not configured. Please add your API key to the .env file.');
-      }
+      throwIfAborted(signal);
 
       if (!text?.trim()) {
         throw new Error('Text content is required for speech generation.');
       }
 
-      onProgress?.(10); // Initial progress
+      if (text?.length > MAX_TEXT_LENGTH) {
+        throw new Error(`Text is too long. The maximum is ${MAX_TEXT_LENGTH} characters.`);
+      }
 
-      const ttsSettings = this.mapVoiceSettings(voiceSettings);
-      
-      onProgress?.(30); // API call starting
+      const markupErrors = this.validateMarkup(text);
+      if (markupErrors?.length > 0) {
+        throw new Error(`Please fix the speech markup first: ${markupErrors[0].message}`);
+      }
+
+      const provider = this.getProvider(providerId);
+      const { maxInputLength, maxConcurrency, sampleRate } = provider.getLimits();
+
+      if (dialogue && parseDialogue(text, { cast: this.getDialogueCast(dialogue) }).unassigned.length > 0) {
+        throw new Error('Every line of a dialogue script needs a speaker label, e.g. "DAVID: Hello".');
+      }
 
-      const response = await openai?.audio?.speech?.create({
-        model: ttsSettings?.model,
-        voice: ttsSettings?.voice,
-        input: text,
-        speed: ttsSettings?.speed,
-        response_format: 'mp3'
+      const { chunks, leadingPauseMs } = this.planChunks(text, voiceSettings, maxInputLength, {
+        dialogue,
+        lexicon: compileLexicon(lexicon)
       });
+      const totalChunks = chunks?.length;
+      if (totalChunks === 0) {
+        throw new Error('Text content is required for speech generation.');
+      }
 
-      onProgress?.(70); // Audio received
+      const needsStitching = this.needsStitching(chunks, leadingPauseMs, dialogue);
 
-      // Convert response to blob
-      const audioBlob = new Blob([await response.arrayBuffer()], { 
-        type: 'audio/mpeg' 
+      // Each chunk is shifted on its own, so speakers with different pitch settings can share one track
+      const pitchShifts = chunks.map(chunk => this.getPitchShift(chunk?.settings, provider.id));
+      const providerSettings = provider.mapVoiceSettings(voiceSettings);
+      const format = providerSettings?.format || 'mp3';
+
+      // Stitched and pitch-shifted audio is re-encoded in the browser, which can't produce every format
+      if (needsStitching || pitchShifts.some(Boolean)) {
+        await probeAudioEncoders();
+        if (!canReencode(format)) throw new Error(formatConflictMessage(format));
+      }
+
+      // Downloads span 0% - 90% of the progress bar; stitching takes the rest
+      const tracker = createProgressTracker({
+        chunks,
+        onProgress,
+        maxPercent: needsStitching ? 90 : 99,
+        format: providerSettings?.format
       });
+      tracker.report();
+
+      const streamable = !dialogue && !hasMarkup(text) && !pitchShifts.some(Boolean);
+      const feeder = onAudioData && streamable ? createOrderedFeeder(onAudioData) : null;
+      const streamChunks = !!feeder && provider.supportsStreaming();
+      let shiftedDurationMs = null;
+
+      // Sent with every chunk request, so the server charges this generation once
+      const generationId = crypto.randomUUID();
 
-      onProgress?.(90); // Processing audio
+      const chunkBlobs = await mapWithConcurrency(chunks, maxConcurrency, async (chunk, index) => {
+        try {
+          // Markup spans and dialogue speakers carry their own voice settings
+          const chunkSettings = chunk?.settings === voiceSettings ? providerSettings : provider.mapVoiceSettings(chunk?.settings);
+          let blob = await this.synthesizeWithRetry(provider, chunk?.text, chunkSettings, {
+            onData: streamChunks ? (bytes) => feeder.push(index, bytes) : undefined,
+            onBytes: (received, total) => tracker.reportBytes(index, received, total),
+            signal: controller.signal,
+            generationId
+          });
+
+          if (feeder) {
+            // Non-streaming providers hand over each chunk whole once it is ready
+            if (!streamChunks) feeder.push(index, new Uint8Array(await blob.arrayBuffer()));
+            feeder.complete(index);
+          }
+
+          if (pitchShifts[index]) {
+            const shifted = await pitchShiftBlob(blob, pitchShifts[index], {
+              sampleRate,
+              output: needsStitching ? 'wav' : format,
+              signal: controller.signal
+            });
+            blob = shifted?.blob;
+            shiftedDurationMs = shifted?.durationMs;
+          }
+
+          tracker.completeChunk(index, blob?.size);
+          return blob;
+        } catch (chunkError) {
+          controller.abort(chunkError);
+          throw chunkError;
+        }
+      }, { signal: controller.signal });
+
+      let audioBlob = chunkBlobs?.[0];
+      let durationMs = shiftedDurationMs;
+      let stems = null;
+
+      if (needsStitching) {
+        tracker.report(90); // Stitching audio
+
+        const speakers = dialogue?.stems ? [...new Set(chunks.map(c => c?.speaker))] : [];
+        const stitched = await stitchAudioBlobs(chunkBlobs, chunks?.map(c => c?.boundary), sampleRate, format, {
+          leadingPauseMs,
+          stems: Object.fromEntries(speakers.map(speaker => [speaker, chunks.map(c => c?.speaker === speaker)]))
+        });
+        audioBlob = stitched?.blob;
+        durationMs = stitched?.durationMs;
+        stems = speakers.length > 0 ? stitched?.stems : null;
+      } else if (durationMs === null) {
+        durationMs = await this.measureDuration(audioBlob);
+      }
+
+      throwIfAborted(signal);
 
       // Create object URL for playback
       const audioUrl = URL.createObjectURL(audioBlob);
+      const durationSource = durationMs !== null ? 'measured' : 'estimated';
+      if (durationMs === null) durationMs = this.estimateDurationMs(text);
 
-      // Calculate estimated duration (rough approximation: ~150 words per minute)
-      const wordCount = text?.trim()?.split(/\s+/)?.length;
-      const estimatedDuration = Math.ceil((wordCount / 150) * 60); // in seconds
-
-      onProgress?.(100); // Complete
+      tracker.report(100); // Complete
 
       return {
         audioUrl,
         audioBlob,
-        duration: estimatedDuration,
+        duration: Math.round(durationMs / 1000),
+        durationMs,
+        durationSource,
         fileSize: audioBlob?.size,
-        format: 'mp3'
+        format,
+        requestedFormat: voiceSettings?.outputFormat || 'mp3',
+        model: providerSettings?.model || null,
+        mimeType: getFormatInfo(format).mimeType,
+        chunkCount: totalChunks,
+        pitchShifted: pitchShifts.some(Boolean),
+        stems,
+        provider: provider.id
       };
 
     } catch (error) {
-      console.error('TTS Generation Error:', error);
-      
-      // Handle specific OpenAI errors
-      if (error?.message?.includes('API key')) {
-        throw new Error('Invalid or missing OpenAI API key. Please check your configuration.');
+      // Cancellation is not a failure - pass it through untouched
+      if (signal?.aborted || isAbortError(error)) {
+        throw signal?.aborted ? new DOMException('Speech generation was cancelled.', 'AbortError') : error;
       }
-      
-      if (error?.message?.includes('quota')) {
-        throw new Error('OpenAI API quota exceeded. Please check your account limits.');
+
+      console.error('TTS Generation Error:', error);
+
+      // Provider failures keep their code so callers can offer the right next step
+      const typedError = toTTSError(error, providerId);
+      if (typedError instanceof TTSError) throw typedError;
+
+      throw new Error(`Speech generation failed: ${error?.message || 'Unknown error'}`);
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Synthesizes one chunk, retrying transient failures with exponential backoff.
+   * A server's Retry-After replaces the backoff delay. Chunks that already streamed
+   * audio to the player are not retried, since the player can't take it back.
+   * @param {BaseProvider} provider - Provider to call
+   * @param {string} text - Chunk text
+   * @param {Object} providerSettings - Settings from provider.mapVoiceSettings
+   * @param {Object} options - Options passed through to provider.synthesize (onData, onBytes, signal, generationId)
+   * @returns {Promise<Blob>}
+   */
+  static async synthesizeWithRetry(provider, text, providerSettings, { onData, onBytes, signal, generationId } = {}) {
+    let streamed = false;
+    const trackData = onData
+      ? (bytes) => { streamed = true; onData(bytes); }
+      : undefined;
+
+    return retryWithBackoff(
+      () => this.synthesizeWithTimeout(provider, text, providerSettings, { onData: trackData, onBytes, signal, generationId }),
+      {
+        retries: MAX_RETRIES,
+        signal,
+        shouldRetry: error => error?.retryable && !streamed,
+        onRetry: (error, attempt, delayMs) => {
+          console.warn(`${provider.label}: ${error?.code} (${error?.message}). Retry ${attempt} of ${MAX_RETRIES} in ${Math.round(delayMs)}ms.`);
+        }
       }
-      
-      if (error?.message?.includes('network') || error?.message?.includes('fetch')) {
-        throw new Error('Network error. Please check your internet connection and try again.');
+    );
+  }
+
+  /**
+   * Calls provider.synthesize, abandoning the request when it goes quiet for too long
+   * @param {BaseProvider} provider - Provider to call
+   * @param {string} text - Chunk text
+   * @param {Object} providerSettings - Settings from provider.mapVoiceSettings
+   * @param {Object} options - Options passed through to provider.synthesize (onData, onBytes, signal, generationId)
+   * @returns {Promise<Blob>}
+   * @throws {TimeoutError} When no data arrives for REQUEST_IDLE_TIMEOUT_MS
+   */
+  static async synthesizeWithTimeout(provider, text, providerSettings, { onData, onBytes, signal, generationId } = {}) {
+    const attempt = new AbortController();
+    const abort = () => attempt.abort(signal?.reason);
+    signal?.addEventListener('abort', abort);
+
+    let timedOut = false;
+    let timer = null;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        attempt.abort();
+      }, REQUEST_IDLE_TIMEOUT_MS);
+    };
+    resetTimer();
+
+    try {
+      return await provider.synthesize(text, providerSettings, {
+        onData,
+        onBytes: (received, total) => {
+          resetTimer();
+          onBytes?.(received, total);
+        },
+        signal: attempt.signal,
+        generationId
+      });
+    } catch (error) {
+      if (timedOut && !signal?.aborted) throw new TimeoutError(undefined, { provider: provider.id, cause: error });
+      throw toTTSError(error, provider.id);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Validates speech markup against the available voices and speeds
+   * @param {string} text - Script text
+   * @returns {Array<{start: number, end: number, message: string}>} - Markup errors (empty when valid)
+   */
+  static validateMarkup(text) {
+    const { characters, speeds } = this.getVoiceOptions();
+    return validateMarkup(text, {
+      voices: characters.map(c => c.value),
+      speeds: speeds.map(s => s.value)
+    });
+  }
+
+  /**
+   * Turns text (with optional markup) into provider-sized chunks, each with the
+   * voice settings it is spoken with and the break that follows it
+   * @param {string} text - Script text
+   * @param {Object} voiceSettings - Voice settings outside any markup span; voiceSettings.normalization
+   *   picks the locale and rule categories used to write out numbers, dates, etc. (see textNormalizer.js)
+   * @param {number} maxInputLength - Provider input limit
+   * @param {Object} options - Planning options
+   * @param {Object} options.dialogue - Dialogue options (see generateSpeech); chunks then also carry their speaker
+   * @param {Array<Object>} options.lexicon - Compiled pronunciation rules, applied to the spoken text
+   *   after markup is removed so rules can't break tags
+   * @returns {{chunks: Array<{text: string, boundary: string|number, settings: Object, speaker?: string}>, leadingPauseMs: number}}
+   */
+  static planChunks(text, voiceSettings, maxInputLength, { dialogue = null, lexicon = null } = {}) {
+    if (dialogue) {
+      const chunks = [];
+      let leadingPauseMs = 0;
+
+      parseDialogue(text, { cast: this.getDialogueCast(dialogue) }).turns.forEach((turn) => {
+        const plan = this.planChunks(turn.text, dialogue.speakers?.[turn.speaker] || voiceSettings, maxInputLength, { lexicon });
+        const previous = chunks[chunks.length - 1];
+
+        if (previous) {
+          // Explicit pauses at the end or start of a turn add to the gap between turns
+          const trailingMs = typeof previous.boundary === 'number' ? previous.boundary : 0;
+          previous.boundary = trailingMs + (dialogue.turnGapMs ?? 0) + plan.leadingPauseMs;
+        } else {
+          leadingPauseMs = plan.leadingPauseMs;
+        }
+
+        plan.chunks.forEach(chunk => chunks.push({ ...chunk, speaker: turn.speaker }));
+      });
+
+      return { chunks, leadingPauseMs };
+    }
+
+    // Numbers, dates and abbreviations are written out before markup is compiled;
+    // tags and [spell] spans are left as they are
+    const normalized = normalizeText(text, voiceSettings?.normalization);
+    const segments = hasMarkup(normalized)
+      ? compileMarkup(normalized, voiceSettings)
+      : [{ type: 'speech', text: normalized, settings: voiceSettings }];
+
+    const chunks = [];
+    let leadingPauseMs = 0;
+
+    segments.forEach((segment) => {
+      if (segment.type === 'pause') {
+        const previous = chunks[chunks.length - 1];
+        if (previous) previous.boundary = segment.durationMs;
+        else leadingPauseMs += segment.durationMs;
+        return;
       }
 
-      throw new Error(`Speech generation failed: ${error?.message || 'Unknown error'}`);
+      const spoken = lexicon?.length ? applyLexicon(segment.text, lexicon) : segment.text;
+      const pieces = chunkText(spoken, maxInputLength);
+      if (pieces.length === 0) return;
+      pieces.forEach(chunk => chunks.push({ ...chunk, settings: segment.settings }));
+
+      // Spans that end a sentence get a sentence pause; mid-sentence switches only a short breath
+      chunks[chunks.length - 1].boundary = /[.!?…]["'”’)\]]*$/.test(segment.text) ? 'sentence' : 'span';
+    });
+
+    return { chunks, leadingPauseMs };
+  }
+
+  /**
+   * Whether planned chunks have to be decoded and joined in the browser.
+   * Explicit pauses and stems only exist once clips are stitched, even for a single clip.
+   * @param {Array<Object>} chunks - Chunks from planChunks
+   * @param {number} leadingPauseMs - Silence before the first chunk
+   * @param {Object} dialogue - Dialogue options (see generateSpeech)
+   * @returns {boolean}
+   */
+  static needsStitching(chunks, leadingPauseMs, dialogue = null) {
+    return chunks?.length > 1 || leadingPauseMs > 0 || typeof chunks?.[0]?.boundary === 'number' || !!dialogue?.stems;
+  }
+
+  /**
+   * Checks up front whether the requested output format can be produced for this text.
+   * Text that is split, has pauses, is a dialogue or is pitch-shifted after generation is
+   * re-encoded in the browser, which only writes the formats it has encoders for
+   * (see probeAudioEncoders).
+   * @param {string} text - Text to convert to speech
+   * @param {Object} voiceSettings - Voice customization settings
+   * @param {Object} options - Generation options (providerId, dialogue, lexicon; see generateSpeech)
+   * @returns {string|null} - Message for the user, or null when the format can be produced
+   */
+  static getFormatConflict(text, voiceSettings, { providerId = null, dialogue = null, lexicon = null } = {}) {
+    const format = voiceSettings?.outputFormat || 'mp3';
+    if (canReencode(format) || !text?.trim() || this.validateMarkup(text)?.length > 0) return null;
+
+    try {
+      const provider = this.getProvider(providerId);
+      const { chunks, leadingPauseMs } = this.planChunks(text, voiceSettings, provider.getLimits().maxInputLength, {
+        dialogue,
+        lexicon: compileLexicon(lexicon)
+      });
+      const pitchShifted = chunks.some(chunk => this.getPitchShift(chunk?.settings, provider.id));
+
+      return this.needsStitching(chunks, leadingPauseMs, dialogue) || pitchShifted ? formatConflictMessage(format) : null;
+    } catch {
+      // Planning problems are reported by generateSpeech itself
+      return null;
     }
   }
 
   /**
-   * Enhanced speech generation with Google Cloud TTS fallback
+   * Semitones the generated audio must be shifted by after generation
+   * @param {Object} voiceSettings - Voice customization settings
+   * @param {string} providerId - Provider that generates the audio (defaults to the highest ranked provider)
+   * @returns {number} - Shift in semitones (0 when none is needed or the provider applies pitch itself)
+   */
+  static getPitchShift(voiceSettings, providerId = null) {
+    const semitones = PITCH_SEMITONES?.[voiceSettings?.voicePitch] ?? 0;
+    if (!semitones) return 0;
+
+    try {
+      return this.getProvider(providerId).supportsNativePitch() ? 0 : semitones;
+    } catch {
+      return semitones;
+    }
+  }
+
+  /**
+   * Decodes audio to measure its true length
+   * @param {Blob} audioBlob - Encoded audio
+   * @returns {Promise<number|null>} - Duration in milliseconds, or null if the browser can't decode it
+   */
+  static async measureDuration(audioBlob) {
+    try {
+      return await measureAudioDuration(audioBlob);
+    } catch (error) {
+      console.warn('Could not decode audio to measure duration:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Estimates spoken length from word count (~150 words per minute).
+   * Only used when the audio itself can't be decoded.
+   * @param {string} text - Spoken text
+   * @returns {number} - Estimated duration in milliseconds
+   */
+  static estimateDurationMs(text) {
+    const wordCount = text?.trim()?.split(/\s+/)?.length || 0;
+    return Math.ceil((wordCount / 150) * 60) * 1000;
+  }
+
+  /**
+   * Speech generation that walks the configured provider fallback chain
    * @param {string} text - Text to convert to speech
    * @param {Object} voiceSettings - Voice customization settings
    * @param {Function} onProgress - Progress callback function
+   * @param {Object} options - Generation options (see generateSpeech)
+   * @param {Object} options.cache - Reuse identical earlier generations ({ userId } adds the Supabase
+   *   Storage level for signed-in users). Cache hits resolve immediately with result.cacheHit set and
+   *   never call onAudioData. Dialogue stem exports are always generated afresh.
    * @returns {Promise<{audioUrl: string, duration: number}>}
    */
-  static async generateSpeechWithFallback(text, voiceSettings, onProgress) {
-    try {
-      // Try OpenAI TTS first
-      return await this.generateSpeech(text, voiceSettings, onProgress);
-    } catch (openaiError) {
-      console.warn('OpenAI TTS failed, attempting Google Cloud TTS fallback:', openaiError);
-      
-      // Fallback to Google Cloud TTS (if implemented)
-      try {
-        return await this.generateSpeechWithGoogleCloud(text, voiceSettings, onProgress);
-      } catch (googleError) {
-        console.error('Google Cloud TTS also failed:', googleError);
-        throw new Error('Both OpenAI and Google Cloud TTS services are unavailable. Please try again later.');
+  static async generateSpeechWithFallback(text, voiceSettings, onProgress, { onAudioData = null, signal = null, dialogue = null, lexicon = null, cache = null } = {}) {
+    const chain = providerRegistry.getFallbackChain();
+
+    if (chain?.length === 0) {
+      throw new Error('No TTS provider is configured. Please add an API key to the .env file.');
+    }
+
+    // Every provider would hit the same limit, so don't walk the chain for it
+    const formatConflict = this.getFormatConflict(text, voiceSettings, { providerId: chain[0]?.id, dialogue, lexicon });
+    if (formatConflict) throw new Error(formatConflict);
+
+    const cacheable = cache && !dialogue?.stems && AudioCacheService.isEnabled();
+    const cacheKey = cacheable
+      ? await this.getCacheKey(text, voiceSettings, { providerId: chain[0]?.id, dialogue, lexicon })
+      : null;
+
+    if (cacheKey) {
+      const cached = await AudioCacheService.get(cacheKey, cache);
+      throwIfAborted(signal);
+
+      if (cached) {
+        onProgress?.(100);
+        const measured = Number.isFinite(cached.durationMs);
+        const durationMs = measured ? cached.durationMs : this.estimateDurationMs(text);
+        return {
+          audioUrl: URL.createObjectURL(cached.blob),
+          audioBlob: cached.blob,
+          duration: Math.round(durationMs / 1000),
+          durationMs,
+          durationSource: measured ? cached.durationSource || 'measured' : 'estimated',
+          fileSize: cached.blob?.size,
+          format: cached.format,
+          requestedFormat: voiceSettings?.outputFormat || 'mp3',
+          model: cached.model || voiceSettings?.model || null,
+          mimeType: getFormatInfo(cached.format).mimeType,
+          stems: null,
+          provider: cached.provider,
+          cacheHit: true,
+          cacheSource: cached.source,
+          cacheKey
+        };
       }
     }
+
+    const result = await this.generateUncached(text, voiceSettings, onProgress, chain, { onAudioData, signal, dialogue, lexicon });
+
+    // Fallback providers sound different, so their audio is filed under the provider that spoke
+    const resultKey = cacheKey && result?.provider !== chain[0]?.id
+      ? await this.getCacheKey(text, voiceSettings, { providerId: result?.provider, dialogue, lexicon })
+      : cacheKey;
+
+    if (resultKey) {
+      // Storing happens in the background; a failed write only costs a future cache miss
+      AudioCacheService.put(resultKey, result, cache);
+    }
+
+    return { ...result, cacheHit: false, cacheKey: resultKey };
   }
 
   /**
-   * Google Cloud TTS implementation (placeholder for future integration)
+   * Walks the provider fallback chain without consulting the cache
    * @param {string} text - Text to convert to speech
    * @param {Object} voiceSettings - Voice customization settings
    * @param {Function} onProgress - Progress callback function
-   * @returns {Promise<{audioUrl: string, duration: number}>}
+   * @param {Array<BaseProvider>} chain - Providers in fallback order
+   * @param {Object} options - Generation options (see generateSpeech)
+   * @returns {Promise<Object>} - Generation result
    */
-  static async generateSpeechWithGoogleCloud(text, voiceSettings, onProgress) {
-    // This is a placeholder for Google Cloud TTS integration
-    // For now, we'll throw an error to indicate it's not implemented throw new Error('Google Cloud TTS fallback is not yet implemented.');
-    
-    /*
-    // Future Google Cloud TTS implementation would go here:
-    // 1. Configure Google Cloud TTS client
-    // 2. Map voice settings to Google Cloud format
-    // 3. Make API call to Google Cloud TTS
-    // 4. Process response and return audio data
-    */
+  static async generateUncached(text, voiceSettings, onProgress, chain, { onAudioData = null, signal = null, dialogue = null, lexicon = null } = {}) {
+    let lastError = null;
+    let streamedAudio = false;
+    const trackAudioData = onAudioData
+      ? (bytes) => { streamedAudio = true; onAudioData(bytes); }
+      : null;
+
+    for (const provider of chain) {
+      try {
+        return await this.generateSpeech(text, voiceSettings, onProgress, { providerId: provider.id, onAudioData: trackAudioData, signal, dialogue, lexicon });
+      } catch (providerError) {
+        // Audio that already reached the player can't be taken back, so don't restart with another voice
+        if (streamedAudio || isAbortError(providerError)) throw providerError;
+        // Plan limits (monthly allowance, HD without premium) apply whichever provider speaks
+        if (providerError?.code === ERROR_CODES.QUOTA) throw providerError;
+
+        console.warn(`${provider.label} failed, trying next provider:`, providerError);
+        lastError = providerError;
+      }
+    }
+
+    if (chain?.length === 1) {
+      throw lastError;
+    }
+
+    throw new ProviderUnavailableError('All configured TTS services are unavailable. Please try again later.', { cause: lastError });
+  }
+
+  /**
+   * Builds the content-addressed cache key for a request: a hash of the text as it
+   * will be spoken (after normalization, pronunciation rules and markup), the provider
+   * that speaks it, the voice settings of every span, the pauses between them, pitch
+   * shifting and output format.
+   * @param {string} text - Text to convert to speech
+   * @param {Object} voiceSettings - Voice customization settings
+   * @param {Object} options - Generation options (providerId, dialogue, lexicon; see generateSpeech)
+   * @param {string} options.providerId - Provider whose audio the key stands for (defaults to the highest ranked provider)
+   * @returns {Promise<string|null>} - Cache key, or null when the request can't be cached
+   */
+  static async getCacheKey(text, voiceSettings, { providerId = null, dialogue = null, lexicon = null } = {}) {
+    try {
+      if (!text?.trim() || this.validateMarkup(text)?.length > 0) return null;
+
+      // Planned without a length limit so the key doesn't depend on how a provider splits text
+      const { chunks, leadingPauseMs } = this.planChunks(text, voiceSettings, Infinity, {
+        dialogue,
+        lexicon: compileLexicon(lexicon)
+      });
+
+      return await hashCacheKey({
+        version: CACHE_KEY_VERSION,
+        provider: this.getProvider(providerId).id,
+        format: voiceSettings?.outputFormat || 'mp3',
+        leadingPauseMs,
+        chunks: chunks.map(chunk => ({
+          text: chunk.text,
+          boundary: chunk.boundary,
+          settings: CACHE_KEY_SETTINGS.map(name => chunk.settings?.[name] ?? null)
+        }))
+      });
+    } catch (error) {
+      console.warn('Could not build a cache key, generating without the cache:', error);
+      return null;
+    }
   }
 
   /**
@@ -170,9 +646,10 @@ class TTSService {
    * @param {string} filename - Filename for download
    */
   static downloadAudio(audioBlob, filename = null) {
+    const { extension } = getFormatInfo(formatFromMimeType(audioBlob?.type));
     const link = document.createElement('a');
     link.href = URL.createObjectURL(audioBlob);
-    link.download = filename || `tts-audio-${Date.now()}.mp3`;
+    link.download = filename || `tts-audio-${Date.now()}.${extension}`;
     document.body?.appendChild(link);
     link?.click();
     document.body?.removeChild(link);
@@ -191,6 +668,64 @@ class TTSService {
     return required?.every(key => settings?.[key]);
   }
 
+  /**
+   * Checks whether the provider that will generate these settings honors
+   * emotion, voice style and voice direction
+   * @param {Object} settings - Voice customization settings
+   * @returns {boolean}
+   */
+  static supportsDeliveryInstructions(settings) {
+    try {
+      return this.getProvider().supportsInstructions(settings);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Gets text length limits for the UI
+   * @returns {{maxTextLength: number, maxChunkLength: number}} - Limits in characters
+   */
+  static getLimits() {
+    let maxChunkLength = 4000;
+    try {
+      maxChunkLength = this.getProvider().getLimits().maxInputLength;
+    } catch {
+      // No provider configured - keep the default for the character counter
+    }
+
+    return {
+      maxTextLength: MAX_TEXT_LENGTH,
+      maxChunkLength
+    };
+  }
+
+  /**
+   * Lists registered providers and whether each is configured
+   * @returns {Array<{id: string, label: string, configured: boolean, formats: Array<string>}>}
+   */
+  static getProviders() {
+    return providerRegistry.list().map(provider => ({
+      id: provider.id,
+      label: provider.label,
+      configured: provider.isConfigured(),
+      formats: provider.getSupportedFormats()
+    }));
+  }
+
+  /**
+   * Names that always count as dialogue speakers: the voices' own names and
+   * any speaker that already has a voice assigned
+   * @param {Object} dialogue - Dialogue options (see generateSpeech)
+   * @returns {Array<string>} - Speaker names
+   */
+  static getDialogueCast(dialogue = null) {
+    return [
+      ...this.getVoiceOptions().characters.map(character => character.label),
+      ...Object.keys(dialogue?.speakers || {})
+    ];
+  }
+
   /**
    * Gets available voice options for the UI
    * @returns {Object} - Available voice options
@@ -211,9 +746,15 @@ class TTSService {
         { value: 'fast', label: 'Fast (1.25x)', multiplier: 1.25 }
       ],
       models: [
-        { value: 'tts-1', label: 'Standard Quality', description: 'Faster processing' },
-        { value: 'tts-1-hd', label: 'High Quality', description: 'Better audio quality, slower' }
-      ]
+        { value: 'tts-1', label: 'Standard Quality', description: 'Faster processing', premium: false },
+        { value: 'tts-1-hd', label: 'High Quality', description: 'Better audio quality, slower', premium: true },
+        { value: 'gpt-4o-mini-tts', label: 'Expressive', description: 'Follows emotion, style and voice direction', premium: false }
+      ],
+      formats: Object.entries(AUDIO_FORMATS).map(([value, info]) => ({
+        value,
+        label: info.label,
+        description: info.description
+      }))
     };
   }
 }
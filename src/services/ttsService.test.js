@@ -0,0 +1,180 @@
+import { describe, expect, it, vi } from 'vitest';
+import TTSService from './ttsService';
+import AudioCacheService from './audioCacheService';
+import providerRegistry from './providerRegistry';
+import { QuotaError } from '../utils/ttsErrors';
+
+vi.mock('../lib/supabase', () => ({
+  supabase: null,
+  getFunctionUrl: name => `http://supabase.invalid/functions/v1/${name}`,
+  getFunctionHeaders: async () => null
+}));
+
+vi.mock('./audioCacheService', () => ({
+  default: { isEnabled: () => true, get: vi.fn(async () => null), put: vi.fn() }
+}));
+
+const settings = {
+  voiceStyle: 'female',
+  voiceSpeed: 'normal',
+  voicePitch: 'medium',
+  emotion: 'neutral',
+  character: 'chloe',
+  outputFormat: 'mp3',
+  model: 'tts-1'
+};
+
+const longText = 'This sentence is repeated to make a long text. '.repeat(200);
+
+describe('TTSService.getFormatConflict', () => {
+  it('allows any format for text generated in one piece', () => {
+    expect(TTSService.getFormatConflict('Hello there.', { ...settings, outputFormat: 'aac' }, { providerId: 'openai' })).toBeNull();
+  });
+
+  it.each(['aac', 'opus'])('blocks %s when the text has to be stitched without a WebCodecs encoder', (outputFormat) => {
+    expect(TTSService.getFormatConflict(longText, { ...settings, outputFormat }, { providerId: 'openai' }))
+      .toMatch(/isn't available for this text.*MP3, FLAC, WAV, Raw PCM\./);
+  });
+
+  it('blocks compressed formats when the pitch is shifted after generation', () => {
+    expect(TTSService.getFormatConflict('Hello there.', { ...settings, outputFormat: 'aac', voicePitch: 'high' }, { providerId: 'openai' })).not.toBeNull();
+  });
+
+  it.each(['mp3', 'flac', 'wav', 'pcm'])('keeps %s for stitched text', (outputFormat) => {
+    expect(TTSService.getFormatConflict(longText, { ...settings, outputFormat, voicePitch: 'high' }, { providerId: 'openai' })).toBeNull();
+  });
+
+  it('allows Opus and AAC once the browser has encoders for them', async () => {
+    vi.resetModules();
+    vi.stubGlobal('AudioEncoder', { isConfigSupported: async () => ({ supported: true }) });
+    const { default: FreshTTSService } = await import('./ttsService');
+    const { probeAudioEncoders } = await import('../utils/audioEncoder');
+
+    expect(await probeAudioEncoders()).toEqual(['mp3', 'flac', 'wav', 'pcm', 'opus', 'aac']);
+    expect(FreshTTSService.getFormatConflict(longText, { ...settings, outputFormat: 'opus' }, { providerId: 'openai' })).toBeNull();
+    vi.unstubAllGlobals();
+  });
+});
+
+describe('TTSService cache keys', () => {
+  const openai = { providerId: 'openai' };
+
+  it('are stable for the same text and settings', async () => {
+    const key = await TTSService.getCacheKey('Hello there.', settings, openai);
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(await TTSService.getCacheKey('Hello there.', { ...settings }, openai)).toBe(key);
+  });
+
+  it('change with the text, the voice and the output format', async () => {
+    const key = await TTSService.getCacheKey('Hello there.', settings, openai);
+
+    expect(await TTSService.getCacheKey('Hello again.', settings, openai)).not.toBe(key);
+    expect(await TTSService.getCacheKey('Hello there.', { ...settings, character: 'david' }, openai)).not.toBe(key);
+    expect(await TTSService.getCacheKey('Hello there.', { ...settings, outputFormat: 'wav' }, openai)).not.toBe(key);
+  });
+
+  it('are not built for empty text or invalid markup', async () => {
+    expect(await TTSService.getCacheKey('   ', settings, openai)).toBeNull();
+    expect(await TTSService.getCacheKey('[pause forever] Hi', settings, openai)).toBeNull();
+  });
+
+  it('differ by provider', async () => {
+    const openaiKey = await TTSService.getCacheKey('Hello there.', settings, { providerId: 'openai' });
+    const googleKey = await TTSService.getCacheKey('Hello there.', settings, { providerId: 'google' });
+
+    expect(openaiKey).toMatch(/^[0-9a-f]{64}$/);
+    expect(googleKey).not.toBe(openaiKey);
+  });
+});
+
+describe('TTSService cache lookups', () => {
+  const chain = [{ id: 'openai', label: 'OpenAI' }];
+
+  it('serve a cached generation without calling a provider', async () => {
+    const fallbackChain = vi.spyOn(providerRegistry, 'getFallbackChain').mockReturnValue(chain);
+    const generateUncached = vi.spyOn(TTSService, 'generateUncached');
+    const blob = new Blob([new Uint8Array(4)], { type: 'audio/mpeg' });
+    AudioCacheService.get.mockResolvedValueOnce({ blob, format: 'mp3', durationMs: 1200, provider: 'openai', source: 'local' });
+
+    const result = await TTSService.generateSpeechWithFallback('Hello there.', settings, null, { cache: {} });
+
+    expect(generateUncached).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ cacheHit: true, cacheSource: 'local', durationMs: 1200, format: 'mp3', audioBlob: blob });
+
+    generateUncached.mockRestore();
+    fallbackChain.mockRestore();
+  });
+
+  it('store fresh generations under their key', async () => {
+    const fallbackChain = vi.spyOn(providerRegistry, 'getFallbackChain').mockReturnValue(chain);
+    const generateUncached = vi.spyOn(TTSService, 'generateUncached').mockResolvedValue({ provider: 'openai', format: 'mp3' });
+
+    const result = await TTSService.generateSpeechWithFallback('Hello there.', settings, null, { cache: {} });
+    const key = await TTSService.getCacheKey('Hello there.', settings);
+
+    expect(AudioCacheService.put).toHaveBeenCalledWith(key, expect.objectContaining({ provider: 'openai' }), {});
+    expect(result).toMatchObject({ cacheHit: false, cacheKey: key });
+
+    generateUncached.mockRestore();
+    fallbackChain.mockRestore();
+  });
+
+  it('file fallback audio under the provider that spoke', async () => {
+    const fallbackChain = vi.spyOn(providerRegistry, 'getFallbackChain').mockReturnValue([...chain, { id: 'google', label: 'Google' }]);
+    const generateUncached = vi.spyOn(TTSService, 'generateUncached').mockResolvedValue({ provider: 'google', format: 'mp3' });
+
+    const result = await TTSService.generateSpeechWithFallback('Hello there.', settings, null, { cache: {} });
+    const googleKey = await TTSService.getCacheKey('Hello there.', settings, { providerId: 'google' });
+    const openaiKey = await TTSService.getCacheKey('Hello there.', settings, { providerId: 'openai' });
+
+    expect(AudioCacheService.get).toHaveBeenCalledWith(openaiKey, {});
+    expect(AudioCacheService.put).toHaveBeenCalledWith(googleKey, expect.objectContaining({ provider: 'google' }), {});
+    expect(result.cacheKey).toBe(googleKey);
+
+    generateUncached.mockRestore();
+    fallbackChain.mockRestore();
+  });
+});
+
+describe('TTSService.generateUncached', () => {
+  const provider = id => ({ id, label: id });
+
+  it.each([
+    ['monthly allowance', 402],
+    ['HD without premium', 403]
+  ])('stops at the first plan limit error (%s)', async (_, status) => {
+    const quotaError = new QuotaError('Plan limit reached.', { status });
+    const generateSpeech = vi.spyOn(TTSService, 'generateSpeech').mockRejectedValue(quotaError);
+
+    await expect(TTSService.generateUncached('Hello.', settings, null, [provider('openai'), provider('google')]))
+      .rejects.toBe(quotaError);
+    expect(generateSpeech).toHaveBeenCalledTimes(1);
+
+    generateSpeech.mockRestore();
+  });
+});
+
+describe('TTSService.generateSpeech', () => {
+  const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+  it('sends one generation id with every chunk of a generation', async () => {
+    const synthesize = vi.spyOn(TTSService, 'synthesizeWithRetry')
+      .mockResolvedValue(new Blob([new Uint8Array(4)], { type: 'audio/mpeg' }));
+    // Stitching needs Web Audio; only the chunk requests matter here
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await TTSService.generateSpeech(longText, settings, null, { providerId: 'openai' }).catch(() => {});
+    await TTSService.generateSpeech(longText, settings, null, { providerId: 'openai' }).catch(() => {});
+
+    const ids = synthesize.mock.calls.map(([, , , options]) => options.generationId);
+    const chunkCount = ids.length / 2;
+    expect(chunkCount).toBeGreaterThan(1);
+    expect(ids.every(id => uuid.test(id))).toBe(true);
+    expect(new Set(ids.slice(0, chunkCount)).size).toBe(1);
+    expect(new Set(ids.slice(chunkCount)).size).toBe(1);
+    expect(ids[0]).not.toBe(ids[chunkCount]);
+
+    vi.restoreAllMocks();
+  });
+});
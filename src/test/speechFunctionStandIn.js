@@ -0,0 +1,46 @@
+import http from 'node:http';
+
+/**
+ * Local HTTP stand-in for a speech Edge Function (generate-speech, google-speech).
+ * Records every request and answers with the responses queued by the test,
+ * so provider adapters can be exercised without Supabase or the speech vendor.
+ * @param {string} name - Function name, used in the stand-in's URL
+ * @returns {Promise<Object>} - Stand-in with url, requests, reply(), close()
+ */
+export async function startSpeechFunctionStandIn(name = 'google-speech') {
+  const requests = [];
+  const replies = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (part) => { raw += part; });
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+
+      const { status = 200, body = new Uint8Array([0x49, 0x44, 0x33]), headers = {} } = replies.shift() || {};
+      const isAudio = body instanceof Uint8Array;
+      res.writeHead(status, {
+        'Content-Type': isAudio ? 'audio/mpeg' : 'application/json',
+        ...headers
+      });
+      res.end(isAudio ? Buffer.from(body) : JSON.stringify(body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/functions/v1/${name}`,
+    requests,
+    /**
+     * Queues the next response
+     * @param {Object} reply - { status, body (Uint8Array for audio, anything else as JSON), headers }
+     */
+    reply(reply) {
+      replies.push(reply);
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Audio Cache Store
+ * Keeps generated audio in IndexedDB, keyed by a hash of everything that
+ * shapes the audio, so an identical request never reaches a provider twice.
+ * Entries are evicted least-recently-used first once the size or entry
+ * limits are exceeded.
+ */
+
+const DB_NAME = 'tts-audio-cache';
+const STORE_NAME = 'entries';
+const LIMITS_STORAGE_KEY = 'tts-cache-limits';
+
+export const DEFAULT_CACHE_LIMITS = {
+  enabled: true,
+  maxBytes: 200 * 1024 * 1024,
+  maxEntries: 500,
+  // Per-user cap for the copy kept in Supabase Storage
+  remoteMaxBytes: 500 * 1024 * 1024
+};
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastAccessed', 'lastAccessed');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Runs a callback inside a transaction and resolves once it commits
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} callback - Called with the object store; may return an IDBRequest whose result is resolved
+ * @returns {Promise<*>}
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Reads the configured cache limits
+ * @returns {{enabled: boolean, maxBytes: number, maxEntries: number, remoteMaxBytes: number}}
+ */
+export function getCacheLimits() {
+  try {
+    return { ...DEFAULT_CACHE_LIMITS, ...JSON.parse(localStorage.getItem(LIMITS_STORAGE_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_CACHE_LIMITS };
+  }
+}
+
+/**
+ * Saves cache limits and trims the local cache to fit them
+ * @param {Object} limits - Partial limits to merge over the current ones
+ * @returns {Promise<Object>} - The limits now in effect
+ */
+export async function setCacheLimits(limits) {
+  const next = { ...getCacheLimits(), ...limits };
+  localStorage.setItem(LIMITS_STORAGE_KEY, JSON.stringify(next));
+  await evictCachedAudio(next);
+  return next;
+}
+
+/**
+ * Hashes cache key material into a hex SHA-256 digest
+ * @param {*} material - JSON-serializable description of the request
+ * @returns {Promise<string|null>} - Key, or null where Web Crypto is unavailable (insecure origins)
+ */
+export async function hashCacheKey(material) {
+  if (!globalThis.crypto?.subtle) return null;
+
+  const bytes = new TextEncoder().encode(JSON.stringify(material));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Looks up cached audio and marks it as recently used
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Cached entry ({ key, blob, format, durationMs, ... }) or null
+ */
+export async function readCachedAudio(key) {
+  const entry = await withStore('readonly', store => store.get(key));
+  if (!entry) return null;
+
+  await withStore('readwrite', store => store.put({ ...entry, lastAccessed: Date.now() }));
+  return entry;
+}
+
+/**
+ * Stores audio and evicts older entries beyond the configured limits
+ * @param {string} key - Cache key
+ * @param {Object} entry - Audio and its metadata ({ blob, format, durationMs, durationSource, model, provider })
+ */
+export async function writeCachedAudio(key, entry) {
+  const limits = getCacheLimits();
+  if (entry?.blob?.size > limits.maxBytes) return;
+
+  const now = Date.now();
+  await withStore('readwrite', store => store.put({
+    ...entry,
+    key,
+    size: entry?.blob?.size || 0,
+    createdAt: now,
+    lastAccessed: now
+  }));
+  await evictCachedAudio(limits);
+}
+
+/**
+ * Deletes least-recently-used entries until the cache fits its limits
+ * @param {Object} limits - { maxBytes, maxEntries }
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function evictCachedAudio({ maxBytes, maxEntries } = getCacheLimits()) {
+  const { entries, bytes } = await getCacheUsage();
+  let remainingBytes = bytes;
+  let remainingEntries = entries;
+  let removed = 0;
+
+  if (remainingBytes <= maxBytes && remainingEntries <= maxEntries) return 0;
+
+  await withStore('readwrite', (store) => {
+    const cursorRequest = store.index('lastAccessed').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || (remainingBytes <= maxBytes && remainingEntries <= maxEntries)) return;
+
+      remainingBytes -= cursor.value?.size || 0;
+      remainingEntries -= 1;
+      removed += 1;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+
+  return removed;
+}
+
+/**
+ * Totals the local cache
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+export async function getCacheUsage() {
+  const usage = { entries: 0, bytes: 0 };
+
+  await withStore('readonly', (store) => {
+    const cursorRequest = store.openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+
+      usage.entries += 1;
+      usage.bytes += cursor.value?.size || 0;
+      cursor.continue();
+    };
+  });
+
+  return usage;
+}
+
+/**
+ * Empties the local cache
+ */
+export async function clearCachedAudio() {
+  await withStore('readwrite', store => store.clear());
+}
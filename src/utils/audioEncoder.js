@@ -0,0 +1,158 @@
+import { Mp3Encoder } from '@breezystack/lamejs';
+import { encodeFlac } from './flacEncoder';
+import { encodeWithWebCodecs, isWebCodecsEncodable, probeWebCodecsEncoders, WEBCODECS_FORMATS } from './webCodecsEncoder';
+
+/**
+ * Audio Encoder
+ * Encodes decoded PCM channel data into the output formats. Has no DOM or Web Audio
+ * dependencies, so it also runs in Web Workers.
+ */
+
+// Raw PCM from providers is 16-bit little-endian mono at this rate
+export const PCM_SAMPLE_RATE = 24000;
+
+// Output formats encoded in JavaScript, so every browser can write them
+export const REENCODABLE_FORMATS = ['mp3', 'flac', 'wav', 'pcm'];
+
+// Speech needs little more; providers send MP3 at a similar rate
+const MP3_BITRATE_KBPS = 128;
+
+// Samples per MPEG audio frame, the unit the encoder works in
+const MP3_FRAME_SAMPLES = 1152;
+
+/**
+ * Interleaves PCM channel data as raw 16-bit little-endian samples
+ * @param {Array<Float32Array>} channels - Per-channel samples in [-1, 1]
+ * @returns {Uint8Array} - Raw PCM bytes
+ */
+export function encodePcm(channels) {
+  const channelCount = channels.length;
+  const frameCount = channels?.[0]?.length || 0;
+  const view = new DataView(new ArrayBuffer(frameCount * channelCount * 2));
+
+  let offset = 0;
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < channelCount; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Wraps raw 16-bit PCM in a WAV header
+ * @param {ArrayBuffer|Uint8Array} pcm - Interleaved raw samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channelCount - Number of interleaved channels
+ * @returns {Blob} - WAV file
+ */
+export function wrapPcmAsWav(pcm, sampleRate = PCM_SAMPLE_RATE, channelCount = 1) {
+  const dataSize = pcm.byteLength;
+  const header = new DataView(new ArrayBuffer(44));
+
+  const writeString = (offset, value) => {
+    for (let i = 0; i < value.length; i++) header.setUint8(offset + i, value.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  header.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  header.setUint32(16, 16, true);
+  header.setUint16(20, 1, true); // PCM
+  header.setUint16(22, channelCount, true);
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * channelCount * 2, true);
+  header.setUint16(32, channelCount * 2, true);
+  header.setUint16(34, 16, true);
+  writeString(36, 'data');
+  header.setUint32(40, dataSize, true);
+
+  return new Blob([header, pcm], { type: 'audio/wav' });
+}
+
+/**
+ * Encodes PCM channel data as a 16-bit WAV blob
+ * @param {Array<Float32Array>} channels - Per-channel samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Blob} - WAV file
+ */
+export function encodeWav(channels, sampleRate) {
+  return wrapPcmAsWav(encodePcm(channels), sampleRate, channels.length);
+}
+
+/**
+ * Encodes PCM channel data as an MP3 blob (mono or stereo; extra channels are dropped)
+ * @param {Array<Float32Array>} channels - Per-channel samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Blob} - MP3 file
+ */
+export function encodeMp3(channels, sampleRate) {
+  const samples = channels.slice(0, 2).map((channel) => {
+    const pcm = new Int16Array(channel.length);
+    for (let i = 0; i < channel.length; i++) {
+      const sample = Math.max(-1, Math.min(1, channel[i]));
+      pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+    }
+    return pcm;
+  });
+
+  const encoder = new Mp3Encoder(samples.length, sampleRate, MP3_BITRATE_KBPS);
+  const frames = [];
+  for (let i = 0; i < (samples[0]?.length || 0); i += MP3_FRAME_SAMPLES) {
+    const frame = encoder.encodeBuffer(...samples.map(pcm => pcm.subarray(i, i + MP3_FRAME_SAMPLES)));
+    if (frame.length) frames.push(frame);
+  }
+  frames.push(encoder.flush());
+
+  return new Blob(frames, { type: 'audio/mpeg' });
+}
+
+/**
+ * Checks which WebCodecs formats this browser can encode; call before relying on
+ * canReencode or getReencodableFormats for Opus and AAC
+ * @returns {Promise<Array<string>>} - Every format audio can be re-encoded into
+ */
+export async function probeAudioEncoders() {
+  await probeWebCodecsEncoders(PCM_SAMPLE_RATE);
+  return getReencodableFormats();
+}
+
+/**
+ * Whether decoded audio can be encoded back into a format in this browser
+ * @param {string} format - Format id
+ * @returns {boolean}
+ */
+export function canReencode(format) {
+  return REENCODABLE_FORMATS.includes(format) || isWebCodecsEncodable(format);
+}
+
+/**
+ * Formats decoded audio can be encoded back into, as far as the last probe knows
+ * @returns {Array<string>} - Format ids
+ */
+export function getReencodableFormats() {
+  return [...REENCODABLE_FORMATS, ...WEBCODECS_FORMATS.filter(isWebCodecsEncodable)];
+}
+
+/**
+ * Encodes PCM channel data in one of REENCODABLE_FORMATS, or as Opus or AAC where
+ * the browser's WebCodecs encoder supports them
+ * @param {Array<Float32Array>} channels - Per-channel samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} output - Format id
+ * @returns {Promise<Blob>} - Encoded audio
+ */
+export async function encodeAudio(channels, sampleRate, output = 'wav') {
+  if (WEBCODECS_FORMATS.includes(output)) return await encodeWithWebCodecs(channels, sampleRate, output);
+  if (!REENCODABLE_FORMATS.includes(output)) {
+    throw new Error(`Audio can't be encoded as ${output} in the browser.`);
+  }
+  if (output === 'pcm') return new Blob([encodePcm(channels)], { type: 'audio/L16' });
+  if (output === 'mp3') return encodeMp3(channels, sampleRate);
+  if (output === 'flac') return encodeFlac(channels, sampleRate);
+  return encodeWav(channels, sampleRate);
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { canReencode, encodeAudio, encodePcm, encodeWav, getReencodableFormats, REENCODABLE_FORMATS, wrapPcmAsWav } from './audioEncoder';
+
+// One second of a 440 Hz tone at 24 kHz
+const tone = [Float32Array.from({ length: 24000 }, (_, i) => 0.5 * Math.sin((2 * Math.PI * 440 * i) / 24000))];
+
+describe('PCM and WAV encoding', () => {
+  it('writes 16-bit little-endian samples, clipped to full scale', () => {
+    const bytes = encodePcm([Float32Array.from([0, 1, -1, 2])]);
+    const view = new DataView(bytes.buffer);
+
+    expect(bytes.length).toBe(8);
+    expect([0, 2, 4, 6].map(offset => view.getInt16(offset, true))).toEqual([0, 32767, -32768, 32767]);
+  });
+
+  it('wraps raw PCM in a 44-byte WAV header', async () => {
+    const wav = wrapPcmAsWav(new Uint8Array(48000));
+    const view = new DataView(await wav.arrayBuffer());
+    const tag = offset => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+
+    expect(wav.type).toBe('audio/wav');
+    expect(wav.size).toBe(44 + 48000);
+    expect([tag(0), tag(8), tag(12), tag(36)]).toEqual(['RIFF', 'WAVE', 'fmt ', 'data']);
+    expect(view.getUint32(24, true)).toBe(24000);
+    expect(view.getUint32(40, true)).toBe(48000);
+  });
+
+  it('encodes channel data as WAV', () => {
+    expect(encodeWav(tone, 24000).size).toBe(44 + 48000);
+  });
+});
+
+describe('encodeAudio', () => {
+  it('encodes MP3 frames', async () => {
+    const blob = await encodeAudio(tone, 24000, 'mp3');
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    expect(blob.type).toBe('audio/mpeg');
+    // MPEG audio frame sync: eleven set bits
+    expect(bytes[0]).toBe(0xff);
+    expect(bytes[1] & 0xe0).toBe(0xe0);
+    // 128 kbps for one second, give or take the encoder's padding
+    expect(bytes.length).toBeGreaterThan(14000);
+    expect(bytes.length).toBeLessThan(18000);
+  });
+
+  it('encodes WAV with a header and raw PCM without one', async () => {
+    const wav = await encodeAudio(tone, 24000, 'wav');
+    const pcm = await encodeAudio(tone, 24000, 'pcm');
+
+    expect(wav.type).toBe('audio/wav');
+    expect(wav.size).toBe(44 + 48000);
+    // Blob lower-cases its type
+    expect(pcm.type).toBe('audio/l16');
+    expect(pcm.size).toBe(48000);
+  });
+
+  it('encodes FLAC everywhere', async () => {
+    const flac = await encodeAudio(tone, 24000, 'flac');
+
+    expect(REENCODABLE_FORMATS).toEqual(['mp3', 'flac', 'wav', 'pcm']);
+    expect(flac.type).toBe('audio/flac');
+    expect(flac.size).toBeLessThan(48000);
+  });
+
+  it('only offers Opus and AAC where WebCodecs can encode them', async () => {
+    expect(canReencode('opus')).toBe(false);
+    expect(getReencodableFormats()).toEqual(['mp3', 'flac', 'wav', 'pcm']);
+    await expect(encodeAudio(tone, 24000, 'aac')).rejects.toThrow("can't be encoded as aac");
+    await expect(encodeAudio(tone, 24000, 'ogg')).rejects.toThrow("can't be encoded as ogg");
+  });
+});
@@ -0,0 +1,71 @@
+import { decodeToWav } from './audioStitcher';
+import { wrapPcmAsWav } from './audioEncoder';
+
+/**
+ * Audio Formats
+ * Single source of truth for output format MIME types, file extensions and
+ * browser playback support.
+ */
+
+export const AUDIO_FORMATS = {
+  mp3: { mimeType: 'audio/mpeg', extension: 'mp3', label: 'MP3', description: 'Compressed, plays everywhere' },
+  opus: { mimeType: 'audio/ogg', extension: 'opus', label: 'Opus', description: 'Small files for mobile and streaming' },
+  aac: { mimeType: 'audio/aac', extension: 'aac', label: 'AAC', description: 'Compressed, preferred on Apple devices' },
+  flac: { mimeType: 'audio/flac', extension: 'flac', label: 'FLAC', description: 'Lossless, compressed' },
+  wav: { mimeType: 'audio/wav', extension: 'wav', label: 'WAV', description: 'Lossless, uncompressed - for video editing' },
+  pcm: { mimeType: 'audio/L16', extension: 'pcm', label: 'Raw PCM', description: '16-bit 24 kHz mono samples, no header' }
+};
+
+/**
+ * Gets format details, falling back to MP3 for unknown ids
+ * @param {string} format - Format id
+ * @returns {{mimeType: string, extension: string, label: string, description: string}}
+ */
+export function getFormatInfo(format) {
+  return AUDIO_FORMATS?.[format] || AUDIO_FORMATS.mp3;
+}
+
+/**
+ * Finds the format id for a MIME type
+ * @param {string} mimeType - Blob MIME type
+ * @returns {string} - Format id ('mp3' when unknown)
+ */
+export function formatFromMimeType(mimeType) {
+  const baseType = mimeType?.split(';')?.[0]?.trim();
+  return Object.keys(AUDIO_FORMATS).find(id => AUDIO_FORMATS[id].mimeType === baseType) || 'mp3';
+}
+
+/**
+ * Whether the browser's <audio> element can play a format directly
+ * @param {string} format - Format id
+ * @returns {boolean}
+ */
+export function canBrowserPlay(format) {
+  if (format === 'pcm' || typeof document === 'undefined') return false;
+  const codecHint = format === 'opus' ? 'audio/ogg; codecs=opus' : getFormatInfo(format).mimeType;
+  return document.createElement('audio').canPlayType(codecHint) !== '';
+}
+
+/**
+ * Creates an object URL the browser can play for any output format.
+ * Playable formats use the blob as-is; raw PCM gets a WAV header; anything
+ * else is decoded with Web Audio and re-encoded as WAV for preview only.
+ * @param {Blob} blob - Generated audio
+ * @param {string} format - Format id
+ * @returns {Promise<{url: string|null, transcoded: boolean}>} - Preview URL (null if nothing can play it)
+ */
+export async function createPreviewUrl(blob, format) {
+  if (canBrowserPlay(format)) {
+    return { url: URL.createObjectURL(blob), transcoded: false };
+  }
+
+  try {
+    const preview = format === 'pcm'
+      ? wrapPcmAsWav(await blob.arrayBuffer())
+      : await decodeToWav(blob);
+    return { url: URL.createObjectURL(preview), transcoded: true };
+  } catch (error) {
+    console.warn(`Preview not available for ${format}:`, error);
+    return { url: null, transcoded: false };
+  }
+}
@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { AUDIO_FORMATS, canBrowserPlay, formatFromMimeType, getFormatInfo } from './audioFormats';
+
+describe('audio formats', () => {
+  it('describes every output format with its MIME type and extension', () => {
+    expect(Object.keys(AUDIO_FORMATS)).toEqual(['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm']);
+    expect(getFormatInfo('opus')).toMatchObject({ mimeType: 'audio/ogg', extension: 'opus' });
+    expect(getFormatInfo('unknown')).toBe(AUDIO_FORMATS.mp3);
+  });
+
+  it('finds the format for a MIME type, ignoring parameters', () => {
+    expect(formatFromMimeType('audio/flac')).toBe('flac');
+    expect(formatFromMimeType('audio/ogg; codecs=opus')).toBe('opus');
+    expect(formatFromMimeType('application/octet-stream')).toBe('mp3');
+  });
+
+  it('never plays raw PCM directly', () => {
+    expect(canBrowserPlay('pcm')).toBe(false);
+  });
+});
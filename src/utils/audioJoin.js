@@ -0,0 +1,130 @@
+import { encodeAudio } from './audioEncoder';
+
+/**
+ * Audio Join
+ * Joins decoded clips into one track and encodes it. Runs in audioStitch.worker.js
+ * where workers are available; decoding stays in audioStitcher.js.
+ */
+
+// Pause inserted between clips, matching how a speaker pauses at each kind of break
+const BOUNDARY_PAUSE_MS = {
+  // A word that was too long for one request continues straight on
+  word: 0,
+  span: 80,
+  sentence: 250,
+  paragraph: 600,
+  end: 0
+};
+
+// Short fades remove the clicks caused by clips starting or ending mid-waveform
+const EDGE_FADE_MS = 8;
+
+// Samples quieter than this are treated as encoder padding / leading silence
+const SILENCE_THRESHOLD = 0.002;
+
+/**
+ * Finds the first and last audible sample across all channels
+ * @param {Array<Float32Array>} channels - Per-channel samples of one clip
+ * @returns {{start: number, end: number}} - Audible sample range (end exclusive)
+ */
+function findAudibleRange(channels) {
+  let start = channels?.[0]?.length || 0;
+  let end = 0;
+
+  channels.forEach((data) => {
+    let i = 0;
+    while (i < data.length && Math.abs(data[i]) < SILENCE_THRESHOLD) i++;
+    let j = data.length;
+    while (j > i && Math.abs(data[j - 1]) < SILENCE_THRESHOLD) j--;
+    start = Math.min(start, i);
+    end = Math.max(end, j);
+  });
+
+  return end > start ? { start, end } : { start: 0, end: 0 };
+}
+
+/**
+ * Concatenates decoded clips, trimming their edges and inserting boundary pauses
+ * @param {Array<Array<Float32Array>>} clips - Per-channel samples of each clip, in playback order
+ * @param {number} sampleRate - Sample rate of every clip in Hz
+ * @param {Array<string|number>} boundaries - Break following each clip: a kind
+ *   ('word'|'span'|'sentence'|'paragraph'|'end') or an explicit pause in milliseconds
+ * @param {Object} options - Options
+ * @param {number} options.leadingPauseMs - Silence before the first clip
+ * @param {Array<boolean>} options.include - Clips to write; excluded clips become silence of the
+ *   same length, so tracks built from the same clips stay aligned (used for per-speaker stems)
+ * @returns {Array<Float32Array>} - Joined per-channel samples
+ */
+export function concatClips(clips, sampleRate, boundaries = [], { leadingPauseMs = 0, include = null } = {}) {
+  const channelCount = Math.max(...clips.map(channels => channels.length));
+  const fadeSamples = Math.round((EDGE_FADE_MS / 1000) * sampleRate);
+  const leadingSamples = Math.round((leadingPauseMs / 1000) * sampleRate);
+
+  const segments = clips.map((clip, index) => {
+    const range = findAudibleRange(clip);
+    const boundary = boundaries?.[index];
+    const explicit = typeof boundary === 'number';
+    const pauseMs = explicit ? boundary : BOUNDARY_PAUSE_MS?.[boundary] ?? BOUNDARY_PAUSE_MS.sentence;
+    return {
+      clip,
+      ...range,
+      // Natural breaks end with the last clip; explicit pauses are kept even at the end
+      pauseSamples: index < clips.length - 1 || explicit ? Math.round((pauseMs / 1000) * sampleRate) : 0
+    };
+  });
+
+  const totalLength = segments.reduce((sum, s) => sum + (s.end - s.start) + s.pauseSamples, leadingSamples);
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(totalLength));
+
+  let offset = leadingSamples;
+  segments.forEach(({ clip, start, end, pauseSamples }, index) => {
+    const length = end - start;
+    const fade = Math.min(fadeSamples, Math.floor(length / 2));
+
+    if (include && !include[index]) {
+      offset += length + pauseSamples;
+      return;
+    }
+
+    channels.forEach((output, c) => {
+      // Mono clips are spread across every output channel
+      const input = clip[Math.min(c, clip.length - 1)];
+      for (let i = 0; i < length; i++) {
+        let gain = 1;
+        if (i < fade) gain = i / fade;
+        else if (i >= length - fade) gain = (length - i - 1) / fade;
+        output[offset + i] = input[start + i] * gain;
+      }
+    });
+
+    offset += length + pauseSamples;
+  });
+
+  return channels;
+}
+
+/**
+ * Joins decoded clips and encodes the result, plus any per-speaker stems
+ * @param {Array<Array<Float32Array>>} clips - Per-channel samples of each clip, in playback order
+ * @param {Array<string|number>} boundaries - Break following each clip (kind or milliseconds)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} output - Format id (see encodeAudio)
+ * @param {Object} options - Options
+ * @param {number} options.leadingPauseMs - Silence before the first clip
+ * @param {Object<string, Array<boolean>>} options.stems - Extra tracks to render, each with the clips it includes
+ * @returns {Promise<{blob: Blob, durationMs: number, stems: Object<string, Blob>}>}
+ */
+export async function joinClips(clips, boundaries, sampleRate, output = 'wav', { leadingPauseMs = 0, stems = null } = {}) {
+  const channels = concatClips(clips, sampleRate, boundaries, { leadingPauseMs });
+
+  const stemBlobs = {};
+  for (const [name, include] of Object.entries(stems || {})) {
+    stemBlobs[name] = await encodeAudio(concatClips(clips, sampleRate, boundaries, { leadingPauseMs, include }), sampleRate, output);
+  }
+
+  return {
+    blob: await encodeAudio(channels, sampleRate, output),
+    durationMs: Math.round(((channels?.[0]?.length || 0) / sampleRate) * 1000),
+    stems: stemBlobs
+  };
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { joinClips } from './audioJoin';
+
+describe('joinClips', () => {
+  // 100 audible samples at 1 kHz, padded with silence the join trims off
+  const clip = () => [Float32Array.from({ length: 120 }, (_, i) => (i >= 10 && i < 110 ? 0.5 : 0))];
+  const samples = async blob => new Int16Array((await blob.arrayBuffer()).slice(44));
+
+  it('trims the clips and puts the boundary pause between them', async () => {
+    const { blob, durationMs } = await joinClips([clip(), clip()], ['sentence', 'end'], 1000, 'wav', { leadingPauseMs: 50 });
+    const pcm = await samples(blob);
+
+    expect(durationMs).toBe(50 + 100 + 250 + 100);
+    expect(pcm.length).toBe(500);
+    expect([pcm[0], pcm[49], pcm[100], pcm[200], pcm[450]]).toEqual([0, 0, 16383, 0, 16383]);
+  });
+
+  it('renders stems with the same timing as the mix', async () => {
+    const { blob, stems } = await joinClips([clip(), clip()], ['sentence', 'end'], 1000, 'wav', {
+      stems: { first: [true, false], second: [false, true] }
+    });
+    const [mix, first, second] = await Promise.all([blob, stems.first, stems.second].map(samples));
+
+    expect(first.length).toBe(mix.length);
+    expect(second.length).toBe(mix.length);
+    expect([first[50], first[400]]).toEqual([16383, 0]);
+    expect([second[50], second[400]]).toEqual([0, 16383]);
+  });
+});
@@ -0,0 +1,11 @@
+import { joinClips } from './audioJoin';
+
+// Joins and re-encodes decoded clips off the main thread
+self.onmessage = async ({ data }) => {
+  try {
+    const result = await joinClips(data?.clips, data?.boundaries, data?.sampleRate, data?.output, data?.options);
+    self.postMessage(result);
+  } catch (error) {
+    self.postMessage({ error: error?.message || 'Joining audio failed.' });
+  }
+};
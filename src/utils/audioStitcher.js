@@ -0,0 +1,106 @@
+import { encodeWav, PCM_SAMPLE_RATE, wrapPcmAsWav } from './audioEncoder';
+import { joinClips } from './audioJoin';
+
+/**
+ * Audio Stitcher
+ * Decodes separately generated audio clips and joins them into one continuous file in
+ * any format the browser can encode (see getReencodableFormats in audioEncoder.js)
+ */
+
+/**
+ * Decodes an encoded audio blob into an AudioBuffer
+ * @param {Blob} blob - Encoded audio (mp3, wav, ...)
+ * @param {number} sampleRate - Sample rate to decode into
+ * @returns {Promise<AudioBuffer>} - Decoded audio
+ */
+export async function decodeAudioBlob(blob, sampleRate) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const context = new OfflineContext(1, 1, sampleRate);
+
+  // Web Audio can't decode headerless PCM, so give it a WAV header first
+  const source = blob?.type === 'audio/L16' ? wrapPcmAsWav(await blob.arrayBuffer()) : blob;
+  return await context.decodeAudioData(await source.arrayBuffer());
+}
+
+/**
+ * Decodes any browser-decodable audio and re-encodes it as WAV
+ * @param {Blob} blob - Encoded audio
+ * @returns {Promise<Blob>} - WAV file
+ */
+export async function decodeToWav(blob) {
+  const buffer = await decodeAudioBlob(blob, PCM_SAMPLE_RATE);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  return encodeWav(channels, buffer.sampleRate);
+}
+
+/**
+ * Measures the exact playback length of an encoded audio blob
+ * @param {Blob} blob - Encoded audio
+ * @returns {Promise<number>} - Duration in milliseconds
+ */
+export async function measureAudioDuration(blob) {
+  // Headerless PCM length follows directly from its size
+  if (blob?.type === 'audio/L16') {
+    return Math.round((blob.size / 2 / PCM_SAMPLE_RATE) * 1000);
+  }
+
+  // Sample rate doesn't affect the measured length, only the decoded resolution
+  const buffer = await decodeAudioBlob(blob, PCM_SAMPLE_RATE);
+  return Math.round(buffer.duration * 1000);
+}
+
+/**
+ * Runs joinClips in a Web Worker so joining and encoding long files doesn't freeze the page
+ * @param {Array<Array<Float32Array>>} clips - Per-channel samples of each clip; the buffers are transferred
+ * @param {Array<string|number>} boundaries - Break following each clip
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} output - Format id
+ * @param {Object} options - joinClips options (leadingPauseMs, stems)
+ * @returns {Promise<{blob: Blob, durationMs: number, stems: Object<string, Blob>}>}
+ */
+function joinClipsInWorker(clips, boundaries, sampleRate, output, options) {
+  if (typeof Worker === 'undefined') {
+    return joinClips(clips, boundaries, sampleRate, output, options);
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./audioStitch.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      if (data?.error) reject(new Error(data.error));
+      else resolve(data);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event?.message || 'Joining audio failed.'));
+    };
+
+    worker.postMessage({ clips, boundaries, sampleRate, output, options }, clips.flat().map(channel => channel.buffer));
+  });
+}
+
+/**
+ * Decodes and joins encoded clips into a single seamless blob. Decoding needs Web Audio,
+ * which workers don't have, so only the joining and encoding move off the main thread.
+ * @param {Array<Blob>} blobs - Encoded clips in playback order
+ * @param {Array<string|number>} boundaries - Break following each clip (kind or milliseconds)
+ * @param {number} sampleRate - Output sample rate in Hz
+ * @param {string} output - Format id (see encodeAudio)
+ * @param {Object} options - Options
+ * @param {number} options.leadingPauseMs - Silence before the first clip
+ * @param {Object<string, Array<boolean>>} options.stems - Extra tracks to render, each with the clips
+ *   it includes; stems have the same length and timing as the full mix
+ * @returns {Promise<{blob: Blob, durationMs: number, stems: Object<string, Blob>}>} - Joined audio, its
+ *   length in milliseconds and any requested stems
+ */
+export async function stitchAudioBlobs(blobs, boundaries, sampleRate = PCM_SAMPLE_RATE, output = 'wav', { leadingPauseMs = 0, stems = null } = {}) {
+  const clips = [];
+  for (const blob of blobs) {
+    const buffer = await decodeAudioBlob(blob, sampleRate);
+    // Copies, because the worker takes ownership of the transferred buffers
+    clips.push(Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice()));
+  }
+
+  return await joinClipsInWorker(clips, boundaries, sampleRate, output, { leadingPauseMs, stems });
+}
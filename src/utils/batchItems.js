@@ -0,0 +1,75 @@
+/**
+ * Batch Items
+ * Splits pasted text into batch items, names their output files and builds
+ * the manifest that ships inside the batch ZIP.
+ */
+
+export const BATCH_DELIMITERS = [
+  { value: 'line', label: 'One item per line' },
+  { value: 'blank', label: 'Blank line between items' },
+  { value: 'dashes', label: '--- between items' }
+];
+
+const DELIMITER_PATTERNS = {
+  line: /\r?\n/,
+  blank: /\r?\n\s*\r?\n/,
+  dashes: /^\s*-{3,}\s*$/m
+};
+
+/**
+ * Splits pasted text into item texts
+ * @param {string} text - Pasted text
+ * @param {string} delimiter - One of BATCH_DELIMITERS
+ * @returns {Array<string>} - Non-empty item texts
+ */
+export function splitBatchText(text, delimiter = 'line') {
+  return (text || '')
+    .split(DELIMITER_PATTERNS?.[delimiter] || DELIMITER_PATTERNS.line)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Turns text into a safe file name stem
+ * @param {string} value - Any text
+ * @param {number} maxLength - Longest stem to keep
+ * @returns {string}
+ */
+export function slugify(value, maxLength = 40) {
+  return (value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Default output file name for an item: its position and the start of its text
+ * @param {number} index - Zero-based item position
+ * @param {string} text - Item text
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - e.g. "003-flight-ba-117-is-now-boarding.mp3"
+ */
+export function batchFileName(index, text, extension) {
+  const stem = slugify(text) || 'item';
+  return `${String(index + 1).padStart(3, '0')}-${stem}.${extension}`;
+}
+
+/**
+ * Builds the manifest.json describing every item in a batch
+ * @param {Array<Object>} entries - { file, text, preset, settings, status, durationMs, format, error }
+ * @param {Object} meta - Extra top-level fields (e.g. template details)
+ * @returns {string} - Pretty-printed JSON
+ */
+export function buildBatchManifest(entries, meta = {}) {
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    ...meta,
+    total: entries.length,
+    succeeded: entries.filter(entry => entry.status === 'done').length,
+    items: entries
+  }, null, 2);
+}
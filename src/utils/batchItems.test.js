@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { batchFileName, buildBatchManifest, slugify, splitBatchText } from './batchItems';
+
+describe('splitBatchText', () => {
+  it('splits on each delimiter and drops empty items', () => {
+    expect(splitBatchText('One\n\n Two \nThree')).toEqual(['One', 'Two', 'Three']);
+    expect(splitBatchText('One\nstill one\n\nTwo', 'blank')).toEqual(['One\nstill one', 'Two']);
+    expect(splitBatchText('One\n---\nTwo\n-----\n', 'dashes')).toEqual(['One', 'Two']);
+  });
+
+  it('falls back to one item per line for unknown delimiters', () => {
+    expect(splitBatchText('a\nb', 'nope')).toEqual(['a', 'b']);
+    expect(splitBatchText(null)).toEqual([]);
+  });
+});
+
+describe('file names', () => {
+  it('slugifies text without accents or punctuation', () => {
+    expect(slugify('Café — Flight BA 117!')).toBe('cafe-flight-ba-117');
+    expect(slugify('a'.repeat(50))).toHaveLength(40);
+  });
+
+  it('numbers files and falls back to "item"', () => {
+    expect(batchFileName(2, 'Flight BA 117 is now boarding', 'mp3')).toBe('003-flight-ba-117-is-now-boarding.mp3');
+    expect(batchFileName(0, '!!!', 'wav')).toBe('001-item.wav');
+  });
+});
+
+describe('buildBatchManifest', () => {
+  it('counts succeeded items and keeps extra fields', () => {
+    const manifest = JSON.parse(buildBatchManifest(
+      [{ file: 'a.mp3', status: 'done' }, { file: 'b.mp3', status: 'failed' }],
+      { template: 'greeting' }
+    ));
+
+    expect(manifest).toMatchObject({ template: 'greeting', total: 2, succeeded: 1 });
+    expect(manifest.items).toHaveLength(2);
+  });
+});
@@ -0,0 +1,155 @@
+import { isAbortError } from './concurrency';
+
+/**
+ * Batch Queue
+ * Runs many generation jobs with at most `concurrency` in flight. The queue
+ * can be paused (running jobs finish, no new ones start) and resumed, single
+ * items can be cancelled or retried, and every state change is reported
+ * through onUpdate with a fresh snapshot for rendering.
+ *
+ * Item statuses: queued -> running -> done | failed | cancelled
+ */
+
+export const BATCH_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Creates a queue
+ * @param {Object} options - Queue options
+ * @param {Function} options.worker - Async job, called as worker(item.payload, { signal, onProgress })
+ * @param {number} options.concurrency - Maximum jobs in flight
+ * @param {Function} options.onUpdate - Called with a snapshot ({ items, paused, running }) on every change
+ * @returns {Object} - Queue controls
+ */
+export function createBatchQueue({ worker, concurrency = 2, onUpdate }) {
+  let items = [];
+  let paused = true;
+  let limit = Math.max(1, concurrency);
+  const controllers = new Map();
+
+  const snapshot = () => ({
+    items: items.map(item => ({ ...item })),
+    paused,
+    running: controllers.size > 0
+  });
+
+  const emit = () => onUpdate?.(snapshot());
+
+  const update = (id, changes) => {
+    items = items.map(item => (item.id === id ? { ...item, ...changes } : item));
+    emit();
+  };
+
+  const run = async (item) => {
+    const controller = new AbortController();
+    controllers.set(item.id, controller);
+    update(item.id, { status: BATCH_STATUS.RUNNING, progress: 0, error: null, startedAt: Date.now() });
+
+    try {
+      const result = await worker(item.payload, {
+        signal: controller.signal,
+        onProgress: progress => update(item.id, { progress })
+      });
+      update(item.id, { status: BATCH_STATUS.DONE, progress: 100, result, finishedAt: Date.now() });
+    } catch (error) {
+      update(item.id, isAbortError(error) || controller.signal.aborted
+        ? { status: BATCH_STATUS.CANCELLED, progress: 0 }
+        : { status: BATCH_STATUS.FAILED, error, finishedAt: Date.now() });
+    } finally {
+      controllers.delete(item.id);
+      pump();
+    }
+  };
+
+  // Start queued items until the concurrency limit is reached
+  const pump = () => {
+    if (paused) {
+      emit();
+      return;
+    }
+
+    while (controllers.size < limit) {
+      const next = items.find(item => item.status === BATCH_STATUS.QUEUED && !controllers.has(item.id));
+      if (!next) break;
+      run(next);
+    }
+    emit();
+  };
+
+  return {
+    /**
+     * Replaces every item that is not running
+     * @param {Array<{id: string, payload: *}>} newItems - Items to process
+     */
+    setItems(newItems) {
+      const running = items.filter(item => controllers.has(item.id));
+      items = [
+        ...running,
+        ...newItems
+          .filter(item => !controllers.has(item.id))
+          .map(item => ({ id: item.id, payload: item.payload, status: BATCH_STATUS.QUEUED, progress: 0, error: null, result: null }))
+      ];
+      emit();
+    },
+
+    /** Starts or resumes processing */
+    start() {
+      paused = false;
+      pump();
+    },
+
+    /** Stops starting new items; running items finish */
+    pause() {
+      paused = true;
+      emit();
+    },
+
+    /**
+     * Changes the concurrency limit
+     * @param {number} value - Maximum jobs in flight
+     */
+    setConcurrency(value) {
+      limit = Math.max(1, value);
+      pump();
+    },
+
+    /**
+     * Cancels one item, aborting it if it is running
+     * @param {string} id - Item id
+     */
+    cancel(id) {
+      const controller = controllers.get(id);
+      if (controller) controller.abort();
+      else update(id, { status: BATCH_STATUS.CANCELLED });
+    },
+
+    /** Pauses the queue and aborts everything in flight */
+    cancelAll() {
+      paused = true;
+      controllers.forEach(controller => controller.abort());
+      items = items.map(item => (item.status === BATCH_STATUS.QUEUED ? { ...item, status: BATCH_STATUS.CANCELLED } : item));
+      emit();
+    },
+
+    /**
+     * Puts failed or cancelled items back in the queue
+     * @param {string} id - Item id, or null for every failed/cancelled item
+     */
+    retry(id = null) {
+      items = items.map(item => (
+        (id === null || item.id === id) && [BATCH_STATUS.FAILED, BATCH_STATUS.CANCELLED].includes(item.status)
+          ? { ...item, status: BATCH_STATUS.QUEUED, progress: 0, error: null }
+          : item
+      ));
+      pump();
+    },
+
+    /** @returns {Object} - Current snapshot */
+    getSnapshot: snapshot
+  };
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { BATCH_STATUS, createBatchQueue } from './batchQueue';
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const setup = (concurrency = 2) => {
+  const jobs = new Map();
+  let snapshot = null;
+  const queue = createBatchQueue({
+    concurrency,
+    worker: (payload, { signal }) => {
+      const job = deferred();
+      signal.addEventListener('abort', () => job.reject(new DOMException('Aborted', 'AbortError')));
+      jobs.set(payload, job);
+      return job.promise;
+    },
+    onUpdate: (next) => { snapshot = next; }
+  });
+  const statuses = () => snapshot.items.map(item => item.status);
+  return { queue, jobs, statuses };
+};
+
+const items = ids => ids.map(id => ({ id, payload: id }));
+
+describe('createBatchQueue', () => {
+  it('starts paused and runs at most `concurrency` jobs', async () => {
+    const { queue, jobs, statuses } = setup(2);
+    queue.setItems(items(['a', 'b', 'c']));
+    expect(jobs.size).toBe(0);
+
+    queue.start();
+    expect(statuses()).toEqual(['running', 'running', 'queued']);
+
+    jobs.get('a').resolve('A');
+    await flush();
+    expect(statuses()).toEqual(['done', 'running', 'running']);
+    expect(queue.getSnapshot().items[0].result).toBe('A');
+  });
+
+  it('marks failures and retries them', async () => {
+    const { queue, jobs, statuses } = setup(1);
+    queue.setItems(items(['a']));
+    queue.start();
+
+    jobs.get('a').reject(new Error('boom'));
+    await flush();
+    expect(statuses()).toEqual([BATCH_STATUS.FAILED]);
+
+    queue.retry();
+    expect(statuses()).toEqual([BATCH_STATUS.RUNNING]);
+  });
+
+  it('pauses without stopping running jobs and cancels items', async () => {
+    const { queue, jobs, statuses } = setup(1);
+    queue.setItems(items(['a', 'b', 'c']));
+    queue.start();
+    queue.pause();
+    queue.cancel('c');
+
+    jobs.get('a').resolve();
+    await flush();
+    expect(statuses()).toEqual(['done', 'queued', 'cancelled']);
+
+    queue.start();
+    queue.cancel('b');
+    await flush();
+    expect(statuses()).toEqual(['done', 'cancelled', 'cancelled']);
+  });
+
+  it('cancelAll aborts running jobs and cancels queued ones', async () => {
+    const { queue, statuses } = setup(1);
+    queue.setItems(items(['a', 'b']));
+    queue.start();
+    queue.cancelAll();
+    await flush();
+
+    expect(statuses()).toEqual(['cancelled', 'cancelled']);
+    expect(queue.getSnapshot().paused).toBe(true);
+  });
+});
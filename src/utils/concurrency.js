@@ -0,0 +1,113 @@
+/**
+ * Throws an AbortError if the signal has been aborted
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal?.reason instanceof Error
+      ? signal.reason
+      : new DOMException('The operation was aborted.', 'AbortError');
+  }
+}
+
+/**
+ * Whether an error came from an aborted operation
+ * @param {Error} error - Caught error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper called as fn(item, index)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Stops picking up new items once aborted
+ * @returns {Promise<Array>} - Results in the same order as items
+ */
+export async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      throwIfAborted(signal);
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker)
+  );
+
+  return results;
+}
+
+/**
+ * Waits for a delay, rejecting early with an AbortError if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      try {
+        throwIfAborted(signal);
+      } catch (error) {
+        reject(error);
+      }
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Calls an async function, retrying failures with exponential backoff and full jitter.
+ * A server-requested wait (error.retryAfterMs, from Retry-After) replaces the backoff delay.
+ * @param {Function} fn - Async function, called as fn(attempt) starting at 0
+ * @param {Object} options - Options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Upper bound of the first backoff delay; doubles every attempt
+ * @param {number} options.maxDelayMs - Cap for backoff delays
+ * @param {number} options.maxRetryAfterMs - Give up instead of waiting when the server asks for longer
+ * @param {Function} options.shouldRetry - Called with the error; only truthy results are retried
+ * @param {Function} options.onRetry - Called as onRetry(error, attempt, delayMs) before each wait
+ * @param {AbortSignal} options.signal - Cancels waiting between attempts
+ * @returns {Promise<*>} - The first successful result
+ */
+export async function retryWithBackoff(fn, {
+  retries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 8000,
+  maxRetryAfterMs = 60000,
+  shouldRetry = () => true,
+  onRetry = null,
+  signal = null
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || isAbortError(error) || signal?.aborted || !shouldRetry(error)) throw error;
+
+      const retryAfterMs = Number.isFinite(error?.retryAfterMs) ? error.retryAfterMs : null;
+      if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) throw error;
+
+      const delayMs = retryAfterMs ?? Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      onRetry?.(error, attempt + 1, delayMs);
+      await sleep(delayMs, signal);
+    }
+  }
+}
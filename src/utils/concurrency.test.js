@@ -0,0 +1,76 @@
+import { describe, expect, it, vi } from 'vitest';
+import { isAbortError, mapWithConcurrency, retryWithBackoff, throwIfAborted } from './concurrency';
+
+describe('mapWithConcurrency', () => {
+  it('keeps results in input order with at most `limit` calls in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      inFlight--;
+      return index * 10;
+    });
+
+    expect(results).toEqual([0, 10, 20, 30]);
+    expect(peak).toBe(2);
+  });
+
+  it('handles an empty list', async () => {
+    expect(await mapWithConcurrency([], 3, async () => 1)).toEqual([]);
+  });
+});
+
+describe('mapWithConcurrency cancellation', () => {
+  it('stops picking up items once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const seen = [];
+
+    const run = mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+      seen.push(item);
+      if (item === 2) controller.abort();
+    }, { signal: controller.signal });
+
+    await expect(run).rejects.toSatisfy(isAbortError);
+    expect(seen).toEqual([1, 2]);
+  });
+
+  it('throwIfAborted passes while the signal is live', () => {
+    expect(() => throwIfAborted(new AbortController().signal)).not.toThrow();
+    expect(() => throwIfAborted(undefined)).not.toThrow();
+  });
+});
+
+describe('retryWithBackoff', () => {
+  it('retries failures until one succeeds', async () => {
+    const onRetry = vi.fn();
+    const fn = vi.fn(async (attempt) => {
+      if (attempt < 2) throw new Error('flaky');
+      return 'done';
+    });
+
+    expect(await retryWithBackoff(fn, { baseDelayMs: 1, onRetry })).toBe('done');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+  });
+
+  it('waits as long as the server asks, but gives up on long waits', async () => {
+    const onRetry = vi.fn();
+    const asksForShortWait = Object.assign(new Error('slow down'), { retryAfterMs: 5 });
+    const asksForLongWait = Object.assign(new Error('come back tomorrow'), { retryAfterMs: 120000 });
+
+    await expect(retryWithBackoff(async () => { throw asksForShortWait; }, { retries: 1, onRetry })).rejects.toBe(asksForShortWait);
+    expect(onRetry).toHaveBeenCalledWith(asksForShortWait, 1, 5);
+
+    await expect(retryWithBackoff(async () => { throw asksForLongWait; })).rejects.toBe(asksForLongWait);
+  });
+
+  it('does not retry errors shouldRetry rejects', async () => {
+    const fn = vi.fn(async () => { throw new Error('bad request'); });
+
+    await expect(retryWithBackoff(fn, { shouldRetry: () => false })).rejects.toThrow('bad request');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
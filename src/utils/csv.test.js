@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsvRows } from './csv';
+
+describe('parseCsvRows', () => {
+  it('parses quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsvRows('a,"b, c","say ""hi"""\r\n"multi\nline",2\n\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['multi\nline', '2']
+    ]);
+  });
+
+  it('keeps a last row without a line break and drops blank rows', () => {
+    expect(parseCsvRows('name,city\n , \nAda,London')).toEqual([
+      ['name', 'city'],
+      ['Ada', 'London']
+    ]);
+  });
+});
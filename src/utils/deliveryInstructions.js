@@ -0,0 +1,63 @@
+/**
+ * Delivery Instructions
+ * Turns emotion, voice style and free-text direction into natural-language
+ * instructions for instruction-capable TTS models.
+ */
+
+// Longest voice direction accepted from the user
+export const MAX_VOICE_DIRECTION_LENGTH = 500;
+
+const EMOTION_INSTRUCTIONS = {
+  neutral: 'Use a natural, neutral tone.',
+  calm: 'Sound calm and soothing, unhurried and gentle.',
+  happy: 'Sound cheerful and warm, with a smile in your voice.',
+  sad: 'Sound subdued and melancholic, with a softer, heavier delivery.',
+  serious: 'Sound serious and authoritative, measured and firm.',
+  excited: 'Sound excited and energetic, with lively emphasis.'
+};
+
+const STYLE_INSTRUCTIONS = {
+  children: 'Speak like a young child: light, playful and bright.',
+  female: 'Use a feminine vocal quality.',
+  male: 'Use a masculine vocal quality.',
+  adult: 'Speak like a mature, composed adult.'
+};
+
+// Instruction models ignore the numeric speed parameter, so pace goes into the prompt
+const PACE_INSTRUCTIONS = {
+  slow: 'Speak at a slow, deliberate pace.',
+  normal: '',
+  fast: 'Speak at a brisk, quick pace.'
+};
+
+/**
+ * Whether the settings ask for anything beyond a plain reading
+ * @param {Object} settings - Voice customization settings
+ * @returns {boolean}
+ */
+export function hasDeliveryDirection(settings) {
+  return (settings?.emotion && settings?.emotion !== 'neutral')
+    || !!settings?.voiceDirection?.trim();
+}
+
+/**
+ * Builds delivery instructions from voice settings
+ * @param {Object} settings - Voice customization settings
+ * @param {Object} options - Builder options
+ * @param {boolean} options.includePace - Fold voiceSpeed into the instructions
+ * @returns {string} - Instructions, one sentence per aspect
+ */
+export function buildDeliveryInstructions(settings, { includePace = false } = {}) {
+  const { emotion, voiceStyle, voiceSpeed, voiceDirection } = settings || {};
+
+  const parts = [
+    EMOTION_INSTRUCTIONS?.[emotion],
+    STYLE_INSTRUCTIONS?.[voiceStyle],
+    includePace ? PACE_INSTRUCTIONS?.[voiceSpeed] : '',
+    voiceDirection?.trim()
+      ? `Additional direction: ${voiceDirection.trim().slice(0, MAX_VOICE_DIRECTION_LENGTH)}`
+      : ''
+  ];
+
+  return parts.filter(Boolean).join(' ');
+}
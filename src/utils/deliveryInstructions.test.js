@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_VOICE_DIRECTION_LENGTH, buildDeliveryInstructions, hasDeliveryDirection } from './deliveryInstructions';
+
+describe('buildDeliveryInstructions', () => {
+  it('joins emotion, style and direction into one instruction', () => {
+    expect(buildDeliveryInstructions({ emotion: 'calm', voiceStyle: 'adult', voiceDirection: '  Like a bedtime story. ' })).toBe(
+      'Sound calm and soothing, unhurried and gentle. Speak like a mature, composed adult. Additional direction: Like a bedtime story.'
+    );
+  });
+
+  it('only describes pace when asked to', () => {
+    expect(buildDeliveryInstructions({ emotion: 'neutral', voiceSpeed: 'fast' })).toBe('Use a natural, neutral tone.');
+    expect(buildDeliveryInstructions({ emotion: 'neutral', voiceSpeed: 'fast' }, { includePace: true })).toBe(
+      'Use a natural, neutral tone. Speak at a brisk, quick pace.'
+    );
+  });
+
+  it('caps the free-text direction', () => {
+    const instructions = buildDeliveryInstructions({ voiceDirection: 'x'.repeat(MAX_VOICE_DIRECTION_LENGTH + 50) });
+
+    expect(instructions).toBe(`Additional direction: ${'x'.repeat(MAX_VOICE_DIRECTION_LENGTH)}`);
+  });
+});
+
+describe('hasDeliveryDirection', () => {
+  it('is true for a non-neutral emotion or any direction text', () => {
+    expect(hasDeliveryDirection({ emotion: 'neutral', voiceDirection: '  ' })).toBe(false);
+    expect(hasDeliveryDirection({ emotion: 'sad' })).toBe(true);
+    expect(hasDeliveryDirection({ emotion: 'neutral', voiceDirection: 'Whisper' })).toBe(true);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Dialogue Script
+ * Parses speaker-labelled scripts such as:
+ *
+ *   DAVID: Welcome back to the show.
+ *   SARAH: Thanks for having me.
+ *
+ * Lines without a label continue the previous speaker's turn; blank lines
+ * are ignored. Labels are matched case-insensitively, so "David:" and
+ * "DAVID:" are the same speaker.
+ *
+ * Not every "Word:" is a speaker ("Time: 10:30", "Note: bring snacks"), so a
+ * label only starts a turn when its speaker is in the cast. The cast comes from
+ * the caller (e.g. the app's voice names) and from a declaration on the first
+ * line of the script:
+ *
+ *   CAST: Host, Guest, Waiter
+ *
+ * Other labelled lines are read as part of the current turn.
+ */
+
+// A label is a short name at the start of a line followed by a colon
+const SPEAKER_LINE_PATTERN = /^\s*([\p{L}][\p{L}\p{N} ._'-]{0,29}?)\s*:\s*(.*)$/u;
+
+// Optional first line declaring the speakers, e.g. "CAST: David, Sarah"
+const CAST_LINE_PATTERN = /^\s*(?:cast|speakers)\s*:\s*(.+)$/i;
+
+// Speakers need at least this many labelled turns before a script counts as dialogue
+const MIN_DIALOGUE_TURNS = 2;
+
+/**
+ * Normalizes a label so different spellings of one speaker match
+ * @param {string} label - Raw speaker label
+ * @returns {string} - Speaker key (upper case, single spaces)
+ */
+export function normalizeSpeaker(label) {
+  return label?.trim()?.replace(/\s+/g, ' ')?.toUpperCase() || '';
+}
+
+/**
+ * Splits a script into speaker turns
+ * @param {string} text - Script text
+ * @param {Object} options - Parsing options
+ * @param {Array<string>} options.cast - Names that are always speakers (matched like labels)
+ * @returns {{turns: Array<{speaker: string, text: string, line: number}>, speakers: Array<string>, unassigned: Array<number>}}
+ *   Turns in order, distinct speakers in order of first appearance, and line numbers (1-based) of
+ *   text that appears before the first label
+ */
+export function parseDialogue(text, { cast = [] } = {}) {
+  const turns = [];
+  const speakers = [];
+  const unassigned = [];
+
+  const lines = (text || '').split(/\r?\n/);
+  const firstLine = lines.findIndex(line => line.trim());
+  const declared = lines[firstLine]?.match(CAST_LINE_PATTERN)?.[1]?.split(',')?.map(normalizeSpeaker)?.filter(Boolean) || [];
+  const castKeys = new Set([...(cast || []).map(normalizeSpeaker), ...declared]);
+
+  lines.forEach((line, index) => {
+    if (!line.trim() || (declared.length > 0 && index === firstLine)) return;
+
+    const match = line.match(SPEAKER_LINE_PATTERN);
+    const speaker = match ? normalizeSpeaker(match[1]) : null;
+    if (speaker && castKeys.has(speaker)) {
+      if (!speakers.includes(speaker)) speakers.push(speaker);
+      turns.push({ speaker, text: match[2].trim(), line: index + 1 });
+      return;
+    }
+
+    const previous = turns[turns.length - 1];
+    if (previous) previous.text = `${previous.text}\n${line.trim()}`.trim();
+    else unassigned.push(index + 1);
+  });
+
+  return {
+    turns: turns.filter(turn => turn.text),
+    speakers,
+    unassigned
+  };
+}
+
+/**
+ * Whether text looks like a speaker-labelled script
+ * @param {string} text - Script text
+ * @param {Object} options - Parsing options (see parseDialogue)
+ * @returns {boolean}
+ */
+export function isDialogueScript(text, options = {}) {
+  const { turns, speakers } = parseDialogue(text, options);
+  return turns.length >= MIN_DIALOGUE_TURNS && speakers.length >= 2;
+}
+
+/**
+ * Suggests a character for each speaker: a character with the same name when
+ * there is one, otherwise the next character not yet used
+ * @param {Array<string>} speakers - Speaker keys
+ * @param {Array<string>} characters - Available character ids
+ * @returns {Object<string, string>} - Speaker key -> character id
+ */
+export function suggestSpeakerCharacters(speakers, characters) {
+  const suggestions = {};
+  const used = new Set();
+
+  speakers.forEach((speaker) => {
+    const named = characters.find(c => c.toUpperCase() === speaker);
+    if (named) {
+      suggestions[speaker] = named;
+      used.add(named);
+    }
+  });
+
+  speakers.forEach((speaker) => {
+    if (suggestions[speaker]) return;
+    const next = characters.find(c => !used.has(c)) || characters[used.size % characters.length];
+    suggestions[speaker] = next;
+    used.add(next);
+  });
+
+  return suggestions;
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { isDialogueScript, normalizeSpeaker, parseDialogue, suggestSpeakerCharacters } from './dialogueScript';
+
+describe('parseDialogue', () => {
+  it('splits cast labels into turns', () => {
+    const { turns, speakers, unassigned } = parseDialogue('DAVID: Welcome back.\nSarah: Thanks.\ndavid: Shall we start?\nSARAH: Sure.', { cast: ['David', 'Sarah'] });
+
+    expect(speakers).toEqual(['DAVID', 'SARAH']);
+    expect(turns.map(turn => [turn.speaker, turn.text])).toEqual([
+      ['DAVID', 'Welcome back.'],
+      ['SARAH', 'Thanks.'],
+      ['DAVID', 'Shall we start?'],
+      ['SARAH', 'Sure.']
+    ]);
+    expect(unassigned).toEqual([]);
+  });
+
+  it('keeps one-off labels such as times and notes inside the current turn', () => {
+    const script = 'HOST: Here is the plan.\nTime: 10:30\nNote: bring snacks\nGUEST: Sounds good.\nNote: see you there';
+    const { turns, speakers } = parseDialogue(script, { cast: ['Host', 'Guest'] });
+
+    expect(speakers).toEqual(['HOST', 'GUEST']);
+    expect(turns[0].text).toBe('Here is the plan.\nTime: 10:30\nNote: bring snacks');
+  });
+
+  it('ignores labels outside the cast, however often they appear', () => {
+    const { speakers, unassigned } = parseDialogue('Time: 10:30\nTime: 11:00\nNote: bring snacks');
+
+    expect(speakers).toEqual([]);
+    expect(unassigned).toEqual([1, 2, 3]);
+  });
+
+  it('accepts single-line speakers from the cast', () => {
+    const { speakers, turns } = parseDialogue('CHLOE: Hi.\nWAITER: Your table is ready.', { cast: ['Chloe', 'waiter'] });
+
+    expect(speakers).toEqual(['CHLOE', 'WAITER']);
+    expect(turns).toHaveLength(2);
+  });
+
+  it('reads speakers declared on the first line and does not speak the declaration', () => {
+    const { speakers, turns } = parseDialogue('CAST: Host, Waiter\nHOST: Table for two?\nWAITER: Right this way.\nP.S.: no dessert');
+
+    expect(speakers).toEqual(['HOST', 'WAITER']);
+    expect(turns.map(turn => turn.text)).toEqual(['Table for two?', 'Right this way.\nP.S.: no dessert']);
+  });
+
+  it('continues the previous turn on unlabelled lines', () => {
+    const { turns } = parseDialogue('HOST: First part\nsecond part\nGUEST: Hi', { cast: ['Host', 'Guest'] });
+
+    expect(turns.map(turn => [turn.text, turn.line])).toEqual([['First part\nsecond part', 1], ['Hi', 3]]);
+  });
+
+  it('reports text before the first speaker', () => {
+    expect(parseDialogue('Note: draft\nDAVID: Hi.\nDAVID: Bye.', { cast: ['David'] }).unassigned).toEqual([1]);
+  });
+});
+
+describe('isDialogueScript', () => {
+  it('does not mistake a memo for a script', () => {
+    expect(isDialogueScript('Time: 10:30\nPlace: Room 4\nTime: 11:00\nPlace: Room 5', { cast: ['David', 'Sarah'] })).toBe(false);
+  });
+
+  it('recognises a two-person script', () => {
+    expect(isDialogueScript('DAVID: Hi.\nSARAH: Hello.\nDAVID: Ready?\nSARAH: Yes.', { cast: ['David', 'Sarah'] })).toBe(true);
+    expect(isDialogueScript('CAST: Host, Guest\nHOST: Hi.\nGUEST: Hello.')).toBe(true);
+  });
+});
+
+describe('speakers', () => {
+  it('normalizes spacing and case', () => {
+    expect(normalizeSpeaker('  mr   smith ')).toBe('MR SMITH');
+  });
+
+  it('suggests same-named characters first, then unused ones', () => {
+    expect(suggestSpeakerCharacters(['HOST', 'DAVID', 'GUEST'], ['chloe', 'david', 'sarah'])).toEqual({
+      DAVID: 'david',
+      HOST: 'chloe',
+      GUEST: 'sarah'
+    });
+  });
+});
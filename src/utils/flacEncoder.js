@@ -0,0 +1,368 @@
+/**
+ * FLAC Encoder
+ * Small lossless encoder for stitched and pitch-shifted audio. Each block is
+ * predicted with the best FLAC fixed polynomial predictor (orders 0-4) and the
+ * residual is Rice coded with per-partition parameters. Output is 16-bit with
+ * independently coded channels.
+ */
+
+// Samples per channel in each frame; the FLAC reference encoder default
+const BLOCK_SIZE = 4096;
+
+const BITS_PER_SAMPLE = 16;
+
+const MAX_FIXED_ORDER = 4;
+
+const MAX_PARTITION_ORDER = 6;
+
+// 4-bit Rice parameters; 15 is reserved for escaped partitions
+const MAX_RICE_PARAMETER = 14;
+
+// Frame header codes for common sample rates, so each frame can be decoded on its own
+const SAMPLE_RATE_CODES = {
+  88200: 0b0001,
+  176400: 0b0010,
+  192000: 0b0011,
+  8000: 0b0100,
+  16000: 0b0101,
+  22050: 0b0110,
+  24000: 0b0111,
+  32000: 0b1000,
+  44100: 0b1001,
+  48000: 0b1010,
+  96000: 0b1011
+};
+
+/**
+ * Growable big-endian bit writer
+ */
+class BitWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+    this.buffer = 0;
+    this.bitCount = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  /**
+   * Writes the low `bits` bits of value (at most 24 at a time)
+   */
+  write(value, bits) {
+    if (bits > 24) {
+      this.write(Math.floor(value / 0x1000000), bits - 24);
+      this.write(value % 0x1000000, 24);
+      return;
+    }
+    this.ensure(4);
+    this.buffer = ((this.buffer << bits) | (value & ((1 << bits) - 1))) >>> 0;
+    this.bitCount += bits;
+    while (this.bitCount >= 8) {
+      this.bitCount -= 8;
+      this.bytes[this.length++] = (this.buffer >>> this.bitCount) & 0xff;
+    }
+    this.buffer &= (1 << this.bitCount) - 1;
+  }
+
+  writeZeros(count) {
+    for (let remaining = count; remaining > 0; remaining -= 24) this.write(0, Math.min(24, remaining));
+  }
+
+  /** Pads with zero bits to the next byte boundary */
+  align() {
+    if (this.bitCount > 0) this.write(0, 8 - this.bitCount);
+  }
+
+  toBytes() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+let crc8Table = null;
+let crc16Table = null;
+
+// CRC-8 (polynomial x^8 + x^2 + x + 1) protecting each frame header
+function crc8(bytes, start, end) {
+  if (!crc8Table) {
+    crc8Table = new Uint8Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 0x80 ? ((c << 1) ^ 0x07) & 0xff : (c << 1) & 0xff;
+      crc8Table[n] = c;
+    }
+  }
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = crc8Table[crc ^ bytes[i]];
+  return crc;
+}
+
+// CRC-16 (polynomial x^16 + x^15 + x^2 + 1) protecting each whole frame
+function crc16(bytes, start, end) {
+  if (!crc16Table) {
+    crc16Table = new Uint16Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n << 8;
+      for (let k = 0; k < 8; k++) c = c & 0x8000 ? ((c << 1) ^ 0x8005) & 0xffff : (c << 1) & 0xffff;
+      crc16Table[n] = c;
+    }
+  }
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = ((crc << 8) & 0xffff) ^ crc16Table[(crc >> 8) ^ bytes[i]];
+  return crc;
+}
+
+/**
+ * Residual of the fixed predictor of the given order
+ * @param {Int32Array} samples - Block samples
+ * @param {number} order - Predictor order (0-4)
+ * @returns {Int32Array} - Residual for samples[order..]
+ */
+function fixedResidual(samples, order) {
+  const n = samples.length;
+  const residual = new Int32Array(Math.max(0, n - order));
+  for (let i = order; i < n; i++) {
+    const s = samples;
+    let prediction = 0;
+    if (order === 1) prediction = s[i - 1];
+    else if (order === 2) prediction = 2 * s[i - 1] - s[i - 2];
+    else if (order === 3) prediction = 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3];
+    else if (order === 4) prediction = 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4];
+    residual[i - order] = s[i] - prediction;
+  }
+  return residual;
+}
+
+const zigzag = value => (value < 0 ? -2 * value - 1 : 2 * value);
+
+/**
+ * Best Rice parameter for a partition, from the sum of its zigzagged residuals
+ * @param {number} sum - Sum of zigzagged residuals
+ * @param {number} count - Residuals in the partition
+ * @returns {{parameter: number, bits: number}} - Parameter and estimated cost
+ */
+function bestRiceParameter(sum, count) {
+  if (count <= 0) return { parameter: 0, bits: 0 };
+
+  // The optimum sits next to log2 of the mean; check both neighbours
+  const guess = sum > count ? Math.min(MAX_RICE_PARAMETER, Math.floor(Math.log2(sum / count))) : 0;
+  let best = null;
+  for (let k = Math.max(0, guess - 1); k <= Math.min(MAX_RICE_PARAMETER, guess + 1); k++) {
+    const bits = count * (k + 1) + Math.floor(sum / 2 ** k);
+    if (!best || bits < best.bits) best = { parameter: k, bits };
+  }
+  return best;
+}
+
+/**
+ * Chooses the partition order and per-partition Rice parameters for a residual
+ * @param {Int32Array} residual - Residual after the warm-up samples
+ * @param {number} blockSize - Samples in the block
+ * @param {number} order - Predictor order (number of warm-up samples)
+ * @returns {{partitionOrder: number, parameters: Array<number>, bits: number}}
+ */
+function planPartitions(residual, blockSize, order) {
+  // Finest split allowed: partitions must divide the block and outlast the warm-up
+  let maxOrder = 0;
+  while (
+    maxOrder < MAX_PARTITION_ORDER &&
+    blockSize % (1 << (maxOrder + 1)) === 0 &&
+    blockSize >> (maxOrder + 1) > order
+  ) {
+    maxOrder++;
+  }
+
+  // Sums at the finest split, merged pairwise for each coarser one
+  const finestSize = blockSize >> maxOrder;
+  let sums = [];
+  let counts = [];
+  for (let p = 0; p < 1 << maxOrder; p++) {
+    // The first partition is shorter by the warm-up samples
+    const start = p === 0 ? 0 : p * finestSize - order;
+    const end = (p + 1) * finestSize - order;
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += zigzag(residual[i]);
+    sums.push(sum);
+    counts.push(end - start);
+  }
+
+  let best = null;
+  for (let partitionOrder = maxOrder; partitionOrder >= 0; partitionOrder--) {
+    const parameters = [];
+    let bits = 0;
+    sums.forEach((sum, p) => {
+      const rice = bestRiceParameter(sum, counts[p]);
+      parameters.push(rice.parameter);
+      bits += 4 + rice.bits;
+    });
+
+    if (!best || bits < best.bits) best = { partitionOrder, parameters, bits };
+
+    sums = sums.filter((_, p) => p % 2 === 0).map((sum, p) => sum + sums[2 * p + 1]);
+    counts = counts.filter((_, p) => p % 2 === 0).map((count, p) => count + counts[2 * p + 1]);
+  }
+  return best;
+}
+
+/**
+ * Writes one channel of a block as the smallest subframe
+ * @param {BitWriter} writer - Output
+ * @param {Int32Array} samples - Block samples
+ */
+function writeSubframe(writer, samples) {
+  const blockSize = samples.length;
+
+  if (samples.every(sample => sample === samples[0])) {
+    writer.write(0b00000000, 8);
+    writer.write(samples[0] & 0xffff, BITS_PER_SAMPLE);
+    return;
+  }
+
+  let best = null;
+  for (let order = 0; order <= Math.min(MAX_FIXED_ORDER, blockSize - 1); order++) {
+    const residual = fixedResidual(samples, order);
+    const plan = planPartitions(residual, blockSize, order);
+    const bits = order * BITS_PER_SAMPLE + 6 + plan.bits;
+    if (!best || bits < best.bits) best = { order, residual, plan, bits };
+  }
+
+  // Noise can cost more predicted than stored as-is
+  if (!best || best.bits >= blockSize * BITS_PER_SAMPLE) {
+    writer.write(0b00000010, 8);
+    samples.forEach(sample => writer.write(sample & 0xffff, BITS_PER_SAMPLE));
+    return;
+  }
+
+  const { order, residual, plan } = best;
+  writer.write(0b00010000 | (order << 1), 8);
+  for (let i = 0; i < order; i++) writer.write(samples[i] & 0xffff, BITS_PER_SAMPLE);
+
+  // Rice coding with 4-bit parameters
+  writer.write(0, 2);
+  writer.write(plan.partitionOrder, 4);
+
+  const partitionSize = blockSize >> plan.partitionOrder;
+  plan.parameters.forEach((k, p) => {
+    writer.write(k, 4);
+    const start = p === 0 ? 0 : p * partitionSize - order;
+    const end = (p + 1) * partitionSize - order;
+    for (let i = start; i < end; i++) {
+      const value = zigzag(residual[i]);
+      const quotient = Math.floor(value / 2 ** k);
+      writer.writeZeros(quotient);
+      writer.write(1, 1);
+      if (k > 0) writer.write(value % 2 ** k, k);
+    }
+  });
+}
+
+/**
+ * Writes a frame number in FLAC's UTF-8-like coding
+ * @param {BitWriter} writer - Output
+ * @param {number} value - Frame number
+ */
+function writeUtf8Number(writer, value) {
+  if (value < 0x80) {
+    writer.write(value, 8);
+    return;
+  }
+
+  const continuation = [];
+  let remaining = value;
+  let firstBits = 6;
+  while (remaining >= 2 ** firstBits) {
+    continuation.unshift(0x80 | (remaining & 0x3f));
+    remaining = Math.floor(remaining / 64);
+    firstBits -= 1;
+  }
+  const leading = (0xff << (7 - continuation.length)) & 0xff;
+  writer.write(leading | remaining, 8);
+  continuation.forEach(byte => writer.write(byte, 8));
+}
+
+/**
+ * Frame header sample rate code plus any value that follows the block size
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{code: number, extra: number, extraBits: number}}
+ */
+function sampleRateCode(sampleRate) {
+  if (SAMPLE_RATE_CODES[sampleRate]) return { code: SAMPLE_RATE_CODES[sampleRate], extra: 0, extraBits: 0 };
+  if (sampleRate % 1000 === 0 && sampleRate <= 255000) return { code: 0b1100, extra: sampleRate / 1000, extraBits: 8 };
+  if (sampleRate <= 65535) return { code: 0b1101, extra: sampleRate, extraBits: 16 };
+  if (sampleRate % 10 === 0 && sampleRate <= 655350) return { code: 0b1110, extra: sampleRate / 10, extraBits: 16 };
+  return { code: 0b0000, extra: 0, extraBits: 0 };
+}
+
+/**
+ * Converts float samples to clipped 16-bit integers
+ * @param {Float32Array} channel - Samples in [-1, 1]
+ * @returns {Int32Array}
+ */
+function toInt16(channel) {
+  const samples = new Int32Array(channel.length);
+  for (let i = 0; i < channel.length; i++) {
+    const sample = Math.max(-1, Math.min(1, channel[i]));
+    samples[i] = Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff);
+  }
+  return samples;
+}
+
+/**
+ * Encodes PCM channel data as a FLAC file (up to 8 channels)
+ * @param {Array<Float32Array>} channels - Per-channel samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Blob} - FLAC file
+ */
+export function encodeFlac(channels, sampleRate) {
+  const pcm = channels.slice(0, 8).map(toInt16);
+  const totalSamples = pcm?.[0]?.length || 0;
+  const writer = new BitWriter(Math.max(1024, totalSamples * pcm.length));
+
+  // Stream marker and STREAMINFO, the only metadata block
+  writer.write(0x664c6143, 32); // "fLaC"
+  writer.write(1, 1);
+  writer.write(0, 7);
+  writer.write(34, 24);
+  const nominalBlockSize = Math.max(16, Math.min(BLOCK_SIZE, totalSamples));
+  writer.write(nominalBlockSize, 16);
+  writer.write(nominalBlockSize, 16);
+  writer.write(0, 24); // Minimum frame size unknown
+  writer.write(0, 24); // Maximum frame size unknown
+  writer.write(sampleRate, 20);
+  writer.write(pcm.length - 1, 3);
+  writer.write(BITS_PER_SAMPLE - 1, 5);
+  writer.write(totalSamples, 36);
+  writer.writeZeros(128); // No MD5 signature
+
+  const rate = sampleRateCode(sampleRate);
+
+  for (let frame = 0, offset = 0; offset < totalSamples; frame++, offset += BLOCK_SIZE) {
+    const blockSize = Math.min(BLOCK_SIZE, totalSamples - offset);
+    const frameStart = writer.length;
+
+    writer.write(0b11111111111110, 14); // Sync code
+    writer.write(0, 1);
+    writer.write(0, 1); // Fixed block size, so frames are numbered
+    writer.write(0b0111, 4); // Block size - 1 follows as 16 bits
+    writer.write(rate.code, 4);
+    writer.write(pcm.length - 1, 4); // Independent channels
+    writer.write(0b100, 3); // 16 bits per sample
+    writer.write(0, 1);
+    writeUtf8Number(writer, frame);
+    writer.write(blockSize - 1, 16);
+    if (rate.extraBits) writer.write(rate.extra, rate.extraBits);
+    writer.write(crc8(writer.bytes, frameStart, writer.length), 8);
+
+    pcm.forEach(samples => writeSubframe(writer, samples.subarray(offset, offset + blockSize)));
+
+    writer.align();
+    writer.write(crc16(writer.bytes, frameStart, writer.length), 16);
+  }
+
+  return new Blob([writer.toBytes()], { type: 'audio/flac' });
+}
@@ -0,0 +1,166 @@
+import { describe, expect, it } from 'vitest';
+import { encodeFlac } from './flacEncoder';
+
+const toInt16 = channel => Array.from(channel, (value) => {
+  const sample = Math.max(-1, Math.min(1, value));
+  return Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff) || 0;
+});
+
+const crc = (bytes, width, polynomial) => {
+  const top = 1 << (width - 1);
+  const mask = (1 << width) - 1;
+  let value = 0;
+  bytes.forEach((byte) => {
+    value ^= byte << (width - 8);
+    for (let k = 0; k < 8; k++) value = value & top ? ((value << 1) ^ polynomial) & mask : (value << 1) & mask;
+  });
+  return value;
+};
+
+/**
+ * Minimal FLAC decoder covering what the encoder writes, checking every CRC on the way
+ */
+function decodeFlac(bytes) {
+  let position = 0;
+  const read = (bits) => {
+    let value = 0;
+    for (let i = 0; i < bits; i++, position++) value = value * 2 + ((bytes[position >> 3] >> (7 - (position & 7))) & 1);
+    return value;
+  };
+  const readSigned = (bits) => {
+    const value = read(bits);
+    return value >= 2 ** (bits - 1) ? value - 2 ** bits : value;
+  };
+
+  expect(String.fromCharCode(...bytes.subarray(0, 4))).toBe('fLaC');
+  position = 32;
+  expect([read(1), read(7), read(24)]).toEqual([1, 0, 34]);
+  const info = { minBlockSize: read(16), maxBlockSize: read(16) };
+  read(48);
+  Object.assign(info, { sampleRate: read(20), channels: read(3) + 1, bitsPerSample: read(5) + 1, totalSamples: read(36) });
+  read(128);
+
+  const channels = Array.from({ length: info.channels }, () => []);
+  const subframeTypes = [];
+
+  while (position < bytes.length * 8) {
+    const frameStart = position >> 3;
+    expect(read(14)).toBe(0b11111111111110);
+    read(2);
+    expect(read(4)).toBe(0b0111);
+    const rateCode = read(4);
+    expect(rateCode).toBe({ 24000: 0b0111, 48000: 0b1010, 11000: 0b1100, 12345: 0b1101 }[info.sampleRate]);
+    expect(read(4)).toBe(info.channels - 1);
+    expect(read(3)).toBe(0b100);
+    read(1);
+    const first = read(8);
+    let continuation = 0;
+    while (first & (0x40 >> continuation)) continuation++;
+    if (first & 0x80) read(8 * continuation);
+    const blockSize = read(16) + 1;
+    if (rateCode === 0b1100) expect(read(8) * 1000).toBe(info.sampleRate);
+    if (rateCode === 0b1101) expect(read(16)).toBe(info.sampleRate);
+    expect(read(8)).toBe(crc(bytes.subarray(frameStart, (position >> 3) - 1), 8, 0x07));
+
+    channels.forEach((output) => {
+      read(1);
+      const type = read(6);
+      read(1);
+      subframeTypes.push(type);
+
+      if (type === 0) {
+        const value = readSigned(16);
+        for (let i = 0; i < blockSize; i++) output.push(value);
+        return;
+      }
+      if (type === 1) {
+        for (let i = 0; i < blockSize; i++) output.push(readSigned(16));
+        return;
+      }
+
+      const order = type & 7;
+      const samples = [];
+      for (let i = 0; i < order; i++) samples.push(readSigned(16));
+      expect(read(2)).toBe(0);
+      const partitionOrder = read(4);
+      for (let p = 0; p < 1 << partitionOrder; p++) {
+        const k = read(4);
+        const count = (blockSize >> partitionOrder) - (p === 0 ? order : 0);
+        for (let i = 0; i < count; i++) {
+          let quotient = 0;
+          while (read(1) === 0) quotient++;
+          const value = quotient * 2 ** k + read(k);
+          const residual = value % 2 ? -(value + 1) / 2 : value / 2;
+          const n = samples.length;
+          const s = samples;
+          const prediction = [0, s[n - 1], 2 * s[n - 1] - s[n - 2], 3 * s[n - 1] - 3 * s[n - 2] + s[n - 3],
+            4 * s[n - 1] - 6 * s[n - 2] + 4 * s[n - 3] - s[n - 4]][order];
+          samples.push(residual + prediction);
+        }
+      }
+      output.push(...samples);
+    });
+
+    position = Math.ceil(position / 8) * 8;
+    const frameEnd = position >> 3;
+    expect(read(16)).toBe(crc(bytes.subarray(frameStart, frameEnd), 16, 0x8005));
+  }
+
+  return { info, channels, subframeTypes };
+}
+
+const encode = async (channels, sampleRate = 24000) => {
+  const blob = encodeFlac(channels, sampleRate);
+  return { blob, decoded: decodeFlac(new Uint8Array(await blob.arrayBuffer())) };
+};
+
+describe('encodeFlac', () => {
+  it('writes a stream header describing the audio', async () => {
+    const { blob, decoded } = await encode([new Float32Array(10000)]);
+
+    expect(blob.type).toBe('audio/flac');
+    expect(decoded.info).toEqual({
+      minBlockSize: 4096,
+      maxBlockSize: 4096,
+      sampleRate: 24000,
+      channels: 1,
+      bitsPerSample: 16,
+      totalSamples: 10000
+    });
+  });
+
+  it('decodes back to the exact 16-bit samples of a tone', async () => {
+    const tone = Float32Array.from({ length: 24000 }, (_, i) => 0.5 * Math.sin((2 * Math.PI * 440 * i) / 24000));
+    const { blob, decoded } = await encode([tone]);
+
+    expect(decoded.channels[0]).toEqual(toInt16(tone));
+    // Predictable audio compresses well below the 48 kB of raw samples
+    expect(blob.size).toBeLessThan(24000);
+    expect(decoded.subframeTypes.every(type => (type & 0x38) === 8)).toBe(true);
+  });
+
+  it('stores silence as constants, noise verbatim and keeps stereo channels apart', async () => {
+    let seed = 1;
+    const noise = Float32Array.from({ length: 4096 }, () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return (seed / 2147483648) * 2 - 1;
+    });
+    const left = Float32Array.from([...new Float32Array(4096), ...noise, 1.5, -2, 0.25]);
+    const right = Float32Array.from(left, value => -value / 2);
+    const { decoded } = await encode([left, right], 48000);
+
+    expect(decoded.info.channels).toBe(2);
+    expect(decoded.info.totalSamples).toBe(8195);
+    expect(decoded.channels).toEqual([toInt16(left), toInt16(right)]);
+    expect(decoded.subframeTypes.slice(0, 3)).toEqual([0, 0, 1]);
+  });
+
+  it('numbers frames past the single-byte range', async () => {
+    // Silent frames are single constants, which keeps this quick
+    const audio = new Float32Array(4096 * 130 + 7);
+    audio.fill(0.25, 4096 * 129);
+    const { decoded } = await encode([audio]);
+
+    expect(decoded.channels[0]).toEqual(toInt16(audio));
+  });
+});
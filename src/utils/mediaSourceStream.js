@@ -0,0 +1,127 @@
+/**
+ * MediaSource Stream
+ * Feeds incrementally received encoded audio into an <audio> element via
+ * Media Source Extensions so playback can start before generation finishes.
+ */
+export class MediaSourceStream {
+  /**
+   * Whether the browser can stream the given MIME type through MediaSource
+   * @param {string} mimeType - Encoded audio MIME type (e.g. 'audio/mpeg')
+   * @returns {boolean}
+   */
+  static isSupported(mimeType = 'audio/mpeg') {
+    return typeof window !== 'undefined'
+      && typeof window.MediaSource !== 'undefined'
+      && window.MediaSource.isTypeSupported(mimeType);
+  }
+
+  /**
+   * @param {string} mimeType - Encoded audio MIME type of the appended data
+   */
+  constructor(mimeType = 'audio/mpeg') {
+    this.mimeType = mimeType;
+    this.mediaSource = new MediaSource();
+    this.url = URL.createObjectURL(this.mediaSource);
+    this.sourceBuffer = null;
+    this.queue = [];
+    this.ended = false;
+    this.closed = false;
+
+    this.mediaSource.addEventListener('sourceopen', () => {
+      this.sourceBuffer = this.mediaSource.addSourceBuffer(this.mimeType);
+      // Clips are appended back to back, so timestamps come from arrival order
+      this.sourceBuffer.mode = 'sequence';
+      this.sourceBuffer.addEventListener('updateend', () => this.flush());
+      this.flush();
+    }, { once: true });
+  }
+
+  /**
+   * Queues encoded bytes for playback
+   * @param {Uint8Array} bytes - Encoded audio data
+   */
+  append(bytes) {
+    if (this.closed || this.ended || !bytes?.byteLength) return;
+    this.queue.push(bytes);
+    this.flush();
+  }
+
+  /**
+   * Signals that no more data will arrive; playback ends after the queued data
+   */
+  end() {
+    this.ended = true;
+    this.flush();
+  }
+
+  /**
+   * Stops streaming and releases the object URL
+   */
+  close() {
+    this.closed = true;
+    this.queue = [];
+    try {
+      if (this.mediaSource.readyState === 'open') {
+        this.mediaSource.endOfStream();
+      }
+    } catch (error) {
+      console.warn('MediaSource close error:', error);
+    }
+    URL.revokeObjectURL(this.url);
+  }
+
+  /**
+   * Appends the next queued piece once the SourceBuffer is idle
+   */
+  flush() {
+    if (this.closed || !this.sourceBuffer || this.sourceBuffer.updating) return;
+
+    if (this.queue.length > 0) {
+      try {
+        this.sourceBuffer.appendBuffer(this.queue.shift());
+      } catch (error) {
+        console.warn('MediaSource append error:', error);
+      }
+      return;
+    }
+
+    if (this.ended && this.mediaSource.readyState === 'open') {
+      this.mediaSource.endOfStream();
+    }
+  }
+}
+
+/**
+ * Forwards audio data from concurrently generated chunks in playback order.
+ * Data for the chunk currently playing passes straight through; data for
+ * later chunks is held until every earlier chunk has completed.
+ * @param {Function} onData - Called with each Uint8Array in playback order
+ * @returns {{push: Function, complete: Function}} - push(index, bytes) and complete(index)
+ */
+export function createOrderedFeeder(onData) {
+  const pending = new Map();
+  const completed = new Set();
+  let current = 0;
+
+  const drain = () => {
+    while (completed.has(current)) {
+      current += 1;
+      (pending.get(current) || []).forEach(bytes => onData(bytes));
+      pending.delete(current);
+    }
+  };
+
+  return {
+    push(index, bytes) {
+      if (index === current) {
+        onData(bytes);
+      } else {
+        pending.set(index, [...(pending.get(index) || []), bytes]);
+      }
+    },
+    complete(index) {
+      completed.add(index);
+      drain();
+    }
+  };
+}
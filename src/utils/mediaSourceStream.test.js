@@ -0,0 +1,71 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { MediaSourceStream, createOrderedFeeder } from './mediaSourceStream';
+
+describe('createOrderedFeeder', () => {
+  it('passes the current chunk through and holds later chunks until earlier ones complete', () => {
+    const received = [];
+    const feeder = createOrderedFeeder(bytes => received.push(bytes));
+
+    feeder.push(1, 'b1');
+    feeder.push(2, 'c1');
+    feeder.push(0, 'a1');
+    expect(received).toEqual(['a1']);
+
+    feeder.complete(2);
+    expect(received).toEqual(['a1']);
+
+    feeder.push(0, 'a2');
+    feeder.complete(0);
+    expect(received).toEqual(['a1', 'a2', 'b1']);
+
+    feeder.push(1, 'b2');
+    feeder.complete(1);
+    expect(received).toEqual(['a1', 'a2', 'b1', 'b2', 'c1']);
+  });
+});
+
+describe('MediaSourceStream', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('is unsupported without MediaSource', () => {
+    expect(MediaSourceStream.isSupported()).toBe(false);
+  });
+
+  it('appends queued data one piece at a time and ends the stream after it', () => {
+    // Minimal MediaSource/SourceBuffer stand-ins: appends finish when the test says so
+    const sourceBuffer = new EventTarget();
+    sourceBuffer.updating = false;
+    sourceBuffer.appendBuffer = vi.fn(() => { sourceBuffer.updating = true; });
+    const finishAppend = () => {
+      sourceBuffer.updating = false;
+      sourceBuffer.dispatchEvent(new Event('updateend'));
+    };
+
+    class FakeMediaSource extends EventTarget {
+      readyState = 'open';
+      addSourceBuffer = vi.fn(() => sourceBuffer);
+      endOfStream = vi.fn();
+    }
+    vi.stubGlobal('MediaSource', FakeMediaSource);
+    vi.stubGlobal('URL', { createObjectURL: () => 'blob:stream', revokeObjectURL: vi.fn() });
+
+    const stream = new MediaSourceStream('audio/mpeg');
+    stream.append(new Uint8Array([1]));
+    stream.append(new Uint8Array([2]));
+    stream.end();
+    expect(sourceBuffer.appendBuffer).not.toHaveBeenCalled();
+
+    stream.mediaSource.dispatchEvent(new Event('sourceopen'));
+    expect(sourceBuffer.mode).toBe('sequence');
+    expect(sourceBuffer.appendBuffer).toHaveBeenCalledTimes(1);
+
+    finishAppend();
+    expect(sourceBuffer.appendBuffer).toHaveBeenCalledTimes(2);
+    expect(stream.mediaSource.endOfStream).not.toHaveBeenCalled();
+
+    finishAppend();
+    expect(stream.mediaSource.endOfStream).toHaveBeenCalledTimes(1);
+  });
+});
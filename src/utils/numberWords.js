@@ -0,0 +1,183 @@
+/**
+ * Number Words
+ * Spells numbers out in English for speech
+ */
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion', 'quadrillion', 'quintillion'];
+
+// Irregular ordinal endings; everything else takes "th" (with "ty" -> "tieth")
+const ORDINAL_WORDS = {
+  one: 'first',
+  two: 'second',
+  three: 'third',
+  five: 'fifth',
+  eight: 'eighth',
+  nine: 'ninth',
+  twelve: 'twelfth'
+};
+
+// Denominators read with their own word rather than the ordinal ("one half", not "one second")
+const FRACTION_WORDS = {
+  2: ['half', 'halves'],
+  4: ['quarter', 'quarters']
+};
+
+/**
+ * Spells 0-99
+ * @param {number} n - Number below 100
+ * @returns {string}
+ */
+function underHundred(n) {
+  if (n < 20) return ONES[n];
+  return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+}
+
+/**
+ * Spells 0-999
+ * @param {number} n - Number below 1000
+ * @param {boolean} useAnd - British-style "one hundred and five"
+ * @returns {string}
+ */
+function underThousand(n, useAnd) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (!hundreds) return underHundred(rest);
+  return `${ONES[hundreds]} hundred${rest ? `${useAnd ? ' and ' : ' '}${underHundred(rest)}` : ''}`;
+}
+
+/**
+ * Reads a string of digits one at a time ("007" -> "zero zero seven")
+ * @param {string} digits - Digit string
+ * @returns {string}
+ */
+export function digitsToWords(digits) {
+  return Array.from(String(digits).replace(/\D/g, ''), d => ONES[Number(d)]).join(' ');
+}
+
+/**
+ * Spells a number given as three-digit groups, least significant first
+ * @param {Array<number>} groups - Groups of 0-999
+ * @param {boolean} useAnd - British-style "and"
+ * @returns {string}
+ */
+function groupsToWords(groups, useAnd) {
+  // Past the largest scale, count in multiples of it: "one thousand quintillion"
+  if (groups.length > SCALES.length) {
+    const top = SCALES.length - 1;
+    const high = `${groupsToWords(groups.slice(top), useAnd)} ${SCALES[top]}`;
+    const low = groups.slice(0, top);
+    return low.some(Boolean) ? `${high} ${groupsToWords(low, useAnd)}` : high;
+  }
+
+  return groups
+    .map((group, index) => {
+      if (!group) return null;
+      // "one thousand and five": the last group gets "and" when it has no hundreds
+      const joiner = useAnd && index === 0 && groups.length > 1 && group < 100 ? 'and ' : '';
+      return `${joiner}${underThousand(group, useAnd)}${SCALES[index] ? ` ${SCALES[index]}` : ''}`;
+    })
+    .filter(Boolean)
+    .reverse()
+    .join(' ');
+}
+
+/**
+ * Spells a whole number of any length
+ * @param {number|string} value - Integer (commas allowed in strings); pass strings for numbers
+ *   beyond Number.MAX_SAFE_INTEGER
+ * @param {Object} options - Options
+ * @param {boolean} options.useAnd - British-style "and" after hundreds and before a final small group
+ * @returns {string}
+ */
+export function integerToWords(value, { useAnd = false } = {}) {
+  const text = String(value).replace(/,/g, '');
+  const negative = text.startsWith('-');
+  const digits = (negative ? text.slice(1) : text).replace(/^0+(?=\d)/, '');
+
+  if (!/^\d+$/.test(digits)) return digitsToWords(text);
+  if (/^0+$/.test(digits)) return 'zero';
+
+  const groups = [];
+  for (let end = digits.length; end > 0; end -= 3) {
+    groups.push(Number(digits.slice(Math.max(end - 3, 0), end)));
+  }
+
+  const words = groupsToWords(groups, useAnd);
+  return negative ? `minus ${words}` : words;
+}
+
+/**
+ * Turns a cardinal phrase into its ordinal ("twenty-one" -> "twenty-first")
+ * @param {string} words - Cardinal words
+ * @returns {string}
+ */
+export function cardinalWordsToOrdinal(words) {
+  return words.replace(/([a-z]+)$/, (last) => {
+    if (ORDINAL_WORDS[last]) return ORDINAL_WORDS[last];
+    if (last.endsWith('y')) return `${last.slice(0, -1)}ieth`;
+    return `${last}th`;
+  });
+}
+
+/**
+ * Spells an ordinal number
+ * @param {number|string} value - Integer
+ * @param {Object} options - See integerToWords
+ * @returns {string}
+ */
+export function ordinalToWords(value, options = {}) {
+  return cardinalWordsToOrdinal(integerToWords(value, options));
+}
+
+/**
+ * Spells a decimal number ("3.14" -> "three point one four")
+ * @param {string} value - Decimal string (commas allowed)
+ * @param {Object} options - See integerToWords
+ * @returns {string}
+ */
+export function decimalToWords(value, options = {}) {
+  const [whole, fraction = ''] = String(value).split('.');
+  const wholeWords = integerToWords(whole || '0', options);
+  return fraction ? `${wholeWords} point ${digitsToWords(fraction)}` : wholeWords;
+}
+
+/**
+ * Spells a fraction ("1/2" -> "one half", "3/4" -> "three quarters", "2/3" -> "two thirds")
+ * @param {number|string} numerator - Top number
+ * @param {number|string} denominator - Bottom number, 2 or more
+ * @param {Object} options - See integerToWords
+ * @param {number|string} options.whole - Whole part of a mixed number ("2 1/2" -> "two and a half")
+ * @returns {string}
+ */
+export function fractionToWords(numerator, denominator, { whole = null, ...options } = {}) {
+  const count = Number(numerator);
+  const [singular, plural] = FRACTION_WORDS?.[Number(denominator)]
+    || [ordinalToWords(denominator, options), `${ordinalToWords(denominator, options)}s`];
+  const part = `${count === 1 ? (whole !== null ? 'a' : 'one') : integerToWords(numerator, options)} ${count === 1 ? singular : plural}`;
+
+  return whole !== null ? `${integerToWords(whole, options)} and ${part}` : part;
+}
+
+/**
+ * Spells a year the way it is spoken ("1999" -> "nineteen ninety-nine", "2024" -> "twenty twenty-four")
+ * @param {number|string} value - Year
+ * @param {Object} options - See integerToWords
+ * @returns {string}
+ */
+export function yearToWords(value, options = {}) {
+  const year = Number(value);
+
+  if (!Number.isInteger(year) || year < 1000 || year > 2999) return integerToWords(year, options);
+  if (year >= 2000 && year < 2010) return integerToWords(year, options);
+  if (year % 100 === 0) return `${underHundred(year / 100)} hundred`;
+
+  const rest = year % 100;
+  return `${underHundred(Math.floor(year / 100))} ${rest < 10 ? `oh ${ONES[rest]}` : underHundred(rest)}`;
+}
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { decimalToWords, digitsToWords, fractionToWords, integerToWords, ordinalToWords, yearToWords } from './numberWords';
+
+describe('number words', () => {
+  it('spells integers, with British "and" on request', () => {
+    expect(integerToWords(0)).toBe('zero');
+    expect(integerToWords(1250)).toBe('one thousand two hundred fifty');
+    expect(integerToWords(105, { useAnd: true })).toBe('one hundred and five');
+    expect(integerToWords(2000000)).toBe('two million');
+  });
+
+  it('spells numbers past the largest scale instead of reading their digits', () => {
+    expect(integerToWords('12,000,000,000,000,000')).toBe('twelve quadrillion');
+    expect(integerToWords('1000000000000000000005')).toBe('one thousand quintillion five');
+    expect(integerToWords('2000000000000000000000000000000000000', { useAnd: true }))
+      .toBe('two quintillion quintillion');
+    expect(integerToWords('-9007199254740993')).toBe('minus nine quadrillion seven trillion one hundred ninety-nine billion two hundred fifty-four million seven hundred forty thousand nine hundred ninety-three');
+  });
+
+  it('reads digits one at a time', () => {
+    expect(digitsToWords('007')).toBe('zero zero seven');
+  });
+
+  it('spells ordinals', () => {
+    expect([1, 2, 3, 12, 21, 40, 100].map(n => ordinalToWords(n))).toEqual([
+      'first', 'second', 'third', 'twelfth', 'twenty-first', 'fortieth', 'one hundredth'
+    ]);
+  });
+
+  it('reads decimals digit by digit after the point', () => {
+    expect(decimalToWords('3.14')).toBe('three point one four');
+  });
+
+  it('reads years in pairs', () => {
+    expect(yearToWords(2024)).toBe('twenty twenty-four');
+    expect(yearToWords(1905)).toBe('nineteen oh five');
+    expect(yearToWords(2000)).toBe('two thousand');
+  });
+
+  it('reads fractions with half and quarter', () => {
+    expect(fractionToWords(1, 2)).toBe('one half');
+    expect(fractionToWords(3, 4)).toBe('three quarters');
+    expect(fractionToWords(2, 3)).toBe('two thirds');
+    expect(fractionToWords(1, 8)).toBe('one eighth');
+    expect(fractionToWords(1, 2, { whole: 2 })).toBe('two and a half');
+    expect(fractionToWords(3, 4, { whole: 1 })).toBe('one and three quarters');
+  });
+});
@@ -0,0 +1,11 @@
+import { shiftPitch } from './pitchShiftDsp';
+
+// Runs the pitch-shift DSP off the main thread
+self.onmessage = ({ data }) => {
+  try {
+    const channels = shiftPitch(data?.channels, data?.sampleRate, data?.semitones);
+    self.postMessage({ channels }, channels.map(c => c.buffer));
+  } catch (error) {
+    self.postMessage({ error: error?.message || 'Pitch shifting failed.' });
+  }
+};
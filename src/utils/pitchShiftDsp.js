@@ -0,0 +1,122 @@
+/**
+ * Pitch Shift DSP
+ * Shifts pitch without changing tempo: the audio is time-stretched with WSOLA
+ * (waveform-similarity overlap-add) and then resampled back to its original
+ * length, which moves every frequency by the same ratio while keeping the
+ * timing intact. Kept free of browser APIs so it can run inside a worker.
+ */
+
+// ~40 ms frames suit speech: long enough to hold a pitch period, short enough to follow it
+const FRAME_MS = 40;
+
+// How far a frame may move to line up with the previous one
+const SEARCH_TOLERANCE_MS = 10;
+
+// Correlation is computed on every Nth sample/offset to keep long files fast
+const SEARCH_STRIDE = 2;
+const CORRELATION_STRIDE = 4;
+
+/**
+ * Finds the offset near `nominal` whose waveform best continues the previous frame
+ * @param {Float32Array} input - Source samples
+ * @param {number} target - Natural continuation of the previous frame
+ * @param {number} nominal - Ideal analysis position
+ * @param {number} tolerance - Search radius in samples
+ * @param {number} overlap - Samples compared
+ * @returns {number} - Chosen input offset
+ */
+function findBestOffset(input, target, nominal, tolerance, overlap) {
+  let best = nominal;
+  let bestScore = -Infinity;
+  const from = Math.max(0, nominal - tolerance);
+  const to = Math.min(input.length - overlap, nominal + tolerance);
+
+  for (let offset = from; offset <= to; offset += SEARCH_STRIDE) {
+    let score = 0;
+    for (let i = 0; i < overlap; i += CORRELATION_STRIDE) {
+      score += input[offset + i] * (input[target + i] || 0);
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      best = offset;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Stretches audio in time by `ratio` without changing its pitch
+ * @param {Float32Array} input - Source samples
+ * @param {number} ratio - Output length / input length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array} - Stretched samples
+ */
+function timeStretch(input, ratio, sampleRate) {
+  const frame = Math.round((FRAME_MS / 1000) * sampleRate);
+  const synthesisHop = Math.floor(frame / 2);
+  const analysisHop = synthesisHop / ratio;
+  const tolerance = Math.round((SEARCH_TOLERANCE_MS / 1000) * sampleRate);
+  const outputLength = Math.ceil(input.length * ratio);
+
+  const output = new Float32Array(outputLength + frame);
+  const weight = new Float32Array(outputLength + frame);
+  const window = Float32Array.from({ length: frame }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (frame - 1)));
+
+  let previous = 0;
+  for (let k = 0; k * synthesisHop < outputLength; k++) {
+    const nominal = Math.round(k * analysisHop);
+    const offset = k === 0
+      ? 0
+      : findBestOffset(input, previous + synthesisHop, nominal, tolerance, frame - synthesisHop);
+    const position = k * synthesisHop;
+
+    for (let i = 0; i < frame; i++) {
+      output[position + i] += (input[offset + i] || 0) * window[i];
+      weight[position + i] += window[i];
+    }
+    previous = offset;
+  }
+
+  for (let i = 0; i < outputLength; i++) {
+    if (weight[i] > 1e-3) output[i] /= weight[i];
+  }
+
+  return output.subarray(0, outputLength);
+}
+
+/**
+ * Resamples audio to a given length with linear interpolation
+ * @param {Float32Array} input - Source samples
+ * @param {number} length - Target number of samples
+ * @returns {Float32Array} - Resampled samples
+ */
+function resample(input, length) {
+  const output = new Float32Array(length);
+  const step = input.length / length;
+
+  for (let i = 0; i < length; i++) {
+    const position = i * step;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = input[index] || 0;
+    const b = input[index + 1] ?? a;
+    output[i] = a + (b - a) * fraction;
+  }
+
+  return output;
+}
+
+/**
+ * Shifts the pitch of PCM channel data, keeping its length
+ * @param {Array<Float32Array>} channels - Per-channel samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} semitones - Shift amount (negative lowers the pitch)
+ * @returns {Array<Float32Array>} - Shifted samples, same length as the input
+ */
+export function shiftPitch(channels, sampleRate, semitones) {
+  if (!semitones) return channels;
+
+  const ratio = Math.pow(2, semitones / 12);
+  return channels.map(samples => resample(timeStretch(samples, ratio, sampleRate), samples.length));
+}
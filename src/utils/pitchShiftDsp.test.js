@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { shiftPitch } from './pitchShiftDsp';
+
+const SAMPLE_RATE = 24000;
+const tone = (frequency, seconds = 1) => Float32Array.from(
+  { length: SAMPLE_RATE * seconds },
+  (_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE)
+);
+
+// Rising zero crossings per second, away from the edges, approximate the frequency
+const estimateFrequency = (samples) => {
+  const from = Math.floor(samples.length * 0.1);
+  const to = Math.floor(samples.length * 0.9);
+  let crossings = 0;
+  for (let i = from + 1; i < to; i++) {
+    if (samples[i - 1] < 0 && samples[i] >= 0) crossings++;
+  }
+  return crossings / ((to - from) / SAMPLE_RATE);
+};
+
+describe('shiftPitch', () => {
+  it('returns the input untouched for a zero shift', () => {
+    const channels = [tone(200)];
+    expect(shiftPitch(channels, SAMPLE_RATE, 0)).toBe(channels);
+  });
+
+  it('keeps the length and moves the frequency by the semitone ratio', () => {
+    const [up] = shiftPitch([tone(200)], SAMPLE_RATE, 12);
+    const [down] = shiftPitch([tone(200)], SAMPLE_RATE, -4);
+
+    expect(up.length).toBe(SAMPLE_RATE);
+    expect(down.length).toBe(SAMPLE_RATE);
+    expect(estimateFrequency(up)).toBeCloseTo(400, -1);
+    expect(estimateFrequency(down)).toBeCloseTo(200 * Math.pow(2, -4 / 12), -1);
+  });
+});
@@ -0,0 +1,82 @@
+import { decodeAudioBlob } from './audioStitcher';
+import { encodeAudio, PCM_SAMPLE_RATE } from './audioEncoder';
+import { throwIfAborted } from './concurrency';
+import { shiftPitch } from './pitchShiftDsp';
+
+/**
+ * Pitch Shifter
+ * Post-processing stage that shifts the pitch of generated speech without
+ * changing its tempo. The DSP itself lives in pitchShiftDsp.js and runs in a
+ * Web Worker where available.
+ */
+
+// Voice Pitch setting in semitones; matches the native shift used by Google Cloud TTS
+export const PITCH_SEMITONES = {
+  low: -4,
+  medium: 0,
+  high: 4
+};
+
+/**
+ * Runs the shift in a Web Worker so long files don't freeze the page
+ * @param {Array<Float32Array>} channels - Per-channel samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} semitones - Shift amount
+ * @param {AbortSignal} signal - Terminates the worker when aborted
+ * @returns {Promise<Array<Float32Array>>} - Shifted samples
+ */
+function shiftPitchInWorker(channels, sampleRate, semitones, signal) {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve(shiftPitch(channels, sampleRate, semitones));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./pitchShift.worker.js', import.meta.url), { type: 'module' });
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(new DOMException('Pitch shifting was cancelled.', 'AbortError'));
+    };
+
+    worker.onmessage = ({ data }) => {
+      finish();
+      if (data?.error) reject(new Error(data.error));
+      else resolve(data?.channels);
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event?.message || 'Pitch shifting failed.'));
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.postMessage({ channels, sampleRate, semitones }, channels.map(c => c.buffer));
+  });
+}
+
+/**
+ * Decodes audio, shifts its pitch and re-encodes it
+ * @param {Blob} blob - Encoded audio
+ * @param {number} semitones - Shift amount
+ * @param {Object} options - Options
+ * @param {number} options.sampleRate - Decode/output sample rate in Hz
+ * @param {string} options.output - Format id (see encodeAudio)
+ * @param {AbortSignal} options.signal - Cancels the shift
+ * @returns {Promise<{blob: Blob, durationMs: number}>} - Shifted audio and its length in milliseconds
+ */
+export async function pitchShiftBlob(blob, semitones, { sampleRate = PCM_SAMPLE_RATE, output = 'wav', signal = null } = {}) {
+  const buffer = await decodeAudioBlob(blob, sampleRate);
+  throwIfAborted(signal);
+
+  // Copies, because the worker takes ownership of the transferred buffers
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice());
+  const shifted = await shiftPitchInWorker(channels, buffer.sampleRate, semitones, signal);
+
+  return {
+    blob: await encodeAudio(shifted, buffer.sampleRate, output),
+    durationMs: Math.round((buffer.length / buffer.sampleRate) * 1000)
+  };
+}
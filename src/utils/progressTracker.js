@@ -0,0 +1,89 @@
+/**
+ * Generation Progress Tracker
+ * Turns per-chunk download progress into an overall percentage and ETA.
+ * Each chunk is weighted by its share of the text; within a chunk, progress
+ * follows bytes received against Content-Length (or an estimate when the
+ * provider streams without one).
+ */
+
+// Rough encoded size of one character of speech by output format, at ~15 chars/s of speech
+const ESTIMATED_BYTES_PER_CHAR = {
+  mp3: 1300, // ~160 kbps
+  opus: 400, // ~48 kbps
+  aac: 1100, // ~128 kbps
+  flac: 1800, // about half of the raw samples
+  wav: 3200, // 24 kHz 16-bit mono
+  pcm: 3200
+};
+
+// In-flight chunks never report more than this until they actually complete
+const MAX_UNCONFIRMED_FRACTION = 0.95;
+
+/**
+ * Creates a tracker for one generation run
+ * @param {Object} options - Tracker options
+ * @param {Array<{text: string}>} options.chunks - Chunks being generated
+ * @param {Function} options.onProgress - Called as onProgress(percent, detail)
+ * @param {number} options.maxPercent - Percentage reported once every chunk has completed
+ * @param {string} options.format - Format the provider sends, for estimating sizes without Content-Length
+ * @returns {{reportBytes: Function, completeChunk: Function, report: Function}}
+ */
+export function createProgressTracker({ chunks, onProgress, maxPercent = 90, format = 'mp3' }) {
+  const bytesPerChar = ESTIMATED_BYTES_PER_CHAR?.[format] || ESTIMATED_BYTES_PER_CHAR.mp3;
+  const totalChars = chunks.reduce((sum, c) => sum + (c?.text?.length || 0), 0) || 1;
+  const weights = chunks.map(c => (c?.text?.length || 0) / totalChars);
+  const fractions = chunks.map(() => 0);
+  const receivedBytes = chunks.map(() => 0);
+  const startedAt = Date.now();
+  let completedChunks = 0;
+
+  const report = (percentOverride = null) => {
+    const fraction = fractions.reduce((sum, f, i) => sum + f * weights[i], 0);
+    const elapsedSeconds = (Date.now() - startedAt) / 1000;
+
+    // Need a little signal before an ETA means anything
+    const etaSeconds = fraction > 0.02 && fraction < 1
+      ? Math.max(0, Math.round((elapsedSeconds / fraction) * (1 - fraction)))
+      : null;
+
+    onProgress?.(percentOverride ?? Math.floor(fraction * maxPercent), {
+      completedChunks,
+      totalChunks: chunks.length,
+      receivedBytes: receivedBytes.reduce((sum, b) => sum + b, 0),
+      etaSeconds
+    });
+  };
+
+  return {
+    /**
+     * Records bytes received for a chunk
+     * @param {number} index - Chunk index
+     * @param {number} received - Bytes received so far for this chunk
+     * @param {number|null} total - Content-Length when known
+     */
+    reportBytes(index, received, total = null) {
+      const expected = total || (chunks[index]?.text?.length || 1) * bytesPerChar;
+      receivedBytes[index] = received;
+      fractions[index] = Math.min(received / expected, MAX_UNCONFIRMED_FRACTION);
+      report();
+    },
+
+    /**
+     * Marks a chunk as fully generated
+     * @param {number} index - Chunk index
+     * @param {number} size - Final size in bytes
+     */
+    completeChunk(index, size = null) {
+      if (size !== null) receivedBytes[index] = size;
+      fractions[index] = 1;
+      completedChunks += 1;
+      report();
+    },
+
+    /**
+     * Reports the current state, optionally with a fixed percentage (e.g. while stitching)
+     * @param {number} percent - Percentage override
+     */
+    report
+  };
+}
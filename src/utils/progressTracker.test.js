@@ -0,0 +1,39 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createProgressTracker } from './progressTracker';
+
+const chunks = [{ text: 'x'.repeat(100) }];
+
+describe('createProgressTracker', () => {
+  it('estimates progress without Content-Length from the output format', () => {
+    const onMp3 = vi.fn();
+    const onWav = vi.fn();
+    createProgressTracker({ chunks, onProgress: onMp3, maxPercent: 100, format: 'mp3' }).reportBytes(0, 65000);
+    createProgressTracker({ chunks, onProgress: onWav, maxPercent: 100, format: 'wav' }).reportBytes(0, 160000);
+
+    // Half of the expected size for each format
+    expect(onMp3).toHaveBeenLastCalledWith(50, expect.any(Object));
+    expect(onWav).toHaveBeenLastCalledWith(50, expect.any(Object));
+  });
+
+  it('prefers Content-Length and caps unconfirmed chunks below 100%', () => {
+    const onProgress = vi.fn();
+    const tracker = createProgressTracker({ chunks, onProgress, maxPercent: 100, format: 'pcm' });
+
+    tracker.reportBytes(0, 250, 1000);
+    expect(onProgress).toHaveBeenLastCalledWith(25, expect.any(Object));
+
+    tracker.reportBytes(0, 1000, 1000);
+    expect(onProgress).toHaveBeenLastCalledWith(95, expect.any(Object));
+
+    tracker.completeChunk(0, 1000);
+    expect(onProgress).toHaveBeenLastCalledWith(100, expect.objectContaining({ completedChunks: 1 }));
+  });
+
+  it('weights chunks by their share of the text', () => {
+    const onProgress = vi.fn();
+    const tracker = createProgressTracker({ chunks: [{ text: 'x'.repeat(300) }, { text: 'x'.repeat(100) }], onProgress, maxPercent: 100 });
+
+    tracker.completeChunk(1);
+    expect(onProgress).toHaveBeenLastCalledWith(25, expect.objectContaining({ completedChunks: 1, totalChunks: 2 }));
+  });
+});
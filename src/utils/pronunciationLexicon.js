@@ -0,0 +1,154 @@
+import { parseCsvRows } from './csv';
+
+/**
+ * Pronunciation Lexicon
+ * Rewrites terms the voices get wrong (brand, drug and personal names) into
+ * respellings they read correctly, e.g. "Nnamdi" -> "N-nahm-dee".
+ *
+ * Entries use the pronunciation_entries column names:
+ *   { term, respelling, case_sensitive, whole_word, is_regex }
+ */
+
+export const CSV_COLUMNS = ['term', 'respelling', 'case_sensitive', 'whole_word', 'regex'];
+
+// Characters that belong to a word, in any script
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+/**
+ * Escapes a literal string for use inside a RegExp
+ * @param {string} value - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the matcher for one entry. Whole-word matching captures the preceding
+ * character instead of using lookbehind, which older Safari versions lack.
+ * @param {Object} entry - Lexicon entry
+ * @returns {{pattern: RegExp, groupCount: number}}
+ */
+function buildMatcher(entry) {
+  const source = entry?.is_regex ? entry.term : escapeRegExp(entry?.term || '');
+  const flags = entry?.case_sensitive ? 'gu' : 'giu';
+  new RegExp(source, flags); // Throws on an invalid user pattern before it is wrapped
+  const groupCount = new RegExp(`${source}|`, 'u').exec('').length - 1;
+  const wrapped = entry?.whole_word
+    ? `(^|[^\\p{L}\\p{N}_])(${source})(?!${WORD_CHAR})`
+    : `()(${source})`;
+
+  return { pattern: new RegExp(wrapped, flags), groupCount };
+}
+
+/**
+ * Checks an entry before it is saved
+ * @param {Object} entry - Lexicon entry
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateLexiconEntry(entry) {
+  if (!entry?.term?.trim()) return 'Enter the word or phrase to replace.';
+  if (entry?.term?.length > 200) return 'Terms can be at most 200 characters.';
+  if (entry?.respelling?.length > 500) return 'Respellings can be at most 500 characters.';
+
+  try {
+    const { pattern } = buildMatcher(entry);
+    if (pattern.test('')) return 'This pattern matches empty text. Make it match at least one character.';
+  } catch (error) {
+    return `Invalid pattern: ${error?.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Prepares entries for repeated use. Invalid entries are skipped, and longer
+ * terms run first so "Dr. Adebayo" wins over "Adebayo".
+ * @param {Array<Object>} entries - Lexicon entries
+ * @returns {Array<{entry: Object, pattern: RegExp, groupCount: number}>} - Compiled rules
+ */
+export function compileLexicon(entries) {
+  return (entries || [])
+    .filter(entry => !validateLexiconEntry(entry))
+    .sort((a, b) => (b?.term?.length || 0) - (a?.term?.length || 0))
+    .map(entry => ({ entry, ...buildMatcher(entry) }));
+}
+
+/**
+ * Applies compiled rules to text
+ * @param {string} text - Text about to be synthesized
+ * @param {Array<Object>} rules - Rules from compileLexicon
+ * @returns {string} - Text with respellings applied
+ */
+export function applyLexicon(text, rules) {
+  return (rules || []).reduce((result, { entry, pattern, groupCount }) => (
+    result.replace(pattern, (match, prefix, body, ...rest) => {
+      if (!entry?.is_regex) return `${prefix}${entry?.respelling}`;
+
+      // Regex respellings may refer to the term's own groups as $1..$9 and to the whole match as $&
+      const groups = rest.slice(0, groupCount);
+      return prefix + entry?.respelling?.replace(/\$(\d|&)/g, (_, ref) => (ref === '&' ? body : groups[ref - 1] ?? ''));
+    })
+  ), text || '');
+}
+
+/**
+ * Quotes a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes entries as CSV with a header row
+ * @param {Array<Object>} entries - Lexicon entries
+ * @returns {string} - CSV text
+ */
+export function lexiconToCsv(entries) {
+  const rows = (entries || []).map(entry => [
+    entry?.term,
+    entry?.respelling,
+    !!entry?.case_sensitive,
+    !!entry?.whole_word,
+    !!entry?.is_regex
+  ]);
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+/**
+ * Reads entries from CSV. The header row is optional; without one the columns
+ * are taken in CSV_COLUMNS order.
+ * @param {string} text - CSV text
+ * @returns {{entries: Array<Object>, errors: Array<string>}} - Valid entries and per-row problems
+ */
+export function parseLexiconCsv(text) {
+  const rows = parseCsvRows(text?.replace(/^\uFEFF/, '') || '');
+  const header = rows?.[0]?.map(h => h.trim().toLowerCase());
+  const hasHeader = header?.includes('term');
+  const columns = hasHeader ? header : CSV_COLUMNS;
+  const flag = (value, fallback) => (value?.trim() ? /^(true|yes|1|y)$/i.test(value.trim()) : fallback);
+
+  const entries = [];
+  const errors = [];
+
+  rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+    const value = (name) => row[columns.indexOf(name)];
+    const entry = {
+      term: value('term')?.trim() || '',
+      respelling: value('respelling')?.trim() || '',
+      case_sensitive: flag(value('case_sensitive'), false),
+      whole_word: flag(value('whole_word'), true),
+      is_regex: flag(value('regex'), false)
+    };
+
+    const error = validateLexiconEntry(entry);
+    if (error) errors.push(`Row ${index + (hasHeader ? 2 : 1)}: ${error}`);
+    else entries.push(entry);
+  });
+
+  return { entries, errors };
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyLexicon,
+  compileLexicon,
+  lexiconToCsv,
+  parseLexiconCsv,
+  validateLexiconEntry
+} from './pronunciationLexicon';
+
+const entry = (term, respelling, options = {}) => ({ term, respelling, case_sensitive: false, whole_word: true, is_regex: false, ...options });
+
+describe('applyLexicon', () => {
+  it('replaces whole words, longest terms first', () => {
+    const rules = compileLexicon([entry('Adebayo', 'ah-DEH-bah-yo'), entry('Dr. Adebayo', 'Doctor ah-DEH-bah-yo')]);
+
+    expect(applyLexicon('Dr. Adebayo met adebayo and Adebayos.', rules)).toBe(
+      'Doctor ah-DEH-bah-yo met ah-DEH-bah-yo and Adebayos.'
+    );
+  });
+
+  it('honors case sensitivity and substring matching', () => {
+    const rules = compileLexicon([entry('SQL', 'sequel', { case_sensitive: true, whole_word: false })]);
+
+    expect(applyLexicon('SQLite and sql', rules)).toBe('sequelite and sql');
+  });
+
+  it('lets regex respellings refer to their groups', () => {
+    const rules = compileLexicon([entry('v(\\d+)', 'version $1', { is_regex: true })]);
+
+    expect(applyLexicon('Use v2 now', rules)).toBe('Use version 2 now');
+  });
+});
+
+describe('validateLexiconEntry', () => {
+  it('rejects empty terms, invalid patterns and patterns that match nothing', () => {
+    expect(validateLexiconEntry(entry(' ', 'x'))).toBe('Enter the word or phrase to replace.');
+    expect(validateLexiconEntry(entry('(', 'x', { is_regex: true }))).toMatch(/^Invalid pattern/);
+    expect(validateLexiconEntry(entry('a*', 'x', { is_regex: true, whole_word: false }))).toMatch(/matches empty text/);
+    expect(validateLexiconEntry(entry('GIF', 'jif'))).toBeNull();
+  });
+});
+
+describe('CSV import and export', () => {
+  it('round-trips entries and reports bad rows', () => {
+    const csv = lexiconToCsv([entry('Nguyen', 'win, nuh-WIN')]);
+    expect(parseLexiconCsv(csv).entries).toEqual([entry('Nguyen', 'win, nuh-WIN')]);
+
+    const { entries, errors } = parseLexiconCsv('\uFEFFGIF,jif\n,missing term');
+    expect(entries).toEqual([entry('GIF', 'jif')]);
+    expect(errors).toEqual(['Row 2: Enter the word or phrase to replace.']);
+  });
+});
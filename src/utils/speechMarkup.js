@@ -0,0 +1,234 @@
+/**
+ * Speech Markup
+ * A lightweight, SSML-like markup for scripts:
+ *
+ *   [pause 2s] / [pause 500ms]       silence of the given length (up to 10 s)
+ *   [emphasis]words[/emphasis]       stressed delivery
+ *   [spell]NASA[/spell]              read letter by letter
+ *   [voice david]text[/voice]        switch character for a span
+ *   [speed slow]text[/speed]         change speed for a span
+ *
+ * Only these tag names are markup; any other bracketed text is read as-is.
+ * Text is parsed into tokens (for highlighting), validated, then compiled
+ * into segments the generator can synthesize and stitch.
+ */
+
+export const MAX_PAUSE_MS = 10000;
+
+const TAG_PATTERN = /\[(\/?)(pause|emphasis|spell|voice|speed)(?:\s+([^\]]*))?\]/gi;
+
+// Emphasized spans are read one step slower
+const SLOWER_SPEED = {
+  fast: 'normal',
+  normal: 'slow',
+  slow: 'slow'
+};
+
+const EMPHASIS_DIRECTION = 'Stress these words strongly, as if underlined.';
+
+/**
+ * Parses a pause length such as "2s", "1.5s" or "750ms"
+ * @param {string} value - Pause argument
+ * @returns {number|null} - Milliseconds, or null if invalid
+ */
+function parsePauseDuration(value) {
+  const match = value?.trim()?.match(/^(\d+(?:\.\d+)?)\s*(ms|s)$/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  return Math.round(match[2].toLowerCase() === 's' ? amount * 1000 : amount);
+}
+
+/**
+ * Splits text into plain-text and tag tokens with their source positions
+ * @param {string} text - Script text
+ * @returns {Array<{type: string, value: string, start: number, end: number, name?: string, arg?: string, closing?: boolean}>}
+ */
+export function tokenizeMarkup(text) {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of (text || '').matchAll(TAG_PATTERN)) {
+    if (match.index > last) {
+      tokens.push({ type: 'text', value: text.slice(last, match.index), start: last, end: match.index });
+    }
+    tokens.push({
+      type: 'tag',
+      value: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      name: match[2].toLowerCase(),
+      arg: match[3]?.trim() || '',
+      closing: match[1] === '/'
+    });
+    last = match.index + match[0].length;
+  }
+
+  if (last < (text || '').length) {
+    tokens.push({ type: 'text', value: text.slice(last), start: last, end: text.length });
+  }
+
+  return tokens;
+}
+
+/**
+ * Whether text contains any markup tags
+ * @param {string} text - Script text
+ * @returns {boolean}
+ */
+export function hasMarkup(text) {
+  return tokenizeMarkup(text).some(token => token.type === 'tag');
+}
+
+/**
+ * Reads letters and digits one at a time ("NASA" -> "N. A. S. A").
+ * The last letter has no period so following punctuation isn't doubled.
+ * @param {string} text - Text to spell out
+ * @returns {string}
+ */
+export function respellCharacters(text) {
+  return Array.from(text?.replace(/[^\p{L}\p{N}]/gu, '') || '')
+    .map(char => char.toUpperCase())
+    .join('. ');
+}
+
+/**
+ * Validates markup and returns every problem with its source position
+ * @param {string} text - Script text
+ * @param {Object} options - Allowed values
+ * @param {Array<string>} options.voices - Character ids accepted by [voice]
+ * @param {Array<string>} options.speeds - Speed ids accepted by [speed]
+ * @returns {Array<{start: number, end: number, message: string}>} - Errors in source order
+ */
+export function validateMarkup(text, { voices = [], speeds = [] } = {}) {
+  const errors = [];
+  const stack = [];
+
+  tokenizeMarkup(text).forEach((token) => {
+    if (token.type !== 'tag') {
+      const open = stack[stack.length - 1];
+      if (open && /[\p{L}\p{N}]/u.test(token.value)) open.hasText = true;
+      return;
+    }
+    const error = (message) => errors.push({ start: token.start, end: token.end, message });
+
+    if (token.closing) {
+      const open = stack[stack.length - 1];
+      if (token.name === 'pause') {
+        error('[pause] has no closing tag.');
+      } else if (!open) {
+        error(`[/${token.name}] has no matching [${token.name}].`);
+      } else if (open.name !== token.name) {
+        error(`Expected [/${open.name}] before [/${token.name}].`);
+      } else {
+        if (token.name === 'spell' && !open.hasText) error('[spell] needs some text to spell out.');
+        stack.pop();
+      }
+      return;
+    }
+
+    // Nothing inside [spell] is interpreted - it's read letter by letter
+    if (stack.some(open => open.name === 'spell')) {
+      error(`[${token.name}] can't be used inside [spell].`);
+      return;
+    }
+
+    if (token.name === 'pause') {
+      const ms = parsePauseDuration(token.arg);
+      if (ms === null) error('Pause length must look like 2s, 1.5s or 500ms.');
+      else if (ms > MAX_PAUSE_MS) error(`Pauses can be at most ${MAX_PAUSE_MS / 1000}s.`);
+      return;
+    }
+
+    if (token.name === 'voice' && !voices.includes(token.arg?.toLowerCase())) {
+      error(token.arg ? `Unknown voice "${token.arg}". Use one of: ${voices.join(', ')}.` : '[voice] needs a character, e.g. [voice david].');
+    }
+    if (token.name === 'speed' && !speeds.includes(token.arg?.toLowerCase())) {
+      error(`[speed] must be one of: ${speeds.join(', ')}.`);
+    }
+    if (token.name !== 'voice' && token.name !== 'speed' && token.arg) {
+      error(`[${token.name}] doesn't take a value.`);
+    }
+
+    stack.push({ name: token.name, token, hasText: false });
+  });
+
+  stack.forEach(open => errors.push({ start: open.token.start, end: open.token.end, message: `[${open.name}] is never closed.` }));
+
+  return errors.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Compiles markup into an ordered list of speech and pause segments
+ * @param {string} text - Script text (assumed valid - run validateMarkup first)
+ * @param {Object} baseSettings - Voice settings used outside any span
+ * @returns {Array<{type: 'speech', text: string, settings: Object} | {type: 'pause', durationMs: number}>}
+ */
+export function compileMarkup(text, baseSettings = {}) {
+  const segments = [];
+  const stack = [];
+  let current = null;
+
+  const settingsFor = () => {
+    const settings = { ...baseSettings };
+    stack.forEach(({ name, arg }) => {
+      if (name === 'voice') settings.character = arg.toLowerCase();
+      if (name === 'speed') settings.voiceSpeed = arg.toLowerCase();
+    });
+    if (stack.some(open => open.name === 'emphasis')) {
+      settings.voiceSpeed = SLOWER_SPEED?.[settings.voiceSpeed] || 'slow';
+      settings.voiceDirection = [settings.voiceDirection?.trim(), EMPHASIS_DIRECTION].filter(Boolean).join(' ');
+    }
+    return settings;
+  };
+
+  const flush = () => {
+    if (current?.text?.trim()) {
+      const text = current.text
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([,;:!?.])/g, '$1')
+        .trim();
+      segments.push({ type: 'speech', text, settings: current.settings });
+    }
+    current = null;
+  };
+
+  const append = (value) => {
+    if (!current) current = { text: '', settings: settingsFor() };
+    current.text += value;
+  };
+
+  tokenizeMarkup(text).forEach((token) => {
+    const spelling = stack.some(open => open.name === 'spell');
+
+    if (token.type === 'text') {
+      append(spelling ? ` ${respellCharacters(token.value)} ` : token.value);
+      return;
+    }
+
+    if (token.name === 'spell') {
+      // Spelled text stays in the surrounding sentence, so it doesn't start a new segment
+      if (token.closing) stack.pop();
+      else stack.push({ name: 'spell', arg: '' });
+      return;
+    }
+
+    if (token.name === 'pause') {
+      flush();
+      const durationMs = Math.min(parsePauseDuration(token.arg) || 0, MAX_PAUSE_MS);
+      const previous = segments[segments.length - 1];
+      // Back-to-back pauses add up
+      if (previous?.type === 'pause') previous.durationMs += durationMs;
+      else segments.push({ type: 'pause', durationMs });
+      return;
+    }
+
+    // Voice, speed and emphasis change the settings, so each span is its own segment
+    flush();
+    if (token.closing) stack.pop();
+    else stack.push({ name: token.name, arg: token.arg });
+  });
+
+  flush();
+  return segments;
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { compileMarkup, hasMarkup, respellCharacters, validateMarkup } from './speechMarkup';
+
+const OPTIONS = { voices: ['chloe', 'david'], speeds: ['slow', 'normal', 'fast'] };
+
+describe('speech markup', () => {
+  it('only treats known tag names as markup', () => {
+    expect(hasMarkup('See [1] and [citation needed].')).toBe(false);
+    expect(hasMarkup('Wait [pause 1s] here.')).toBe(true);
+  });
+
+  it('spells letters and digits one at a time', () => {
+    expect(respellCharacters('NASA-2')).toBe('N. A. S. A. 2');
+  });
+
+  it('reports invalid markup with its position', () => {
+    const text = '[pause 20s] [voice bob]Hi[/voice] [emphasis]never closed';
+    const errors = validateMarkup(text, OPTIONS);
+
+    expect(errors.map(error => error.message)).toEqual([
+      'Pauses can be at most 10s.',
+      'Unknown voice "bob". Use one of: chloe, david.',
+      '[emphasis] is never closed.'
+    ]);
+    expect(text.slice(errors[0].start, errors[0].end)).toBe('[pause 20s]');
+    expect(validateMarkup('[voice david]Hello[/voice] [pause 500ms] [spell]ok[/spell]', OPTIONS)).toEqual([]);
+  });
+
+  it('compiles spans into speech and pause segments', () => {
+    const base = { character: 'chloe', voiceSpeed: 'normal' };
+    const segments = compileMarkup('Hello [pause 1s][pause 500ms] [voice david]I am [spell]AI[/spell].[/voice] [emphasis]Now[/emphasis]', base);
+
+    expect(segments).toEqual([
+      { type: 'speech', text: 'Hello', settings: base },
+      { type: 'pause', durationMs: 1500 },
+      { type: 'speech', text: 'I am A. I.', settings: { character: 'david', voiceSpeed: 'normal' } },
+      {
+        type: 'speech',
+        text: 'Now',
+        settings: { character: 'chloe', voiceSpeed: 'slow', voiceDirection: 'Stress these words strongly, as if underlined.' }
+      }
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Text Chunker
+ * Splits long text into provider-sized chunks at paragraph and sentence boundaries
+ */
+
+// Clause punctuation is tried before falling back to whitespace
+const CLAUSE_PATTERN = /[^,;:–—]+[,;:–—]*/g;
+
+/**
+ * Splits a paragraph into sentences, preferring Intl.Segmenter when available
+ * @param {string} paragraph - Paragraph text
+ * @returns {Array<string>} - Sentences including trailing punctuation
+ */
+export function splitSentences(paragraph) {
+  if (typeof Intl !== 'undefined' && Intl?.Segmenter) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+    return Array.from(segmenter.segment(paragraph), s => s?.segment?.trim())?.filter(Boolean);
+  }
+
+  return (paragraph?.match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)/g) || [])
+    ?.map(s => s?.trim())
+    ?.filter(Boolean);
+}
+
+/**
+ * Breaks a single over-long sentence into pieces no longer than maxLength
+ * @param {string} sentence - Sentence text
+ * @param {number} maxLength - Maximum piece length
+ * @returns {Array<{text: string, midWord: boolean}>} - Sentence pieces; midWord marks a piece
+ *   that ends inside a word which was hard-split, so the next piece continues it directly
+ */
+function splitLongSentence(sentence, maxLength) {
+  const pieces = [];
+  let current = '';
+
+  const push = (part, separator) => {
+    if (!current) {
+      current = part;
+    } else if (current.length + separator.length + part.length <= maxLength) {
+      current = `${current}${separator}${part}`;
+    } else {
+      pieces.push({ text: current, midWord: separator === '' });
+      current = part;
+    }
+  };
+
+  for (const clause of (sentence.match(CLAUSE_PATTERN) || [])?.map(c => c?.trim())?.filter(Boolean)) {
+    if (clause.length <= maxLength) {
+      push(clause, ' ');
+      continue;
+    }
+
+    for (const word of clause.split(/\s+/)) {
+      if (word.length <= maxLength) {
+        push(word, ' ');
+        continue;
+      }
+
+      // Single "word" longer than the limit (e.g. a URL) - hard split
+      for (let i = 0; i < word.length; i += maxLength) {
+        push(word.slice(i, i + maxLength), i === 0 ? ' ' : '');
+      }
+    }
+  }
+
+  if (current) pieces.push({ text: current, midWord: false });
+  return pieces;
+}
+
+/**
+ * Splits text into chunks below maxLength at paragraph and sentence boundaries
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum characters per chunk
+ * @returns {Array<{text: string, boundary: 'word'|'sentence'|'paragraph'|'end'}>} - Chunks, with the kind of
+ *   break that follows each ('word' when a chunk ends inside a hard-split word and must join the next without a pause)
+ */
+export function chunkText(text, maxLength) {
+  const paragraphs = text
+    ?.replace(/\r\n?/g, '\n')
+    ?.split(/\n\s*\n/)
+    ?.map(p => p?.trim())
+    ?.filter(Boolean) || [];
+
+  const chunks = [];
+  let current = '';
+  // Whether current ends inside a hard-split word
+  let midWord = false;
+
+  const flush = (boundary) => {
+    if (current) {
+      chunks.push({ text: current, boundary: midWord ? 'word' : boundary });
+      current = '';
+    }
+  };
+
+  paragraphs.forEach((paragraph) => {
+    const sentences = splitSentences(paragraph)
+      ?.flatMap(sentence => sentence.length > maxLength
+        ? splitLongSentence(sentence, maxLength)
+        : [{ text: sentence, midWord: false }]);
+
+    sentences.forEach((sentence, index) => {
+      // Paragraph breaks are kept inside a chunk so the provider can pace them itself
+      const separator = !current ? '' : index === 0 ? '\n\n' : ' ';
+
+      if (current && current.length + separator.length + sentence.text.length > maxLength) {
+        flush(index === 0 ? 'paragraph' : 'sentence');
+        current = sentence.text;
+      } else {
+        current = `${current}${separator}${sentence.text}`;
+      }
+      midWord = sentence.midWord;
+    });
+  });
+
+  flush('end');
+  return chunks;
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { chunkText, splitSentences } from './textChunker';
+
+describe('splitSentences', () => {
+  it('keeps closing punctuation with each sentence', () => {
+    expect(splitSentences('One. Two? Three!')).toEqual(['One.', 'Two?', 'Three!']);
+  });
+});
+
+describe('chunkText', () => {
+  it('returns short text as a single chunk', () => {
+    expect(chunkText('Hello there. How are you?', 100)).toEqual([
+      { text: 'Hello there. How are you?', boundary: 'end' }
+    ]);
+  });
+
+  it('breaks at sentence boundaries and never exceeds the limit', () => {
+    const text = Array.from({ length: 20 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+    const chunks = chunkText(text, 100);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(100));
+    chunks.slice(0, -1).forEach(chunk => {
+      expect(chunk.text).toMatch(/\.$/);
+      expect(chunk.boundary).toBe('sentence');
+    });
+    expect(chunks.map(chunk => chunk.text).join(' ')).toBe(text);
+  });
+
+  it('marks paragraph breaks between chunks', () => {
+    const chunks = chunkText(`${'a'.repeat(30)}.\n\n${'b'.repeat(30)}.`, 40);
+
+    expect(chunks.map(chunk => chunk.boundary)).toEqual(['paragraph', 'end']);
+  });
+
+  it('splits over-long sentences at clauses, then words, then hard splits', () => {
+    const chunks = chunkText(`First clause here, second clause here; ${'x'.repeat(25)}`, 20);
+
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      'First clause here,',
+      'second clause here;',
+      'x'.repeat(20),
+      'x'.repeat(5)
+    ]);
+  });
+
+  it('joins the pieces of a hard-split word without a pause', () => {
+    const chunks = chunkText(`Say ${'x'.repeat(45)} now.`, 20);
+
+    expect(chunks).toEqual([
+      { text: 'Say', boundary: 'sentence' },
+      { text: 'x'.repeat(20), boundary: 'word' },
+      { text: 'x'.repeat(20), boundary: 'word' },
+      { text: 'xxxxx now.', boundary: 'end' }
+    ]);
+  });
+});
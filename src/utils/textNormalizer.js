@@ -0,0 +1,605 @@
+import {
+  integerToWords,
+  ordinalToWords,
+  decimalToWords,
+  fractionToWords,
+  digitsToWords,
+  yearToWords
+} from './numberWords';
+import { tokenizeMarkup } from './speechMarkup';
+
+/**
+ * Text Normalizer
+ * Rewrites numbers, dates, times, currency, units, URLs and abbreviations as
+ * the words a voice should say, so "₦1,500 on 12/03/2024" is read as
+ * "one thousand five hundred naira on the twelfth of March, twenty twenty-four".
+ *
+ * Rules run in a fixed order (URLs and abbreviations before numbers, dates
+ * before cardinals, ...). Text a rule has already rewritten is never
+ * matched again, and speech markup tags and [spell] spans are left alone.
+ */
+
+export const NORMALIZATION_CATEGORIES = [
+  { id: 'urls', label: 'URLs & emails', example: 'example.com → example dot com' },
+  { id: 'phones', label: 'Phone numbers', example: '0803 123 4567 → zero eight zero three…' },
+  { id: 'currency', label: 'Currency', example: '₦1,500 → one thousand five hundred naira' },
+  { id: 'dates', label: 'Dates', example: '12/03/2024 → the twelfth of March…' },
+  { id: 'times', label: 'Times', example: '10:30am → ten thirty a.m.' },
+  { id: 'units', label: 'Units', example: '5km → five kilometres' },
+  { id: 'ordinals', label: 'Ordinals', example: '21st → twenty-first' },
+  { id: 'decimals', label: 'Decimals', example: '3.14 → three point one four, 2.0.1 → two dot zero dot one' },
+  { id: 'cardinals', label: 'Numbers', example: '1,250 → one thousand two hundred fifty, 3/4 → three quarters' },
+  { id: 'abbreviations', label: 'Abbreviations', example: 'Dr. → Doctor, Baker St. → Baker Street, e.g. → for example' }
+];
+
+export const NORMALIZATION_LOCALES = [
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'en-NG', label: 'English (Nigeria)' }
+];
+
+export const DEFAULT_NORMALIZATION = {
+  locale: 'en-US',
+  categories: Object.fromEntries(NORMALIZATION_CATEGORIES.map(c => [c.id, true]))
+};
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const MONTH_PATTERN = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+
+// Amounts with optional thousands separators and decimals
+const AMOUNT = '(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d+))?';
+
+const LOCALE_RULES = {
+  'en-US': { dayFirst: false, useAnd: false, hour24: false, metric: 'er', honorable: 'Honorable' },
+  'en-GB': { dayFirst: true, useAnd: true, hour24: true, metric: 're', honorable: 'Honourable' },
+  'en-NG': { dayFirst: true, useAnd: true, hour24: false, metric: 're', honorable: 'Honourable' }
+};
+
+const CURRENCIES = {
+  '₦': { major: ['naira', 'naira'], minor: ['kobo', 'kobo'] },
+  NGN: { major: ['naira', 'naira'], minor: ['kobo', 'kobo'] },
+  '$': { major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+  USD: { major: ['US dollar', 'US dollars'], minor: ['cent', 'cents'] },
+  '£': { major: ['pound', 'pounds'], minor: ['penny', 'pence'] },
+  GBP: { major: ['pound', 'pounds'], minor: ['penny', 'pence'] },
+  '€': { major: ['euro', 'euros'], minor: ['cent', 'cents'] },
+  EUR: { major: ['euro', 'euros'], minor: ['cent', 'cents'] }
+};
+
+const MAGNITUDES = {
+  k: 'thousand',
+  thousand: 'thousand',
+  m: 'million',
+  mn: 'million',
+  million: 'million',
+  b: 'billion',
+  bn: 'billion',
+  billion: 'billion',
+  trillion: 'trillion'
+};
+
+// [singular, plural]; "{re}" becomes "er" or "re" by locale
+const UNITS = {
+  'km/h': ['kilomet{re} per hour', 'kilomet{re}s per hour'],
+  mph: ['mile per hour', 'miles per hour'],
+  kHz: ['kilohertz', 'kilohertz'],
+  MHz: ['megahertz', 'megahertz'],
+  GHz: ['gigahertz', 'gigahertz'],
+  Hz: ['hertz', 'hertz'],
+  km: ['kilomet{re}', 'kilomet{re}s'],
+  cm: ['centimet{re}', 'centimet{re}s'],
+  mm: ['millimet{re}', 'millimet{re}s'],
+  m: ['met{re}', 'met{re}s'],
+  kg: ['kilogram', 'kilograms'],
+  mg: ['milligram', 'milligrams'],
+  g: ['gram', 'grams'],
+  ml: ['millilit{re}', 'millilit{re}s'],
+  mL: ['millilit{re}', 'millilit{re}s'],
+  l: ['lit{re}', 'lit{re}s'],
+  L: ['lit{re}', 'lit{re}s'],
+  '°C': ['degree Celsius', 'degrees Celsius'],
+  '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  '%': ['percent', 'percent'],
+  TB: ['terabyte', 'terabytes'],
+  GB: ['gigabyte', 'gigabytes'],
+  MB: ['megabyte', 'megabytes'],
+  KB: ['kilobyte', 'kilobytes'],
+  ft: ['foot', 'feet'],
+  lb: ['pound', 'pounds'],
+  lbs: ['pound', 'pounds'],
+  oz: ['ounce', 'ounces'],
+  hr: ['hour', 'hours'],
+  hrs: ['hour', 'hours'],
+  min: ['minute', 'minutes'],
+  mins: ['minute', 'minutes'],
+  sec: ['second', 'seconds'],
+  secs: ['second', 'seconds']
+};
+
+// Longest first so "km/h" wins over "km" and "mg" over "m"
+const UNIT_PATTERN = Object.keys(UNITS)
+  .sort((a, b) => b.length - a.length)
+  .map(unit => unit.replace('/', '\\/'))
+  .join('|');
+
+// Titles are expanded only before a capitalized name
+const TITLES = {
+  Mr: 'Mister',
+  Mrs: 'Missus',
+  Ms: 'Miz',
+  Dr: 'Doctor',
+  Prof: 'Professor',
+  St: 'Saint',
+  Mt: 'Mount',
+  Gov: 'Governor',
+  Sen: 'Senator',
+  Rev: 'Reverend',
+  Hon: '{honorable}',
+  Capt: 'Captain',
+  Lt: 'Lieutenant',
+  Gen: 'General',
+  Maj: 'Major',
+  Pres: 'President'
+};
+
+// Street types, expanded after a street name or number: "Baker St." -> "Baker Street"
+const STREET_TYPES = {
+  St: 'Street',
+  Ave: 'Avenue',
+  Rd: 'Road',
+  Blvd: 'Boulevard',
+  Dr: 'Drive',
+  Ln: 'Lane',
+  Ct: 'Court',
+  Pl: 'Place',
+  Sq: 'Square',
+  Cres: 'Crescent',
+  Hwy: 'Highway',
+  Pkwy: 'Parkway'
+};
+
+// Nigerian titles and honorifics
+const NG_TITLES = {
+  Engr: 'Engineer',
+  Barr: 'Barrister',
+  Alh: 'Alhaji',
+  Arc: 'Architect',
+  Pst: 'Pastor',
+  Sgt: 'Sergeant',
+  Col: 'Colonel'
+};
+
+const ABBREVIATIONS = {
+  'e.g.': 'for example',
+  'i.e.': 'that is',
+  'vs.': 'versus',
+  'approx.': 'approximately',
+  'Ave.': 'Avenue',
+  'Rd.': 'Road',
+  'Inc.': 'Incorporated',
+  'Ltd.': 'Limited',
+  'Dept.': 'Department',
+  'Govt.': 'Government',
+  'Jr.': 'Junior',
+  'Sr.': 'Senior'
+};
+
+const URL_SYMBOLS = {
+  '.': 'dot',
+  '/': 'slash',
+  '-': 'dash',
+  '_': 'underscore',
+  '@': 'at',
+  ':': 'colon',
+  '?': 'question mark',
+  '=': 'equals',
+  '&': 'and',
+  '#': 'hash',
+  '+': 'plus',
+  '~': 'tilde'
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pluralize = (count, [singular, plural]) => (count === 1 ? singular : plural);
+
+/**
+ * Parses a day/month/year triple, returning null when it isn't a real date
+ * @returns {{day: number, month: number, year: number}|null}
+ */
+function toDate(day, month, year) {
+  const d = Number(day);
+  const m = Number(month);
+  let y = Number(year);
+  if (String(year).length === 2) y += y < 50 ? 2000 : 1900;
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  return { day: d, month: m, year: y };
+}
+
+/**
+ * Speaks a date in the locale's style
+ * @param {{day: number, month: number, year: number|null}} date - Date parts
+ * @param {Object} locale - Locale rules
+ * @param {boolean} dayFirst - Say "the fifth of March" rather than "March fifth"
+ * @returns {string}
+ */
+function speakDate({ day, month, year }, locale, dayFirst) {
+  const dayWords = ordinalToWords(day);
+  const monthName = MONTHS[month - 1];
+  const base = dayFirst ? `the ${dayWords} of ${monthName}` : `${monthName} ${dayWords}`;
+  return year ? `${base}, ${yearToWords(year, locale)}` : base;
+}
+
+/**
+ * Speaks an amount of money
+ * @param {Object} currency - Currency names
+ * @param {string} whole - Whole part (commas allowed)
+ * @param {string} fraction - Decimal part
+ * @param {string} magnitude - Optional k/m/bn suffix
+ * @param {Object} locale - Locale rules
+ * @returns {string}
+ */
+function speakMoney(currency, whole, fraction, magnitude, locale) {
+  const scale = MAGNITUDES?.[magnitude?.toLowerCase()];
+
+  // "$2.5m" -> "two point five million dollars"
+  if (scale) {
+    const amount = fraction ? decimalToWords(`${whole}.${fraction}`, locale) : integerToWords(whole, locale);
+    return `${amount} ${scale} ${currency.major[1]}`;
+  }
+
+  const count = Number(whole.replace(/,/g, ''));
+  const major = `${integerToWords(whole, locale)} ${pluralize(count, currency.major)}`;
+  if (!fraction) return major;
+
+  const minorCount = Number(fraction.padEnd(2, '0').slice(0, 2));
+  if (!minorCount) return major;
+
+  const minor = `${integerToWords(minorCount, locale)} ${pluralize(minorCount, currency.minor)}`;
+  return count ? `${major} and ${minor}` : minor;
+}
+
+/**
+ * Speaks a URL or email address
+ * @param {string} value - URL or email
+ * @returns {string}
+ */
+function speakUrl(value) {
+  const spoken = value
+    .replace(/^https?:\/\//i, '')
+    .replace(/^www\./i, '')
+    .replace(/\/$/, '')
+    .replace(/[./\-_@:?=&#+~]/g, symbol => ` ${URL_SYMBOLS[symbol]} `)
+    .replace(/\d+/g, digits => ` ${digitsToWords(digits)} `);
+  return spoken.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Builds the ordered rule list for a locale
+ * @param {Object} locale - Locale rules
+ * @param {string} localeId - Locale id
+ * @returns {Array<{category: string, pattern: RegExp, replace: Function}>}
+ */
+function buildRules(locale, localeId) {
+  const unitName = names => names.map(name => name.replace('{re}', locale.metric));
+  const titles = { ...TITLES, ...(localeId === 'en-NG' ? NG_TITLES : {}) };
+
+  return [
+    // URLs and emails - trailing sentence punctuation stays as punctuation
+    {
+      category: 'urls',
+      pattern: /\b(?:https?:\/\/|www\.)[^\s<>"'()[\]]+|\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|org|net|ng|io|co|uk|gov|edu|dev|app)(?:\/[^\s<>"'()[\]]*)?(?![\w-]|\.\w)/gi,
+      replace: (match) => {
+        const [, url, trailing] = match[0].match(/^(.*?)([.,!?;:]*)$/);
+        return `${speakUrl(url)}${trailing}`;
+      }
+    },
+
+    // Street types after a name or number: "Baker St.", "5th Ave". Before another capitalized
+    // word ("St. Louis", "Dr. Adebayo") they are titles and left to the next rule.
+    {
+      category: 'abbreviations',
+      pattern: new RegExp(`(?<=(?:\\b\\p{Lu}\\p{L}*|\\b\\d+(?:st|nd|rd|th)?)\\s+)(${Object.keys(STREET_TYPES).join('|')})\\b(\\.?)`, 'gu'),
+      replace: (match) => {
+        const rest = match.input.slice(match.index + match[0].length);
+        if (/^\s+\p{Lu}/u.test(rest)) return null;
+        // A full stop that ends the text also ends the sentence
+        return `${STREET_TYPES[match[1]]}${match[2] && !rest.trim() ? '.' : ''}`;
+      }
+    },
+
+    // Titles before a name: Dr. Adebayo, Mr Okafor
+    {
+      category: 'abbreviations',
+      pattern: new RegExp(`\\b(${Object.keys(titles).join('|')})\\.?(?=\\s+\\p{Lu})`, 'gu'),
+      replace: match => titles[match[1]].replace('{honorable}', locale.honorable)
+    },
+
+    // "etc." keeps its full stop when it ends a sentence
+    {
+      category: 'abbreviations',
+      pattern: /\betc\.(\s+\p{Lu}|\s*$)?/gu,
+      replace: match => (match[1] !== undefined ? `et cetera.${match[1]}` : 'et cetera')
+    },
+
+    // "No. 5" -> "number 5"
+    {
+      category: 'abbreviations',
+      pattern: /\bNo\.(?=\s*\d)/g,
+      replace: () => 'number'
+    },
+
+    {
+      category: 'abbreviations',
+      pattern: new RegExp(`(^|[^\\p{L}])(${Object.keys(ABBREVIATIONS).map(escapeRegExp).join('|')})(?![\\p{L}])`, 'gu'),
+      replace: match => `${match[1]}${ABBREVIATIONS[match[2]]}`
+    },
+
+    {
+      category: 'abbreviations',
+      pattern: /\s&\s/g,
+      replace: () => ' and '
+    },
+
+    // Phone numbers: international, bracketed area codes, or local numbers starting with 0
+    {
+      category: 'phones',
+      pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,3}\b/g,
+      replace: (match) => {
+        const value = match[0];
+        const digits = value.replace(/\D/g, '');
+        const international = value.startsWith('+') || value.startsWith('(');
+        if (digits.length < 7 || digits.length > 15) return null;
+        if (!international && !value.startsWith('0') && !/^\d{3}[-.]\d{3}[-.]\d{4}$/.test(value)) return null;
+
+        const groups = value.replace(/[()+]/g, ' ').split(/[\s.-]+/).filter(Boolean);
+        return `${value.startsWith('+') ? 'plus ' : ''}${groups.map(digitsToWords).join(', ')}`;
+      }
+    },
+
+    // Numbers with several dots (versions, IP addresses) are read group by group: 2.0.1 -> "two dot zero dot one".
+    // Dotted dates (12.03.2024, 12.03.24) are left to the date rules.
+    {
+      category: 'decimals',
+      pattern: /(?<![\w.])\d+(?:\.\d+){2,}(?![\w]|\.\d)/g,
+      replace: (match) => {
+        if (/^(?:\d{1,2}\.\d{1,2}\.\d{4}|\d{2}\.\d{2}\.\d{2})$/.test(match[0])) return null;
+        return match[0]
+          .split('.')
+          .map(group => (/^0\d/.test(group) ? digitsToWords(group) : integerToWords(group, locale)))
+          .join(' dot ');
+      }
+    },
+
+    // Currency symbols and codes, with optional k/m/bn magnitudes
+    {
+      category: 'currency',
+      pattern: new RegExp(`(₦|\\$|£|€|\\b(?:NGN|USD|GBP|EUR)\\s?)${AMOUNT}(?:\\s?(k|mn|m|bn|b|thousand|million|billion|trillion)\\b)?`, 'gi'),
+      replace: (match) => {
+        const currency = CURRENCIES?.[match[1].trim().toUpperCase()] || CURRENCIES?.[match[1].trim()];
+        return currency ? speakMoney(currency, match[2], match[3], match[4], locale) : null;
+      }
+    },
+
+    // ISO dates: 2024-03-12
+    {
+      category: 'dates',
+      pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+      replace: (match) => {
+        const date = toDate(match[3], match[2], match[1]);
+        return date ? speakDate(date, locale, locale.dayFirst) : null;
+      }
+    },
+
+    // Numeric dates: 12/03/2024 - day or month first by locale, unless only one reading is valid
+    {
+      category: 'dates',
+      pattern: /\b(\d{1,2})[/.](\d{1,2})[/.](\d{4}|\d{2})\b/g,
+      replace: (match) => {
+        const [first, second] = [Number(match[1]), Number(match[2])];
+        const dayFirst = first > 12 ? true : second > 12 ? false : locale.dayFirst;
+        const date = dayFirst ? toDate(first, second, match[3]) : toDate(second, first, match[3]);
+        return date ? speakDate(date, locale, locale.dayFirst) : null;
+      }
+    },
+
+    // Written dates: "March 5, 2024", "Mar 5th"
+    {
+      category: 'dates',
+      pattern: new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'g'),
+      replace: (match) => {
+        const month = MONTHS.findIndex(name => name.startsWith(match[1].slice(0, 3))) + 1;
+        const date = toDate(match[2], month, match[3] || 2000);
+        return date ? speakDate({ ...date, year: match[3] ? date.year : null }, locale, false) : null;
+      }
+    },
+
+    // Written dates: "5 March 2024", "5th of March"
+    {
+      category: 'dates',
+      pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b\\.?(?:,?\\s+(\\d{4})\\b)?`, 'g'),
+      replace: (match) => {
+        const month = MONTHS.findIndex(name => name.startsWith(match[2].slice(0, 3))) + 1;
+        const date = toDate(match[1], month, match[3] || 2000);
+        return date ? speakDate({ ...date, year: match[3] ? date.year : null }, locale, true) : null;
+      }
+    },
+
+    // Years after a preposition: "in 1999", "since 2005"
+    {
+      category: 'dates',
+      pattern: /\b(in|since|by|from|until|till|of|year)\s+(1[1-9]\d{2}|20\d{2})\b/gi,
+      replace: match => `${match[1]} ${yearToWords(match[2], locale)}`
+    },
+
+    // Clock times: 10:30, 14:05, 7:15pm
+    {
+      category: 'times',
+      pattern: /\b([01]?\d|2[0-3]):([0-5]\d)(?:\s*([ap])\.?\s?m\b\.?)?/gi,
+      replace: (match) => {
+        let hour = Number(match[1]);
+        const minute = Number(match[2]);
+        let period = match[3] ? `${match[3].toLowerCase()}.m.` : '';
+
+        // 12-hour locales say "two p.m." for 14:00
+        if (!period && !locale.hour24 && hour > 12) {
+          hour -= 12;
+          period = 'p.m.';
+        }
+
+        const hourWords = hour === 0 && !period ? 'zero' : integerToWords(hour || 12);
+        const minuteWords = minute === 0
+          ? (period ? '' : (locale.hour24 && hour > 12 ? 'hundred' : "o'clock"))
+          : minute < 10 ? `oh ${integerToWords(minute)}` : integerToWords(minute);
+
+        return [hourWords, minuteWords, period].filter(Boolean).join(' ');
+      }
+    },
+
+    // Bare hours: 7pm, 11 a.m.
+    {
+      category: 'times',
+      pattern: /\b(1[0-2]|0?[1-9])\s?([ap])\.?\s?m\b\.?/gi,
+      replace: match => `${integerToWords(Number(match[1]))} ${match[2].toLowerCase()}.m.`
+    },
+
+    // Measurements: 5km, 2.5 kg, 30%
+    {
+      category: 'units',
+      pattern: new RegExp(`${AMOUNT}\\s?(${UNIT_PATTERN})(?![\\p{L}\\p{N}])`, 'gu'),
+      replace: (match) => {
+        const amount = match[2] ? decimalToWords(`${match[1]}.${match[2]}`, locale) : integerToWords(match[1], locale);
+        const count = match[2] ? 2 : Number(match[1].replace(/,/g, ''));
+        return `${amount} ${pluralize(count, unitName(UNITS[match[3]]))}`;
+      }
+    },
+
+    // Ordinals: 1st, 22nd, 103rd
+    {
+      category: 'ordinals',
+      pattern: /\b(\d+)(st|nd|rd|th)\b/gi,
+      replace: match => ordinalToWords(match[1], locale)
+    },
+
+    // Decimals: 3.14, 1,234.5
+    {
+      category: 'decimals',
+      pattern: /\b(\d{1,3}(?:,\d{3})+|\d+)\.(\d+)\b/g,
+      replace: match => decimalToWords(`${match[1]}.${match[2]}`, locale)
+    },
+
+    // Fractions and mixed numbers: 1/2, 3/4, 2 1/2. Only proper fractions over 2-10, so
+    // "24/7" and day/month pairs like "12/3" keep their slash.
+    {
+      category: 'cardinals',
+      pattern: /(?<![\w/.,])(?:(\d+)\s+)?([1-9])\/([2-9]|10)(?![\w/]|[.,]\d)/g,
+      replace: (match) => {
+        if (Number(match[2]) >= Number(match[3])) return null;
+        return fractionToWords(match[2], match[3], { ...locale, whole: match[1] ?? null });
+      }
+    },
+
+    // Negative numbers: -5
+    {
+      category: 'cardinals',
+      pattern: /(^|[\s(])[-−](?=\d)/g,
+      replace: match => `${match[1]}minus `
+    },
+
+    // Whole numbers; leading zeros are read digit by digit ("007")
+    {
+      category: 'cardinals',
+      pattern: /\b(\d{1,3}(?:,\d{3})+|\d+)\b/g,
+      replace: match => (/^0\d/.test(match[1]) ? digitsToWords(match[1]) : integerToWords(match[1], locale))
+    }
+  ];
+}
+
+/**
+ * Fills in defaults for stored normalization settings
+ * @param {Object} settings - Partial settings (e.g. from a preset)
+ * @returns {{locale: string, categories: Object<string, boolean>}}
+ */
+export function resolveNormalization(settings) {
+  return {
+    locale: LOCALE_RULES?.[settings?.locale] ? settings.locale : DEFAULT_NORMALIZATION.locale,
+    categories: { ...DEFAULT_NORMALIZATION.categories, ...(settings?.categories || {}) }
+  };
+}
+
+/**
+ * Normalizes text and reports every rewrite with its source position
+ * @param {string} text - Text (may contain speech markup)
+ * @param {Object} settings - Normalization settings ({ locale, categories })
+ * @returns {{text: string, changes: Array<{start: number, end: number, original: string, replacement: string, category: string}>}}
+ */
+export function normalizeWithChanges(text, settings) {
+  const { locale: localeId, categories } = resolveNormalization(settings);
+  const locale = LOCALE_RULES[localeId];
+  const rules = buildRules(locale, localeId).filter(rule => categories?.[rule.category]);
+
+  // Markup tags and spelled-out spans are never rewritten
+  let spelling = false;
+  let pieces = tokenizeMarkup(text || '').map((token) => {
+    if (token.type === 'tag' && token.name === 'spell') spelling = !token.closing;
+    return { text: token.value, start: token.start, locked: token.type === 'tag' || spelling };
+  });
+
+  rules.forEach((rule) => {
+    pieces = pieces.flatMap((piece) => {
+      if (piece.locked) return [piece];
+
+      const result = [];
+      let last = 0;
+      for (const match of piece.text.matchAll(rule.pattern)) {
+        const replacement = rule.replace(match);
+        if (replacement === null || replacement === undefined || !match[0]) continue;
+
+        if (match.index > last) {
+          result.push({ text: piece.text.slice(last, match.index), start: piece.start + last, locked: false });
+        }
+        result.push({
+          text: match[0],
+          start: piece.start + match.index,
+          locked: true,
+          replacement,
+          category: rule.category
+        });
+        last = match.index + match[0].length;
+      }
+
+      if (last === 0) return [piece];
+      if (last < piece.text.length) {
+        result.push({ text: piece.text.slice(last), start: piece.start + last, locked: false });
+      }
+      return result;
+    });
+  });
+
+  return {
+    text: pieces.map(piece => piece.replacement ?? piece.text).join(''),
+    changes: pieces
+      .filter(piece => piece.replacement !== undefined)
+      .map(piece => ({
+        start: piece.start,
+        end: piece.start + piece.text.length,
+        original: piece.text,
+        replacement: piece.replacement,
+        category: piece.category
+      }))
+  };
+}
+
+/**
+ * Normalizes text for speech
+ * @param {string} text - Text (may contain speech markup)
+ * @param {Object} settings - Normalization settings ({ locale, categories })
+ * @returns {string} - Text as it will be spoken
+ */
+export function normalizeText(text, settings) {
+  return normalizeWithChanges(text, settings).text;
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeText, normalizeWithChanges } from './textNormalizer';
+
+const normalize = (text, locale = 'en-US') => normalizeText(text, { locale });
+
+describe('normalizeText', () => {
+  it('reads currency, dates and times for the locale', () => {
+    expect(normalize('₦1,500 on 12/03/2024', 'en-NG')).toBe('one thousand five hundred naira on the twelfth of March, twenty twenty-four');
+    expect(normalize('$5.50 on 12/03/2024')).toBe('five dollars and fifty cents on December third, twenty twenty-four');
+    expect(normalize('Meet at 10:30am.')).toBe('Meet at ten thirty a.m.');
+  });
+
+  it('reads units, ordinals, decimals and cardinals', () => {
+    expect(normalize('Run 5km on the 21st.', 'en-GB')).toBe('Run five kilometres on the twenty-first.');
+    expect(normalize('Pi is 3.14 and we sold 1,250.')).toBe('Pi is three point one four and we sold one thousand two hundred fifty.');
+  });
+
+  it('reads URLs and common abbreviations', () => {
+    expect(normalize('Visit example.com, e.g. today.')).toBe('Visit example dot com, for example today.');
+    expect(normalize('Ask Dr. Adebayo.')).toBe('Ask Doctor Adebayo.');
+  });
+
+  it('leaves markup tags and spelled spans alone', () => {
+    expect(normalize('[pause 2s] Call [spell]123[/spell] or 5 people.')).toBe('[pause 2s] Call [spell]123[/spell] or five people.');
+  });
+
+  it('skips disabled categories', () => {
+    expect(normalizeText('5 of 21st', { categories: { cardinals: false } })).toBe('5 of twenty-first');
+  });
+
+  it('reports each rewrite with its position', () => {
+    const { changes } = normalizeWithChanges('Buy 3 now', { locale: 'en-US' });
+
+    expect(changes).toEqual([{ start: 4, end: 5, original: '3', replacement: 'three', category: 'cardinals' }]);
+  });
+
+  it('spells very large numbers', () => {
+    expect(normalize('About 7,000,000,000,000,000,000,000 stars.')).toBe('About seven thousand quintillion stars.');
+  });
+
+  describe('fractions', () => {
+    it('reads simple and mixed fractions', () => {
+      expect(normalize('Add 1/2 cup, then 3/4 of the rest.')).toBe('Add one half cup, then three quarters of the rest.');
+      expect(normalize('It took 2 1/2 hours, not 2/3 of a day.')).toBe('It took two and a half hours, not two thirds of a day.');
+    });
+
+    it('keeps the slash where the numbers are not a fraction', () => {
+      expect(normalize('Open 24/7, since 12/3.')).toBe('Open twenty-four/seven, since twelve/three.');
+      expect(normalize('Score 5/4.')).toBe('Score five/four.');
+    });
+  });
+
+  describe('numbers with several dots', () => {
+    it('reads version numbers group by group', () => {
+      expect(normalize('Version 2.0.1 is out.')).toBe('Version two dot zero dot one is out.');
+      expect(normalize('Upgrade to 1.2.10 today.')).toBe('Upgrade to one dot two dot ten today.');
+    });
+
+    it('reads IP addresses group by group', () => {
+      expect(normalize('Connect to 192.168.0.1 now.')).toBe('Connect to one hundred ninety-two dot one hundred sixty-eight dot zero dot one now.');
+    });
+
+    it('still reads plain decimals with "point"', () => {
+      expect(normalize('Pi is 3.14.')).toBe('Pi is three point one four.');
+    });
+
+    it('still reads dotted dates as dates', () => {
+      expect(normalize('Due 12.03.2024.', 'en-GB')).toBe('Due the twelfth of March, twenty twenty-four.');
+    });
+  });
+
+  describe('street and title abbreviations', () => {
+    it('expands street types after a street name or number', () => {
+      expect(normalize('Meet me on Baker St.')).toBe('Meet me on Baker Street.');
+      expect(normalize('The shop on 5th Ave is open.')).toBe('The shop on fifth Avenue is open.');
+      expect(normalize('Turn onto Elm Dr, then Park Rd.')).toBe('Turn onto Elm Drive, then Park Road.');
+      expect(normalize('It is on Sunset Blvd near Oak Ln.')).toBe('It is on Sunset Boulevard near Oak Lane.');
+    });
+
+    it('reads the same abbreviations before a name as titles', () => {
+      expect(normalize('We flew to St. Louis to see Dr. Adebayo.')).toBe('We flew to Saint Louis to see Doctor Adebayo.');
+      expect(normalize('Capt. Okafor met Lt. Bello and Gen. Musa.')).toBe('Captain Okafor met Lieutenant Bello and General Musa.');
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { parseCsvRows } from './csv';
+
+/**
+ * Text Templates
+ * Mail-merge support for batch generation: "Hello {{name}}, your order
+ * {{order_id}} ships {{date}}" is rendered once per dataset row. Datasets
+ * come from CSV (first row is the header) or JSON (an array of objects;
+ * nested fields are reachable as {{customer.name}}).
+ *
+ * {{#}} is reserved for the row number and is mostly useful in file name
+ * patterns.
+ */
+
+export const MAX_TEMPLATE_ROWS = 1000;
+
+export const ROW_NUMBER_VARIABLE = '#';
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Lists the variables used in a template, in order of first use
+ * @param {string} template - Template text
+ * @returns {Array<string>} - Variable names (without {{#}})
+ */
+export function extractTemplateVariables(template) {
+  const names = [];
+  for (const match of (template || '').matchAll(VARIABLE_PATTERN)) {
+    const name = match[1];
+    if (name !== ROW_NUMBER_VARIABLE && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+const stringify = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Looks up a variable in a row: exact key first, then a dotted path into
+ * nested objects, then a case-insensitive key match
+ * @param {Object} row - Dataset row
+ * @param {string} name - Variable name
+ * @returns {*} - Value, or undefined when the row has no such field
+ */
+export function lookupVariable(row, name) {
+  if (!row) return undefined;
+  if (Object.prototype.hasOwnProperty.call(row, name)) return row[name];
+
+  if (name.includes('.')) {
+    const value = name.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), row);
+    if (value !== undefined) return value;
+  }
+
+  const key = Object.keys(row).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : row[key];
+}
+
+/**
+ * Renders a template for one row
+ * @param {string} template - Template text
+ * @param {Object} row - Dataset row
+ * @param {number} index - Zero-based row position, used for {{#}}
+ * @returns {string}
+ */
+export function renderTemplate(template, row, index = 0) {
+  return (template || '').replace(VARIABLE_PATTERN, (match, name) => (
+    name === ROW_NUMBER_VARIABLE
+      ? String(index + 1).padStart(3, '0')
+      : stringify(lookupVariable(row, name))
+  ));
+}
+
+/**
+ * Makes rendered text safe to use as a file name on every OS
+ * @param {string} value - Rendered file name stem
+ * @returns {string}
+ */
+export function sanitizeFileName(value) {
+  return (value || '')
+    .replace(/\s*[\\/:*?"<>|]+\s*/g, '-')
+    .replace(/\s+/g, '_')
+    .replace(/^[-_.]+|[-_.]+$/g, '')
+    .slice(0, 100);
+}
+
+/**
+ * Renders the output file name for a row
+ * @param {string} pattern - File name pattern, e.g. "{{#}}-{{order_id}}"
+ * @param {Object} row - Dataset row
+ * @param {number} index - Zero-based row position
+ * @param {string} extension - File extension without the dot; omit for just the stem
+ * @returns {string}
+ */
+export function renderFileName(pattern, row, index, extension = '') {
+  const stem = sanitizeFileName(renderTemplate(pattern || `{{${ROW_NUMBER_VARIABLE}}}`, row, index))
+    || String(index + 1).padStart(3, '0');
+  return extension ? `${stem}.${extension}` : stem;
+}
+
+const parseCsvDataset = (text) => {
+  const [header, ...records] = parseCsvRows(text);
+  if (!header) throw new Error('The CSV file is empty.');
+
+  const columns = header.map(column => column.trim());
+  if (columns.some(column => !column)) {
+    throw new Error('Every CSV column needs a name in the first row.');
+  }
+
+  const rows = records.map(record => Object.fromEntries(columns.map((column, i) => [column, record[i] ?? ''])));
+  return { columns, rows };
+};
+
+const parseJsonDataset = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The JSON file could not be read: ${error?.message}`);
+  }
+
+  // Accept a bare array or an object wrapping one (e.g. { "rows": [...] })
+  const rows = Array.isArray(data) ? data : Object.values(data || {}).find(Array.isArray);
+  if (!rows) throw new Error('The JSON file must contain an array of objects.');
+  if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error('Every item in the JSON array must be an object.');
+  }
+
+  const columns = [];
+  rows.forEach(row => Object.keys(row).forEach((key) => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  return { columns, rows };
+};
+
+/**
+ * Parses an uploaded dataset
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to tell CSV from JSON
+ * @returns {{columns: Array<string>, rows: Array<Object>}}
+ * @throws {Error} - With a user-facing message when the file cannot be used
+ */
+export function parseDataset(text, fileName = '') {
+  const trimmed = (text || '').replace(/^\uFEFF/, '').trim();
+  if (!trimmed) throw new Error('The file is empty.');
+
+  const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^[[{]/.test(trimmed));
+  const dataset = isJson ? parseJsonDataset(trimmed) : parseCsvDataset(trimmed);
+
+  if (!dataset.rows.length) throw new Error('The file has no data rows.');
+  if (dataset.rows.length > MAX_TEMPLATE_ROWS) {
+    throw new Error(`The file has ${dataset.rows.length} rows; at most ${MAX_TEMPLATE_ROWS} can be generated at once.`);
+  }
+  return dataset;
+}
+
+/**
+ * Checks a template and file name pattern against a dataset before anything is generated
+ * @param {string} template - Template text
+ * @param {string} filenamePattern - File name pattern
+ * @param {{columns: Array<string>, rows: Array<Object>}} dataset - Parsed dataset
+ * @returns {{variables: Array<string>, unknownColumns: Array<string>, missing: Array<{row: number, variables: Array<string>}>, emptyRows: Array<number>}}
+ */
+export function validateTemplateData(template, filenamePattern, dataset) {
+  const variables = extractTemplateVariables(`${template || ''}\n${filenamePattern || ''}`);
+  const rows = dataset?.rows || [];
+
+  // Variables no row provides at all are almost always typos or the wrong file
+  const unknownColumns = variables.filter(name => !rows.some(row => lookupVariable(row, name) !== undefined));
+
+  const missing = [];
+  const emptyRows = [];
+  rows.forEach((row, index) => {
+    const absent = variables.filter((name) => {
+      const value = lookupVariable(row, name);
+      return value === undefined || value === null || stringify(value).trim() === '';
+    });
+    if (absent.length) missing.push({ row: index + 1, variables: absent });
+    if (!renderTemplate(template, row, index).trim()) emptyRows.push(index + 1);
+  });
+
+  return { variables, unknownColumns, missing, emptyRows };
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import {
+  extractTemplateVariables,
+  lookupVariable,
+  parseDataset,
+  renderFileName,
+  renderTemplate,
+  validateTemplateData
+} from './textTemplate';
+
+describe('templates', () => {
+  it('lists variables once, without the row number', () => {
+    expect(extractTemplateVariables('{{#}} Hi {{ name }}, {{order_id}} for {{name}}')).toEqual(['name', 'order_id']);
+  });
+
+  it('looks up exact, dotted and case-insensitive keys', () => {
+    const row = { Name: 'Ada', 'a.b': 1, customer: { city: 'Oslo' } };
+    expect(lookupVariable(row, 'a.b')).toBe(1);
+    expect(lookupVariable(row, 'customer.city')).toBe('Oslo');
+    expect(lookupVariable(row, 'name')).toBe('Ada');
+    expect(lookupVariable(row, 'missing')).toBeUndefined();
+  });
+
+  it('renders text and file names per row', () => {
+    expect(renderTemplate('{{#}}: Hello {{name}}{{missing}}', { name: 'Ada' }, 4)).toBe('005: Hello Ada');
+    expect(renderFileName('{{#}}-{{order}}', { order: 'A/B 7' }, 0, 'mp3')).toBe('001-A-B_7.mp3');
+    expect(renderFileName('{{missing}}', {}, 1)).toBe('002');
+  });
+});
+
+describe('parseDataset', () => {
+  it('reads CSV with a header row and a BOM', () => {
+    expect(parseDataset('\uFEFFname,city\nAda,"Oslo, NO"\nBo', 'people.csv')).toEqual({
+      columns: ['name', 'city'],
+      rows: [{ name: 'Ada', city: 'Oslo, NO' }, { name: 'Bo', city: '' }]
+    });
+  });
+
+  it('reads JSON arrays and wrapped arrays', () => {
+    expect(parseDataset('[{"a":1},{"b":2}]').columns).toEqual(['a', 'b']);
+    expect(parseDataset('{"rows":[{"a":1}]}', 'data.json').rows).toEqual([{ a: 1 }]);
+  });
+
+  it('rejects unusable files with readable messages', () => {
+    expect(() => parseDataset('  ')).toThrow('The file is empty.');
+    expect(() => parseDataset('name,\nAda,1', 'x.csv')).toThrow('Every CSV column needs a name');
+    expect(() => parseDataset('[1]', 'x.json')).toThrow('must be an object');
+    expect(() => parseDataset('name', 'x.csv')).toThrow('no data rows');
+  });
+});
+
+describe('validateTemplateData', () => {
+  it('reports unknown columns, missing values and empty rows', () => {
+    const dataset = { columns: ['name'], rows: [{ name: 'Ada' }, { name: '' }] };
+    expect(validateTemplateData('{{name}}', '{{#}}-{{id}}', dataset)).toEqual({
+      variables: ['name', 'id'],
+      unknownColumns: ['id'],
+      missing: [{ row: 1, variables: ['id'] }, { row: 2, variables: ['name', 'id'] }],
+      emptyRows: [2]
+    });
+  });
+});
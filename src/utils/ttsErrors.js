@@ -0,0 +1,193 @@
+/**
+ * TTS Errors
+ * Typed errors with stable codes so callers can react to what went wrong
+ * (retry, sign in again, shorten the text, ...) instead of matching on
+ * message text. Providers throw these; the Edge Function sends the same
+ * codes in its JSON error bodies ({ error, code }).
+ */
+
+export const ERROR_CODES = {
+  AUTH: 'auth',
+  QUOTA: 'quota',
+  RATE_LIMITED: 'rate_limited',
+  CONTENT_REJECTED: 'content_rejected',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  PROVIDER_UNAVAILABLE: 'provider_unavailable'
+};
+
+// Failures that may succeed if the same request is sent again
+const TRANSIENT_CODES = [
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.NETWORK,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.PROVIDER_UNAVAILABLE
+];
+
+export class TTSError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - User-facing message
+   * @param {Object} details - Extra details
+   * @param {number} details.status - HTTP status, when the error came from a response
+   * @param {number} details.retryAfterMs - Server-requested wait before retrying (Retry-After)
+   * @param {string} details.provider - Provider id
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(code, message, { status = null, retryAfterMs = null, provider = null, cause = undefined } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'TTSError';
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.provider = provider;
+  }
+
+  /**
+   * Whether sending the same request again may succeed
+   * @returns {boolean}
+   */
+  get retryable() {
+    return TRANSIENT_CODES.includes(this.code);
+  }
+}
+
+export class AuthError extends TTSError {
+  constructor(message = 'Please sign in again to generate audio.', details) {
+    super(ERROR_CODES.AUTH, message, details);
+    this.name = 'AuthError';
+  }
+}
+
+export class QuotaError extends TTSError {
+  constructor(message = 'You have reached your usage limit.', details) {
+    super(ERROR_CODES.QUOTA, message, details);
+    this.name = 'QuotaError';
+  }
+}
+
+export class RateLimitError extends TTSError {
+  constructor(message = 'Too many requests. Please wait a moment.', details) {
+    super(ERROR_CODES.RATE_LIMITED, message, details);
+    this.name = 'RateLimitError';
+  }
+}
+
+export class ContentRejectedError extends TTSError {
+  constructor(message = 'The speech service rejected this text.', details) {
+    super(ERROR_CODES.CONTENT_REJECTED, message, details);
+    this.name = 'ContentRejectedError';
+  }
+}
+
+export class NetworkError extends TTSError {
+  constructor(message = 'Network error. Please check your internet connection.', details) {
+    super(ERROR_CODES.NETWORK, message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends TTSError {
+  constructor(message = 'The speech service took too long to respond.', details) {
+    super(ERROR_CODES.TIMEOUT, message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+export class ProviderUnavailableError extends TTSError {
+  constructor(message = 'The speech service is temporarily unavailable.', details) {
+    super(ERROR_CODES.PROVIDER_UNAVAILABLE, message, details);
+    this.name = 'ProviderUnavailableError';
+  }
+}
+
+const ERROR_CLASSES = {
+  [ERROR_CODES.AUTH]: AuthError,
+  [ERROR_CODES.QUOTA]: QuotaError,
+  [ERROR_CODES.RATE_LIMITED]: RateLimitError,
+  [ERROR_CODES.CONTENT_REJECTED]: ContentRejectedError,
+  [ERROR_CODES.NETWORK]: NetworkError,
+  [ERROR_CODES.TIMEOUT]: TimeoutError,
+  [ERROR_CODES.PROVIDER_UNAVAILABLE]: ProviderUnavailableError
+};
+
+/**
+ * Creates the error class for a code
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - User-facing message (class default when empty)
+ * @param {Object} details - See TTSError
+ * @returns {TTSError}
+ */
+export function createTTSError(code, message, details) {
+  const ErrorClass = ERROR_CLASSES?.[code] || ProviderUnavailableError;
+  return new ErrorClass(message || undefined, details);
+}
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Milliseconds to wait, or null when absent/unparseable
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Picks an error code from an HTTP status
+ * @param {number} status - HTTP status
+ * @returns {string} - One of ERROR_CODES
+ */
+function codeFromStatus(status) {
+  if (status === 401 || status === 403) return ERROR_CODES.AUTH;
+  if (status === 402) return ERROR_CODES.QUOTA;
+  if (status === 408 || status === 504) return ERROR_CODES.TIMEOUT;
+  if (status === 429) return ERROR_CODES.RATE_LIMITED;
+  if (status >= 400 && status < 500) return ERROR_CODES.CONTENT_REJECTED;
+  return ERROR_CODES.PROVIDER_UNAVAILABLE;
+}
+
+/**
+ * Builds a typed error from a failed response. A `code` in the JSON body wins
+ * over the status-based guess.
+ * @param {Response} response - Failed fetch response
+ * @param {Object} options - Options
+ * @param {*} options.payload - Parsed JSON body, if already read
+ * @param {string} options.message - Message to use instead of the body's
+ * @param {string} options.provider - Provider id
+ * @returns {Promise<TTSError>}
+ */
+export async function errorFromResponse(response, { payload = undefined, message = null, provider = null } = {}) {
+  const body = payload === undefined ? await response.json().catch(() => null) : payload;
+  const code = ERROR_CLASSES?.[body?.code] ? body.code : codeFromStatus(response.status);
+  const bodyMessage = typeof body?.error === 'string' ? body.error : body?.error?.message;
+
+  return createTTSError(code, message || bodyMessage, {
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers?.get('Retry-After')),
+    provider
+  });
+}
+
+/**
+ * Converts a thrown value into a TTSError where it is clearly a transport
+ * failure; anything else (validation errors, aborts) is returned unchanged
+ * @param {*} error - Caught error
+ * @param {string} provider - Provider id
+ * @returns {*}
+ */
+export function toTTSError(error, provider = null) {
+  if (error instanceof TTSError || error?.name === 'AbortError') return error;
+
+  // fetch() rejects with a TypeError when the request never got a response
+  if (error instanceof TypeError && /fetch|network|load failed/i.test(error?.message || '')) {
+    return new NetworkError(undefined, { provider, cause: error });
+  }
+
+  return error;
+}
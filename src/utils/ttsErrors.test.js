@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import {
+  ERROR_CODES,
+  NetworkError,
+  QuotaError,
+  errorFromResponse,
+  parseRetryAfter,
+  toTTSError
+} from './ttsErrors';
+
+const response = (body, status, headers = {}) => new Response(JSON.stringify(body), { status, headers });
+
+describe('errorFromResponse', () => {
+  it('guesses the code from the status', async () => {
+    expect((await errorFromResponse(response({}, 401))).code).toBe(ERROR_CODES.AUTH);
+    expect((await errorFromResponse(response({}, 402))).code).toBe(ERROR_CODES.QUOTA);
+    expect((await errorFromResponse(response({}, 400))).code).toBe(ERROR_CODES.CONTENT_REJECTED);
+    expect((await errorFromResponse(response({}, 504))).code).toBe(ERROR_CODES.TIMEOUT);
+    expect((await errorFromResponse(response({}, 500))).code).toBe(ERROR_CODES.PROVIDER_UNAVAILABLE);
+  });
+
+  it('prefers the code and message in the body', async () => {
+    const error = await errorFromResponse(response({ error: 'Monthly limit reached', code: 'quota' }, 400), { provider: 'openai' });
+
+    expect(error).toBeInstanceOf(QuotaError);
+    expect(error).toMatchObject({ message: 'Monthly limit reached', status: 400, provider: 'openai', retryable: false });
+  });
+
+  it('reads Retry-After for rate limits', async () => {
+    const error = await errorFromResponse(response({}, 429, { 'Retry-After': '2' }));
+
+    expect(error).toMatchObject({ code: ERROR_CODES.RATE_LIMITED, retryAfterMs: 2000, retryable: true });
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('accepts seconds and HTTP dates', () => {
+    expect(parseRetryAfter('1.5')).toBe(1500);
+    expect(parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50000);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+});
+
+describe('toTTSError', () => {
+  it('turns failed fetches into network errors and leaves other errors alone', () => {
+    expect(toTTSError(new TypeError('Failed to fetch'), 'google')).toBeInstanceOf(NetworkError);
+
+    const validation = new Error('Text is empty');
+    expect(toTTSError(validation)).toBe(validation);
+  });
+});
@@ -0,0 +1,123 @@
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  format,
+  startOfDay,
+  startOfMonth,
+  startOfWeek
+} from 'date-fns';
+
+/**
+ * Usage Aggregates
+ * Turns rows from the get_usage_aggregates RPC into chart data: a gap-free
+ * series per period and totals per character or model. Periods are cut in
+ * the browser's time zone, matching the time_zone sent to the RPC.
+ */
+
+export const USAGE_BUCKETS = [
+  { value: 'day', label: 'Daily (last 30 days)', periods: 30 },
+  { value: 'week', label: 'Weekly (last 12 weeks)', periods: 12 },
+  { value: 'month', label: 'Monthly (last 12 months)', periods: 12 }
+];
+
+const PERIOD_HELPERS = {
+  day: { start: startOfDay, add: addDays, label: 'MMM d' },
+  // Postgres date_trunc('week') starts weeks on Monday
+  week: { start: date => startOfWeek(date, { weekStartsOn: 1 }), add: addWeeks, label: "'Wk of' MMM d" },
+  month: { start: startOfMonth, add: addMonths, label: 'MMM yyyy' }
+};
+
+const helpersFor = bucket => PERIOD_HELPERS?.[bucket] || PERIOD_HELPERS.day;
+
+const periodKey = date => format(date, 'yyyy-MM-dd');
+
+/**
+ * The browser's IANA time zone, for cutting periods at local midnight
+ * @returns {string}
+ */
+export function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+/**
+ * Range covering the bucket's default number of periods, ending with the current one
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @param {Date} now - Reference time
+ * @returns {{from: Date, to: Date}} - from inclusive, to exclusive
+ */
+export function usageRange(bucket, now = new Date()) {
+  const { start, add } = helpersFor(bucket);
+  const periods = USAGE_BUCKETS.find(option => option.value === bucket)?.periods || 30;
+  const current = start(now);
+  return { from: add(current, -(periods - 1)), to: add(current, 1) };
+}
+
+/**
+ * One entry per period in the range, zero-filled where nothing was generated
+ * @param {Array<Object>} rows - get_usage_aggregates rows
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @param {{from: Date, to: Date}} range - Range the rows were fetched for
+ * @returns {Array<{key: string, label: string, generations: number, characters: number, minutes: number}>}
+ */
+export function buildUsageSeries(rows, bucket, range) {
+  const { start, add, label } = helpersFor(bucket);
+  const totals = new Map(
+    (rows || [])
+      .filter(row => row?.dimension === 'total')
+      .map(row => [periodKey(start(new Date(row.period_start))), row])
+  );
+
+  const series = [];
+  for (let period = start(range.from); period < range.to; period = add(period, 1)) {
+    const row = totals.get(periodKey(period));
+    series.push({
+      key: periodKey(period),
+      label: format(period, label),
+      generations: row?.generations || 0,
+      characters: row?.characters || 0,
+      minutes: Math.round(((row?.seconds || 0) / 60) * 10) / 10
+    });
+  }
+  return series;
+}
+
+/**
+ * Totals per character or per model across the whole range, largest first
+ * @param {Array<Object>} rows - get_usage_aggregates rows
+ * @param {string} dimension - 'character' or 'model'
+ * @returns {Array<{name: string, generations: number, characters: number, seconds: number}>}
+ */
+export function summarizeDimension(rows, dimension) {
+  const totals = new Map();
+  (rows || [])
+    .filter(row => row?.dimension === dimension)
+    .forEach((row) => {
+      const name = row?.dimension_value || 'unknown';
+      const entry = totals.get(name) || { name, generations: 0, characters: 0, seconds: 0 };
+      entry.generations += row.generations;
+      entry.characters += row.characters;
+      entry.seconds += row.seconds;
+      totals.set(name, entry);
+    });
+  return [...totals.values()].sort((a, b) => b.generations - a.generations);
+}
+
+/**
+ * Totals across the whole range
+ * @param {Array<Object>} rows - get_usage_aggregates rows
+ * @returns {{generations: number, characters: number, seconds: number}}
+ */
+export function usageTotals(rows) {
+  return (rows || [])
+    .filter(row => row?.dimension === 'total')
+    .reduce((sum, row) => ({
+      generations: sum.generations + row.generations,
+      characters: sum.characters + row.characters,
+      seconds: sum.seconds + row.seconds
+    }), { generations: 0, characters: 0, seconds: 0 });
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { buildUsageSeries, summarizeDimension, usageRange, usageTotals } from './usageAggregates';
+
+const rows = [
+  { period_start: new Date(2026, 9, 17).toISOString(), dimension: 'total', dimension_value: null, generations: 2, characters: 300, seconds: 90 },
+  { period_start: new Date(2026, 9, 19).toISOString(), dimension: 'total', dimension_value: null, generations: 1, characters: 50, seconds: 30 },
+  { period_start: new Date(2026, 9, 17).toISOString(), dimension: 'character', dimension_value: 'chloe', generations: 2, characters: 300, seconds: 90 },
+  { period_start: new Date(2026, 9, 19).toISOString(), dimension: 'character', dimension_value: 'marcus', generations: 1, characters: 50, seconds: 30 },
+  { period_start: new Date(2026, 9, 19).toISOString(), dimension: 'character', dimension_value: 'chloe', generations: 1, characters: 20, seconds: 6 },
+  { period_start: new Date(2026, 9, 19).toISOString(), dimension: 'model', dimension_value: null, generations: 1, characters: 50, seconds: 30 }
+];
+
+describe('usageRange', () => {
+  it('ends with the current period', () => {
+    const now = new Date(2026, 9, 19, 15, 30);
+
+    expect(usageRange('day', now)).toEqual({ from: new Date(2026, 8, 20), to: new Date(2026, 9, 20) });
+    expect(usageRange('week', now)).toEqual({ from: new Date(2026, 7, 3), to: new Date(2026, 9, 26) });
+    expect(usageRange('month', now)).toEqual({ from: new Date(2025, 10, 1), to: new Date(2026, 10, 1) });
+  });
+});
+
+describe('buildUsageSeries', () => {
+  it('zero-fills periods without usage', () => {
+    const series = buildUsageSeries(rows, 'day', { from: new Date(2026, 9, 17), to: new Date(2026, 9, 20) });
+
+    expect(series.map(entry => entry.key)).toEqual(['2026-10-17', '2026-10-18', '2026-10-19']);
+    expect(series.map(entry => entry.generations)).toEqual([2, 0, 1]);
+    expect(series[0]).toMatchObject({ label: 'Oct 17', characters: 300, minutes: 1.5 });
+  });
+});
+
+describe('totals', () => {
+  it('sums a dimension across periods, largest first', () => {
+    expect(summarizeDimension(rows, 'character')).toEqual([
+      { name: 'chloe', generations: 3, characters: 320, seconds: 96 },
+      { name: 'marcus', generations: 1, characters: 50, seconds: 30 }
+    ]);
+    expect(summarizeDimension(rows, 'model')[0].name).toBe('unknown');
+  });
+
+  it('sums the total rows only', () => {
+    expect(usageTotals(rows)).toEqual({ generations: 3, characters: 350, seconds: 120 });
+    expect(usageTotals(null)).toEqual({ generations: 0, characters: 0, seconds: 0 });
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Works out which rows of a long list overlap the viewport, so only those are rendered
+ * @param {number[]} heights - Row heights in pixels (measured, or an estimate for rows not yet shown)
+ * @param {Object} viewport - Visible part of the list
+ * @param {number} viewport.top - Offset of the viewport's top edge from the top of the list
+ * @param {number} viewport.height - Viewport height
+ * @param {number} viewport.overscan - Extra pixels rendered above and below, so fast scrolling doesn't show gaps
+ * @returns {{start: number, end: number, before: number, after: number}} - Rows start..end-1 to render,
+ *   and the height of the rows skipped above and below them
+ */
+export function getVirtualRange(heights, { top, height, overscan = 0 }) {
+  const from = top - overscan;
+  const to = top + height + overscan;
+  let start = 0;
+  let offset = 0;
+
+  while (start < heights.length && offset + heights[start] <= from) {
+    offset += heights[start];
+    start++;
+  }
+
+  const before = offset;
+  let end = start;
+  while (end < heights.length && offset < to) {
+    offset += heights[end];
+    end++;
+  }
+
+  let after = 0;
+  for (let i = end; i < heights.length; i++) after += heights[i];
+
+  return { start, end, before, after };
+}
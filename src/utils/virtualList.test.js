@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { getVirtualRange } from './virtualList';
+
+describe('getVirtualRange', () => {
+  const heights = Array(10000).fill(100);
+
+  it('renders only the rows in view', () => {
+    expect(getVirtualRange(heights, { top: 0, height: 250 })).toEqual({ start: 0, end: 3, before: 0, after: 999700 });
+    expect(getVirtualRange(heights, { top: 50000, height: 250 })).toEqual({ start: 500, end: 503, before: 50000, after: 949700 });
+  });
+
+  it('adds the overscan on both sides', () => {
+    expect(getVirtualRange(heights, { top: 50000, height: 250, overscan: 200 })).toMatchObject({ start: 498, end: 505 });
+  });
+
+  it('keeps the skipped rows\' height with uneven rows', () => {
+    const mixed = [40, 300, 40, 40, 300];
+    const { start, end, before, after } = getVirtualRange(mixed, { top: 300, height: 100 });
+
+    expect([start, end]).toEqual([1, 4]);
+    expect(before + mixed.slice(start, end).reduce((sum, h) => sum + h, 0) + after).toBe(720);
+  });
+
+  it('clamps to the ends of the list', () => {
+    expect(getVirtualRange(heights, { top: -500, height: 250 })).toMatchObject({ start: 0, end: 0 });
+    expect(getVirtualRange(heights, { top: 2000000, height: 250 })).toEqual({ start: 10000, end: 10000, before: 1000000, after: 0 });
+    expect(getVirtualRange([], { top: 0, height: 250 })).toEqual({ start: 0, end: 0, before: 0, after: 0 });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * WebCodecs Encoder
+ * Encodes stitched and pitch-shifted audio as Opus (in an Ogg container) or
+ * AAC (as ADTS frames) with the browser's own AudioEncoder. Support differs
+ * between browsers, so formats are only offered once a probe confirms them.
+ */
+
+// Encoder settings per output format
+const CODEC_CONFIGS = {
+  opus: { codec: 'opus', bitrate: 64000 },
+  aac: { codec: 'mp4a.40.2', bitrate: 128000 }
+};
+
+export const WEBCODECS_FORMATS = Object.keys(CODEC_CONFIGS);
+
+// Frames handed to the encoder per AudioData
+const INPUT_FRAMES = 4800;
+
+// Opus always decodes at 48 kHz; granule positions count samples at this rate
+const OPUS_GRANULE_RATE = 48000;
+
+// WebCodecs' default Opus packet length, for chunks that don't report a duration
+const OPUS_FRAME_DURATION_US = 20000;
+
+// libopus look-ahead, trimmed by players from the start of the stream
+const OPUS_DEFAULT_PRE_SKIP = 312;
+
+// Audio per Ogg page; players seek page by page, so keep pages near one second
+const OGG_PAGE_MAX_DURATION_US = 1000000;
+
+const OGG_SERIAL = 0x54545331;
+
+// ADTS sampling_frequency_index values
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const supportedFormats = new Set();
+let probe = null;
+
+/**
+ * Checks once which formats this browser's AudioEncoder can write
+ * @param {number} sampleRate - Sample rate the encoders must accept
+ * @returns {Promise<Array<string>>} - Supported format ids
+ */
+export function probeWebCodecsEncoders(sampleRate) {
+  if (!probe) {
+    probe = Promise.all(WEBCODECS_FORMATS.map(async (format) => {
+      try {
+        const config = { ...CODEC_CONFIGS[format], sampleRate, numberOfChannels: 1 };
+        if ((await globalThis.AudioEncoder?.isConfigSupported(config))?.supported) supportedFormats.add(format);
+      } catch {
+        // Treated as unsupported
+      }
+    })).then(() => [...supportedFormats]);
+  }
+  return probe;
+}
+
+/**
+ * Whether the last probe found an encoder for a format
+ * @param {string} format - Format id
+ * @returns {boolean}
+ */
+export function isWebCodecsEncodable(format) {
+  return supportedFormats.has(format);
+}
+
+let oggCrcTable = null;
+
+// Ogg page checksum: CRC-32 with polynomial 0x04c11db7, unreflected, no final xor
+function oggCrc(bytes) {
+  if (!oggCrcTable) {
+    oggCrcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n << 24;
+      for (let k = 0; k < 8; k++) c = c & 0x80000000 ? (c << 1) ^ 0x04c11db7 : c << 1;
+      oggCrcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) crc = ((crc << 8) ^ oggCrcTable[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+  return crc;
+}
+
+/**
+ * Builds one Ogg page holding whole packets
+ * @param {Array<Uint8Array>} packets - Packets on the page
+ * @param {Object} page - Page fields
+ * @param {number} page.granule - Granule position after the last packet
+ * @param {number} page.sequence - Page sequence number
+ * @param {number} page.headerType - 0x02 for the first page, 0x04 for the last
+ * @returns {Uint8Array} - Page bytes
+ */
+function oggPage(packets, { granule, sequence, headerType = 0 }) {
+  // Lacing: 255-byte segments, ending each packet with a shorter one
+  const lacing = packets.flatMap(packet => [
+    ...Array(Math.floor(packet.length / 255)).fill(255),
+    packet.length % 255
+  ]);
+  const bodyLength = packets.reduce((sum, packet) => sum + packet.length, 0);
+  const page = new Uint8Array(27 + lacing.length + bodyLength);
+  const view = new DataView(page.buffer);
+
+  page.set([0x4f, 0x67, 0x67, 0x53]); // "OggS"
+  view.setUint8(5, headerType);
+  view.setUint32(6, granule % 0x100000000, true);
+  view.setUint32(10, Math.floor(granule / 0x100000000), true);
+  view.setUint32(14, OGG_SERIAL, true);
+  view.setUint32(18, sequence, true);
+  view.setUint8(26, lacing.length);
+  page.set(lacing, 27);
+
+  let offset = 27 + lacing.length;
+  packets.forEach((packet) => {
+    page.set(packet, offset);
+    offset += packet.length;
+  });
+
+  view.setUint32(22, oggCrc(page), true);
+  return page;
+}
+
+/**
+ * Wraps Opus packets in an Ogg Opus stream (RFC 7845)
+ * @param {Array<{data: Uint8Array, duration: number}>} packets - Encoded packets, duration in microseconds
+ * @param {Object} options - Stream details
+ * @param {number} options.channelCount - Channels in the stream
+ * @param {number} options.sampleRate - Input sample rate in Hz
+ * @param {number} options.totalFrames - Input length in frames, used to trim encoder padding
+ * @param {Uint8Array} options.opusHead - Identification header from the encoder, if it gave one
+ * @returns {Blob} - Ogg Opus file
+ */
+export function muxOggOpus(packets, { channelCount, sampleRate, totalFrames, opusHead = null }) {
+  let head = opusHead;
+  if (!head || String.fromCharCode(...head.subarray(0, 8)) !== 'OpusHead') {
+    head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set([...'OpusHead'].map(c => c.charCodeAt(0)));
+    view.setUint8(8, 1); // Version
+    view.setUint8(9, channelCount);
+    view.setUint16(10, OPUS_DEFAULT_PRE_SKIP, true);
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true); // Output gain
+    view.setUint8(18, 0); // Mono/stereo channel mapping
+  }
+  const preSkip = new DataView(head.buffer, head.byteOffset).getUint16(10, true);
+
+  const vendor = [...'WebCodecs'].map(c => c.charCodeAt(0));
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+  tags.set([...'OpusTags'].map(c => c.charCodeAt(0)));
+  new DataView(tags.buffer).setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+
+  const pages = [
+    oggPage([head], { granule: 0, sequence: 0, headerType: 0x02 }),
+    oggPage([tags], { granule: 0, sequence: 1 })
+  ];
+
+  // The last page's granule marks where real audio ends, so players drop the padding
+  const endGranule = preSkip + Math.round((totalFrames / sampleRate) * OPUS_GRANULE_RATE);
+  let granule = preSkip;
+  let pagePackets = [];
+  let pageSegments = 0;
+  let pageDuration = 0;
+
+  packets.forEach(({ data, duration }, index) => {
+    pagePackets.push(data);
+    pageSegments += Math.floor(data.length / 255) + 1;
+    pageDuration += duration;
+    granule += Math.round((duration / 1000000) * OPUS_GRANULE_RATE);
+
+    const last = index === packets.length - 1;
+    const next = packets?.[index + 1]?.data;
+    const nextSegments = next ? Math.floor(next.length / 255) + 1 : 0;
+    if (last || pageDuration >= OGG_PAGE_MAX_DURATION_US || pageSegments + nextSegments > 255) {
+      pages.push(oggPage(pagePackets, {
+        granule: last ? Math.min(granule, endGranule) : granule,
+        sequence: pages.length,
+        headerType: last ? 0x04 : 0
+      }));
+      pagePackets = [];
+      pageSegments = 0;
+      pageDuration = 0;
+    }
+  });
+
+  return new Blob(pages, { type: 'audio/ogg' });
+}
+
+/**
+ * Prefixes a raw AAC frame with an ADTS header so the frames form a playable .aac file
+ * @param {Uint8Array} frame - Raw AAC-LC frame
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} channelCount - Channels in the stream
+ * @returns {Uint8Array} - ADTS frame
+ */
+export function toAdtsFrame(frame, sampleRate, channelCount) {
+  // Frames the encoder already wrapped start with the ADTS sync word
+  if (frame[0] === 0xff && (frame[1] & 0xf0) === 0xf0) return frame;
+
+  const length = frame.length + 7;
+  const rateIndex = AAC_SAMPLE_RATES.indexOf(sampleRate);
+  const header = [
+    0xff,
+    0xf1, // MPEG-4, no CRC
+    (1 << 6) | (rateIndex << 2) | (channelCount >> 2), // AAC LC
+    ((channelCount & 3) << 6) | (length >> 11),
+    (length >> 3) & 0xff,
+    ((length & 7) << 5) | 0x1f, // Variable bit rate buffer fullness
+    0xfc
+  ];
+
+  const adts = new Uint8Array(length);
+  adts.set(header);
+  adts.set(frame, 7);
+  return adts;
+}
+
+/**
+ * Encodes PCM channel data as Opus or AAC with WebCodecs
+ * @param {Array<Float32Array>} channels - Per-channel samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} format - 'opus' or 'aac'
+ * @returns {Promise<Blob>} - Encoded audio
+ */
+export async function encodeWithWebCodecs(channels, sampleRate, format) {
+  const config = { ...CODEC_CONFIGS?.[format], sampleRate, numberOfChannels: channels.length };
+  const supported = CODEC_CONFIGS?.[format] && (await globalThis.AudioEncoder?.isConfigSupported(config))?.supported;
+  if (!supported || (format === 'aac' && !AAC_SAMPLE_RATES.includes(sampleRate))) {
+    throw new Error(`Audio can't be encoded as ${format} in this browser.`);
+  }
+
+  const packets = [];
+  let description = null;
+  let failure = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      packets.push({ data, duration: chunk.duration || OPUS_FRAME_DURATION_US });
+
+      const extra = metadata?.decoderConfig?.description;
+      if (extra) {
+        description = ArrayBuffer.isView(extra) ? new Uint8Array(extra.buffer, extra.byteOffset, extra.byteLength) : new Uint8Array(extra);
+      }
+    },
+    error: (error) => {
+      failure = error;
+    }
+  });
+  encoder.configure(config);
+
+  const totalFrames = channels?.[0]?.length || 0;
+  for (let offset = 0; offset < totalFrames; offset += INPUT_FRAMES) {
+    const frames = Math.min(INPUT_FRAMES, totalFrames - offset);
+    const planar = new Float32Array(frames * channels.length);
+    channels.forEach((channel, c) => planar.set(channel.subarray(offset, offset + frames), c * frames));
+
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels: channels.length,
+      timestamp: Math.round((offset / sampleRate) * 1000000),
+      data: planar
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  }
+
+  try {
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+  if (failure) throw failure;
+
+  if (format === 'opus') {
+    return muxOggOpus(packets, { channelCount: channels.length, sampleRate, totalFrames, opusHead: description });
+  }
+  return new Blob(packets.map(({ data }) => toAdtsFrame(data, sampleRate, channels.length)), { type: 'audio/aac' });
+}
@@ -0,0 +1,162 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Stands in for the browser encoder: one packet per AudioData, a tenth of a byte per frame
+class FakeAudioEncoder {
+  static isConfigSupported = vi.fn(async config => ({ supported: ['opus', 'mp4a.40.2'].includes(config?.codec) }));
+
+  constructor({ output }) {
+    this.output = output;
+    this.state = 'unconfigured';
+  }
+
+  configure(config) {
+    this.config = config;
+    this.state = 'configured';
+  }
+
+  encode(audioData) {
+    const { numberOfFrames, sampleRate, timestamp } = audioData.init;
+    const bytes = Uint8Array.from({ length: Math.ceil(numberOfFrames / 10) }, (_, i) => (i + timestamp) % 200);
+    this.output({
+      byteLength: bytes.length,
+      duration: Math.round((numberOfFrames / sampleRate) * 1000000),
+      copyTo: target => target.set(bytes)
+    }, this.sentConfig ? {} : { decoderConfig: { codec: this.config.codec } });
+    this.sentConfig = true;
+  }
+
+  async flush() {}
+
+  close() {
+    this.state = 'closed';
+  }
+}
+
+class FakeAudioData {
+  constructor(init) {
+    this.init = init;
+  }
+
+  close() {}
+}
+
+const oggCrc = (bytes) => {
+  let crc = 0;
+  bytes.forEach((byte) => {
+    crc ^= byte << 24;
+    for (let k = 0; k < 8; k++) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  });
+  return crc >>> 0;
+};
+
+const readOggPages = (bytes) => {
+  const pages = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const view = new DataView(bytes.buffer, offset);
+    const segments = bytes[offset + 26];
+    const lacing = bytes.subarray(offset + 27, offset + 27 + segments);
+    const length = 27 + segments + lacing.reduce((sum, size) => sum + size, 0);
+    const page = bytes.slice(offset, offset + length);
+    const checksum = view.getUint32(22, true);
+    new DataView(page.buffer).setUint32(22, 0, true);
+
+    pages.push({
+      capture: String.fromCharCode(...bytes.subarray(offset, offset + 4)),
+      headerType: bytes[offset + 5],
+      granule: view.getUint32(6, true) + view.getUint32(10, true) * 0x100000000,
+      sequence: view.getUint32(18, true),
+      checksumValid: checksum === oggCrc(page),
+      body: bytes.subarray(offset + 27 + segments, offset + length)
+    });
+    offset += length;
+  }
+  return pages;
+};
+
+// Five seconds at 24 kHz
+const speech = [Float32Array.from({ length: 120000 }, (_, i) => 0.3 * Math.sin(i / 5))];
+
+let encoder;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.stubGlobal('AudioEncoder', FakeAudioEncoder);
+  vi.stubGlobal('AudioData', FakeAudioData);
+  encoder = await import('./webCodecsEncoder');
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('probeWebCodecsEncoders', () => {
+  it('offers formats once the browser confirms their encoder', async () => {
+    FakeAudioEncoder.isConfigSupported.mockImplementationOnce(async () => ({ supported: false }));
+
+    expect(encoder.isWebCodecsEncodable('opus')).toBe(false);
+    expect(await encoder.probeWebCodecsEncoders(24000)).toEqual(['aac']);
+    expect(encoder.isWebCodecsEncodable('aac')).toBe(true);
+    expect(encoder.isWebCodecsEncodable('opus')).toBe(false);
+  });
+
+  it('finds nothing without WebCodecs', async () => {
+    vi.stubGlobal('AudioEncoder', undefined);
+
+    expect(await encoder.probeWebCodecsEncoders(24000)).toEqual([]);
+  });
+});
+
+describe('encodeWithWebCodecs', () => {
+  it('wraps Opus packets in checksummed Ogg pages', async () => {
+    const blob = await encoder.encodeWithWebCodecs(speech, 24000, 'opus');
+    const pages = readOggPages(new Uint8Array(await blob.arrayBuffer()));
+    const head = new DataView(pages[0].body.buffer, pages[0].body.byteOffset);
+
+    expect(blob.type).toBe('audio/ogg');
+    expect(pages.every(page => page.capture === 'OggS' && page.checksumValid)).toBe(true);
+    expect(pages.map(page => page.sequence)).toEqual(pages.map((_, i) => i));
+
+    // Identification header: one channel, encoder look-ahead, original rate
+    expect(String.fromCharCode(...pages[0].body.subarray(0, 8))).toBe('OpusHead');
+    expect(pages[0].headerType).toBe(0x02);
+    expect([head.getUint8(9), head.getUint16(10, true), head.getUint32(12, true)]).toEqual([1, 312, 24000]);
+    expect(String.fromCharCode(...pages[1].body.subarray(0, 8))).toBe('OpusTags');
+
+    // Granules count 48 kHz samples after the pre-skip; the last page ends exactly on the audio
+    const audioPages = pages.slice(2);
+    expect(audioPages.length).toBe(5);
+    expect(audioPages.at(-1)).toMatchObject({ headerType: 0x04, granule: 312 + 240000 });
+    expect(audioPages[0].granule).toBe(312 + 48000);
+  });
+
+  it('adds an ADTS header to each raw AAC frame', async () => {
+    const blob = await encoder.encodeWithWebCodecs(speech, 24000, 'aac');
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    // 25 packets of 480 bytes, each 7 bytes longer with its header
+    expect(blob.type).toBe('audio/aac');
+    expect(bytes.length).toBe(25 * 487);
+    for (let offset = 0; offset < bytes.length; offset += 487) {
+      expect(bytes[offset]).toBe(0xff);
+      expect(bytes[offset + 1]).toBe(0xf1);
+      // AAC LC, 24 kHz (index 6), one channel
+      expect(bytes[offset + 2]).toBe((1 << 6) | (6 << 2));
+      expect(((bytes[offset + 3] & 3) << 11) | (bytes[offset + 4] << 3) | (bytes[offset + 5] >> 5)).toBe(487);
+    }
+  });
+
+  it('leaves frames the encoder already wrapped as they are', () => {
+    const frame = Uint8Array.from([0xff, 0xf1, 0x58, 0x80, 0x01, 0x1f, 0xfc, 1]);
+
+    expect(encoder.toAdtsFrame(frame, 24000, 1)).toBe(frame);
+  });
+
+  it('refuses formats the browser has no encoder for', async () => {
+    FakeAudioEncoder.isConfigSupported.mockImplementationOnce(async () => ({ supported: false }));
+
+    await expect(encoder.encodeWithWebCodecs(speech, 24000, 'opus')).rejects.toThrow("can't be encoded as opus");
+    vi.stubGlobal('AudioEncoder', undefined);
+    await expect(encoder.encodeWithWebCodecs(speech, 24000, 'aac')).rejects.toThrow("can't be encoded as aac");
+  });
+});
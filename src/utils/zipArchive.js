@@ -0,0 +1,132 @@
+/**
+ * ZIP Archive
+ * Minimal ZIP writer for bundling generated audio in the browser. Files are
+ * stored without compression (audio is already compressed, and WAV barely
+ * shrinks), which keeps this small and fast.
+ */
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a byte array, as required by the ZIP headers
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Unsigned CRC
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs a date into MS-DOS time and date fields
+ * @param {Date} date - Timestamp
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Converts file contents to bytes
+ * @param {Blob|Uint8Array|ArrayBuffer|string} data - File contents
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+/**
+ * Makes file names unique within an archive ("a.mp3", "a (2).mp3", ...)
+ * @param {Array<string>} names - Requested names
+ * @returns {Array<string>}
+ */
+export function uniqueFileNames(names) {
+  const used = new Set();
+
+  return names.map((name) => {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})${extension}`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+/**
+ * Builds a ZIP archive
+ * @param {Array<{name: string, data: Blob|Uint8Array|ArrayBuffer|string, date?: Date}>} files - Entries
+ * @returns {Promise<Blob>} - application/zip blob
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = await toBytes(file.data);
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(file.date || new Date());
+
+    // Local file header; general purpose flag 0x0800 marks UTF-8 names
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+
+    parts.push(local, name, data);
+    central.push(entry, name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
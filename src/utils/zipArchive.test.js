@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { createZip, uniqueFileNames } from './zipArchive';
+
+describe('uniqueFileNames', () => {
+  it('numbers duplicate names case-insensitively', () => {
+    expect(uniqueFileNames(['a.mp3', 'A.mp3', 'a.mp3', 'notes'])).toEqual(['a.mp3', 'A (2).mp3', 'a (3).mp3', 'notes']);
+  });
+});
+
+describe('createZip', () => {
+  it('writes stored entries with local headers and a central directory', async () => {
+    const blob = await createZip([
+      { name: 'hello.txt', data: 'hello' },
+      { name: 'raw.bin', data: new Uint8Array([1, 2, 3]) }
+    ]);
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    expect(blob.type).toBe('application/zip');
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(14, true)).toBe(0x3610a686); // CRC-32 of "hello"
+    expect(new TextDecoder().decode(bytes.slice(30, 39))).toBe('hello.txt');
+
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+  });
+});
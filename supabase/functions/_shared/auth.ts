@@ -0,0 +1,25 @@
+import { createClient, SupabaseClient, User } from 'https://esm.sh/@supabase/supabase-js@2';
+
+/**
+ * Verifies the caller's Supabase JWT and returns the user with a client scoped to them.
+ * Queries made with the returned client run under the caller's RLS policies.
+ * @param req - Incoming request carrying `Authorization: Bearer <access token>`
+ * @returns The authenticated user and client, or null when the token is missing or invalid
+ */
+export async function getAuthenticatedUser(
+  req: Request,
+): Promise<{ user: User; supabase: SupabaseClient } | null> {
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader?.startsWith('Bearer ')) return null;
+
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+    { global: { headers: { Authorization: authHeader } } },
+  );
+
+  const { data: { user }, error } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+  if (error || !user) return null;
+
+  return { user, supabase };
+}
@@ -0,0 +1,20 @@
+// Shared CORS headers for browser-invoked Edge Functions
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Expose-Headers': 'retry-after',
+};
+
+/**
+ * Builds a JSON response carrying the CORS headers
+ * @param body - Response payload
+ * @param status - HTTP status code
+ * @param headers - Extra response headers (e.g. Retry-After)
+ */
+export function jsonResponse(body: unknown, status = 200, headers: Record<string, string> = {}): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, ...headers, 'Content-Type': 'application/json' },
+  });
+}
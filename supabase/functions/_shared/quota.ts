@@ -0,0 +1,91 @@
+import { createClient, SupabaseClient, User } from 'https://esm.sh/@supabase/supabase-js@2';
+import { jsonResponse } from './cors.ts';
+
+// Quality settings restricted to premium users, whichever provider serves them
+export const PREMIUM_MODELS = ['tts-1-hd'];
+
+/**
+ * Rejects premium-only models for callers without an active premium subscription.
+ * Same rule as SupabaseService.checkPremiumAccess; the profile is read under the caller's RLS.
+ * @returns null when allowed, otherwise the error response to send
+ */
+export async function requirePremiumModel(
+  auth: { user: User; supabase: SupabaseClient },
+  model: string,
+): Promise<Response | null> {
+  if (!PREMIUM_MODELS.includes(model)) return null;
+
+  const { data: profile, error } = await auth.supabase
+    .from('user_profiles')
+    .select('role, subscription_active')
+    .eq('id', auth.user.id)
+    .single();
+
+  if (error) {
+    console.error('quota: failed to load profile', error);
+    return jsonResponse({ error: 'Could not verify your plan. Please try again.', code: 'provider_unavailable' }, 500);
+  }
+  if (profile?.role !== 'premium' || profile?.subscription_active !== true) {
+    return jsonResponse({ error: 'HD quality requires an active premium subscription.', code: 'quota' }, 403);
+  }
+  return null;
+}
+
+// Ids the client generates once per generation and sends with every chunk request
+const GENERATION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Reads the generation id from a request body
+ * @returns the id, or null when it is missing or malformed
+ */
+export function readGenerationId(body: Record<string, unknown>): string | null {
+  const generationId = typeof body?.generationId === 'string' ? body.generationId : '';
+  return GENERATION_ID_PATTERN.test(generationId) ? generationId : null;
+}
+
+/**
+ * Charges characters, plus one generation the first time a generation id is seen,
+ * against the caller's plan. consume_generation_quota locks the caller's usage row,
+ * so concurrent requests can't overshoot the limit.
+ * @returns null when charged, otherwise the error response to send
+ */
+export async function chargeGeneration(
+  auth: { supabase: SupabaseClient },
+  generationId: string,
+  characters: number,
+): Promise<Response | null> {
+  const { error } = await auth.supabase.rpc('consume_generation_quota', {
+    target_generation_id: generationId,
+    add_characters: characters,
+  });
+  if (!error) return null;
+
+  const limit = error.message?.match(/^quota_exceeded:(\w+)/)?.[1];
+  if (limit) {
+    const message = limit === 'generations'
+      ? 'You have used all generations included in your plan this month.'
+      : 'This text is longer than the characters left in your plan this month.';
+    return jsonResponse({ error: message, code: 'quota', limit }, 402);
+  }
+
+  // Fail closed: without a working quota check nothing is generated
+  console.error('quota: quota check failed', error);
+  return jsonResponse({ error: 'Could not check your usage allowance. Please try again.', code: 'provider_unavailable' }, 503);
+}
+
+/**
+ * Gives back the characters and generation charged for a request the provider didn't fulfil.
+ * Needs the service role; end users can't call refund_generation_quota.
+ */
+export async function refundGeneration(userId: string, generationId: string, characters: number): Promise<void> {
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+  if (!serviceRoleKey) return;
+
+  const admin = createClient(Deno.env.get('SUPABASE_URL') ?? '', serviceRoleKey);
+  const { error } = await admin.rpc('refund_generation_quota', {
+    target_user_id: userId,
+    target_generation_id: generationId,
+    refund_characters: characters,
+  });
+  if (error) console.error('quota: failed to refund quota', error);
+}
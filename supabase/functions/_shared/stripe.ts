@@ -0,0 +1,106 @@
+// Minimal Stripe helpers for Edge Functions: REST calls with form-encoded
+// bodies and webhook signatures, without pulling in the Stripe SDK.
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+// Stripe's default tolerance for replayed webhook deliveries
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const encoder = new TextEncoder();
+
+/**
+ * Flattens nested params into Stripe's bracket notation (items[0][price]=...)
+ * @param params - Request parameters
+ * @param prefix - Key prefix for nested values
+ */
+function toFormParams(params: Record<string, unknown>, prefix = '', form = new URLSearchParams()): URLSearchParams {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      toFormParams(value as Record<string, unknown>, name, form);
+    } else {
+      form.append(name, String(value));
+    }
+  }
+  return form;
+}
+
+/**
+ * Calls the Stripe API with the STRIPE_SECRET_KEY secret
+ * @param method - HTTP method
+ * @param path - API path, e.g. /subscriptions/sub_123
+ * @param params - Request parameters (sent as a form body)
+ * @returns Parsed response body
+ * @throws Error with Stripe's message when the request fails
+ */
+export async function stripeRequest(
+  method: 'GET' | 'POST' | 'DELETE',
+  path: string,
+  params: Record<string, unknown> = {},
+): Promise<Record<string, any>> {
+  const secretKey = Deno.env.get('STRIPE_SECRET_KEY');
+  if (!secretKey) throw new Error('STRIPE_SECRET_KEY secret is not set');
+
+  const form = toFormParams(params).toString();
+  const url = method === 'GET' && form ? `${STRIPE_API_URL}${path}?${form}` : `${STRIPE_API_URL}${path}`;
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: method === 'GET' ? undefined : form,
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(body?.error?.message || `Stripe request failed (${response.status})`);
+  }
+  return body;
+}
+
+async function hmacSha256Hex(secret: string, payload: string): Promise<string> {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function timingSafeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return difference === 0;
+}
+
+/**
+ * Builds a Stripe-Signature header value for a payload. Used by the local
+ * webhook stand-in to send events the webhook accepts.
+ * @param payload - Raw request body
+ * @param secret - Webhook signing secret (whsec_...)
+ * @param timestamp - Unix seconds the signature is made at
+ */
+export async function signStripePayload(payload: string, secret: string, timestamp = Math.floor(Date.now() / 1000)): Promise<string> {
+  return `t=${timestamp},v1=${await hmacSha256Hex(secret, `${timestamp}.${payload}`)}`;
+}
+
+/**
+ * Checks a Stripe-Signature header against the raw body
+ * @param payload - Raw request body, exactly as received
+ * @param header - Stripe-Signature header value
+ * @param secret - Webhook signing secret (whsec_...)
+ * @returns Whether one of the v1 signatures matches and the timestamp is recent
+ */
+export async function verifyStripeSignature(payload: string, header: string | null, secret: string): Promise<boolean> {
+  if (!header) return false;
+
+  const parts = header.split(',').map(part => part.split('='));
+  const timestamp = Number(parts.find(([name]) => name === 't')?.[1]);
+  const signatures = parts.filter(([name]) => name === 'v1').map(([, value]) => value);
+
+  if (!Number.isFinite(timestamp) || signatures.length === 0) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = await hmacSha256Hex(secret, `${timestamp}.${payload}`);
+  return signatures.some(signature => timingSafeEqual(signature, expected));
+}
@@ -0,0 +1,224 @@
+// Supabase Edge Function: billing-webhook
+// Receives Stripe webhook events and mirrors them into public.subscriptions and
+// public.invoices; a trigger on subscriptions keeps user_profiles.role and
+// subscription_active in step. Stripe can't send a Supabase JWT, so deploy with
+//   supabase functions deploy billing-webhook --no-verify-jwt
+// and register https://<project>.supabase.co/functions/v1/billing-webhook in Stripe.
+// Requests are authenticated by their Stripe-Signature (STRIPE_WEBHOOK_SECRET).
+// To try it without Stripe, send signed events with ./local-standin.ts.
+
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { verifyStripeSignature } from '../_shared/stripe.ts';
+
+const SUBSCRIPTION_EVENTS = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+];
+
+const INVOICE_EVENTS = [
+  'invoice.finalized',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'invoice.voided',
+  'invoice.marked_uncollectible',
+];
+
+// Invoice statuses a late-arriving earlier event must not overwrite
+const FINAL_INVOICE_STATUSES = ['paid', 'void', 'uncollectible'];
+
+type StripeObject = Record<string, any>;
+
+const toTimestamp = (seconds: unknown): string | null =>
+  typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null;
+
+/**
+ * Finds the user a Stripe object belongs to: checkout puts the user id in the
+ * subscription metadata; otherwise fall back to an earlier subscription of the
+ * same customer.
+ */
+async function resolveUserId(supabase: SupabaseClient, metadataUserId: unknown, customerId: unknown): Promise<string | null> {
+  if (typeof metadataUserId === 'string' && metadataUserId) return metadataUserId;
+  if (typeof customerId !== 'string' || !customerId) return null;
+
+  const { data } = await supabase
+    .from('subscriptions')
+    .select('user_id')
+    .eq('provider_customer_id', customerId)
+    .limit(1)
+    .maybeSingle();
+  return data?.user_id ?? null;
+}
+
+async function applySubscription(supabase: SupabaseClient, subscription: StripeObject, eventAt: string): Promise<string> {
+  const { data: existing, error: existingError } = await supabase
+    .from('subscriptions')
+    .select('user_id, last_event_at')
+    .eq('provider_subscription_id', subscription.id)
+    .maybeSingle();
+  if (existingError) throw existingError;
+
+  if (existing && new Date(existing.last_event_at) > new Date(eventAt)) {
+    return 'stale';
+  }
+
+  const userId = existing?.user_id ?? await resolveUserId(supabase, subscription.metadata?.user_id, subscription.customer);
+  if (!userId) {
+    console.error('billing-webhook: no user for subscription', subscription.id);
+    return 'ignored';
+  }
+
+  // Newer API versions report billing periods on the subscription item
+  const item = subscription.items?.data?.[0];
+  const priceId = item?.price?.id;
+  const { data: plan, error: planError } = await supabase
+    .from('plans')
+    .select('id')
+    .eq('provider_price_id', priceId)
+    .maybeSingle();
+  if (planError) throw planError;
+  // Never guess a plan: an unlinked price could otherwise grant premium for any product
+  if (!plan) {
+    console.error(`billing-webhook: price ${priceId} is not linked to a plan; ignoring subscription ${subscription.id}`);
+    return 'unknown_price';
+  }
+
+  const { error } = await supabase
+    .from('subscriptions')
+    .upsert({
+      user_id: userId,
+      plan_id: plan.id,
+      provider: 'stripe',
+      provider_subscription_id: subscription.id,
+      provider_customer_id: typeof subscription.customer === 'string' ? subscription.customer : subscription.customer?.id,
+      status: subscription.status,
+      current_period_start: toTimestamp(subscription.current_period_start ?? item?.current_period_start),
+      current_period_end: toTimestamp(subscription.current_period_end ?? item?.current_period_end),
+      cancel_at_period_end: !!subscription.cancel_at_period_end,
+      canceled_at: toTimestamp(subscription.canceled_at),
+      ended_at: toTimestamp(subscription.ended_at),
+      last_event_at: eventAt,
+    }, { onConflict: 'provider_subscription_id' });
+  if (error) throw error;
+
+  return 'applied';
+}
+
+async function applyInvoice(supabase: SupabaseClient, invoice: StripeObject): Promise<string> {
+  // Newer API versions nest the subscription under parent.subscription_details
+  const subscriptionDetails = invoice.parent?.subscription_details ?? invoice.subscription_details;
+  const providerSubscriptionId = invoice.subscription ?? subscriptionDetails?.subscription;
+
+  const { data: subscription } = providerSubscriptionId
+    ? await supabase
+      .from('subscriptions')
+      .select('id, user_id')
+      .eq('provider_subscription_id', providerSubscriptionId)
+      .maybeSingle()
+    : { data: null };
+
+  const userId = subscription?.user_id ?? await resolveUserId(supabase, subscriptionDetails?.metadata?.user_id, invoice.customer);
+  if (!userId) {
+    console.error('billing-webhook: no user for invoice', invoice.id);
+    return 'ignored';
+  }
+
+  const { data: existing } = await supabase
+    .from('invoices')
+    .select('status')
+    .eq('provider_invoice_id', invoice.id)
+    .maybeSingle();
+  if (FINAL_INVOICE_STATUSES.includes(existing?.status) && !FINAL_INVOICE_STATUSES.includes(invoice.status)) {
+    return 'stale';
+  }
+
+  const line = invoice.lines?.data?.[0];
+  const { error } = await supabase
+    .from('invoices')
+    .upsert({
+      user_id: userId,
+      subscription_id: subscription?.id ?? null,
+      provider_invoice_id: invoice.id,
+      number: invoice.number ?? null,
+      status: invoice.status,
+      amount_due: invoice.amount_due ?? 0,
+      amount_paid: invoice.amount_paid ?? 0,
+      currency: invoice.currency ?? 'usd',
+      hosted_invoice_url: invoice.hosted_invoice_url ?? null,
+      invoice_pdf: invoice.invoice_pdf ?? null,
+      period_start: toTimestamp(line?.period?.start ?? invoice.period_start),
+      period_end: toTimestamp(line?.period?.end ?? invoice.period_end),
+      issued_at: toTimestamp(invoice.created) ?? new Date().toISOString(),
+    }, { onConflict: 'provider_invoice_id' });
+  if (error) throw error;
+
+  return 'applied';
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  const webhookSecret = Deno.env.get('STRIPE_WEBHOOK_SECRET');
+  if (!webhookSecret) {
+    console.error('billing-webhook: STRIPE_WEBHOOK_SECRET secret is not set');
+    return jsonResponse({ error: 'Billing webhook is not configured.' }, 503);
+  }
+
+  // The signature covers the exact bytes sent, so read the body as text before parsing
+  const payload = await req.text();
+  if (!await verifyStripeSignature(payload, req.headers.get('Stripe-Signature'), webhookSecret)) {
+    return jsonResponse({ error: 'Invalid signature.' }, 400);
+  }
+
+  let event: StripeObject;
+  try {
+    event = JSON.parse(payload);
+  } catch {
+    return jsonResponse({ error: 'Request body must be JSON.' }, 400);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '');
+
+  // Stripe delivers at least once; events already applied are acknowledged again
+  const { data: processed } = await supabase
+    .from('billing_events')
+    .select('id')
+    .eq('id', event.id)
+    .maybeSingle();
+  if (processed) {
+    return jsonResponse({ received: true, result: 'duplicate' });
+  }
+
+  let result = 'unhandled';
+  try {
+    const eventAt = toTimestamp(event.created) ?? new Date().toISOString();
+    if (SUBSCRIPTION_EVENTS.includes(event.type)) {
+      result = await applySubscription(supabase, event.data?.object ?? {}, eventAt);
+    } else if (INVOICE_EVENTS.includes(event.type)) {
+      result = await applyInvoice(supabase, event.data?.object ?? {});
+    }
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the delivery later
+    console.error(`billing-webhook: failed to apply ${event.type} ${event.id}`, error);
+    return jsonResponse({ error: 'Failed to apply the event.' }, 500);
+  }
+
+  // Not recorded, so the event can be resent from the Stripe dashboard once its price is linked to a plan
+  if (result === 'unknown_price') {
+    return jsonResponse({ received: true, result });
+  }
+
+  const { error: recordError } = await supabase
+    .from('billing_events')
+    .upsert({ id: event.id, type: event.type }, { onConflict: 'id', ignoreDuplicates: true });
+  if (recordError) console.error('billing-webhook: failed to record event', recordError);
+
+  return jsonResponse({ received: true, result });
+});
@@ -0,0 +1,118 @@
+// Local stand-in for Stripe: sends signed, Stripe-shaped webhook events to
+// billing-webhook so the subscription lifecycle can be tried without a Stripe
+// account. Start the function locally with the same signing secret:
+//   supabase functions serve billing-webhook --no-verify-jwt --env-file supabase/.env.local
+// Events for prices not linked to a plan are ignored, so link the stand-in price first:
+//   UPDATE public.plans SET provider_price_id = 'price_standin_premium' WHERE id = 'premium';
+// then, with STRIPE_WEBHOOK_SECRET exported:
+//   deno run --allow-net --allow-env supabase/functions/billing-webhook/local-standin.ts \
+//     subscribe --user <user uuid> [--price price_...] [--url http://127.0.0.1:54321/functions/v1/billing-webhook]
+// Scenarios: subscribe, renew, payment-failed, cancel, resume, end
+
+import { signStripePayload } from '../_shared/stripe.ts';
+
+const DEFAULT_URL = 'http://127.0.0.1:54321/functions/v1/billing-webhook';
+const DAY_SECONDS = 24 * 60 * 60;
+const PERIOD_SECONDS = 30 * DAY_SECONDS;
+
+type Scenario = 'subscribe' | 'renew' | 'payment-failed' | 'cancel' | 'resume' | 'end';
+
+function readArgs(args: string[]) {
+  const options: Record<string, string> = {};
+  for (let i = 1; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, '')] = args[i + 1];
+  }
+  return { scenario: args[0] as Scenario, ...options };
+}
+
+const { scenario, user, price, url = DEFAULT_URL } = readArgs(Deno.args);
+const secret = Deno.env.get('STRIPE_WEBHOOK_SECRET');
+
+if (!scenario || !user || !secret) {
+  console.error('Usage: local-standin.ts <subscribe|renew|payment-failed|cancel|resume|end> --user <uuid> [--price <id>] [--url <url>]');
+  console.error('STRIPE_WEBHOOK_SECRET must be set to the secret the function runs with.');
+  Deno.exit(1);
+}
+
+// Stable ids per user, so later scenarios act on the subscription "subscribe" created
+const suffix = user.replace(/-/g, '').slice(0, 12);
+const subscriptionId = `sub_standin_${suffix}`;
+const customerId = `cus_standin_${suffix}`;
+const priceId = price ?? Deno.env.get('STANDIN_PRICE_ID') ?? 'price_standin_premium';
+const now = Math.floor(Date.now() / 1000);
+
+const subscription = (status: string, { periodStart = now, cancelAtPeriodEnd = false } = {}) => ({
+  id: subscriptionId,
+  object: 'subscription',
+  customer: customerId,
+  status,
+  cancel_at_period_end: cancelAtPeriodEnd,
+  canceled_at: cancelAtPeriodEnd || status === 'canceled' ? now : null,
+  ended_at: status === 'canceled' ? now : null,
+  current_period_start: periodStart,
+  current_period_end: periodStart + PERIOD_SECONDS,
+  metadata: { user_id: user },
+  items: { data: [{ id: `si_standin_${suffix}`, price: { id: priceId } }] },
+});
+
+const invoice = (status: string, periodStart: number) => ({
+  id: `in_standin_${suffix}_${periodStart}`,
+  object: 'invoice',
+  customer: customerId,
+  subscription: subscriptionId,
+  number: `STANDIN-${periodStart}`,
+  status,
+  amount_due: 1900,
+  amount_paid: status === 'paid' ? 1900 : 0,
+  currency: 'usd',
+  created: now,
+  hosted_invoice_url: null,
+  invoice_pdf: null,
+  subscription_details: { metadata: { user_id: user } },
+  lines: { data: [{ period: { start: periodStart, end: periodStart + PERIOD_SECONDS } }] },
+});
+
+const nextPeriod = now + DAY_SECONDS;
+const SCENARIOS: Record<Scenario, Array<[string, Record<string, unknown>]>> = {
+  subscribe: [
+    ['customer.subscription.created', subscription('active')],
+    ['invoice.paid', invoice('paid', now)],
+  ],
+  renew: [
+    ['invoice.paid', invoice('paid', nextPeriod)],
+    ['customer.subscription.updated', subscription('active', { periodStart: nextPeriod })],
+  ],
+  'payment-failed': [
+    ['invoice.payment_failed', invoice('open', nextPeriod)],
+    ['customer.subscription.updated', subscription('past_due', { periodStart: nextPeriod })],
+  ],
+  cancel: [['customer.subscription.updated', subscription('active', { cancelAtPeriodEnd: true })]],
+  resume: [['customer.subscription.updated', subscription('active')]],
+  end: [['customer.subscription.deleted', subscription('canceled')]],
+};
+
+if (!SCENARIOS[scenario]) {
+  console.error(`Unknown scenario "${scenario}". Use one of: ${Object.keys(SCENARIOS).join(', ')}`);
+  Deno.exit(1);
+}
+
+for (const [index, [type, object]] of SCENARIOS[scenario].entries()) {
+  const payload = JSON.stringify({
+    id: `evt_standin_${crypto.randomUUID().replace(/-/g, '')}`,
+    object: 'event',
+    type,
+    // Later events of a scenario are newer, as they would be from Stripe
+    created: now + index,
+    data: { object },
+  });
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': await signStripePayload(payload, secret),
+    },
+    body: payload,
+  });
+  console.log(`${type}: ${response.status} ${await response.text()}`);
+}
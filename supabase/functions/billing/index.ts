@@ -0,0 +1,146 @@
+// Supabase Edge Function: billing
+// Plan changes for the signed-in user. Stripe is the source of truth: this
+// function only asks Stripe for the change, and billing-webhook records the
+// outcome in public.subscriptions. Actions (JSON body { action, planId?, returnUrl? }):
+//   checkout - Stripe Checkout URL for subscribing to a paid plan
+//   change   - switch an active subscription to another paid plan (prorated)
+//   cancel   - end the subscription at the end of the paid period
+//   resume   - undo a pending cancellation
+// Secrets: STRIPE_SECRET_KEY; paid plans need plans.provider_price_id set.
+
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { getAuthenticatedUser } from '../_shared/auth.ts';
+import { stripeRequest } from '../_shared/stripe.ts';
+
+const ACCESS_STATUSES = ['trialing', 'active', 'past_due'];
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  const auth = await getAuthenticatedUser(req);
+  if (!auth) {
+    return jsonResponse({ error: 'Please sign in to manage your plan.', code: 'auth' }, 401);
+  }
+
+  if (!Deno.env.get('STRIPE_SECRET_KEY')) {
+    console.error('billing: STRIPE_SECRET_KEY secret is not set');
+    return jsonResponse({ error: 'Billing is not configured.', code: 'provider_unavailable' }, 503);
+  }
+
+  let body: Record<string, unknown>;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ error: 'Request body must be JSON.' }, 400);
+  }
+
+  const action = String(body?.action ?? '');
+  const planId = typeof body?.planId === 'string' ? body.planId : null;
+
+  // Subscriptions are read under the caller's RLS, so only their own rows are visible
+  const { data: current, error: currentError } = await auth.supabase
+    .from('subscriptions')
+    .select('provider_subscription_id')
+    .eq('user_id', auth.user.id)
+    .in('status', ACCESS_STATUSES)
+    .order('current_period_end', { ascending: false, nullsFirst: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (currentError) {
+    console.error('billing: failed to load subscription', currentError);
+    return jsonResponse({ error: 'Could not load your subscription. Please try again.' }, 500);
+  }
+
+  const loadPrice = async () => {
+    const { data: plan } = await auth.supabase
+      .from('plans')
+      .select('id, provider_price_id')
+      .eq('id', planId)
+      .maybeSingle();
+    return plan?.provider_price_id ?? null;
+  };
+
+  try {
+    switch (action) {
+      case 'checkout': {
+        if (current) {
+          return jsonResponse({ error: 'You already have a subscription. Change its plan instead.' }, 409);
+        }
+        const priceId = await loadPrice();
+        if (!priceId) {
+          return jsonResponse({ error: 'This plan can not be purchased.' }, 400);
+        }
+
+        // Returning customers keep their saved payment details
+        const { data: previous } = await auth.supabase
+          .from('subscriptions')
+          .select('provider_customer_id')
+          .eq('user_id', auth.user.id)
+          .not('provider_customer_id', 'is', null)
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+
+        // Only redirect back to the app's own origin
+        const origin = req.headers.get('Origin') ?? '';
+        const returnUrl = typeof body?.returnUrl === 'string' && origin && body.returnUrl.startsWith(origin)
+          ? body.returnUrl
+          : `${origin}/billing`;
+
+        const session = await stripeRequest('POST', '/checkout/sessions', {
+          mode: 'subscription',
+          line_items: { 0: { price: priceId, quantity: 1 } },
+          client_reference_id: auth.user.id,
+          ...(previous?.provider_customer_id ? { customer: previous.provider_customer_id } : { customer_email: auth.user.email }),
+          subscription_data: { metadata: { user_id: auth.user.id } },
+          success_url: `${returnUrl}?checkout=success`,
+          cancel_url: `${returnUrl}?checkout=canceled`,
+        });
+        return jsonResponse({ url: session.url });
+      }
+
+      case 'change': {
+        if (!current) {
+          return jsonResponse({ error: 'You have no subscription to change.' }, 409);
+        }
+        const priceId = await loadPrice();
+        if (!priceId) {
+          return jsonResponse({ error: 'This plan can not be purchased.' }, 400);
+        }
+
+        const subscription = await stripeRequest('GET', `/subscriptions/${current.provider_subscription_id}`);
+        const itemId = subscription.items?.data?.[0]?.id;
+        await stripeRequest('POST', `/subscriptions/${current.provider_subscription_id}`, {
+          items: { 0: { id: itemId, price: priceId } },
+          proration_behavior: 'create_prorations',
+          cancel_at_period_end: false,
+        });
+        return jsonResponse({ ok: true });
+      }
+
+      case 'cancel':
+      case 'resume': {
+        if (!current) {
+          return jsonResponse({ error: 'You have no active subscription.' }, 409);
+        }
+        await stripeRequest('POST', `/subscriptions/${current.provider_subscription_id}`, {
+          cancel_at_period_end: action === 'cancel',
+        });
+        return jsonResponse({ ok: true });
+      }
+
+      default:
+        return jsonResponse({ error: `Unsupported action "${action}".` }, 400);
+    }
+  } catch (error) {
+    console.error(`billing: ${action} failed`, error);
+    return jsonResponse({ error: 'The payment provider could not complete the request. Please try again.', code: 'provider_unavailable' }, 502);
+  }
+});
@@ -0,0 +1,77 @@
+// Supabase Edge Function: cleanup-audio-orphans
+// Removes generated audio files that no longer belong to a history row: files
+// queued by the audio_generations delete trigger, and uploads whose row was
+// never saved. Meant to run on a schedule (e.g. hourly via pg_cron + pg_net)
+// and only accepts the service role key:
+//   curl -X POST -H "Authorization: Bearer $SUPABASE_SERVICE_ROLE_KEY" \
+//     https://<project>.supabase.co/functions/v1/cleanup-audio-orphans
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+
+const BUCKET = 'generated-audio';
+const BATCH_SIZE = 500;
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+  if (!serviceRoleKey || req.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return jsonResponse({ error: 'Service role required.', code: 'auth' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', serviceRoleKey);
+  const summary = { queued: 0, unreferenced: 0 };
+
+  // 1. Files of deleted rows
+  const { data: queued, error: queueError } = await supabase
+    .from('storage_cleanup_queue')
+    .select('id, object_path')
+    .eq('bucket_id', BUCKET)
+    .order('queued_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (queueError) {
+    console.error('cleanup-audio-orphans: failed to read queue', queueError);
+    return jsonResponse({ error: 'Failed to read the cleanup queue.' }, 500);
+  }
+
+  if (queued?.length) {
+    // Paths that are already gone are not errors, so the whole batch can be dequeued
+    const { error: removeError } = await supabase.storage.from(BUCKET).remove(queued.map(row => row.object_path));
+    if (removeError) {
+      console.error('cleanup-audio-orphans: failed to remove queued files', removeError);
+      return jsonResponse({ error: 'Failed to remove queued files.' }, 502);
+    }
+
+    const { error: dequeueError } = await supabase
+      .from('storage_cleanup_queue')
+      .delete()
+      .in('id', queued.map(row => row.id));
+    if (dequeueError) console.error('cleanup-audio-orphans: failed to dequeue', dequeueError);
+
+    summary.queued = queued.length;
+  }
+
+  // 2. Uploads that never got a row
+  const { data: unreferenced, error: findError } = await supabase
+    .rpc('find_unreferenced_generated_audio', { older_than: '1 day', max_rows: BATCH_SIZE });
+
+  if (findError) {
+    console.error('cleanup-audio-orphans: failed to find unreferenced files', findError);
+  } else if (unreferenced?.length) {
+    const { error: removeError } = await supabase.storage
+      .from(BUCKET)
+      .remove(unreferenced.map((row: { object_path: string }) => row.object_path));
+    if (removeError) console.error('cleanup-audio-orphans: failed to remove unreferenced files', removeError);
+    else summary.unreferenced = unreferenced.length;
+  }
+
+  return jsonResponse(summary);
+});
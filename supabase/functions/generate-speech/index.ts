@@ -0,0 +1,162 @@
+// Supabase Edge Function: generate-speech
+// Authenticates the caller's Supabase JWT, then proxies the synthesis request to
+// OpenAI with a server-side key and streams the audio back. The OpenAI key lives
+// only in the function's secrets (supabase secrets set OPENAI_API_KEY=...).
+// Characters, and one generation per generationId, are charged against the
+// caller's monthly plan quota before the provider is called, and refunded when
+// the provider fails.
+
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { getAuthenticatedUser } from '../_shared/auth.ts';
+import { chargeGeneration, readGenerationId, refundGeneration, requirePremiumModel } from '../_shared/quota.ts';
+
+const OPENAI_SPEECH_URL = 'https://api.openai.com/v1/audio/speech';
+
+// OpenAI rejects inputs over 4096 characters
+const MAX_INPUT_LENGTH = 4096;
+
+const ALLOWED_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+const ALLOWED_MODELS = ['tts-1', 'tts-1-hd', 'gpt-4o-mini-tts'];
+const INSTRUCTION_MODELS = ['gpt-4o-mini-tts'];
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+const FORMAT_MIME_TYPES: Record<string, string> = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/L16',
+};
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  const auth = await getAuthenticatedUser(req);
+  if (!auth) {
+    return jsonResponse({ error: 'Authentication required. Please sign in to generate audio.', code: 'auth' }, 401);
+  }
+
+  const apiKey = Deno.env.get('OPENAI_API_KEY');
+  if (!apiKey) {
+    console.error('generate-speech: OPENAI_API_KEY secret is not set');
+    return jsonResponse({ error: 'Speech service is not configured.', code: 'provider_unavailable' }, 503);
+  }
+
+  let body: Record<string, unknown>;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ error: 'Request body must be JSON.' }, 400);
+  }
+
+  const text = typeof body?.text === 'string' ? body.text : '';
+  const generationId = readGenerationId(body);
+  const voice = String(body?.voice ?? 'alloy');
+  const model = String(body?.model ?? 'tts-1');
+  const format = String(body?.format ?? 'mp3');
+  const speed = Number(body?.speed ?? 1.0);
+  const instructions = typeof body?.instructions === 'string' ? body.instructions.trim() : '';
+
+  if (!text.trim()) {
+    return jsonResponse({ error: 'Text content is required for speech generation.' }, 400);
+  }
+  if (!generationId) {
+    return jsonResponse({ error: 'Request needs a generationId (UUID) shared by all chunks of one generation.' }, 400);
+  }
+  if (text.length > MAX_INPUT_LENGTH) {
+    return jsonResponse({ error: `Text exceeds ${MAX_INPUT_LENGTH} characters. Split it before sending.` }, 400);
+  }
+  if (!ALLOWED_VOICES.includes(voice)) {
+    return jsonResponse({ error: `Unsupported voice "${voice}".` }, 400);
+  }
+  if (!ALLOWED_MODELS.includes(model)) {
+    return jsonResponse({ error: `Unsupported model "${model}".` }, 400);
+  }
+  if (!FORMAT_MIME_TYPES[format]) {
+    return jsonResponse({ error: `Unsupported format "${format}".` }, 400);
+  }
+  if (!(speed >= 0.25 && speed <= 4.0)) {
+    return jsonResponse({ error: 'Speed must be between 0.25 and 4.0.' }, 400);
+  }
+  if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+    return jsonResponse({ error: `Voice instructions exceed ${MAX_INSTRUCTIONS_LENGTH} characters.` }, 400);
+  }
+
+  const premiumResponse = await requirePremiumModel(auth, model);
+  if (premiumResponse) return premiumResponse;
+
+  const quotaResponse = await chargeGeneration(auth, generationId, text.length);
+  if (quotaResponse) return quotaResponse;
+
+  let upstream: Response;
+  try {
+    upstream = await fetch(OPENAI_SPEECH_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model,
+        voice,
+        input: text,
+        speed,
+        response_format: format,
+        // Older models reject the instructions parameter
+        ...(INSTRUCTION_MODELS.includes(model) && instructions ? { instructions } : {}),
+      }),
+      signal: req.signal,
+    });
+  } catch (error) {
+    console.error('generate-speech: network error calling OpenAI', error);
+    await refundGeneration(auth.user.id, generationId, text.length);
+    return jsonResponse({ error: 'Speech provider is unreachable. Please try again.', code: 'provider_unavailable' }, 502);
+  }
+
+  if (!upstream.ok || !upstream.body) {
+    const details = await upstream.json().catch(() => null);
+    console.error('generate-speech: OpenAI error', upstream.status, details);
+    await refundGeneration(auth.user.id, generationId, text.length);
+
+    // Provider key and billing problems are ours, not the caller's - report them as a bad gateway
+    const keyRejected = upstream.status === 401 || upstream.status === 403;
+    const quotaExhausted = upstream.status === 429 && details?.error?.code === 'insufficient_quota';
+
+    if (keyRejected || quotaExhausted) {
+      return jsonResponse({
+        error: keyRejected
+          ? 'Speech service is misconfigured. Please contact support.'
+          : 'Speech provider quota exceeded. Please try again later.',
+        code: 'provider_unavailable',
+      }, 502);
+    }
+
+    if (upstream.status === 429) {
+      const retryAfter = upstream.headers.get('retry-after');
+      return jsonResponse(
+        { error: 'Too many speech requests right now. Retrying shortly.', code: 'rate_limited' },
+        429,
+        retryAfter ? { 'Retry-After': retryAfter } : {},
+      );
+    }
+
+    const code = upstream.status >= 500 ? 'provider_unavailable' : 'content_rejected';
+    return jsonResponse({ error: details?.error?.message || 'Speech generation failed.', code }, upstream.status);
+  }
+
+  // Stream the audio straight through without buffering it in the function
+  return new Response(upstream.body, {
+    status: 200,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': FORMAT_MIME_TYPES[format],
+      'Cache-Control': 'no-store',
+    },
+  });
+});
@@ -0,0 +1,197 @@
+// Supabase Edge Function: google-speech
+// Authenticates the caller's Supabase JWT, then synthesizes with Google Cloud
+// Text-to-Speech (v1 text:synthesize) using a server-side key and returns the
+// audio bytes. The key lives only in the function's secrets
+// (supabase secrets set GOOGLE_TTS_API_KEY=...); GOOGLE_TTS_ENDPOINT optionally
+// points the function at another base URL, such as a local stand-in.
+// Quota works exactly like generate-speech: HD quality needs premium, and
+// characters and the generation are charged before Google is called and
+// refunded when it fails.
+
+import { corsHeaders, jsonResponse } from '../_shared/cors.ts';
+import { getAuthenticatedUser } from '../_shared/auth.ts';
+import { chargeGeneration, readGenerationId, refundGeneration, requirePremiumModel } from '../_shared/quota.ts';
+
+const DEFAULT_ENDPOINT = 'https://texttospeech.googleapis.com';
+
+// Google rejects inputs over 5000 bytes
+const MAX_INPUT_BYTES = 5000;
+const SAMPLE_RATE = 24000;
+
+const VOICE_PATTERN = /^[a-z]{2,3}-[A-Z]{2}-[A-Za-z0-9]+-[A-Z]$/;
+
+// Output formats and the Google audioEncoding that produces them. Google has
+// no raw PCM encoding, so pcm is LINEAR16 with the WAV header removed.
+const FORMATS: Record<string, { encoding: string; mimeType: string }> = {
+  mp3: { encoding: 'MP3', mimeType: 'audio/mpeg' },
+  wav: { encoding: 'LINEAR16', mimeType: 'audio/wav' },
+  pcm: { encoding: 'LINEAR16', mimeType: 'audio/L16' },
+  opus: { encoding: 'OGG_OPUS', mimeType: 'audio/ogg' },
+};
+
+/**
+ * Returns the samples of a WAV file without its header
+ * @param bytes - RIFF/WAVE file
+ * @returns The contents of the data chunk (the input unchanged if it isn't a WAV file)
+ */
+function stripWavHeader(bytes: Uint8Array): Uint8Array {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = (offset: number) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (bytes.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return bytes;
+
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const size = view.getUint32(offset + 4, true);
+    if (tag(offset) === 'data') {
+      return bytes.subarray(offset + 8, Math.min(bytes.length, offset + 8 + size));
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return bytes;
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  const auth = await getAuthenticatedUser(req);
+  if (!auth) {
+    return jsonResponse({ error: 'Authentication required. Please sign in to generate audio.', code: 'auth' }, 401);
+  }
+
+  const apiKey = Deno.env.get('GOOGLE_TTS_API_KEY');
+  if (!apiKey) {
+    console.error('google-speech: GOOGLE_TTS_API_KEY secret is not set');
+    return jsonResponse({ error: 'Speech service is not configured.', code: 'provider_unavailable' }, 503);
+  }
+
+  let body: Record<string, unknown>;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonResponse({ error: 'Request body must be JSON.' }, 400);
+  }
+
+  const text = typeof body?.text === 'string' ? body.text : '';
+  const generationId = readGenerationId(body);
+  const voice = String(body?.voice ?? '');
+  const languageCode = voice.split('-').slice(0, 2).join('-');
+  // The app's quality setting; HD is premium-only whichever provider serves it
+  const model = String(body?.model ?? 'tts-1');
+  const format = String(body?.format ?? 'mp3');
+  const speed = Number(body?.speed ?? 1.0);
+  const pitch = Number(body?.pitch ?? 0);
+
+  if (!text.trim()) {
+    return jsonResponse({ error: 'Text content is required for speech generation.' }, 400);
+  }
+  if (!generationId) {
+    return jsonResponse({ error: 'Request needs a generationId (UUID) shared by all chunks of one generation.' }, 400);
+  }
+  if (new TextEncoder().encode(text).length > MAX_INPUT_BYTES) {
+    return jsonResponse({ error: `Text exceeds ${MAX_INPUT_BYTES} bytes. Split it before sending.` }, 400);
+  }
+  if (!VOICE_PATTERN.test(voice)) {
+    return jsonResponse({ error: `Unsupported voice "${voice}".` }, 400);
+  }
+  if (!FORMATS[format]) {
+    return jsonResponse({ error: `Unsupported format "${format}". Google Cloud TTS can produce ${Object.keys(FORMATS).join(', ')}.` }, 400);
+  }
+  if (!(speed >= 0.25 && speed <= 4.0)) {
+    return jsonResponse({ error: 'Speed must be between 0.25 and 4.0.' }, 400);
+  }
+  if (!(pitch >= -20 && pitch <= 20)) {
+    return jsonResponse({ error: 'Pitch must be between -20 and 20 semitones.' }, 400);
+  }
+
+  const premiumResponse = await requirePremiumModel(auth, model);
+  if (premiumResponse) return premiumResponse;
+
+  const quotaResponse = await chargeGeneration(auth, generationId, text.length);
+  if (quotaResponse) return quotaResponse;
+
+  const endpoint = (Deno.env.get('GOOGLE_TTS_ENDPOINT') ?? DEFAULT_ENDPOINT).replace(/\/+$/, '');
+
+  let upstream: Response;
+  try {
+    upstream = await fetch(`${endpoint}/v1/text:synthesize`, {
+      method: 'POST',
+      headers: {
+        'X-Goog-Api-Key': apiKey,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        input: { text },
+        voice: { languageCode, name: voice },
+        audioConfig: {
+          audioEncoding: FORMATS[format].encoding,
+          speakingRate: speed,
+          pitch,
+          sampleRateHertz: SAMPLE_RATE,
+        },
+      }),
+      signal: req.signal,
+    });
+  } catch (error) {
+    console.error('google-speech: network error calling Google', error);
+    await refundGeneration(auth.user.id, generationId, text.length);
+    return jsonResponse({ error: 'Speech provider is unreachable. Please try again.', code: 'provider_unavailable' }, 502);
+  }
+
+  const payload = await upstream.json().catch(() => null);
+
+  if (!upstream.ok || !payload?.audioContent) {
+    console.error('google-speech: Google error', upstream.status, payload);
+    await refundGeneration(auth.user.id, generationId, text.length);
+
+    const message = String(payload?.error?.message ?? '');
+    // Google reports both per-minute limits and exhausted daily quota as 429 RESOURCE_EXHAUSTED
+    const keyRejected = upstream.status === 401 || upstream.status === 403;
+    const quotaExhausted = upstream.status === 429 && /quota/i.test(message) && !/per minute/i.test(message);
+
+    // Provider key and billing problems are ours, not the caller's - report them as a bad gateway
+    if (keyRejected || quotaExhausted || upstream.ok) {
+      return jsonResponse({
+        error: keyRejected
+          ? 'Speech service is misconfigured. Please contact support.'
+          : quotaExhausted
+            ? 'Speech provider quota exceeded. Please try again later.'
+            : 'Speech provider returned no audio.',
+        code: 'provider_unavailable',
+      }, 502);
+    }
+
+    if (upstream.status === 429) {
+      const retryAfter = upstream.headers.get('retry-after');
+      return jsonResponse(
+        { error: 'Too many speech requests right now. Retrying shortly.', code: 'rate_limited' },
+        429,
+        retryAfter ? { 'Retry-After': retryAfter } : {},
+      );
+    }
+
+    const code = upstream.status >= 500 ? 'provider_unavailable' : 'content_rejected';
+    return jsonResponse({ error: message || 'Speech generation failed.', code }, upstream.status);
+  }
+
+  // Google returns the whole file base64 encoded in JSON; send it on as plain audio
+  const binary = atob(payload.audioContent);
+  let audio = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) audio[i] = binary.charCodeAt(i);
+  if (format === 'pcm') audio = stripWavHeader(audio);
+
+  return new Response(audio, {
+    status: 200,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': FORMATS[format].mimeType,
+      'Content-Length': String(audio.byteLength),
+      'Cache-Control': 'no-store',
+    },
+  });
+});
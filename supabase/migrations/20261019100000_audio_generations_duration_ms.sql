@@ -0,0 +1,20 @@
+-- Location: supabase/migrations/20261019100000_audio_generations_duration_ms.sql
+-- Schema Analysis: audio_generations stores duration_seconds estimated from word count (~150 wpm)
+-- Integration Type: Modification - adds measured millisecond durations alongside the legacy column
+-- Dependencies: public.audio_generations
+
+-- 1. Measured duration columns
+ALTER TABLE public.audio_generations
+    ADD COLUMN duration_ms INTEGER,
+    ADD COLUMN duration_source TEXT NOT NULL DEFAULT 'estimated'
+        CHECK (duration_source IN ('estimated', 'measured'));
+
+-- 2. Carry existing estimates over so reports have one column to read
+UPDATE public.audio_generations
+SET duration_ms = duration_seconds * 1000
+WHERE duration_ms IS NULL AND duration_seconds IS NOT NULL;
+
+-- 3. Index used by the backfill to find rows that still hold estimates
+CREATE INDEX idx_audio_generations_estimated_duration
+ON public.audio_generations(user_id)
+WHERE duration_source = 'estimated';
@@ -0,0 +1,12 @@
+-- Location: supabase/migrations/20261019110000_output_formats.sql
+-- Schema Analysis: voice_presets and audio_generations assume MP3 output
+-- Integration Type: Modification - records the selected output format on presets and history
+-- Dependencies: public.voice_presets, public.audio_generations
+
+ALTER TABLE public.voice_presets
+    ADD COLUMN output_format TEXT NOT NULL DEFAULT 'mp3'
+        CHECK (output_format IN ('mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'));
+
+ALTER TABLE public.audio_generations
+    ADD COLUMN output_format TEXT NOT NULL DEFAULT 'mp3'
+        CHECK (output_format IN ('mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'));
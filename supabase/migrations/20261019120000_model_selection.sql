@@ -0,0 +1,33 @@
+-- Location: supabase/migrations/20261019120000_model_selection.sql
+-- Schema Analysis: voice_presets and audio_generations don't record the TTS model
+-- Integration Type: Modification - stores the standard/HD model choice on presets and history
+-- Dependencies: public.voice_presets, public.audio_generations
+
+-- HD (tts-1-hd) is only granted to premium users; the generate-speech Edge Function enforces it
+ALTER TABLE public.voice_presets
+    ADD COLUMN model TEXT NOT NULL DEFAULT 'tts-1'
+        CHECK (model IN ('tts-1', 'tts-1-hd'));
+
+-- History records the model actually used; fallback providers without model tiers leave it NULL
+ALTER TABLE public.audio_generations
+    ADD COLUMN model TEXT;
+
+-- Plan fields must not be self-service: users_manage_own_user_profiles lets users update
+-- their own row, so block role/subscription changes coming from end-user JWTs
+CREATE OR REPLACE FUNCTION public.protect_user_profile_plan()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.role IS DISTINCT FROM OLD.role OR NEW.subscription_active IS DISTINCT FROM OLD.subscription_active)
+     AND COALESCE(auth.role(), '') IN ('authenticated', 'anon') THEN
+    RAISE EXCEPTION 'role and subscription_active can only be changed by the billing system'
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER on_user_profiles_plan_change
+  BEFORE UPDATE ON public.user_profiles
+  FOR EACH ROW EXECUTE FUNCTION public.protect_user_profile_plan();
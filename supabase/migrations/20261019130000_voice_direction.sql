@@ -0,0 +1,17 @@
+-- Location: supabase/migrations/20261019130000_voice_direction.sql
+-- Schema Analysis: emotion and voice_style are stored but the standard models ignore them
+-- Integration Type: Modification - allows the instruction-capable model and stores free-text voice direction
+-- Dependencies: public.voice_presets (model column from 20261019120000_model_selection.sql)
+
+-- gpt-4o-mini-tts follows delivery instructions built from emotion, style and direction
+ALTER TABLE public.voice_presets
+    DROP CONSTRAINT IF EXISTS voice_presets_model_check;
+
+ALTER TABLE public.voice_presets
+    ADD CONSTRAINT voice_presets_model_check
+        CHECK (model IN ('tts-1', 'tts-1-hd', 'gpt-4o-mini-tts'));
+
+-- Free-text direction such as "whisper, like telling a secret"; capped to match the client
+ALTER TABLE public.voice_presets
+    ADD COLUMN voice_direction TEXT NOT NULL DEFAULT ''
+        CHECK (char_length(voice_direction) <= 500);
@@ -0,0 +1,38 @@
+-- Location: supabase/migrations/20261019140000_pronunciation_entries.sql
+-- Schema Analysis: no place to store how brand, drug or personal names should be pronounced
+-- Integration Type: Addition - per-user pronunciation lexicon applied before synthesis
+-- Dependencies: public.user_profiles, public.handle_updated_at()
+
+-- 1. Pronunciation Entries Table (References user_profiles, not auth.users)
+CREATE TABLE public.pronunciation_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    term TEXT NOT NULL CHECK (char_length(term) BETWEEN 1 AND 200),
+    respelling TEXT NOT NULL CHECK (char_length(respelling) <= 500),
+    case_sensitive BOOLEAN NOT NULL DEFAULT false,
+    whole_word BOOLEAN NOT NULL DEFAULT true,
+    is_regex BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    -- One rule per spelling; CSV imports upsert on this
+    UNIQUE (user_id, term, case_sensitive, is_regex)
+);
+
+-- 2. Essential Indexes
+CREATE INDEX idx_pronunciation_entries_user_id ON public.pronunciation_entries(user_id);
+
+-- 3. Enable RLS
+ALTER TABLE public.pronunciation_entries ENABLE ROW LEVEL SECURITY;
+
+-- 4. RLS Policies - Pattern 2: Simple user ownership, as for voice_presets
+CREATE POLICY "users_manage_own_pronunciation_entries"
+ON public.pronunciation_entries
+FOR ALL
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+-- 5. Triggers
+CREATE TRIGGER on_pronunciation_entries_updated
+  BEFORE UPDATE ON public.pronunciation_entries
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
@@ -0,0 +1,10 @@
+-- Location: supabase/migrations/20261019150000_text_normalization.sql
+-- Schema Analysis: voice_presets stores voice settings only; text is sent for speech exactly as typed
+-- Integration Type: Modification - stores per-preset text normalization settings
+-- Dependencies: public.voice_presets
+
+-- { "locale": "en-NG", "categories": { "currency": true, "phones": false, ... } }
+-- Missing keys fall back to the client defaults (en-US, every category on)
+ALTER TABLE public.voice_presets
+    ADD COLUMN normalization JSONB NOT NULL DEFAULT '{}'::jsonb
+        CHECK (jsonb_typeof(normalization) = 'object');
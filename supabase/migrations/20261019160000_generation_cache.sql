@@ -0,0 +1,27 @@
+-- Location: supabase/migrations/20261019160000_generation_cache.sql
+-- Schema Analysis: every Generate click calls the TTS provider, even for audio generated before
+-- Integration Type: Addition - private storage bucket for cached audio; cache columns on audio_generations
+-- Dependencies: public.audio_generations, storage.buckets, storage.objects
+
+-- 1. Whether a row was served from the cache, and the content hash it was cached under
+ALTER TABLE public.audio_generations
+    ADD COLUMN cache_hit BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN cache_key TEXT
+        CHECK (cache_key IS NULL OR cache_key ~ '^[0-9a-f]{64}$');
+
+CREATE INDEX idx_audio_generations_cache_hit
+ON public.audio_generations(user_id)
+WHERE cache_hit = true;
+
+-- 2. Private bucket; objects are stored as <user id>/<cache key>
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('tts-cache', 'tts-cache', false, 52428800)
+ON CONFLICT (id) DO NOTHING;
+
+-- 3. Users only see and manage their own folder
+CREATE POLICY "users_manage_own_tts_cache"
+ON storage.objects
+FOR ALL
+TO authenticated
+USING (bucket_id = 'tts-cache' AND (storage.foldername(name))[1] = auth.uid()::text)
+WITH CHECK (bucket_id = 'tts-cache' AND (storage.foldername(name))[1] = auth.uid()::text);
@@ -0,0 +1,37 @@
+-- Location: supabase/migrations/20261019170000_text_templates.sql
+-- Schema Analysis: personalized messages ("Hello {{name}}, ...") have to be retyped for every batch
+-- Integration Type: Addition - saved mail-merge templates with a file name pattern and default preset
+-- Dependencies: public.user_profiles, public.voice_presets, public.handle_updated_at()
+
+-- 1. Text Templates Table (References user_profiles, not auth.users)
+CREATE TABLE public.text_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+    template TEXT NOT NULL CHECK (char_length(template) BETWEEN 1 AND 10000),
+    filename_pattern TEXT NOT NULL DEFAULT '{{#}}' CHECK (char_length(filename_pattern) BETWEEN 1 AND 200),
+    -- Voice used for every row unless the user picks another; kept when the preset goes away
+    preset_id UUID REFERENCES public.voice_presets(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name)
+);
+
+-- 2. Essential Indexes
+CREATE INDEX idx_text_templates_user_id ON public.text_templates(user_id);
+
+-- 3. Enable RLS
+ALTER TABLE public.text_templates ENABLE ROW LEVEL SECURITY;
+
+-- 4. RLS Policies - Pattern 2: Simple user ownership, as for voice_presets
+CREATE POLICY "users_manage_own_text_templates"
+ON public.text_templates
+FOR ALL
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+-- 5. Triggers
+CREATE TRIGGER on_text_templates_updated
+  BEFORE UPDATE ON public.text_templates
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
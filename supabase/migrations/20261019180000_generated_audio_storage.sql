@@ -0,0 +1,83 @@
+-- Location: supabase/migrations/20261019180000_generated_audio_storage.sql
+-- Schema Analysis: audio_generations.audio_url was always NULL, so history rows could never be replayed
+-- Integration Type: Addition - private per-user bucket for generated audio; storage cleanup for deleted rows
+-- Dependencies: public.audio_generations, storage.buckets, storage.objects
+
+-- 1. Private bucket; objects are stored as <user id>/<file name> and audio_url holds that path
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+    'generated-audio',
+    'generated-audio',
+    false,
+    52428800,
+    ARRAY['audio/mpeg', 'audio/ogg', 'audio/aac', 'audio/flac', 'audio/wav', 'audio/L16']
+)
+ON CONFLICT (id) DO NOTHING;
+
+-- 2. Users only see and manage their own folder; playback goes through signed URLs
+CREATE POLICY "users_manage_own_generated_audio"
+ON storage.objects
+FOR ALL
+TO authenticated
+USING (bucket_id = 'generated-audio' AND (storage.foldername(name))[1] = auth.uid()::text)
+WITH CHECK (bucket_id = 'generated-audio' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+-- 3. Files whose rows are gone. Storage objects must be removed through the Storage API
+-- (deleting storage.objects rows in SQL leaves the file behind), so deletes are queued here
+-- and drained by the cleanup-audio-orphans Edge Function.
+CREATE TABLE public.storage_cleanup_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    bucket_id TEXT NOT NULL,
+    object_path TEXT NOT NULL,
+    queued_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (bucket_id, object_path)
+);
+
+-- Service role only: no policies for authenticated users
+ALTER TABLE public.storage_cleanup_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.queue_generated_audio_cleanup()
+RETURNS TRIGGER
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- Older rows may hold full URLs; only storage paths are ours to remove
+  IF OLD.audio_url IS NOT NULL AND OLD.audio_url !~ '^https?://' THEN
+    INSERT INTO public.storage_cleanup_queue (bucket_id, object_path)
+    VALUES ('generated-audio', OLD.audio_url)
+    ON CONFLICT (bucket_id, object_path) DO NOTHING;
+  END IF;
+  RETURN OLD;
+END;
+$$;
+
+-- Also covers rows removed by ON DELETE CASCADE when an account is deleted
+CREATE TRIGGER on_audio_generations_deleted
+  AFTER DELETE ON public.audio_generations
+  FOR EACH ROW EXECUTE FUNCTION public.queue_generated_audio_cleanup();
+
+-- 4. Uploads that never got a row (the insert failed after the upload succeeded)
+CREATE OR REPLACE FUNCTION public.find_unreferenced_generated_audio(older_than INTERVAL DEFAULT INTERVAL '1 day', max_rows INTEGER DEFAULT 500)
+RETURNS TABLE (object_path TEXT)
+SECURITY DEFINER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT o.name
+  FROM storage.objects o
+  WHERE o.bucket_id = 'generated-audio'
+    AND o.created_at < now() - older_than
+    AND NOT EXISTS (
+      SELECT 1 FROM public.audio_generations g WHERE g.audio_url = o.name
+    )
+  ORDER BY o.created_at
+  LIMIT max_rows;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.find_unreferenced_generated_audio(INTERVAL, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.find_unreferenced_generated_audio(INTERVAL, INTEGER) TO service_role;
+
+CREATE INDEX idx_audio_generations_audio_url
+ON public.audio_generations(audio_url)
+WHERE audio_url IS NOT NULL;
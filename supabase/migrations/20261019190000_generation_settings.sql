@@ -0,0 +1,23 @@
+-- Location: supabase/migrations/20261019190000_generation_settings.sql
+-- Schema Analysis: audio_generations only links to a preset, which may have been edited or deleted since
+-- Integration Type: Modification - snapshots the exact settings used, and the character for filtering
+-- Dependencies: public.audio_generations, public.voice_presets
+
+-- 1. Settings as the generator held them (voice, format, model, direction, normalization, dialogue)
+ALTER TABLE public.audio_generations
+    ADD COLUMN settings JSONB CHECK (settings IS NULL OR jsonb_typeof(settings) = 'object'),
+    ADD COLUMN character TEXT;
+
+-- 2. Older rows: best guess from the linked preset
+UPDATE public.audio_generations g
+SET character = p.character
+FROM public.voice_presets p
+WHERE g.preset_id = p.id
+  AND g.character IS NULL;
+
+-- 3. History filters
+CREATE INDEX idx_audio_generations_user_character
+ON public.audio_generations(user_id, character);
+
+CREATE INDEX idx_audio_generations_user_generated_at
+ON public.audio_generations(user_id, generated_at DESC);
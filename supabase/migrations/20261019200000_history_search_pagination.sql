@@ -0,0 +1,93 @@
+-- Location: supabase/migrations/20261019200000_history_search_pagination.sql
+-- Schema Analysis: history was capped at the newest 50 rows and usage stats downloaded every row to count them
+-- Integration Type: Addition - full-text search column, keyset-paginated history RPC, usage stats RPC
+-- Dependencies: public.audio_generations
+
+-- 1. Keyset pagination needs a total order on (generated_at, id)
+UPDATE public.audio_generations SET generated_at = CURRENT_TIMESTAMP WHERE generated_at IS NULL;
+ALTER TABLE public.audio_generations ALTER COLUMN generated_at SET NOT NULL;
+
+DROP INDEX IF EXISTS public.idx_audio_generations_user_generated_at;
+CREATE INDEX idx_audio_generations_user_generated_at_id
+ON public.audio_generations(user_id, generated_at DESC, id DESC);
+
+-- 2. Full-text search over the generated text. 'simple' keeps names and brand
+-- words intact (no English stemming or stop words).
+ALTER TABLE public.audio_generations
+    ADD COLUMN text_search TSVECTOR
+        GENERATED ALWAYS AS (to_tsvector('simple'::regconfig, coalesce(text_content, ''))) STORED;
+
+CREATE INDEX idx_audio_generations_text_search
+ON public.audio_generations USING GIN (text_search);
+
+-- 3. Search as you type: every word must match, each as a prefix
+CREATE OR REPLACE FUNCTION public.history_search_query(search TEXT)
+RETURNS TSQUERY
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN count(word) = 0 THEN NULL
+    ELSE to_tsquery('simple'::regconfig, string_agg(quote_literal(word) || ':*', ' & '))
+  END
+  FROM (
+    SELECT lower(regexp_replace(token, '[^[:alnum:]]+', '', 'g')) AS word
+    FROM regexp_split_to_table(coalesce(search, ''), '\s+') AS token
+  ) words
+  WHERE word <> '';
+$$;
+
+-- 4. One page of history, newest first. Runs with the caller's RLS policies.
+-- Pass the last row's (generated_at, id) as the cursor to get the next page.
+CREATE OR REPLACE FUNCTION public.search_audio_generations(
+    search TEXT DEFAULT NULL,
+    filter_preset_id UUID DEFAULT NULL,
+    without_preset BOOLEAN DEFAULT false,
+    filter_character TEXT DEFAULT NULL,
+    generated_from TIMESTAMPTZ DEFAULT NULL,
+    generated_before TIMESTAMPTZ DEFAULT NULL,
+    cursor_generated_at TIMESTAMPTZ DEFAULT NULL,
+    cursor_id UUID DEFAULT NULL,
+    page_size INTEGER DEFAULT 50
+)
+RETURNS SETOF public.audio_generations
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT g.*
+  FROM public.audio_generations g
+  WHERE g.user_id = auth.uid()
+    AND (search IS NULL OR public.history_search_query(search) IS NULL OR g.text_search @@ public.history_search_query(search))
+    AND (filter_preset_id IS NULL OR g.preset_id = filter_preset_id)
+    AND (NOT without_preset OR g.preset_id IS NULL)
+    AND (filter_character IS NULL OR g.character = filter_character)
+    AND (generated_from IS NULL OR g.generated_at >= generated_from)
+    AND (generated_before IS NULL OR g.generated_at < generated_before)
+    AND (cursor_generated_at IS NULL OR (g.generated_at, g.id) < (cursor_generated_at, cursor_id))
+  ORDER BY g.generated_at DESC, g.id DESC
+  LIMIT LEAST(GREATEST(page_size, 1), 200);
+$$;
+
+-- 5. Usage totals counted in the database instead of in the browser
+CREATE OR REPLACE FUNCTION public.get_user_usage_stats(target_user_id UUID, month_start TIMESTAMPTZ)
+RETURNS TABLE (
+    total_generations BIGINT,
+    total_duration_seconds BIGINT,
+    this_month_generations BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT
+    count(*),
+    coalesce(round(sum(coalesce(g.duration_ms, coalesce(g.duration_seconds, 0) * 1000)) / 1000.0), 0)::BIGINT,
+    count(*) FILTER (WHERE g.generated_at >= month_start)
+  FROM public.audio_generations g
+  WHERE g.user_id = target_user_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.history_search_query(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.search_audio_generations(TEXT, UUID, BOOLEAN, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, TIMESTAMPTZ, UUID, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_user_usage_stats(UUID, TIMESTAMPTZ) TO authenticated;
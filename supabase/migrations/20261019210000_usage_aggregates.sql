@@ -0,0 +1,64 @@
+-- Location: supabase/migrations/20261019210000_usage_aggregates.sql
+-- Schema Analysis: usage could only be summarized by downloading the whole history to the browser
+-- Integration Type: Addition - usage aggregates by day, week or month with per-character and per-model breakdowns
+-- Dependencies: public.audio_generations
+
+-- One row per period (dimension 'total') plus one per period and character
+-- ('character') and per period and model ('model'). Periods start at midnight
+-- in the caller's time zone; weeks start on Monday. Runs with the caller's RLS policies.
+CREATE OR REPLACE FUNCTION public.get_usage_aggregates(
+    bucket TEXT,
+    range_start TIMESTAMPTZ,
+    range_end TIMESTAMPTZ,
+    time_zone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+    period_start TIMESTAMPTZ,
+    dimension TEXT,
+    dimension_value TEXT,
+    generations BIGINT,
+    characters BIGINT,
+    seconds NUMERIC
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY INVOKER
+AS $$
+BEGIN
+  IF bucket NOT IN ('day', 'week', 'month') THEN
+    RAISE EXCEPTION 'bucket must be day, week or month, not %', bucket USING ERRCODE = '22023';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    u.period,
+    CASE
+      WHEN GROUPING(u.voice) = 0 THEN 'character'
+      WHEN GROUPING(u.model_name) = 0 THEN 'model'
+      ELSE 'total'
+    END,
+    CASE
+      WHEN GROUPING(u.voice) = 0 THEN u.voice
+      WHEN GROUPING(u.model_name) = 0 THEN u.model_name
+    END,
+    count(*),
+    sum(u.text_length)::BIGINT,
+    round(sum(u.audio_seconds), 1)
+  FROM (
+    SELECT
+      date_trunc(bucket, g.generated_at, time_zone) AS period,
+      coalesce(g.character, g.settings->>'character', 'unknown') AS voice,
+      coalesce(g.model, 'unknown') AS model_name,
+      char_length(g.text_content) AS text_length,
+      coalesce(g.duration_ms / 1000.0, g.duration_seconds, 0) AS audio_seconds
+    FROM public.audio_generations g
+    WHERE g.user_id = auth.uid()
+      AND g.generated_at >= range_start
+      AND g.generated_at < range_end
+  ) u
+  GROUP BY GROUPING SETS ((u.period), (u.period, u.voice), (u.period, u.model_name))
+  ORDER BY 1, 2, 3;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_usage_aggregates(TEXT, TIMESTAMPTZ, TIMESTAMPTZ, TEXT) TO authenticated;
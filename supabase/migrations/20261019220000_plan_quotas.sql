@@ -0,0 +1,285 @@
+-- Location: supabase/migrations/20261019220000_plan_quotas.sql
+-- Schema Analysis: user_profiles.role distinguishes free and premium users, but nothing limits what either can generate
+-- Integration Type: Addition - plans with monthly limits, usage counters and quota enforcement in the database
+-- Dependencies: public.user_profiles, public.audio_generations, storage.objects (generated-audio bucket)
+
+-- 1. Plans. NULL limits mean unlimited.
+CREATE TABLE public.plans (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    monthly_characters INTEGER CHECK (monthly_characters IS NULL OR monthly_characters >= 0),
+    monthly_generations INTEGER CHECK (monthly_generations IS NULL OR monthly_generations >= 0),
+    storage_bytes BIGINT CHECK (storage_bytes IS NULL OR storage_bytes >= 0),
+    price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO public.plans (id, name, description, monthly_characters, monthly_generations, storage_bytes, price_cents, sort_order) VALUES
+    ('free', 'Free', 'Try every voice with standard quality', 10000, 50, 104857600, 0, 1),
+    ('premium', 'Premium', 'HD quality and room for regular production work', 500000, 2000, 5368709120, 1900, 2),
+    ('admin', 'Admin', 'Internal accounts', NULL, NULL, NULL, 0, 3)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.plans ENABLE ROW LEVEL SECURITY;
+
+-- Plans are public price-list data
+CREATE POLICY "anyone_reads_plans"
+ON public.plans
+FOR SELECT
+TO anon, authenticated
+USING (true);
+
+CREATE TRIGGER on_plans_updated
+  BEFORE UPDATE ON public.plans
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- 2. Plan a user is entitled to: premium needs an active subscription
+CREATE OR REPLACE FUNCTION public.effective_plan_id(target_user_id UUID)
+RETURNS TEXT
+SECURITY DEFINER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN up.role = 'admin' THEN 'admin'
+    WHEN up.role = 'premium' AND up.subscription_active THEN 'premium'
+    ELSE 'free'
+  END
+  FROM public.user_profiles up
+  WHERE up.id = target_user_id;
+$$;
+
+-- 3. Close the remaining ways to self-assign a plan. Updates are already guarded by
+-- protect_user_profile_plan; the profile policy also allows inserting a row (e.g. after
+-- deleting one), so inserts from end-user JWTs must start on an inactive free plan.
+CREATE OR REPLACE FUNCTION public.protect_user_profile_plan()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF COALESCE(auth.role(), '') NOT IN ('authenticated', 'anon') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' AND (NEW.role IS DISTINCT FROM 'free'::public.user_role OR NEW.subscription_active IS DISTINCT FROM false) THEN
+    RAISE EXCEPTION 'role and subscription_active can only be changed by the billing system'
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND (NEW.role IS DISTINCT FROM OLD.role OR NEW.subscription_active IS DISTINCT FROM OLD.subscription_active) THEN
+    RAISE EXCEPTION 'role and subscription_active can only be changed by the billing system'
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER on_user_profiles_plan_insert
+  BEFORE INSERT ON public.user_profiles
+  FOR EACH ROW EXECUTE FUNCTION public.protect_user_profile_plan();
+
+-- Sign-up metadata is user-controlled, so new accounts always start on free
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO public.user_profiles (id, email, full_name, role)
+  VALUES (
+    NEW.id,
+    NEW.email,
+    COALESCE(NEW.raw_user_meta_data->>'full_name', split_part(NEW.email, '@', 1)),
+    'free'::public.user_role
+  );
+  RETURN NEW;
+END;
+$$;
+
+-- 4. Monthly usage (calendar months, UTC)
+CREATE TABLE public.usage_counters (
+    user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    characters BIGINT NOT NULL DEFAULT 0 CHECK (characters >= 0),
+    generations INTEGER NOT NULL DEFAULT 0 CHECK (generations >= 0),
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, period_start)
+);
+
+ALTER TABLE public.usage_counters ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for users; counters only change through the functions below
+CREATE POLICY "users_read_own_usage_counters"
+ON public.usage_counters
+FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+CREATE OR REPLACE FUNCTION public.current_usage_period()
+RETURNS DATE
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT date_trunc('month', now() AT TIME ZONE 'UTC')::DATE;
+$$;
+
+CREATE OR REPLACE FUNCTION public.generated_audio_bytes(target_user_id UUID)
+RETURNS BIGINT
+SECURITY DEFINER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT coalesce(sum((o.metadata->>'size')::BIGINT), 0)
+  FROM storage.objects o
+  WHERE o.bucket_id = 'generated-audio'
+    AND (storage.foldername(o.name))[1] = target_user_id::text;
+$$;
+
+-- 5. Atomic check-and-charge. The counter row is locked, so concurrent requests
+-- can't both squeeze into the last of the allowance. Raises
+-- 'quota_exceeded:<limit>' (SQLSTATE P0001) when a limit would be passed.
+-- A character charge (from generate-speech, one per chunk) also needs room for
+-- at least one more generation, so nothing is synthesized that can't be saved.
+CREATE OR REPLACE FUNCTION public.charge_quota(target_user_id UUID, add_characters INTEGER, add_generations INTEGER)
+RETURNS public.usage_counters
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  plan public.plans;
+  counter public.usage_counters;
+BEGIN
+  IF target_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = 'insufficient_privilege';
+  END IF;
+  IF add_characters < 0 OR add_generations < 0 THEN
+    RAISE EXCEPTION 'Quota charges cannot be negative' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT p.* INTO plan FROM public.plans p WHERE p.id = coalesce(public.effective_plan_id(target_user_id), 'free');
+
+  INSERT INTO public.usage_counters (user_id, period_start)
+  VALUES (target_user_id, public.current_usage_period())
+  ON CONFLICT (user_id, period_start) DO NOTHING;
+
+  SELECT c.* INTO counter
+  FROM public.usage_counters c
+  WHERE c.user_id = target_user_id AND c.period_start = public.current_usage_period()
+  FOR UPDATE;
+
+  IF plan.monthly_characters IS NOT NULL AND counter.characters + add_characters > plan.monthly_characters THEN
+    RAISE EXCEPTION 'quota_exceeded:characters' USING HINT = 'Upgrade your plan or wait for next month''s allowance.';
+  END IF;
+  IF plan.monthly_generations IS NOT NULL AND counter.generations + GREATEST(add_generations, 1) > plan.monthly_generations THEN
+    RAISE EXCEPTION 'quota_exceeded:generations' USING HINT = 'Upgrade your plan or wait for next month''s allowance.';
+  END IF;
+
+  UPDATE public.usage_counters c
+  SET characters = c.characters + add_characters,
+      generations = c.generations + add_generations,
+      updated_at = CURRENT_TIMESTAMP
+  WHERE c.user_id = target_user_id AND c.period_start = counter.period_start
+  RETURNING c.* INTO counter;
+
+  RETURN counter;
+END;
+$$;
+
+-- Called by generate-speech with the caller's token before each synthesis request
+CREATE OR REPLACE FUNCTION public.consume_character_quota(add_characters INTEGER)
+RETURNS public.usage_counters
+SECURITY DEFINER
+LANGUAGE sql
+AS $$
+  SELECT public.charge_quota(auth.uid(), add_characters, 0);
+$$;
+
+-- Called by generate-speech (service role) when the provider fails after charging
+CREATE OR REPLACE FUNCTION public.refund_character_quota(target_user_id UUID, refund_characters INTEGER)
+RETURNS VOID
+SECURITY DEFINER
+LANGUAGE sql
+AS $$
+  UPDATE public.usage_counters c
+  SET characters = GREATEST(c.characters - GREATEST(refund_characters, 0), 0),
+      updated_at = CURRENT_TIMESTAMP
+  WHERE c.user_id = target_user_id AND c.period_start = public.current_usage_period();
+$$;
+
+-- 6. Every history row counts as a generation; rows with stored audio also need storage room
+CREATE OR REPLACE FUNCTION public.enforce_generation_quota()
+RETURNS TRIGGER
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  storage_limit BIGINT;
+BEGIN
+  PERFORM public.charge_quota(NEW.user_id, 0, 1);
+
+  IF NEW.audio_url IS NOT NULL AND NEW.audio_url !~ '^https?://' THEN
+    SELECT p.storage_bytes INTO storage_limit
+    FROM public.plans p
+    WHERE p.id = coalesce(public.effective_plan_id(NEW.user_id), 'free');
+
+    IF storage_limit IS NOT NULL AND public.generated_audio_bytes(NEW.user_id) > storage_limit THEN
+      RAISE EXCEPTION 'quota_exceeded:storage' USING HINT = 'Delete old generations or upgrade your plan.';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER on_audio_generations_quota
+  BEFORE INSERT ON public.audio_generations
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_generation_quota();
+
+-- 7. Plan, limits and this month's usage for the quota meter
+CREATE OR REPLACE FUNCTION public.get_quota_status()
+RETURNS TABLE (
+    plan_id TEXT,
+    plan_name TEXT,
+    monthly_characters INTEGER,
+    monthly_generations INTEGER,
+    storage_bytes BIGINT,
+    used_characters BIGINT,
+    used_generations INTEGER,
+    used_storage_bytes BIGINT,
+    period_start DATE,
+    period_end DATE
+)
+SECURITY DEFINER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    p.id,
+    p.name,
+    p.monthly_characters,
+    p.monthly_generations,
+    p.storage_bytes,
+    coalesce(c.characters, 0),
+    coalesce(c.generations, 0),
+    public.generated_audio_bytes(auth.uid()),
+    public.current_usage_period(),
+    (public.current_usage_period() + INTERVAL '1 month')::DATE
+  FROM public.plans p
+  LEFT JOIN public.usage_counters c
+    ON c.user_id = auth.uid() AND c.period_start = public.current_usage_period()
+  WHERE auth.uid() IS NOT NULL
+    AND p.id = coalesce(public.effective_plan_id(auth.uid()), 'free');
+$$;
+
+-- 8. Only the wrappers are callable by users
+REVOKE EXECUTE ON FUNCTION public.charge_quota(UUID, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.refund_character_quota(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.generated_audio_bytes(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.effective_plan_id(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.refund_character_quota(UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.consume_character_quota(INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_quota_status() TO authenticated;
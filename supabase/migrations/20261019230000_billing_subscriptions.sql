@@ -0,0 +1,157 @@
+-- Location: supabase/migrations/20261019230000_billing_subscriptions.sql
+-- Schema Analysis: plans and quotas exist (20261019220000), but nothing records what a user pays for;
+-- user_profiles.role and subscription_active are only set by hand
+-- Integration Type: Addition - subscriptions, invoices and processed webhook events written by the
+-- billing-webhook Edge Function (Stripe), with user_profiles kept in sync by trigger
+-- Dependencies: public.user_profiles, public.plans, public.effective_plan_id
+
+-- 1. Provider price each paid plan is sold at. Set after creating the price in Stripe:
+--    UPDATE public.plans SET provider_price_id = 'price_...' WHERE id = 'premium';
+ALTER TABLE public.plans
+    ADD COLUMN provider_price_id TEXT UNIQUE;
+
+-- 2. Subscriptions, one row per provider subscription
+CREATE TABLE public.subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    plan_id TEXT NOT NULL REFERENCES public.plans(id),
+    provider TEXT NOT NULL DEFAULT 'stripe',
+    provider_subscription_id TEXT NOT NULL UNIQUE,
+    provider_customer_id TEXT,
+    status TEXT NOT NULL CHECK (status IN (
+        'incomplete', 'incomplete_expired', 'trialing', 'active', 'past_due', 'canceled', 'unpaid', 'paused'
+    )),
+    current_period_start TIMESTAMPTZ,
+    current_period_end TIMESTAMPTZ,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+    canceled_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ,
+    -- Creation time of the newest provider event applied; older events arriving late are ignored
+    last_event_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_subscriptions_user_id ON public.subscriptions(user_id, current_period_end DESC);
+CREATE INDEX idx_subscriptions_customer ON public.subscriptions(provider_customer_id);
+
+-- 3. Invoices as reported by the provider
+CREATE TABLE public.invoices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    subscription_id UUID REFERENCES public.subscriptions(id) ON DELETE SET NULL,
+    provider_invoice_id TEXT NOT NULL UNIQUE,
+    number TEXT,
+    status TEXT NOT NULL CHECK (status IN ('draft', 'open', 'paid', 'uncollectible', 'void')),
+    amount_due INTEGER NOT NULL DEFAULT 0,
+    amount_paid INTEGER NOT NULL DEFAULT 0,
+    currency TEXT NOT NULL DEFAULT 'usd',
+    hosted_invoice_url TEXT,
+    invoice_pdf TEXT,
+    period_start TIMESTAMPTZ,
+    period_end TIMESTAMPTZ,
+    issued_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_invoices_user_id ON public.invoices(user_id, issued_at DESC);
+
+-- 4. Webhook events already applied, so provider retries are no-ops
+CREATE TABLE public.billing_events (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    processed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 5. RLS: users read their own billing records; only the service role writes them
+ALTER TABLE public.subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.billing_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "users_read_own_subscriptions"
+ON public.subscriptions
+FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+CREATE POLICY "users_read_own_invoices"
+ON public.invoices
+FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+CREATE TRIGGER on_subscriptions_updated
+  BEFORE UPDATE ON public.subscriptions
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+CREATE TRIGGER on_invoices_updated
+  BEFORE UPDATE ON public.invoices
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- 6. Statuses that keep paid access. past_due is the provider's retry window for a failed renewal.
+CREATE OR REPLACE FUNCTION public.subscription_grants_access(status TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT status IN ('trialing', 'active', 'past_due');
+$$;
+
+-- 7. user_profiles.role and subscription_active follow the user's subscriptions. Admins keep their role.
+CREATE OR REPLACE FUNCTION public.sync_profile_from_subscriptions()
+RETURNS TRIGGER
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  has_access BOOLEAN;
+BEGIN
+  SELECT EXISTS (
+    SELECT 1 FROM public.subscriptions s
+    WHERE s.user_id = NEW.user_id AND public.subscription_grants_access(s.status)
+  ) INTO has_access;
+
+  UPDATE public.user_profiles up
+  SET subscription_active = has_access,
+      role = CASE
+        WHEN up.role = 'admin' THEN up.role
+        WHEN has_access THEN 'premium'::public.user_role
+        ELSE 'free'::public.user_role
+      END
+  WHERE up.id = NEW.user_id
+    AND (up.subscription_active IS DISTINCT FROM has_access
+         OR (up.role <> 'admin' AND up.role <> CASE WHEN has_access THEN 'premium'::public.user_role ELSE 'free'::public.user_role END));
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER on_subscriptions_sync_profile
+  AFTER INSERT OR UPDATE OF status, user_id ON public.subscriptions
+  FOR EACH ROW EXECUTE FUNCTION public.sync_profile_from_subscriptions();
+
+-- 8. Quotas follow the plan actually subscribed to. Profiles made premium by hand,
+-- without a subscription, keep the premium plan.
+CREATE OR REPLACE FUNCTION public.effective_plan_id(target_user_id UUID)
+RETURNS TEXT
+SECURITY DEFINER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN up.role = 'admin' THEN 'admin'
+    WHEN up.role = 'premium' AND up.subscription_active THEN coalesce((
+      SELECT s.plan_id
+      FROM public.subscriptions s
+      WHERE s.user_id = up.id AND public.subscription_grants_access(s.status)
+      ORDER BY s.current_period_end DESC NULLS LAST
+      LIMIT 1
+    ), 'premium')
+    ELSE 'free'
+  END
+  FROM public.user_profiles up
+  WHERE up.id = target_user_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.effective_plan_id(UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,95 @@
+-- Location: supabase/migrations/20261019235000_quota_hardening.sql
+-- Schema Analysis: users_manage_own_user_profiles is FOR ALL, so deleting your own profile cascades
+-- to usage_counters and resets the month's usage; the storage limit is only checked when a history
+-- row is saved, so uploads (to either audio bucket) can pass it freely
+-- Integration Type: Modification - profile policy limited to SELECT/UPDATE; storage limit enforced on storage.objects
+-- Dependencies: public.user_profiles, public.plans, public.effective_plan_id, public.generated_audio_bytes,
+--   storage.objects (generated-audio and tts-cache buckets)
+
+-- 1. Profiles are created by handle_new_user and removed with the auth user; users only read and edit theirs
+DROP POLICY IF EXISTS "users_manage_own_user_profiles" ON public.user_profiles;
+
+CREATE POLICY "users_read_own_user_profiles"
+ON public.user_profiles
+FOR SELECT
+TO authenticated
+USING (id = auth.uid());
+
+CREATE POLICY "users_update_own_user_profiles"
+ON public.user_profiles
+FOR UPDATE
+TO authenticated
+USING (id = auth.uid())
+WITH CHECK (id = auth.uid());
+
+-- 2. Stored audio counts against the plan in both buckets: saved generations and the generation cache
+CREATE OR REPLACE FUNCTION public.generated_audio_bytes(target_user_id UUID)
+RETURNS BIGINT
+SECURITY DEFINER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT coalesce(sum((o.metadata->>'size')::BIGINT), 0)
+  FROM storage.objects o
+  WHERE o.bucket_id IN ('generated-audio', 'tts-cache')
+    AND (storage.foldername(o.name))[1] = target_user_id::text;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.generated_audio_bytes(UUID) FROM PUBLIC, anon, authenticated;
+
+-- 3. Reject uploads that would take a user past their plan's storage. Storage may write the
+-- object row before its size is known and fill in metadata afterwards, so updates are checked
+-- too; only growth is rejected, so shrinking or removing files always works. The per-user lock
+-- keeps concurrent uploads from both fitting into the last of the allowance.
+CREATE OR REPLACE FUNCTION public.enforce_storage_quota()
+RETURNS TRIGGER
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  owner_folder TEXT := (storage.foldername(NEW.name))[1];
+  storage_limit BIGINT;
+  new_size BIGINT := coalesce((NEW.metadata->>'size')::BIGINT, 0);
+  old_size BIGINT := 0;
+BEGIN
+  IF NEW.bucket_id NOT IN ('generated-audio', 'tts-cache') THEN
+    RETURN NEW;
+  END IF;
+
+  -- Maintenance jobs running as the service role are not limited
+  IF COALESCE(auth.role(), '') NOT IN ('authenticated', 'anon') THEN
+    RETURN NEW;
+  END IF;
+
+  IF owner_folder IS NULL OR owner_folder !~ '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND OLD.bucket_id = NEW.bucket_id AND OLD.name = NEW.name THEN
+    old_size := coalesce((OLD.metadata->>'size')::BIGINT, 0);
+  END IF;
+
+  IF new_size <= old_size THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtext('storage_quota:' || owner_folder));
+
+  SELECT p.storage_bytes INTO storage_limit
+  FROM public.plans p
+  WHERE p.id = coalesce(public.effective_plan_id(owner_folder::UUID), 'free');
+
+  IF storage_limit IS NOT NULL
+     AND public.generated_audio_bytes(owner_folder::UUID) - old_size + new_size > storage_limit THEN
+    RAISE EXCEPTION 'quota_exceeded:storage' USING HINT = 'Delete old generations or upgrade your plan.';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER on_storage_objects_quota
+  BEFORE INSERT OR UPDATE OF metadata, bucket_id, name ON storage.objects
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_storage_quota();
+
+REVOKE EXECUTE ON FUNCTION public.enforce_storage_quota() FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,153 @@
+-- Location: supabase/migrations/20261019235500_server_side_generation_charges.sql
+-- Schema Analysis: generations are only charged by enforce_generation_quota when a history row is
+-- inserted, so calling generate-speech or google-speech directly never uses up the monthly allowance
+-- Integration Type: Modification - the speech functions charge one generation per generation id;
+--   the audio_generations insert trigger keeps only the storage check
+-- Dependencies: public.user_profiles, public.usage_counters, public.charge_quota,
+--   public.enforce_generation_quota, public.generated_audio_bytes
+
+-- 1. Generations already charged. Every chunk request of one generation carries the same id, so the
+-- first request charges it and later chunks and retries don't. Ids expire after an hour, so an id
+-- can't be reused to generate for free.
+CREATE TABLE public.generation_charges (
+    user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+    generation_id UUID NOT NULL,
+    charged_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, generation_id)
+);
+
+-- No policies: rows only change through the functions below
+ALTER TABLE public.generation_charges ENABLE ROW LEVEL SECURITY;
+
+-- 2. Only a generation charge needs room for another generation; chunks after the first charge
+-- characters alone, even when the first one used the last generation of the month
+CREATE OR REPLACE FUNCTION public.charge_quota(target_user_id UUID, add_characters INTEGER, add_generations INTEGER)
+RETURNS public.usage_counters
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  plan public.plans;
+  counter public.usage_counters;
+BEGIN
+  IF target_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = 'insufficient_privilege';
+  END IF;
+  IF add_characters < 0 OR add_generations < 0 THEN
+    RAISE EXCEPTION 'Quota charges cannot be negative' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT p.* INTO plan FROM public.plans p WHERE p.id = coalesce(public.effective_plan_id(target_user_id), 'free');
+
+  INSERT INTO public.usage_counters (user_id, period_start)
+  VALUES (target_user_id, public.current_usage_period())
+  ON CONFLICT (user_id, period_start) DO NOTHING;
+
+  SELECT c.* INTO counter
+  FROM public.usage_counters c
+  WHERE c.user_id = target_user_id AND c.period_start = public.current_usage_period()
+  FOR UPDATE;
+
+  IF plan.monthly_characters IS NOT NULL AND counter.characters + add_characters > plan.monthly_characters THEN
+    RAISE EXCEPTION 'quota_exceeded:characters' USING HINT = 'Upgrade your plan or wait for next month''s allowance.';
+  END IF;
+  IF add_generations > 0 AND plan.monthly_generations IS NOT NULL
+     AND counter.generations + add_generations > plan.monthly_generations THEN
+    RAISE EXCEPTION 'quota_exceeded:generations' USING HINT = 'Upgrade your plan or wait for next month''s allowance.';
+  END IF;
+
+  UPDATE public.usage_counters c
+  SET characters = c.characters + add_characters,
+      generations = c.generations + add_generations,
+      updated_at = CURRENT_TIMESTAMP
+  WHERE c.user_id = target_user_id AND c.period_start = counter.period_start
+  RETURNING c.* INTO counter;
+
+  RETURN counter;
+END;
+$$;
+
+-- 3. Called by generate-speech and google-speech with the caller's token before each synthesis
+-- request. Concurrent chunks of one generation race on the primary key, so only one charges it.
+CREATE OR REPLACE FUNCTION public.consume_generation_quota(target_generation_id UUID, add_characters INTEGER)
+RETURNS public.usage_counters
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  charged_rows INTEGER;
+BEGIN
+  IF target_generation_id IS NULL THEN
+    RAISE EXCEPTION 'A generation id is required' USING ERRCODE = '22023';
+  END IF;
+
+  -- Charges older than a day can't matter any more
+  DELETE FROM public.generation_charges g
+  WHERE g.user_id = auth.uid() AND g.charged_at < CURRENT_TIMESTAMP - INTERVAL '1 day';
+
+  INSERT INTO public.generation_charges AS g (user_id, generation_id)
+  VALUES (auth.uid(), target_generation_id)
+  ON CONFLICT (user_id, generation_id) DO UPDATE
+    SET charged_at = CURRENT_TIMESTAMP
+    WHERE g.charged_at < CURRENT_TIMESTAMP - INTERVAL '1 hour';
+  GET DIAGNOSTICS charged_rows = ROW_COUNT;
+
+  RETURN public.charge_quota(auth.uid(), add_characters, charged_rows);
+END;
+$$;
+
+-- Called by the speech functions (service role) when the provider fails after charging. The
+-- generation is given back too; the next chunk or retry of it charges it again.
+CREATE OR REPLACE FUNCTION public.refund_generation_quota(target_user_id UUID, target_generation_id UUID, refund_characters INTEGER)
+RETURNS VOID
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  refunded_generations INTEGER;
+BEGIN
+  DELETE FROM public.generation_charges g
+  WHERE g.user_id = target_user_id AND g.generation_id = target_generation_id;
+  GET DIAGNOSTICS refunded_generations = ROW_COUNT;
+
+  UPDATE public.usage_counters c
+  SET characters = GREATEST(c.characters - GREATEST(refund_characters, 0), 0),
+      generations = GREATEST(c.generations - refunded_generations, 0),
+      updated_at = CURRENT_TIMESTAMP
+  WHERE c.user_id = target_user_id AND c.period_start = public.current_usage_period();
+END;
+$$;
+
+-- 4. Saving a history row no longer charges a generation; stored audio still needs room
+CREATE OR REPLACE FUNCTION public.enforce_generation_quota()
+RETURNS TRIGGER
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  storage_limit BIGINT;
+BEGIN
+  IF NEW.audio_url IS NOT NULL AND NEW.audio_url !~ '^https?://' THEN
+    SELECT p.storage_bytes INTO storage_limit
+    FROM public.plans p
+    WHERE p.id = coalesce(public.effective_plan_id(NEW.user_id), 'free');
+
+    IF storage_limit IS NOT NULL AND public.generated_audio_bytes(NEW.user_id) > storage_limit THEN
+      RAISE EXCEPTION 'quota_exceeded:storage' USING HINT = 'Delete old generations or upgrade your plan.';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- 5. The character-only wrappers are replaced by the generation-aware ones
+DROP FUNCTION IF EXISTS public.consume_character_quota(INTEGER);
+DROP FUNCTION IF EXISTS public.refund_character_quota(UUID, INTEGER);
+
+REVOKE EXECUTE ON FUNCTION public.charge_quota(UUID, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.consume_generation_quota(UUID, INTEGER) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.refund_generation_quota(UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_generation_quota(UUID, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.refund_generation_quota(UUID, UUID, INTEGER) TO service_role;
+